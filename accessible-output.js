@@ -0,0 +1,176 @@
+// Accessible output
+// A text alternative to the canvas for assistive technology:
+//   list          one item per tracked face, hand or object, kept by track id and only changed
+//                 where its text changes, so screen readers do not lose their place every frame
+//   live region   announces what changes, e.g. "Right hand appeared", "Right hand: Pinch" or
+//                 "Face left"
+// Announcements are debounced: a change is only announced once it has held for `settleTime` ms,
+// so a hand that flickers out for a frame or a gesture that is only passed through stays quiet,
+// and changes are batched into one announcement at most every `minInterval` ms.
+
+import { gestureNames } from './gesture-names.js';
+
+// Default announcement settings (ms)
+export const defaultAnnouncerConfig = {
+    settleTime: 500,
+    minInterval: 1500
+};
+
+// Id, spoken name, list detail and gesture of a tracked face, hand or object
+// Faces without a track id are numbered in frame order; without a score there is no detail.
+export function describeDetection(physicalObject, index = 0) {
+    if (physicalObject.type === 'hand') {
+        const { id, gesture } = physicalObject;
+        const gestureName = gestureNames[gesture] ?? null;
+        return {
+            id,
+            name: `${physicalObject.label} hand`,
+            detail: gestureName ? `${id} · ${gestureName}` : id,
+            gesture: gestureName
+        };
+    }
+    return {
+        id: physicalObject.id ?? `face_${index + 1}`,
+        name: physicalObject.type === 'face' ? 'Face' : physicalObject.label,
+        detail: typeof physicalObject.score === 'number' ? `${Math.round(physicalObject.score * 100)}% confidence` : '',
+        gesture: null
+    };
+}
+
+// Message for the change from what was announced of a present item to its settled state
+function describeChange(announced, settled) {
+    if (!announced) {
+        return settled.gesture ? `${settled.name} appeared: ${settled.gesture}` : `${settled.name} appeared`;
+    }
+    if (settled.gesture && settled.gesture !== announced.gesture) return `${settled.name}: ${settled.gesture}`;
+    return null;
+}
+
+// Create an announcer turning frames of described items into debounced announcements
+export function createAnnouncer(config = {}) {
+    const { settleTime, minInterval } = { ...defaultAnnouncerConfig, ...config };
+    // What was last announced of every present item: id -> { name, gesture }
+    const announced = new Map();
+    // Current state of every item that is present or was announced: id -> { name, gesture, present, since }
+    const current = new Map();
+    let pending = [];
+    let lastAnnouncement = -Infinity;
+
+    // Follow the items of a frame; returns the text to announce, or null
+    function update(items, time) {
+        const seen = new Set();
+        items.forEach(item => {
+            seen.add(item.id);
+            const state = current.get(item.id);
+            if (!state || !state.present || state.gesture !== item.gesture) {
+                current.set(item.id, { name: item.name, gesture: item.gesture, present: true, since: time });
+            }
+        });
+        current.forEach((state, id) => {
+            if (!seen.has(id) && state.present) {
+                current.set(id, { ...state, present: false, since: time });
+            }
+        });
+
+        // Queue the changes that have held long enough
+        current.forEach((state, id) => {
+            if (time - state.since < settleTime) return;
+            if (!state.present) {
+                if (announced.has(id)) pending.push(`${announced.get(id).name} left`);
+                announced.delete(id);
+                current.delete(id);
+                return;
+            }
+            const message = describeChange(announced.get(id), state);
+            if (message) pending.push(message);
+            announced.set(id, { name: state.name, gesture: state.gesture });
+        });
+
+        if (pending.length === 0 || time - lastAnnouncement < minInterval) return null;
+        const text = pending.join('. ');
+        pending = [];
+        lastAnnouncement = time;
+        return text;
+    }
+
+    // Forget everything, e.g. when detection stops
+    function reset() {
+        announced.clear();
+        current.clear();
+        pending = [];
+        lastAnnouncement = -Infinity;
+    }
+
+    return { update, reset };
+}
+
+// Create the accessible output in a list element and a live region element
+// The live region should be polite (`aria-live="polite"`), and may be visually hidden.
+export function createAccessibleOutput(elements, config = {}) {
+    const { list, liveRegion } = elements;
+    const document = list.ownerDocument;
+    const announcer = createAnnouncer(config);
+    // List items by id: { element, name, detail, nameElement, detailElement }
+    const entries = new Map();
+
+    // Create the list item of a newly seen face, hand or object
+    function createEntry() {
+        const element = document.createElement('li');
+        element.className = 'detection-item';
+        const nameElement = document.createElement('span');
+        nameElement.className = 'detection-label';
+        const detailElement = document.createElement('span');
+        detailElement.className = 'detection-confidence';
+        element.appendChild(nameElement);
+        element.appendChild(detailElement);
+        list.appendChild(element);
+        return { element, nameElement, detailElement, name: null, detail: null };
+    }
+
+    // Show a frame of detections in the list and announce what has changed
+    function update(detections, time) {
+        const items = [
+            ...detections.faces.map((face, index) => describeDetection({ ...face, type: 'face' }, index)),
+            ...detections.physicalObjects.map(physicalObject => describeDetection(physicalObject))
+        ];
+
+        const listed = new Set();
+        items.forEach(item => {
+            listed.add(item.id);
+            if (!entries.has(item.id)) {
+                entries.set(item.id, createEntry());
+            }
+            const entry = entries.get(item.id);
+            if (entry.name !== item.name) {
+                entry.nameElement.textContent = item.name;
+                entry.name = item.name;
+            }
+            if (entry.detail !== item.detail) {
+                entry.detailElement.textContent = item.detail;
+                entry.detail = item.detail;
+            }
+        });
+        entries.forEach((entry, id) => {
+            if (!listed.has(id)) {
+                entry.element.remove();
+                entries.delete(id);
+            }
+        });
+
+        const announcement = announcer.update(items, time);
+        if (announcement) {
+            liveRegion.textContent = announcement;
+        }
+        return announcement;
+    }
+
+    // Empty the list and the live region, e.g. when detection stops
+    function clear() {
+        entries.forEach(entry => entry.element.remove());
+        entries.clear();
+        announcer.reset();
+        liveRegion.textContent = '';
+    }
+
+    return { update, clear };
+}
@@ -0,0 +1,138 @@
+// Visualization animations
+// Easing curves, animation settings and the paths that anchor changes follow. The engine uses
+// them when its `animations` option is enabled (see placement-engine.js):
+//   enter         a visualization fades and scales in when it is first placed or its object returns
+//   exit          a lost object's visualizations fade out as ghosts at their last position
+//   anchorChange  a visualization moves to a new anchor around its object instead of through it
+// Every visualization can override the timing and easing of each phase with its own `animation`.
+
+import { getDistance, segmentIntersectsRect } from './geometry.js';
+
+// Easing curves: progress (0-1) -> eased progress
+export const easings = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    // Overshoots a little before settling, for a popping entrance
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+// Default animation settings; durations in ms, easings by name or as functions
+export const defaultAnimationConfig = {
+    enter: { duration: 250, easing: 'easeOutCubic', fromScale: 0.6 },
+    exit: { duration: 400, easing: 'easeInCubic', toScale: 0.9 },
+    // `clearance` (px) is kept from the object on the way; keep it within the engine's `gap`
+    anchorChange: { duration: 300, easing: 'easeInOutCubic', clearance: 5 }
+};
+
+// Easing function for a name or a function
+export function getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    if (!easings[easing]) {
+        throw new Error(`Unknown easing: ${easing}`);
+    }
+    return easings[easing];
+}
+
+// Animation settings of one visualization: its own `animation` merged over the defaults
+// `animation: false` turns all of its animations off (null), `{ exit: false }` only that phase.
+export function resolveAnimation(config, override) {
+    if (override === false) return null;
+    const own = override || {};
+    const resolvePhase = name => (own[name] === false ? { ...config[name], duration: 0 } : { ...config[name], ...own[name] });
+    return { enter: resolvePhase('enter'), exit: resolvePhase('exit'), anchorChange: resolvePhase('anchorChange') };
+}
+
+// Move an appearance value (0 hidden, 1 shown) toward shown or hidden by `elapsed` ms
+export function stepAppearance(value, shown, elapsed, animation) {
+    const { duration } = shown ? animation.enter : animation.exit;
+    const step = duration > 0 ? elapsed / duration : 1;
+    return shown ? Math.min(1, value + step) : Math.max(0, value - step);
+}
+
+// Opacity, scale and phase of a visualization at an appearance value
+// The value runs forward through the enter easing and backward through the exit easing, so a
+// visualization whose object returns while it fades out turns around where it is.
+export function getAppearance(value, shown, animation) {
+    if (shown) {
+        const eased = getEasing(animation.enter.easing)(value);
+        return {
+            opacity: Math.min(1, Math.max(0, eased)),
+            scale: animation.enter.fromScale + (1 - animation.enter.fromScale) * eased,
+            phase: value < 1 ? 'entering' : 'visible'
+        };
+    }
+    const eased = getEasing(animation.exit.easing)(1 - value);
+    return {
+        opacity: Math.min(1, Math.max(0, 1 - eased)),
+        scale: 1 + (animation.exit.toScale - 1) * eased,
+        phase: 'exiting'
+    };
+}
+
+// Path for the center of a visualization of `size` from `from` to `to` that stays `clearance` px
+// outside an obstacle rect: straight when that is clear, otherwise around the shorter side,
+// through the corners of the obstacle grown by half the visualization. A start or end inside
+// the grown obstacle cannot go around it, so the path is then straight.
+export function routeAroundRect(from, to, obstacle, size, clearance = 0) {
+    const box = {
+        x: obstacle.x - size.width / 2 - clearance,
+        y: obstacle.y - size.height / 2 - clearance,
+        width: obstacle.width + size.width + clearance * 2,
+        height: obstacle.height + size.height + clearance * 2
+    };
+    const crosses = (a, b) => segmentIntersectsRect({ x1: a.x, y1: a.y, x2: b.x, y2: b.y }, box);
+    if (!crosses(from, to)) return [from, to];
+
+    // Corners in clockwise order; try every run of them in both directions
+    const corners = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x + box.width, y: box.y + box.height },
+        { x: box.x, y: box.y + box.height }
+    ];
+    let best = null;
+    let bestLength = Infinity;
+    for (let start = 0; start < corners.length; start++) {
+        [1, -1].forEach(direction => {
+            const path = [from];
+            for (let count = 0; count < corners.length; count++) {
+                path.push(corners[(start + direction * count + corners.length) % corners.length]);
+                const candidate = [...path, to];
+                if (candidate.slice(1).some((point, i) => crosses(candidate[i], point))) continue;
+                const length = getPathLength(candidate);
+                if (length < bestLength) {
+                    best = candidate;
+                    bestLength = length;
+                }
+            }
+        });
+    }
+    return best || [from, to];
+}
+
+// Total length of a path of points
+export function getPathLength(path) {
+    return path.slice(1).reduce((length, point, i) => length + getDistance(path[i], point), 0);
+}
+
+// Point at `t` (0-1) of a path's length
+export function getPointAlongPath(path, t) {
+    let remaining = getPathLength(path) * Math.min(1, Math.max(0, t));
+    for (let i = 1; i < path.length; i++) {
+        const length = getDistance(path[i - 1], path[i]);
+        if (remaining <= length && length > 0) {
+            const f = remaining / length;
+            return {
+                x: path[i - 1].x + (path[i].x - path[i - 1].x) * f,
+                y: path[i - 1].y + (path[i].y - path[i - 1].y) * f
+            };
+        }
+        remaining -= length;
+    }
+    return { ...path[path.length - 1] };
+}
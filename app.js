@@ -1,80 +1,171 @@
+import { createOverlay } from './overlay.js';
+import { createSourcePicker } from './source-picker.js';
+import { createSessionRecorder } from './session-recorder.js';
+import { createPlacementMetrics } from './placement-metrics.js';
+import { formatMetrics } from './debug-overlay.js';
+import { createZoneEditor } from './exclusion-zones.js';
+import { createAccessibleOutput } from './accessible-output.js';
+import { getPreferredTheme, themes } from './themes.js';
+
 // DOM elements
+const stage = document.getElementById('stage');
 const video = document.getElementById('webcam');
+const still = document.getElementById('still');
 const canvas = document.getElementById('canvas');
-const ctx = canvas.getContext('2d');
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
+const recordBtn = document.getElementById('recordBtn');
+const debugBtn = document.getElementById('debugBtn');
+const metricsElement = document.getElementById('metrics');
 const detectionsElement = document.getElementById('detections');
+const announcementsElement = document.getElementById('announcements');
+const themeSelect = document.getElementById('themeSelect');
+const overlayElement = document.getElementById('overlay');
+const videoControls = document.getElementById('videoControls');
+const playPauseBtn = document.getElementById('playPauseBtn');
+const prevFrameBtn = document.getElementById('prevFrameBtn');
+const nextFrameBtn = document.getElementById('nextFrameBtn');
+const seekBar = document.getElementById('seekBar');
+const frameLabel = document.getElementById('frameLabel');
+const statusElement = document.getElementById('status');
+const retryBtn = document.getElementById('retryBtn');
 
 // Global variables
-let faceModel;
-let handModel;
-let stream;
-let isDetecting = false;
-let animationId;
-
-// Store all detected objects for visualization placement optimization
-let allDetectedObjects = {
-    faces: [],
-    physicalObjects: [],
-    visualizations: []
-};
-
-// Visualization registry to manage multiple visualizations per physical object
-let visualizationRegistry = {
-    // Format: objectId: [array of visualization configs]
-    // Each config includes: id, width, height, color, content, priority, etc.
-};
-
-// Position memory for visualization stabilization
-let previousVisualizationPositions = {};
-let positionTransitions = {};
-
-// Colors for different detections
-const colors = {
-    face: '#FF0000',  // Red
-    hand: '#00FF00'   // Green
-};
-
-// Stabilization configuration
-const stabilizationConfig = {
-    // Minimum score difference needed to change positions
-    hysteresisThreshold: 200,
-    // Bonus score for previous position to maintain stability
-    previousPositionBonus: 150,
-    // How quickly to move toward new target position (0-1, lower = slower)
-    smoothingFactor: 0.2,
-    // Maximum time (ms) to remember a hand's position when not detected
-    positionMemoryTimeout: 1000
-};
+let sourcePicker;
+let sourceUrl = null;
+let debugMode = false;
+
+// Color theme of the canvas and the overlay: the last one picked, or high contrast when the
+// system asks for more contrast
+const themeKey = 'theme';
+let themeName = getInitialTheme();
+
+// Overlay running the source, the pipeline and the scheduler on the page's stage (see overlay.js)
+// Its engine holds the visualization templates (see scene-setup.js); in worker mode the worker
+// runs its own copy, and this engine holds the exclusion zones and debug settings sent along
+// with every frame.
+const overlay = createOverlay({
+    video,
+    image: still,
+    canvas,
+    stage,
+    overlayElement,
+    theme: themeName,
+    mirror: getMirrorOption(),
+    scheduler: getSchedulerOptions(),
+    ...getPipelineOptions()
+});
+const placementEngine = overlay.engine;
+
+// Recorder capturing each frame's detections and placements for later replay
+const sessionRecorder = createSessionRecorder();
+
+// Placement quality metrics of the running session
+const placementMetrics = createPlacementMetrics();
+
+// Exclusion zones can be drawn, moved and resized on the canvas in debug mode
+const zoneEditor = createZoneEditor(canvas, placementEngine, {
+    getViewport: () => overlay.getViewport()
+});
+
+// List of the tracked faces, hands and objects, and announcements of their changes for screen readers
+const accessibleOutput = createAccessibleOutput({ list: detectionsElement, liveRegion: announcementsElement });
+
+// Source for a source picker choice
+// ?source=synthetic runs a scripted scene and ?source=replay&url=recording.json replays a recording
+// regardless of the choice; otherwise the chosen camera or file runs through the TF.js models.
+async function getSource(choice) {
+    const params = new URLSearchParams(window.location.search);
+    const sourceName = params.get('source');
+
+    if (sourceName === 'synthetic') {
+        return { source: 'synthetic' };
+    }
+    if (sourceName === 'replay') {
+        const response = await fetch(params.get('url'));
+        return { source: 'replay', sourceOptions: { recording: await response.json(), loop: params.has('loop') } };
+    }
+
+    // Files are played from object URLs, released when the source is replaced
+    if (sourceUrl) {
+        URL.revokeObjectURL(sourceUrl);
+        sourceUrl = null;
+    }
+    if (choice.kind === 'video' || choice.kind === 'image') {
+        sourceUrl = URL.createObjectURL(choice.file);
+        return { source: choice.kind, sourceOptions: { url: sourceUrl } };
+    }
+    return { source: 'camera', sourceOptions: choice };
+}
+
+// Replace the source without reloading the models
+// A running camera switches over at once; files start playing as soon as they are opened.
+async function switchSource(choice) {
+    const wasDetecting = overlay.isRunning();
+    const { source, sourceOptions } = await getSource(choice);
+    await overlay.setSource(source, sourceOptions);
+    videoControls.hidden = overlay.getSource().name !== 'video';
+
+    if (wasDetecting || choice.kind !== 'camera') {
+        await startDetection();
+    }
+}
 
 // Initialize the application
 async function init() {
     try {
-        // Load face and hand detection models
-        console.log('Loading detection models...');
-        
-        // Load face model
-        faceModel = await blazeface.load();
-        
-        // Load MediaPipe Hands model with multi-hand support
-        const detectorConfig = {
-            runtime: 'mediapipe',
-            solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands',
-            modelType: 'full',
-            maxHands: 2  // Set to detect up to 2 hands
-        };
-        handModel = await handPoseDetection.createDetector(
-            handPoseDetection.SupportedModels.MediaPipeHands,
-            detectorConfig
-        );
-        
-        console.log('Models loaded successfully');
-        
+        // Follow the overlay's frames, status and errors
+        overlay.on('placements', showPlacedFrame);
+        overlay.on('status', showStatus);
+        overlay.on('start', () => placementMetrics.reset());
+        overlay.on('stop', showStopped);
+        overlay.on('error', error => console.error('Error during detection:', error));
+
+        // Offer the cameras and files, starting with the remembered camera
+        sourcePicker = createSourcePicker({
+            cameraSelect: document.getElementById('cameraSelect'),
+            presetSelect: document.getElementById('presetSelect'),
+            fileInput: document.getElementById('fileInput'),
+            dropTarget: stage
+        }, {
+            mediaDevices: navigator.mediaDevices,
+            storage: window.localStorage,
+            onChange: choice => switchSource(choice).catch(error => console.error('Error switching source:', error))
+        });
+        await sourcePicker.refresh();
+
+        // Run detection, tracking and placement on the main thread, or in a worker with ?worker;
+        // every camera and file source shares the pipeline's detector, so models load once
+        const { source, sourceOptions } = await getSource(sourcePicker.getChoice());
+        await overlay.setSource(source, sourceOptions);
+        await overlay.load();
+
+        const pipeline = overlay.getPipeline();
+        if (pipeline.fallbackReason) {
+            console.log(`Worker mode unavailable (${pipeline.fallbackReason}), running on the main thread`);
+        }
+        console.log(`Detection pipeline running on the ${pipeline.mode === 'worker' ? 'worker' : 'main thread'}`);
+        console.log(`Detection source "${overlay.getSource().name}" ready`);
+
         // Add event listeners
         startBtn.addEventListener('click', startDetection);
-        stopBtn.addEventListener('click', stopDetection);
-        
+        stopBtn.addEventListener('click', () => overlay.stop());
+        recordBtn.addEventListener('click', toggleRecording);
+        debugBtn.addEventListener('click', toggleDebugMode);
+
+        // Offer the color themes, starting with the current one
+        Object.entries(themes).forEach(([name, theme]) => themeSelect.add(new Option(theme.name, name)));
+        themeSelect.value = themeName;
+        document.body.dataset.theme = themeName;
+        themeSelect.addEventListener('change', () => setTheme(themeSelect.value));
+
+        // Frame-accurate controls for video files
+        playPauseBtn.addEventListener('click', togglePlayback);
+        prevFrameBtn.addEventListener('click', () => overlay.getSource().step(-1));
+        nextFrameBtn.addEventListener('click', () => overlay.getSource().step(1));
+        seekBar.addEventListener('input', () => overlay.getSource().seek(Number(seekBar.value)));
+        retryBtn.addEventListener('click', () => overlay.retry());
+
         // Enable start button
         startBtn.disabled = false;
     } catch (error) {
@@ -86,569 +177,176 @@ async function init() {
 // Start webcam and detection
 async function startDetection() {
     try {
-        // Get webcam access
-        stream = await navigator.mediaDevices.getUserMedia({
-            video: { facingMode: 'user' },  // Use front camera for better face detection
-            audio: false
-        });
-        
-        // Set video source to webcam stream
-        video.srcObject = stream;
-        
-        // Wait for video to load metadata
-        await new Promise(resolve => {
-            video.onloadedmetadata = () => {
-                resolve();
-            };
-        });
-        
-        // Set canvas dimensions to match video
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        
-        // Play video
-        await video.play();
-        
+        // Start the source (opens the camera, or loads the video or image file), fitted into the
+        // stage, with tracks and position memory reset
+        await overlay.start();
+        const source = overlay.getSource();
+
+        // Camera names are only readable once access has been granted
+        if (source.name === 'camera') {
+            await sourcePicker.refresh();
+        }
+        if (source.name === 'video') {
+            seekBar.max = source.getDuration();
+            playPauseBtn.textContent = 'Pause';
+        }
+
         // Update buttons
         startBtn.disabled = true;
         stopBtn.disabled = false;
-        
-        // Reset position memory
-        previousVisualizationPositions = {};
-        positionTransitions = {};
-        
-        // Start detection
-        isDetecting = true;
-        detectObjects();
-        
+        recordBtn.disabled = false;
     } catch (error) {
         console.error('Error starting detection:', error);
-        alert('Could not access the webcam. Please make sure you have given permission and no other application is using it.');
+        alert('Could not start the source. For a camera, please make sure you have given permission and no other application is using it.');
     }
 }
 
-// Stop webcam and detection
-function stopDetection() {
-    // Stop animation frame
-    if (animationId) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
-    }
-    
-    // Stop webcam stream
-    if (stream) {
-        stream.getTracks().forEach(track => track.stop());
-        video.srcObject = null;
+// Pipeline settings from the page URL:
+// ?worker runs detection and placement in a Web Worker, ?worker=canvas also draws there, and
+// ?objects adds COCO-SSD object detection (people are left to the face and hand models)
+function getPipelineOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const worker = params.get('worker');
+    return {
+        mode: worker === null ? 'main' : 'worker',
+        offscreen: worker === 'canvas',
+        detectorOptions: { objects: params.has('objects'), ignoredClasses: ['person'] }
+    };
+}
+
+// Scheduler settings from the page URL:
+// ?fps=15 caps the inference rate and ?alternate runs the models on alternate frames
+function getSchedulerOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {
+        alternate: params.has('alternate'),
+        tasks: params.has('objects') ? ['faces', 'hands', 'objects'] : ['faces', 'hands']
+    };
+    if (params.has('fps')) {
+        options.inferenceInterval = 1000 / Number(params.get('fps'));
     }
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Clear detections list
-    detectionsElement.innerHTML = '';
-    
-    // Update buttons
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    
-    // Update detection flag
-    isDetecting = false;
+    return options;
 }
 
-// Detect objects in the video stream
-async function detectObjects() {
-    if (!isDetecting) return;
-    
-    try {
-        // Run face and hand detection in parallel
-        const [faceDetections, handDetections] = await Promise.all([
-            faceModel.estimateFaces(video),
-            handModel.estimateHands(video)
-        ]);
-        
-        // Clear previous detections
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        detectionsElement.innerHTML = '';
-        
-        // Reset detected objects for this frame
-        allDetectedObjects = {
-            faces: [],
-            physicalObjects: [],
-            visualizations: []
-        };
-        
-        // Track which objectIds were seen this frame
-        const seenPhysicalObjectIds = new Set();
-        
-        // Draw face detections
-        drawFaceDetections(faceDetections);
-        
-        // Draw hand detections
-        drawHandDetections(handDetections, seenPhysicalObjectIds);
-        
-        // Clean up any stale physical object positions
-        cleanStalePhysicalObjectPositions(seenPhysicalObjectIds);
-        cleanupStaleVisualizations();
-        
-        // Continue detection loop
-        animationId = requestAnimationFrame(detectObjects);
-    } catch (error) {
-        console.error('Error during detection:', error);
+// Show the inference and render rates, and detection failures with a retry button
+function showStatus(status) {
+    const rates = `Inference ${status.inferenceFps.toFixed(0)} fps (${status.inferenceTime.toFixed(0)} ms, ` +
+        `scale ${status.scale.toFixed(1)}) · Render ${status.renderFps.toFixed(0)} fps`;
+    if (status.state === 'retrying') {
+        statusElement.textContent = `Detection failed: ${status.error.message}. Retrying (${status.retries}/${status.maxRetries})...`;
+    } else if (status.state === 'failed') {
+        statusElement.textContent = `Detection stopped after repeated failures: ${status.error.message}`;
+    } else {
+        statusElement.textContent = rates;
     }
+    statusElement.classList.toggle('status-error', status.state === 'retrying' || status.state === 'failed');
+    retryBtn.hidden = status.state !== 'failed';
 }
 
-// Clean up physical object positions that haven't been seen recently
-function cleanStalePhysicalObjectPositions(seenPhysicalObjectIds) {
-    const currentTime = Date.now();
-    
-    // Check each physical object in our memory
-    Object.keys(previousVisualizationPositions).forEach(objectId => {
-        if (!seenPhysicalObjectIds.has(objectId)) {
-            const lastSeen = previousVisualizationPositions[objectId].lastSeen || 0;
-            const timeSinceLastSeen = currentTime - lastSeen;
-            
-            // If we haven't seen this physical object for too long, remove it
-            if (timeSinceLastSeen > stabilizationConfig.positionMemoryTimeout) {
-                delete previousVisualizationPositions[objectId];
-                delete positionTransitions[objectId];
-            }
-        }
-    });
+// Theme remembered from the last visit, or the one the system prefers
+function getInitialTheme() {
+    const stored = window.localStorage.getItem(themeKey);
+    if (stored && themes[stored]) return stored;
+    return getPreferredTheme(window.matchMedia && (query => window.matchMedia(query)));
 }
 
-// Draw face bounding boxes
-function drawFaceDetections(faceDetections) {
-    // Font settings for labels
-    ctx.font = '16px Arial';
-    ctx.lineWidth = 2;
-    
-    // Process each face prediction
-    faceDetections.forEach(face => {
-        // BlazeFace returns different bbox format
-        const topLeft = face.topLeft;
-        const bottomRight = face.bottomRight;
-        const width = bottomRight[0] - topLeft[0];
-        const height = bottomRight[1] - topLeft[1];
-        
-        // Store face data for visualization placement
-        allDetectedObjects.faces.push({
-            x: topLeft[0],
-            y: topLeft[1],
-            width: width,
-            height: height
-        });
-        
-        // Get confidence score
-        const confidence = Math.round(face.probability[0] * 100);
-        
-        // Draw bounding box
-        ctx.strokeStyle = colors.face;
-        ctx.fillStyle = colors.face;
-        ctx.beginPath();
-        ctx.rect(topLeft[0], topLeft[1], width, height);
-        ctx.stroke();
-        
-        // Draw background for text
-        const label = "Face";
-        const textWidth = ctx.measureText(`${label} ${confidence}%`).width;
-        ctx.fillRect(topLeft[0], topLeft[1] - 20, textWidth + 10, 20);
-        
-        // Draw text
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillText(`${label} ${confidence}%`, topLeft[0] + 5, topLeft[1] - 5);
-        
-        // Add to detections list
-        const detectionItem = document.createElement('div');
-        detectionItem.className = 'detection-item';
-        detectionItem.innerHTML = `
-            <span class="detection-label">${label}</span>
-            <span class="detection-confidence">${confidence}% confidence</span>
-        `;
-        detectionsElement.appendChild(detectionItem);
-    });
+// Recolor the canvas, the overlay and the page, and remember the choice
+function setTheme(name) {
+    themeName = name;
+    overlay.setTheme(name);
+    document.body.dataset.theme = name;
+    window.localStorage.setItem(themeKey, name);
 }
 
-// Draw hand bounding boxes
-function drawHandDetections(handDetections, seenPhysicalObjectIds) {
-    // Process each hand prediction
-    handDetections.forEach((hand, index) => {
-        // MediaPipe Hands returns keypoints differently than HandPose
-        // Calculate bounding box from keypoints
-        const keypoints = hand.keypoints;
-        const xs = keypoints.map(point => point.x);
-        const ys = keypoints.map(point => point.y);
-        
-        // Calculate bounding box
-        const minX = Math.min(...xs);
-        const maxX = Math.max(...xs);
-        const minY = Math.min(...ys);
-        const maxY = Math.max(...ys);
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        
-        // Add padding to bounding box
-        const padding = 10;
-        const x = Math.max(0, minX - padding);
-        const y = Math.max(0, minY - padding);
-        const boxWidth = width + 2 * padding;
-        const boxHeight = height + 2 * padding;
-        
-        // Get hand label (left/right hand)
-        const handedness = hand.handedness === 'Left' ? 'Right' : 'Left';  // Camera inversion
-        const label = `${handedness} Hand`;
-        
-        // Create a unique ID for this hand
-        const handId = `${handedness}_${index}`;
-        
-        // Mark this hand as seen in this frame
-        seenPhysicalObjectIds.add(handId);
-        
-        // Update lastSeen timestamp if we have previous position data
-        if (previousVisualizationPositions[handId]) {
-            previousVisualizationPositions[handId].lastSeen = Date.now();
-        }
-        
-        // Store hand data for visualization placement
-        const handObject = {
-            id: handId,
-            x: x,
-            y: y,
-            width: boxWidth,
-            height: boxHeight,
-            label: handedness
-        };
-        allDetectedObjects.physicalObjects.push(handObject);
-        
-        // Draw bounding box
-        ctx.strokeStyle = colors.hand;
-        ctx.fillStyle = colors.hand;
-        ctx.beginPath();
-        ctx.rect(x, y, boxWidth, boxHeight);
-        ctx.stroke();
-        
-        // Draw background for text
-        const textWidth = ctx.measureText(label).width;
-        ctx.fillRect(x, y - 20, textWidth + 10, 20);
-        
-        // Draw text
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillText(label, x + 5, y - 5);
-        
-        // Add to detections list
-        const detectionItem = document.createElement('div');
-        detectionItem.className = 'detection-item';
-        detectionItem.innerHTML = `
-            <span class="detection-label">${label}</span>
-        `;
-        detectionsElement.appendChild(detectionItem);
-        
-        // Initialize or get visualizations for this hand
-        if (!visualizationRegistry[handId]) {
-            initializeObjectVisualizations(handId, handedness);
-        }
-        
-        // Get all visualizations for this hand
-        const handVisualizations = getVisualizationsForObject(handId);
-        
-        // Track positions assigned to visualizations for this hand
-        const assignedPositions = {};
-        
-        // Process visualizations in order of priority (highest first)
-        const sortedVisualizations = [...handVisualizations].sort((a, b) => b.priority - a.priority);
-        
-        sortedVisualizations.forEach(visualization => {
-            // Calculate the optimal position for this visualization
-            const visualizationPosition = findOptimalVisualizationPosition(
-                handObject,
-                visualization.width,
-                visualization.height,
-                visualization.id,
-                allDetectedObjects,
-                canvas.width,
-                canvas.height,
-                assignedPositions
-            );
-            
-            // If we found a valid position
-            if (visualizationPosition) {
-                // Generate a unique stabilization ID for this visualization
-                const stabilizationId = `${handId}_${visualization.id}`;
-                
-                // Apply position stabilization
-                const stabilizedPosition = stabilizeVisualizationPosition(stabilizationId, visualizationPosition);
-                
-                // Draw the visualization
-                drawVisualization(visualization, stabilizedPosition);
-                
-                // Store the visualization for future placement calculations
-                const placedVisualization = {
-                    x: stabilizedPosition.x,
-                    y: stabilizedPosition.y,
-                    width: visualization.width,
-                    height: visualization.height,
-                    priority: visualization.priority,
-                    id: visualization.id
-                };
-                
-                // Add to the global list of visualizations
-                allDetectedObjects.visualizations.push(placedVisualization);
-                // Add to assigned positions for this hand
-                assignedPositions[visualization.id] = placedVisualization;
-            }
-        });
-    });
+// Mirror the display like a selfie view for cameras; ?mirror=0 or ?mirror=1 overrides
+// Video and image files are shown as recorded.
+function getMirrorOption() {
+    const mirror = new URLSearchParams(window.location.search).get('mirror');
+    return mirror === null ? undefined : mirror !== '0';
 }
 
-// Stabilize visualization position to prevent jumping
-function stabilizeVisualizationPosition(objectId, newPosition) {
-    const currentTime = Date.now();
-    
-    // If we have no previous position for this physical object, initialize it
-    if (!previousVisualizationPositions[objectId]) {
-        previousVisualizationPositions[objectId] = {
-            x: newPosition.x,
-            y: newPosition.y,
-            lastSeen: currentTime
-        };
-        return newPosition;
-    }
-    
-    // Get previous position
-    const prevPos = previousVisualizationPositions[objectId];
-    
-    // Create or update transition state
-    if (!positionTransitions[objectId]) {
-        positionTransitions[objectId] = {
-            targetX: newPosition.x,
-            targetY: newPosition.y,
-            currentX: prevPos.x,
-            currentY: prevPos.y
-        };
+// Pause or resume a video file; while paused, the frame on screen keeps being placed
+function togglePlayback() {
+    const source = overlay.getSource();
+    if (source.isPaused()) {
+        source.play();
+        playPauseBtn.textContent = 'Pause';
     } else {
-        // Update the target position
-        positionTransitions[objectId].targetX = newPosition.x;
-        positionTransitions[objectId].targetY = newPosition.y;
+        source.pause();
+        playPauseBtn.textContent = 'Play';
     }
-    
-    const transition = positionTransitions[objectId];
-    
-    // Apply smoothing (lerp) between current and target
-    transition.currentX += (transition.targetX - transition.currentX) * stabilizationConfig.smoothingFactor;
-    transition.currentY += (transition.targetY - transition.currentY) * stabilizationConfig.smoothingFactor;
-    
-    // Update previous position
-    previousVisualizationPositions[objectId] = {
-        x: transition.currentX,
-        y: transition.currentY,
-        lastSeen: currentTime
-    };
-    
-    // Return the smoothed position
-    return {
-        x: Math.round(transition.currentX),
-        y: Math.round(transition.currentY)
-    };
 }
 
-// Calculate intersection area between two visualizations
-function calculateIntersectionArea(rect1, rect2) {
-    // Find the intersection coordinates
-    const xOverlap = Math.max(0, Math.min(rect1.x + rect1.width, rect2.x + rect2.width) - Math.max(rect1.x, rect2.x));
-    const yOverlap = Math.max(0, Math.min(rect1.y + rect1.height, rect2.y + rect2.height) - Math.max(rect1.y, rect2.y));
-    
-    // Calculate intersection area
-    return xOverlap * yOverlap;
-}
+// Reset the page once detection has stopped, by the Stop button or at the end of the source
+function showStopped() {
+    statusElement.textContent = '';
+    retryBtn.hidden = true;
 
-// Find the optimal position for a visualization
-function findOptimalVisualizationPosition(physicalObject, visualizationWidth, visualizationHeight, visualizationId, allObjects, canvasWidth, canvasHeight, existingPositions = {}) {
-    // Define all candidate positions
-    const candidatePositions = [
-        { name: 'right', getPosition: (h) => ({ x: h.x + h.width + 10, y: h.y + (h.height/2) - (visualizationHeight/2) }) },
-        { name: 'left', getPosition: (h) => ({ x: h.x - visualizationWidth - 10, y: h.y + (h.height/2) - (visualizationHeight/2) }) },
-        { name: 'top', getPosition: (h) => ({ x: h.x + (h.width/2) - (visualizationWidth/2), y: h.y - visualizationHeight - 10 }) },
-        { name: 'bottom', getPosition: (h) => ({ x: h.x + (h.width/2) - (visualizationWidth/2), y: h.y + h.height + 10 }) },
-        { name: 'topRight', getPosition: (h) => ({ x: h.x + h.width + 10, y: h.y - visualizationHeight - 10 }) },
-        { name: 'topLeft', getPosition: (h) => ({ x: h.x - visualizationWidth - 10, y: h.y - visualizationHeight - 10 }) },
-        { name: 'bottomRight', getPosition: (h) => ({ x: h.x + h.width + 10, y: h.y + h.height + 10 }) },
-        { name: 'bottomLeft', getPosition: (h) => ({ x: h.x - visualizationWidth - 10, y: h.y + h.height + 10 }) }
-    ];
-    
-    // Get previous position for this physicalObject if it exists
-    const prevPosition = previousVisualizationPositions[`${physicalObject.id}_${visualizationId}`];
-    
-    // Get the visualization config to check preferred positions
-    const visualizationConfig = visualizationRegistry[physicalObject.id]?.find(v => v.id === visualizationId);
-    const preferredPositions = visualizationConfig?.preferredPositions || {};
-    
-    // Evaluate each position
-    const positionScores = candidatePositions.map(pos => {
-        const visualization = {
-            ...pos.getPosition(physicalObject),
-            width: visualizationWidth,
-            height: visualizationHeight
-        };
-        
-        // Check if visualization is within canvas bounds
-        if (visualization.x < 0 || visualization.y < 0 || 
-            visualization.x + visualization.width > canvasWidth || 
-            visualization.y + visualization.height > canvasHeight) {
-            return { position: pos.name, visualization, score: -1000 }; // Heavily penalize out-of-bounds
-        }
-        
-        // Calculate scores based on intersections
-        let score = 0;
-        
-        // Add position preference bonus
-        if (preferredPositions[pos.name]) {
-            // Higher bonus for more preferred positions (earlier in the list)
-            const preferenceBonus = preferredPositions[pos.name];
-            score += preferenceBonus;
-        }
-        
-        // Penalize intersections with faces (highest penalty)
-        allObjects.faces.forEach(face => {
-            const intersection = calculateIntersectionArea(visualization, face);
-            score -= intersection * 10; // Higher penalty for face intersections
-        });
-        
-        // Penalize intersections with physicalObjects
-        allObjects.physicalObjects.forEach(otherPhysicalObject => {
-            if (otherPhysicalObject !== physicalObject) {
-                const intersection = calculateIntersectionArea(visualization, otherPhysicalObject);
-                score -= intersection * 5;
-            }
-        });
-        
-        // Add penalties for overlapping with existing visualizations for this object
-        Object.values(existingPositions).forEach(existingVisualization => {
-            const intersection = calculateIntersectionArea(visualization, existingVisualization);
-            score -= intersection * 10;
-        });
-        
-        // Prefer positions closer to the physicalObject (distance penalty)
-        const physicalObjectCenter = {
-            x: physicalObject.x + physicalObject.width/2,
-            y: physicalObject.y + physicalObject.height/2
-        };
-        const visualizationCenter = {
-            x: visualization.x + visualization.width/2,
-            y: visualization.y + visualization.height/2
-        };
-        const distance = Math.sqrt(
-            Math.pow(physicalObjectCenter.x - visualizationCenter.x, 2) + 
-            Math.pow(physicalObjectCenter.y - visualizationCenter.y, 2)
-        );
-        score -= distance * 0.1; // Small distance penalty
-        
-        // Bonus for position consistency - favor previous position
-        if (prevPosition) {
-            const distanceToPrev = Math.sqrt(
-                Math.pow(visualization.x - prevPosition.x, 2) + 
-                Math.pow(visualization.y - prevPosition.y, 2)
-            );
-            if (distanceToPrev < 50) {
-                score += stabilizationConfig.previousPositionBonus;
-            }
-        }
-        
-        return { position: pos.name, visualization, score };
-    });
-    
-    // Find position with highest score
-    positionScores.sort((a, b) => b.score - a.score);
-    const bestPosition = positionScores[0];
-    
-    return bestPosition.visualization;
+    // Clear the detections list and the announcements
+    accessibleOutput.clear();
+
+    // Save a session that was still being recorded
+    if (sessionRecorder.isRecording()) {
+        toggleRecording();
+    }
+
+    // Update buttons
+    startBtn.disabled = false;
+    stopBtn.disabled = true;
+    recordBtn.disabled = true;
 }
 
-// Initialize visualizations for a detected physical object
-function initializeObjectVisualizations(objectId, objectLabel) {
-    // Create visualizations based on object type
-    visualizationRegistry[objectId] = [
-        {
-            id: `${objectId}_primary`,
-            objectId: objectId,
-            width: 100,
-            height: 160,
-            priority: 2,  // Higher priority
-            color: '#FF0000',
-            content: objectLabel[0],  // First letter of handedness
-            preferredPositions: {
-                top: 400,
-                right: 200,
-                left: 200,
-            }, // Prefer top and right positions
-        },
-        {
-            id: `${objectId}_secondary`,
-            objectId: objectId,
-            width: 80,  // Smaller secondary visualization
-            height: 80,
-            priority: 1,  // Lower priority
-            color: '#0000FF',
-            content: '2',
-            preferredPositions: {
-                bottom: 200,
-                right: 200,
-                left: 200,
-            },  // Prefer right and bottom positions
-        }
-    ];
+// Start recording a session, or stop and download the recorded one
+function toggleRecording() {
+    if (!sessionRecorder.isRecording()) {
+        sessionRecorder.start(placementEngine.config);
+        recordBtn.textContent = 'Stop Recording';
+        return;
+    }
+
+    sessionRecorder.stop();
+    recordBtn.textContent = 'Record Session';
+
+    // Download the session as a JSON Lines file
+    const blob = new Blob([sessionRecorder.toJSONLines()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${Date.now()}.jsonl`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-// Get all visualizations for a physical object
-function getVisualizationsForObject(objectId) {
-    return visualizationRegistry[objectId] || [];
+// Show or hide the candidate overlay and the metrics panel, and toggle zone editing
+function toggleDebugMode() {
+    debugMode = !debugMode;
+    placementEngine.config.diagnostics = debugMode;
+    debugBtn.textContent = debugMode ? 'Hide Debug' : 'Show Debug';
+    metricsElement.hidden = !debugMode;
+    zoneEditor.setEnabled(debugMode);
 }
 
-// Clean up visualizations for objects that no longer exist
-function cleanupStaleVisualizations() {
-    for (const objectId in visualizationRegistry) {
-        if (!previousVisualizationPositions[objectId] || 
-            Date.now() - previousVisualizationPositions[objectId].lastSeen > stabilizationConfig.positionMemoryTimeout) {
-            delete visualizationRegistry[objectId];
-        }
+// Record, measure and list a frame the overlay has placed and drawn
+function showPlacedFrame({ frame, viewport, detections, result }) {
+    sessionRecorder.recordFrame({
+        timestamp: frame.timestamp,
+        viewport,
+        detections,
+        result
+    });
+    const metrics = placementMetrics.update(result, viewport, frame.timestamp);
+    if (debugMode) {
+        metricsElement.textContent = formatMetrics(metrics, placementMetrics.summary()).join('\n');
     }
-}
+    accessibleOutput.update(detections, frame.timestamp);
 
-// Draw a specific visualization
-function drawVisualization(visualization, position) {
-    ctx.fillStyle = visualization.color || '#FF0000';
-    ctx.fillRect(
-        position.x, 
-        position.y, 
-        visualization.width, 
-        visualization.height
-    );
-    
-    // Add a white border to make it more visible
-    ctx.strokeStyle = '#FFFFFF';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(
-        position.x, 
-        position.y, 
-        visualization.width, 
-        visualization.height
-    );
-    
-    // Add text content if specified
-    if (visualization.content) {
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = '16px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(
-            visualization.content, 
-            position.x + visualization.width/2, 
-            position.y + visualization.height/2
-        );
+    // Follow the video's position on its seek bar
+    const source = overlay.getSource();
+    if (source.name === 'video') {
+        seekBar.value = frame.mediaTime;
+        frameLabel.textContent = `Frame ${source.getFrameIndex()}`;
     }
-    
-    ctx.textAlign = 'start';
-    ctx.textBaseline = 'alphabetic';
 }
 
 // Initialize the app when the page loads
-window.addEventListener('load', init); 
\ No newline at end of file
+window.addEventListener('load', init);
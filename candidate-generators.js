@@ -0,0 +1,125 @@
+// Candidate generators for the placement engine
+// A generator is a function (physicalObject, size, viewport, config) => [{ name, side, x, y }]
+// that proposes top-left corners for a visualization of the given { width, height }.
+// The engine scores every proposal and discards those that leave the viewport
+// (or its safe area, when `config.safeArea` insets are set).
+
+import { getSafeRect } from './geometry.js';
+
+// The 8 fixed anchors around the object (right, left, top, bottom and the 4 corners)
+export function anchorCandidates(options = {}) {
+    return (h, size, viewport, config) => {
+        const gap = options.gap ?? config.gap;
+        const { width, height } = size;
+        return [
+            { name: 'right', side: 'right', x: h.x + h.width + gap, y: h.y + (h.height/2) - (height/2) },
+            { name: 'left', side: 'left', x: h.x - width - gap, y: h.y + (h.height/2) - (height/2) },
+            { name: 'top', side: 'top', x: h.x + (h.width/2) - (width/2), y: h.y - height - gap },
+            { name: 'bottom', side: 'bottom', x: h.x + (h.width/2) - (width/2), y: h.y + h.height + gap },
+            { name: 'topRight', side: 'top', x: h.x + h.width + gap, y: h.y - height - gap },
+            { name: 'topLeft', side: 'top', x: h.x - width - gap, y: h.y - height - gap },
+            { name: 'bottomRight', side: 'bottom', x: h.x + h.width + gap, y: h.y + h.height + gap },
+            { name: 'bottomLeft', side: 'bottom', x: h.x - width - gap, y: h.y + h.height + gap }
+        ];
+    };
+}
+
+// Positions sliding along each side of the bounding box
+export function slidingCandidates(options = {}) {
+    const steps = options.steps ?? 5;
+    return (h, size, viewport, config) => {
+        const gap = options.gap ?? config.gap;
+        const { width, height } = size;
+        const candidates = [];
+
+        for (let i = 0; i < steps; i++) {
+            const t = steps === 1 ? 0.5 : i / (steps - 1);
+            // Slide from fully overhanging one end of the side to fully overhanging the other
+            const x = h.x - width + t * (h.width + width);
+            const y = h.y - height + t * (h.height + height);
+            candidates.push(
+                { name: `slide-top-${i}`, side: 'top', x, y: h.y - height - gap },
+                { name: `slide-bottom-${i}`, side: 'bottom', x, y: h.y + h.height + gap },
+                { name: `slide-left-${i}`, side: 'left', x: h.x - width - gap, y },
+                { name: `slide-right-${i}`, side: 'right', x: h.x + h.width + gap, y }
+            );
+        }
+        return candidates;
+    };
+}
+
+// Positions on concentric rings of growing distance around the object
+export function radialCandidates(options = {}) {
+    const rings = options.rings ?? 3;
+    const ringSpacing = options.ringSpacing ?? 40;
+    const count = options.count ?? 12;
+    return (h, size, viewport, config) => {
+        const gap = options.gap ?? config.gap;
+        const centerX = h.x + h.width/2;
+        const centerY = h.y + h.height/2;
+        const candidates = [];
+
+        for (let ring = 0; ring < rings; ring++) {
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * Math.PI * 2;
+                const dx = Math.cos(angle);
+                const dy = Math.sin(angle);
+
+                // Distance at which the label's box just clears the object's box along this direction
+                const clearX = Math.abs(dx) > 1e-9 ? (h.width/2 + size.width/2) / Math.abs(dx) : Infinity;
+                const clearY = Math.abs(dy) > 1e-9 ? (h.height/2 + size.height/2) / Math.abs(dy) : Infinity;
+                const distance = Math.min(clearX, clearY) + gap + ring * ringSpacing;
+
+                candidates.push({
+                    name: `ring-${ring}-${i}`,
+                    side: Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'bottom' : 'top'),
+                    x: centerX + dx * distance - size.width/2,
+                    y: centerY + dy * distance - size.height/2
+                });
+            }
+        }
+        return candidates;
+    };
+}
+
+// Every cell of a regular grid over the viewport's safe area, as a last resort
+export function gridCandidates(options = {}) {
+    const cellSize = options.cellSize ?? 20;
+    return (h, size, viewport, config = {}) => {
+        const area = getSafeRect(viewport, config.safeArea);
+        const candidates = [];
+        for (let y = area.y; y + size.height <= area.y + area.height; y += cellSize) {
+            for (let x = area.x; x + size.width <= area.x + area.width; x += cellSize) {
+                candidates.push({ name: `grid-${x}-${y}`, side: null, x, y });
+            }
+        }
+        return candidates;
+    };
+}
+
+// Wrap a generator so that its candidates are pushed back inside the viewport's safe area
+export function clampToViewport(generator) {
+    return (h, size, viewport, config = {}) => {
+        const area = getSafeRect(viewport, config.safeArea);
+        return generator(h, size, viewport, config).map(candidate => ({
+            ...candidate,
+            x: Math.min(Math.max(candidate.x, area.x), area.x + area.width - size.width),
+            y: Math.min(Math.max(candidate.y, area.y), area.y + area.height - size.height)
+        }));
+    };
+}
+
+// Run several generators and drop duplicate positions
+export function generateCandidates(generators, physicalObject, size, viewport, config) {
+    const seen = new Set();
+    const candidates = [];
+    generators.forEach(generator => {
+        generator(physicalObject, size, viewport, config).forEach(candidate => {
+            const key = `${Math.round(candidate.x)},${Math.round(candidate.y)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            candidates.push(candidate);
+        });
+    });
+    return candidates;
+}
@@ -0,0 +1,81 @@
+// Debug overlay
+// Draws the engine's diagnostics (every scored candidate of every visualization) and its
+// exclusion zones, and formats placement metrics for the diagnostics panel. Enable the engine's
+// `diagnostics` option to get candidates in `placeFrame(...).diagnostics`.
+
+// Color between red (worst) and green (best) for a score within a range
+function getScoreColor(score, min, max) {
+    const t = max > min ? (score - min) / (max - min) : 1;
+    return `hsl(${Math.round(t * 120)}, 90%, 50%)`;
+}
+
+// Outline every candidate with its anchor name and score; the chosen one is drawn solid
+export function drawCandidateDiagnostics(ctx, diagnostics) {
+    ctx.save();
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'top';
+
+    diagnostics.forEach(({ candidates, chosen }) => {
+        const scores = candidates.map(candidate => candidate.score);
+        const min = Math.min(...scores);
+        const max = Math.max(...scores);
+
+        candidates.forEach(candidate => {
+            const isChosen = candidate.position === chosen;
+            const color = getScoreColor(candidate.score, min, max);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = isChosen ? 2 : 1;
+            ctx.setLineDash(isChosen ? [] : [4, 3]);
+            ctx.strokeRect(candidate.x, candidate.y, candidate.width, candidate.height);
+
+            ctx.fillStyle = color;
+            ctx.fillText(`${candidate.position} ${Math.round(candidate.score)}`, candidate.x + 3, candidate.y + 3);
+        });
+    });
+
+    ctx.restore();
+}
+
+// Outline the safe area and fill the exclusion zones (hard zones red, soft zones amber)
+// Each zone gets its id and a resize handle in its bottom-right corner.
+export function drawExclusionZones(ctx, zones, safeRect = null, handleSize = 12) {
+    ctx.save();
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'top';
+
+    if (safeRect) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(safeRect.x, safeRect.y, safeRect.width, safeRect.height);
+    }
+
+    ctx.setLineDash([]);
+    zones.forEach(zone => {
+        const color = zone.mode === 'soft' ? '255, 170, 0' : '230, 40, 40';
+        ctx.fillStyle = `rgba(${color}, 0.25)`;
+        ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+        ctx.strokeStyle = `rgb(${color})`;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+
+        ctx.fillStyle = `rgb(${color})`;
+        ctx.fillRect(zone.x + zone.width - handleSize, zone.y + zone.height - handleSize, handleSize, handleSize);
+        ctx.fillText(`${zone.id} (${zone.mode})`, zone.x + 3, zone.y + 3);
+    });
+
+    ctx.restore();
+}
+
+// Lines of text for the diagnostics panel: this frame's metrics and the session summary
+export function formatMetrics(metrics, summary) {
+    const round = (value, digits = 0) => Number(value.toFixed(digits));
+    return [
+        `Placed ${metrics.placed}, unplaced ${metrics.unplaced}, out of bounds ${metrics.outOfBounds}`,
+        `Overlap px² (face / object / label): ${round(metrics.faceOverlap)} / ${round(metrics.objectOverlap)} / ${round(metrics.labelOverlap)}`,
+        `Anchor distance ${round(metrics.anchorDistance, 1)}px, jitter ${round(metrics.jitter, 2)}px, switches ${metrics.anchorSwitches}`,
+        `Session: ${summary.frames} frames, ${round(summary.anchorSwitchesPerSecond, 2)} switches/s, ` +
+            `mean jitter ${round(summary.meanJitter, 2)}px, mean face overlap ${round(summary.meanFaceOverlap)}px²`
+    ];
+}
@@ -0,0 +1,74 @@
+// Depth cues
+// Estimates how far objects are from the camera, relative to a reference distance, so that the
+// engine can scale visualizations and let nearer objects cover the labels of farther ones (see
+// the `depth` option of placement-engine.js). A depth of 1 is the reference distance, 2 twice as
+// far. MediaPipe's 3D hand keypoints are in metres, so comparing them with the keypoints in the
+// image gives a hand's scale whatever its rotation; without them the palm's length is assumed.
+
+import { getDistance } from './geometry.js';
+
+// Default depth estimation settings
+export const defaultDepthConfig = {
+    // Scale (frame widths per metre) of an object at the reference distance, about arm's length
+    // from a webcam
+    referenceScale: 1,
+    // Wrist to middle knuckle (m), for hands without 3D keypoints
+    palmLength: 0.09,
+    // Width (m) of a detected face box
+    faceWidth: 0.15,
+    // Weight of the newest estimate when smoothing an object's depth over frames
+    smoothing: 0.3
+};
+
+// Palm bones measured for a hand's scale: wrist to the index, middle and pinky knuckles, and
+// across the knuckles
+const palmBones = [[0, 5], [0, 9], [0, 17], [5, 17]];
+
+// Distance between two 3D points
+function getDistance3D(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+// Pixels per metre of a hand in the image
+// A palm bone tilted away from the camera looks shorter, so the least foreshortened one counts.
+export function getHandScale(keypoints, keypoints3D, config = defaultDepthConfig) {
+    if (keypoints3D && keypoints3D.length === keypoints.length) {
+        const scales = palmBones.map(([a, b]) => {
+            const length = getDistance3D(keypoints3D[a], keypoints3D[b]);
+            return length > 0 ? getDistance(keypoints[a], keypoints[b]) / length : 0;
+        });
+        const scale = Math.max(...scales);
+        if (scale > 0) return scale;
+    }
+    return getDistance(keypoints[0], keypoints[9]) / config.palmLength;
+}
+
+// Depth of a hand in a frame `frameWidth` pixels wide
+export function estimateHandDepth(hand, frameWidth, config = defaultDepthConfig) {
+    return (config.referenceScale * frameWidth) / getHandScale(hand.keypoints, hand.keypoints3D, config);
+}
+
+// Depth of an object `realWidth` metres wide from its box in a frame `frameWidth` pixels wide
+export function estimateBoxDepth(box, realWidth, frameWidth, config = defaultDepthConfig) {
+    return (config.referenceScale * frameWidth * realWidth) / box.width;
+}
+
+// Create a smoother following the depth of every tracked object by id
+export function createDepthSmoother(config = {}) {
+    const { smoothing } = { ...defaultDepthConfig, ...config };
+    const depths = new Map();
+
+    // Blend a new estimate into an object's depth and return the smoothed depth
+    function update(id, depth) {
+        const previous = depths.get(id);
+        const smoothed = previous === undefined ? depth : previous + (depth - previous) * smoothing;
+        depths.set(id, smoothed);
+        return smoothed;
+    }
+
+    return {
+        update,
+        forget: (id) => depths.delete(id),
+        reset: () => depths.clear()
+    };
+}
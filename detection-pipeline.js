@@ -0,0 +1,332 @@
+// Detection pipeline
+// Runs detection, tracking, placement and drawing behind one API, either on the main thread
+// or in a Web Worker, so that model inference and candidate scoring do not compete with UI work:
+//   detector                { load(), detect(input, timestamp, options) } for the camera and file sources
+//   place(frame, viewport)  tracks, places and draws a frame of detections in placement space and
+//                           applies hand gestures, resolving to { detections, result, gestures }
+//   on(type, listener)      gesture events (see gestures.js), the same in both modes
+//   resize(size)            sets the canvas backing store { width, height, pixelRatio }
+//   clear()                 clears the canvas
+//   reset()                 forgets tracks and positions
+//   setTheme(name)          sets the color theme the canvas is drawn in (see themes.js)
+//   registerRenderer(type, renderer)
+//                           adds a canvas renderer (see renderers.js); renderers are functions,
+//                           so they cannot draw in the worker with `offscreen`
+//   terminate()             stops the worker, if any
+//   mode                    'main' or 'worker'
+// In the worker, media frames arrive as transferred ImageBitmaps and results come back as
+// plain data. With `offscreen`, the page's canvas is handed to the worker, which draws on it
+// directly; otherwise the main thread draws the returned placements.
+// The worker runs its own scene setup (see scene-setup.js). The main thread's copy is where the
+// page edits exclusion zones and debug settings; they are sent along with every frame, together
+// with the theme. Gestures pin and dismiss visualizations in the engine that places the frames,
+// the worker's in worker mode.
+
+import { createCanvasRenderer } from './renderers.js';
+import { drawScene } from './scene-drawing.js';
+import { toSerializable } from './session-recorder.js';
+import { createEmitter } from './event-emitter.js';
+import { getTheme } from './themes.js';
+
+// Canvas, 2D context and renderer drawing scenes in placement pixels
+export function createCanvasSurface(canvas) {
+    const ctx = canvas.getContext('2d');
+    const renderer = createCanvasRenderer(ctx);
+    let pixelRatio = 1;
+
+    // Size the backing store; drawing stays in placement pixels
+    function resize(size) {
+        canvas.width = size.width;
+        canvas.height = size.height;
+        pixelRatio = size.pixelRatio ?? 1;
+    }
+
+    // Clear the whole canvas and scale the context to placement pixels
+    function clear() {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    // Draw a placed frame with the engine's debug settings in the page's theme
+    function draw(scene, settings, viewport) {
+        clear();
+        drawScene(ctx, scene, {
+            renderer,
+            debug: settings.diagnostics,
+            safeArea: settings.safeArea,
+            viewport,
+            theme: settings.theme
+        });
+    }
+
+    return { resize, clear, draw, renderer };
+}
+
+// Size an engine's visualizations with a renderer before they are placed (see renderers.js)
+function measureWith(engine, renderer) {
+    engine.config.measureVisualization = visualization => renderer.measure(visualization);
+}
+
+// Settings of the page's engine that the worker's engine follows, and the theme to draw in
+function getSettings(engine, theme) {
+    return {
+        exclusionZones: engine.getExclusionZones(),
+        diagnostics: engine.config.diagnostics,
+        safeArea: engine.config.safeArea,
+        theme
+    };
+}
+
+// Theme name a pipeline draws in, checked up front so that a worker never gets an unknown one
+function checkThemeName(name) {
+    getTheme(name);
+    return name;
+}
+
+// Track, place and apply gestures to one frame with a scene setup
+function placeScene(setup, frame, viewport) {
+    const detections = setup.prepareDetections(frame);
+    const result = setup.engine.placeFrame(detections, viewport, frame.timestamp);
+    const gestures = setup.gestures.update(detections, result);
+    return { detections, result, gestures };
+}
+
+// Report a placed frame's gesture events to the pipeline's listeners
+function emitGestures(emitter, scene) {
+    scene.gestures.forEach(event => emitter.emit(event.type, event));
+}
+
+// Pipeline on the main thread
+// options: { setup (see scene-setup.js), detector, canvas, theme }
+export function createLocalPipeline(options) {
+    const { setup, detector } = options;
+    const surface = createCanvasSurface(options.canvas);
+    measureWith(setup.engine, surface.renderer);
+    const emitter = createEmitter();
+    let theme = checkThemeName(options.theme ?? 'default');
+
+    // Track, place and draw one frame
+    async function place(frame, viewport) {
+        const scene = placeScene(setup, frame, viewport);
+        surface.draw(scene, getSettings(setup.engine, theme), viewport);
+        emitGestures(emitter, scene);
+        return scene;
+    }
+
+    return {
+        mode: 'main',
+        detector,
+        place,
+        on: emitter.on,
+        off: emitter.off,
+        resize: async (size) => surface.resize(size),
+        clear: async () => surface.clear(),
+        reset: async () => setup.reset(),
+        setTheme: (name) => {
+            theme = checkThemeName(name);
+        },
+        registerRenderer: (type, renderer) => surface.renderer.register(type, renderer),
+        terminate: () => {}
+    };
+}
+
+// Pipeline in a worker serving servePipeline (see detection-worker.js)
+// options: { worker, setup (the page's copy), canvas, offscreen, detectorOptions, createImageBitmap, theme }
+export function createWorkerPipeline(options) {
+    const { worker, setup, canvas } = options;
+    const createBitmap = options.createImageBitmap ?? (input => createImageBitmap(input));
+    const pending = new Map();
+    let nextId = 1;
+    let connecting = null;
+    let theme = checkThemeName(options.theme ?? 'default');
+    const surface = options.offscreen ? null : createCanvasSurface(canvas);
+    const emitter = createEmitter();
+
+    // Settle the request a response belongs to
+    worker.addEventListener('message', event => {
+        const { id, result, error } = event.data;
+        const request = pending.get(id);
+        if (!request) return;
+        pending.delete(id);
+        if (error !== undefined) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    });
+
+    // A worker that fails to load or crashes fails every open request
+    worker.addEventListener('error', event => {
+        pending.forEach(request => request.reject(new Error(`Detection worker failed: ${event.message}`)));
+        pending.clear();
+    });
+
+    // Send a request and resolve to the worker's response
+    function request(type, payload = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject });
+            worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    // Check that the worker runs, then hand it the canvas when it draws
+    function connect() {
+        connecting = connecting ?? request('ping').then(() => {
+            if (options.offscreen) {
+                const offscreenCanvas = canvas.transferControlToOffscreen();
+                return request('canvas', { canvas: offscreenCanvas }, [offscreenCanvas]);
+            }
+            return undefined;
+        });
+        return connecting;
+    }
+
+    const detector = {
+        load: () => request('load', options.detectorOptions ?? {}),
+        // Copy the current frame of a video, image or canvas and transfer it to the worker
+        detect: async (input, timestamp, detectOptions) => {
+            const bitmap = await createBitmap(input);
+            return request('detect', { bitmap, timestamp, options: detectOptions }, [bitmap]);
+        }
+    };
+
+    // Track and place in the worker; draw here unless the worker draws
+    async function place(frame, viewport) {
+        const settings = getSettings(setup.engine, theme);
+        const scene = await request('place', { frame, viewport, settings });
+        if (surface) surface.draw(scene, settings, viewport);
+        emitGestures(emitter, scene);
+        return scene;
+    }
+
+    // Add a canvas renderer to the main thread's drawing
+    function registerRenderer(type, renderer) {
+        if (!surface) {
+            throw new Error(`Renderer ${type} cannot draw in the detection worker; run without offscreen drawing`);
+        }
+        surface.renderer.register(type, renderer);
+    }
+
+    // Stop the worker and fail what is still open
+    function terminate() {
+        worker.terminate();
+        pending.forEach(request => request.reject(new Error('Detection worker terminated')));
+        pending.clear();
+    }
+
+    return {
+        mode: 'worker',
+        detector,
+        connect,
+        place,
+        on: emitter.on,
+        off: emitter.off,
+        resize: async (size) => (surface ? surface.resize(size) : request('resize', size)),
+        clear: async () => (surface ? surface.clear() : request('clear')),
+        reset: () => request('reset'),
+        setTheme: (name) => {
+            theme = checkThemeName(name);
+        },
+        registerRenderer,
+        terminate
+    };
+}
+
+// Whether a worker pipeline can run here (with `offscreen`, drawing in the worker too)
+export function supportsWorkerPipeline(scope = globalThis, offscreen = false) {
+    if (typeof scope.Worker !== 'function' || typeof scope.createImageBitmap !== 'function') return false;
+    if (typeof scope.OffscreenCanvas !== 'function') return false;
+    return !offscreen || Boolean(scope.HTMLCanvasElement && 'transferControlToOffscreen' in scope.HTMLCanvasElement.prototype);
+}
+
+// Create a pipeline in the requested mode, falling back to the main thread
+// options: { mode: 'main' | 'worker', offscreen, setup, canvas, theme, detectorOptions,
+//            createDetector(detectorOptions), createWorker(), scope }
+// A worker pipeline is only used once its worker answers; otherwise the main-thread pipeline is
+// returned with `fallbackReason` saying why.
+export async function createDetectionPipeline(options) {
+    let fallbackReason = null;
+    if (options.mode === 'worker') {
+        if (supportsWorkerPipeline(options.scope, options.offscreen)) {
+            let worker = null;
+            try {
+                worker = options.createWorker();
+                const pipeline = createWorkerPipeline({ ...options, worker });
+                await pipeline.connect();
+                return pipeline;
+            } catch (error) {
+                if (worker) worker.terminate();
+                fallbackReason = error.message;
+            }
+        } else {
+            fallbackReason = options.offscreen
+                ? 'Web Workers, ImageBitmap or transferable canvases are not available'
+                : 'Web Workers, ImageBitmap or OffscreenCanvas are not available';
+        }
+    }
+    const pipeline = createLocalPipeline({ ...options, detector: options.createDetector(options.detectorOptions ?? {}) });
+    return { ...pipeline, fallbackReason };
+}
+
+// Answer pipeline requests inside a worker
+// options: { createSetup() (see scene-setup.js), createDetector(detectorOptions) (may be async) }
+export function servePipeline(scope, options) {
+    const setup = options.createSetup();
+    let detector = null;
+    let surface = null;
+
+    // Measure text on a canvas of its own until the page hands over the one to draw on
+    if (typeof scope.OffscreenCanvas === 'function') {
+        measureWith(setup.engine, createCanvasRenderer(new scope.OffscreenCanvas(1, 1).getContext('2d')));
+    }
+
+    const handlers = {
+        ping: () => true,
+        // Load the models once, with the page's detector options
+        load: async (detectorOptions) => {
+            detector = detector ?? await options.createDetector(detectorOptions);
+            await detector.load();
+        },
+        detect: async ({ bitmap, timestamp, options: detectOptions }) => {
+            try {
+                return await detector.detect(bitmap, timestamp, detectOptions);
+            } finally {
+                bitmap.close();
+            }
+        },
+        // Follow the page's settings, then track, place, apply gestures and (with a canvas) draw
+        place: ({ frame, viewport, settings }) => {
+            setup.engine.setExclusionZones(settings.exclusionZones);
+            setup.engine.config.diagnostics = settings.diagnostics;
+            setup.engine.config.safeArea = settings.safeArea;
+
+            const scene = placeScene(setup, frame, viewport);
+            if (surface) surface.draw(scene, settings, viewport);
+            return toSerializable(scene);
+        },
+        canvas: ({ canvas }) => {
+            surface = createCanvasSurface(canvas);
+            measureWith(setup.engine, surface.renderer);
+        },
+        resize: (size) => surface && surface.resize(size),
+        clear: () => surface && surface.clear(),
+        reset: () => setup.reset()
+    };
+
+    scope.addEventListener('message', async event => {
+        const { id, type, payload } = event.data;
+        try {
+            if (!handlers[type]) {
+                throw new Error(`Unknown pipeline request: ${type}`);
+            }
+            const result = await handlers[type](payload);
+            scope.postMessage({ id, result: result ?? null });
+        } catch (error) {
+            scope.postMessage({ id, error: error.message });
+        }
+    });
+
+    return { setup };
+}
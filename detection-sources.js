@@ -0,0 +1,565 @@
+// Detection sources
+// A source produces frames of detections in one normalized format, so the rest of the
+// app runs the same against live models, recorded streams and scripted scenes:
+//   { timestamp, width, height,
+//     faces: [{ x, y, width, height, score, landmarks: [{ x, y }] }],
+//     hands: [{ label: 'Left' | 'Right', score, keypoints: [{ x, y }], keypoints3D: [{ x, y, z }] }],
+//     objects: [{ x, y, width, height, label, score }] }  // only from object detectors
+// `keypoints3D` are in metres around the hand's center, when the model reports them; they are
+// not affected by scaling or mirroring the frame. `label` of an object is its class, e.g. 'cup'.
+// Every source implements:
+//   load()   one-time setup such as loading models
+//   start()  begins producing frames and resolves to the frame size { width, height }
+//   detect() resolves to the next frame, or null once the source has ended. The camera and
+//            file sources pass { tasks, scale } on to their detector, see createTfjsDetector
+//   stop()   releases cameras and other resources
+
+import { createRandom } from './random.js';
+
+// Convert a BlazeFace prediction (returnTensors = false) to the normalized face format
+export function normalizeBlazefaceFace(face) {
+    const [left, top] = face.topLeft;
+    const [right, bottom] = face.bottomRight;
+    return {
+        x: left,
+        y: top,
+        width: right - left,
+        height: bottom - top,
+        score: face.probability[0],
+        landmarks: (face.landmarks || []).map(([x, y]) => ({ x, y }))
+    };
+}
+
+// Convert a MediaPipe Hands prediction to the normalized hand format
+// MediaPipe expects mirrored (selfie) input but camera frames are not mirrored, so the model's
+// handedness is swapped by default. Mirroring the display is separate, see viewport-transform.js.
+export function normalizeMediaPipeHand(hand, mirrorHandedness = true) {
+    const swapped = hand.handedness === 'Left' ? 'Right' : 'Left';
+    return {
+        label: mirrorHandedness ? swapped : hand.handedness,
+        score: hand.score,
+        keypoints: hand.keypoints.map(({ x, y }) => ({ x, y })),
+        ...(hand.keypoints3D ? { keypoints3D: hand.keypoints3D.map(({ x, y, z }) => ({ x, y, z })) } : {})
+    };
+}
+
+// Convert a COCO-SSD prediction to the normalized object format
+export function normalizeCocoSsdObject(object) {
+    const [x, y, width, height] = object.bbox;
+    return { x, y, width, height, label: object.class, score: object.score };
+}
+
+// Face and hand detection with BlazeFace and MediaPipe Hands, shared by the media sources
+// blazeface and handPoseDetection are the globals of their TF.js model scripts. With `cocoSsd`,
+// generic objects are detected as well; classes in `ignoredClasses` (e.g. 'person') are left out.
+// The models are loaded once, so sources can be switched without reloading them.
+// detect(input, timestamp, { tasks, scale }) can run only some models (tasks: ['faces'],
+// ['hands'] or ['objects'], leaving the others out of the frame) and on a downscaled copy of the
+// input; the results are always in the input's own pixels.
+export function createTfjsDetector(options) {
+    const {
+        blazeface,
+        handPoseDetection,
+        maxHands = 2,
+        solutionPath = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands',
+        runtime = 'mediapipe',
+        mirrorHandedness = true,
+        cocoSsd = null,
+        maxObjects = 10,
+        minObjectScore = 0.5,
+        ignoredClasses = []
+    } = options;
+    const createCanvas = options.createCanvas ?? (() => new OffscreenCanvas(1, 1));
+
+    let faceModel = null;
+    let handModel = null;
+    let objectModel = null;
+    let scaledCanvas = null;
+
+    // Load the models once
+    async function load() {
+        if (faceModel && handModel && (objectModel || !cocoSsd)) return;
+        faceModel = await blazeface.load();
+        // The MediaPipe runtime needs a document; workers use the TF.js runtime
+        const modelConfig = runtime === 'mediapipe'
+            ? { runtime, solutionPath, modelType: 'full', maxHands }
+            : { runtime, modelType: 'full', maxHands };
+        handModel = await handPoseDetection.createDetector(handPoseDetection.SupportedModels.MediaPipeHands, modelConfig);
+        if (cocoSsd) {
+            objectModel = await cocoSsd.load();
+        }
+    }
+
+    // Copy of the input at `scale` times its size, drawn on a reused canvas
+    function getScaledInput(input, width, height, scale) {
+        scaledCanvas = scaledCanvas ?? createCanvas();
+        scaledCanvas.width = Math.max(1, Math.round(width * scale));
+        scaledCanvas.height = Math.max(1, Math.round(height * scale));
+        scaledCanvas.getContext('2d').drawImage(input, 0, 0, scaledCanvas.width, scaledCanvas.height);
+        return scaledCanvas;
+    }
+
+    // Run face, hand and object detection in parallel on a video, image or canvas element
+    async function detect(input, timestamp, detectOptions = {}) {
+        const tasks = detectOptions.tasks ?? (objectModel ? ['faces', 'hands', 'objects'] : ['faces', 'hands']);
+        const scale = detectOptions.scale ?? 1;
+        const { width, height } = getMediaSize(input);
+        const modelInput = scale < 1 ? getScaledInput(input, width, height, scale) : input;
+
+        const [faces, hands, objects] = await Promise.all([
+            tasks.includes('faces') ? faceModel.estimateFaces(modelInput) : null,
+            tasks.includes('hands') ? handModel.estimateHands(modelInput) : null,
+            tasks.includes('objects') && objectModel ? objectModel.detect(modelInput, maxObjects, minObjectScore) : null
+        ]);
+
+        // Back to input pixels
+        const scaleX = width / getMediaSize(modelInput).width;
+        const scaleY = height / getMediaSize(modelInput).height;
+        const toInput = point => ({ ...point, x: point.x * scaleX, y: point.y * scaleY });
+
+        const frame = { timestamp, width, height };
+        if (faces) {
+            frame.faces = faces.map(normalizeBlazefaceFace).map(face => ({
+                ...toInput(face),
+                width: face.width * scaleX,
+                height: face.height * scaleY,
+                landmarks: face.landmarks.map(toInput)
+            }));
+        }
+        if (hands) {
+            frame.hands = hands.map(hand => normalizeMediaPipeHand(hand, mirrorHandedness))
+                .map(hand => ({ ...hand, keypoints: hand.keypoints.map(toInput) }));
+        }
+        if (objects) {
+            frame.objects = objects.map(normalizeCocoSsdObject)
+                .filter(object => !ignoredClasses.includes(object.label))
+                .map(object => ({ ...toInput(object), width: object.width * scaleX, height: object.height * scaleY }));
+        }
+        return frame;
+    }
+
+    return { load, detect };
+}
+
+// Intrinsic pixel size of a video, image or canvas element
+export function getMediaSize(input) {
+    if (input.videoWidth !== undefined) return { width: input.videoWidth, height: input.videoHeight };
+    if (input.naturalWidth !== undefined) return { width: input.naturalWidth, height: input.naturalHeight };
+    return { width: input.width, height: input.height };
+}
+
+// Wait for a media element event, failing on its error event
+function waitForMediaEvent(element, type) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => {
+            element.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = () => {
+            element.removeEventListener(type, onEvent);
+            reject(new Error(`Could not load media: ${element.currentSrc || element.src}`));
+        };
+        element.addEventListener(type, onEvent, { once: true });
+        element.addEventListener('error', onError, { once: true });
+    });
+}
+
+// Camera constraints for getUserMedia: a device id, or the front camera by default
+export function getCameraConstraints(options = {}) {
+    const video = options.deviceId ? { deviceId: { exact: options.deviceId } } : { facingMode: options.facingMode ?? 'user' };
+    if (options.width) video.width = { ideal: options.width };
+    if (options.height) video.height = { ideal: options.height };
+    if (options.frameRate) video.frameRate = { ideal: options.frameRate };
+    return { video, audio: false };
+}
+
+// Live detection on a camera stream
+// options: { video, detector, deviceId, facingMode, width, height, frameRate, mediaDevices }
+export function createCameraSource(options) {
+    const { video, detector } = options;
+    const mediaDevices = options.mediaDevices ?? navigator.mediaDevices;
+    let stream = null;
+
+    // Open the camera and wait until the video plays
+    async function start() {
+        await detector.load();
+        stream = await mediaDevices.getUserMedia(getCameraConstraints(options));
+        video.removeAttribute('src');
+        video.srcObject = stream;
+        await waitForMediaEvent(video, 'loadedmetadata');
+        await video.play();
+        return getMediaSize(video);
+    }
+
+    // Detect faces and hands on the current video frame
+    function detect(detectOptions) {
+        return detector.detect(video, Date.now(), detectOptions);
+    }
+
+    // Stop the camera
+    function stop() {
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            stream = null;
+        }
+        video.srcObject = null;
+    }
+
+    // Settings the camera actually delivers, e.g. to show the chosen resolution
+    function getSettings() {
+        return stream ? stream.getVideoTracks()[0].getSettings() : null;
+    }
+
+    return { name: 'camera', load: () => detector.load(), start, detect, stop, getSettings };
+}
+
+// Camera source with its own detector, for apps using a single camera
+export function createTfjsSource(options) {
+    return createCameraSource({ ...options, detector: createTfjsDetector(options) });
+}
+
+// Detection on a prerecorded video, e.g. a dropped file (url from URL.createObjectURL)
+// Frames carry `mediaTime` (ms into the video) besides the wall-clock `timestamp`.
+// While paused, the current frame is detected once and repeated. Seeking is frame-accurate:
+// seekFrame(index) moves to the frame starting at index / frameRate seconds.
+// options: { video, detector, url, frameRate = 30, loop = false }
+export function createVideoFileSource(options) {
+    const { video, detector, url } = options;
+    const frameRate = options.frameRate ?? 30;
+    let lastFrame = null;
+
+    // Load the video and start playing it muted
+    async function start() {
+        await detector.load();
+        lastFrame = null;
+        video.srcObject = null;
+        video.src = url;
+        video.muted = true;
+        video.loop = options.loop ?? false;
+        await waitForMediaEvent(video, 'loadedmetadata');
+        await video.play();
+        return getMediaSize(video);
+    }
+
+    // Detect on the frame on screen; null once a video without loop has ended
+    async function detect(detectOptions) {
+        if (video.ended && !video.loop) return null;
+
+        const mediaTime = video.currentTime * 1000;
+        if (video.paused && lastFrame && lastFrame.mediaTime === mediaTime) {
+            return { ...lastFrame, timestamp: Date.now() };
+        }
+        lastFrame = { ...await detector.detect(video, Date.now(), detectOptions), mediaTime };
+        return lastFrame;
+    }
+
+    // Move to a time (ms) and wait until that frame can be detected
+    async function seek(time) {
+        video.pause();
+        video.currentTime = Math.min(Math.max(time, 0), getDuration()) / 1000;
+        await waitForMediaEvent(video, 'seeked');
+    }
+
+    // Index of the frame on screen
+    function getFrameIndex() {
+        return Math.floor(video.currentTime * frameRate);
+    }
+
+    // Seek to a frame; the time is placed inside the frame to avoid rounding onto its neighbour
+    function seekFrame(index) {
+        return seek((index + 0.5) * 1000 / frameRate);
+    }
+
+    // Duration in ms
+    function getDuration() {
+        return Number.isFinite(video.duration) ? video.duration * 1000 : 0;
+    }
+
+    // Release the file
+    function stop() {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        lastFrame = null;
+    }
+
+    return {
+        name: 'video',
+        load: () => detector.load(),
+        start,
+        detect,
+        stop,
+        seek,
+        seekFrame,
+        step: (frames = 1) => seekFrame(getFrameIndex() + frames),
+        getFrameIndex,
+        getDuration,
+        getCurrentTime: () => video.currentTime * 1000,
+        play: () => video.play(),
+        pause: () => video.pause(),
+        isPaused: () => video.paused
+    };
+}
+
+// Detection on a still image; the image is detected once and the frame repeated
+// options: { image, detector, url, frameInterval = 33 }
+export function createImageSource(options) {
+    const { image, detector, url } = options;
+    const frameInterval = options.frameInterval ?? 33;
+    let detected = null;
+    let frameIndex = 0;
+
+    // Load the image (unless it already shows one) and detect once
+    async function start() {
+        await detector.load();
+        if (url) {
+            const loaded = waitForMediaEvent(image, 'load');
+            image.src = url;
+            await loaded;
+        }
+        frameIndex = 0;
+        detected = await detector.detect(image, 0);
+        return getMediaSize(image);
+    }
+
+    // Repeat the detection with advancing timestamps so smoothing settles
+    async function detect() {
+        return { ...detected, timestamp: frameIndex++ * frameInterval };
+    }
+
+    // Hide the image again
+    function stop() {
+        if (url) image.removeAttribute('src');
+        detected = null;
+    }
+
+    return { name: 'image', load: () => detector.load(), start, detect, stop };
+}
+
+// Replay a recorded detection stream: { width, height, frames: [normalized frames] }
+// With loop enabled the recording restarts and timestamps keep increasing.
+export function createReplaySource(recording, options = {}) {
+    const loop = options.loop ?? false;
+    const frames = recording.frames || [];
+
+    // Length of one pass, including one frame interval before the first frame repeats
+    const frameInterval = frames.length > 1 ? frames[1].timestamp - frames[0].timestamp : 0;
+    const duration = frames.length > 0 ? frames[frames.length - 1].timestamp - frames[0].timestamp + frameInterval : 0;
+
+    let index = 0;
+    let loopOffset = 0;
+
+    async function start() {
+        index = 0;
+        loopOffset = 0;
+        return { width: recording.width, height: recording.height };
+    }
+
+    async function detect() {
+        if (index >= frames.length) {
+            if (!loop || frames.length === 0) return null;
+            index = 0;
+            loopOffset += duration;
+        }
+        const frame = frames[index++];
+        return {
+            width: recording.width,
+            height: recording.height,
+            faces: [],
+            hands: [],
+            ...frame,
+            timestamp: frame.timestamp + loopOffset
+        };
+    }
+
+    return { name: 'replay', load: async () => {}, start, detect, stop: () => {} };
+}
+
+// Path moving from one point to another over `duration` ms, then staying there
+export function linearPath(from, to, duration) {
+    return (time) => {
+        const t = Math.min(Math.max(time / duration, 0), 1);
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    };
+}
+
+// Path moving back and forth between two points, one round trip every `period` ms
+export function oscillatePath(from, to, period) {
+    return (time) => {
+        const t = (1 - Math.cos((time / period) * Math.PI * 2)) / 2;
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    };
+}
+
+// Path circling a center point, one turn every `period` ms
+export function circlePath(center, radius, period, phase = 0) {
+    return (time) => {
+        const angle = (time / period) * Math.PI * 2 + phase;
+        return { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+    };
+}
+
+// Limit a path to a time window; the object is absent (null) outside of it
+export function visibleBetween(path, start, end = Infinity) {
+    return (time) => (time >= start && time < end ? path(time - start) : null);
+}
+
+// Finger joints of an upright hand in units of its size, relative to the hand's center
+// Order follows MediaPipe: wrist, then thumb, index, middle, ring and pinky from base to tip.
+const handLayout = [
+    { x: 0, y: 0.45 },
+    { x: -0.2, y: 0.3 }, { x: -0.32, y: 0.15 }, { x: -0.4, y: 0.02 }, { x: -0.46, y: -0.08 },
+    { x: -0.12, y: 0 }, { x: -0.13, y: -0.15 }, { x: -0.14, y: -0.3 }, { x: -0.15, y: -0.45 },
+    { x: 0, y: -0.02 }, { x: 0, y: -0.18 }, { x: 0, y: -0.34 }, { x: 0, y: -0.5 },
+    { x: 0.1, y: 0 }, { x: 0.11, y: -0.15 }, { x: 0.12, y: -0.3 }, { x: 0.13, y: -0.45 },
+    { x: 0.2, y: 0.05 }, { x: 0.22, y: -0.07 }, { x: 0.24, y: -0.2 }, { x: 0.26, y: -0.32 }
+];
+
+// Real length (m) of one unit of the hand layouts, making the palm about 9cm long
+const syntheticHandLength = 0.2;
+
+// Joints of a finger curled into the palm, from its knuckle at (x, y)
+function curledFinger(x, y = 0) {
+    return [{ x, y }, { x, y: y - 0.1 }, { x, y }, { x, y: y + 0.1 }];
+}
+
+// Thumb folded across the palm
+const foldedThumb = [{ x: -0.2, y: 0.3 }, { x: -0.25, y: 0.15 }, { x: -0.15, y: 0.08 }, { x: -0.05, y: 0.1 }];
+
+// Hand layouts for the poses recognized by gestures.js
+export const handPoses = {
+    openPalm: handLayout,
+    // Thumb and index tips touching, the other fingers stretched
+    pinch: [
+        handLayout[0],
+        { x: -0.2, y: 0.3 }, { x: -0.3, y: 0.12 }, { x: -0.36, y: 0 }, { x: -0.38, y: -0.12 },
+        { x: -0.12, y: 0 }, { x: -0.2, y: -0.12 }, { x: -0.28, y: -0.18 }, { x: -0.36, y: -0.16 },
+        ...handLayout.slice(9)
+    ],
+    point: [handLayout[0], ...foldedThumb, ...handLayout.slice(5, 9), ...curledFinger(0, -0.02), ...curledFinger(0.1), ...curledFinger(0.2, 0.05)],
+    fist: [handLayout[0], ...foldedThumb, ...curledFinger(-0.12), ...curledFinger(0, -0.02), ...curledFinger(0.1), ...curledFinger(0.2, 0.05)]
+};
+
+// The 21 keypoints of a synthetic hand centered on a point, rotated by `angle` radians
+export function createHandKeypoints(center, size, angle = 0, pose = 'openPalm') {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    if (!handPoses[pose]) {
+        throw new Error(`Unknown hand pose: ${pose}`);
+    }
+    return handPoses[pose].map(({ x, y }) => ({
+        x: center.x + (x * cos - y * sin) * size,
+        y: center.y + (x * sin + y * cos) * size
+    }));
+}
+
+// Six BlazeFace-style landmarks (eyes, nose, mouth, ears) inside a face box
+function createFaceLandmarks(box) {
+    const at = (u, v) => ({ x: box.x + box.width * u, y: box.y + box.height * v });
+    return [at(0.35, 0.4), at(0.65, 0.4), at(0.5, 0.55), at(0.5, 0.7), at(0.1, 0.45), at(0.9, 0.45)];
+}
+
+// The 3D keypoints of a synthetic hand in metres around its center, flat toward the camera
+export function createHandKeypoints3D(pose = 'openPalm') {
+    if (!handPoses[pose]) {
+        throw new Error(`Unknown hand pose: ${pose}`);
+    }
+    return handPoses[pose].map(({ x, y }) => ({ x: x * syntheticHandLength, y: y * syntheticHandLength, z: 0 }));
+}
+
+// Scripted scene of moving faces and hands, fully deterministic
+// scene: {
+//   width, height, frameInterval (ms), duration (ms, endless when missing),
+//   seed, jitter (px of random keypoint noise),
+//   faces: [{ path, width, height }],
+//   hands: [{ path, label, size, angle, pose }],  // angle: radians or (time) => radians
+//                                                // pose: a handPoses name or (time) => name
+//                                                // size: px, or (time) => px as the hand nears
+//   objects: [{ path, label, width, height }]     // e.g. label: 'cup'
+// }
+// A path is (time) => { x, y } for the object's center, or null while it is absent.
+export function createSyntheticSource(scene) {
+    const {
+        width = 640,
+        height = 480,
+        frameInterval = 33,
+        duration = Infinity,
+        seed = 1,
+        jitter = 0
+    } = scene;
+
+    let frameIndex = 0;
+    let random = createRandom(seed);
+    const noise = () => (random() * 2 - 1) * jitter;
+
+    async function start() {
+        frameIndex = 0;
+        random = createRandom(seed);
+        return { width, height };
+    }
+
+    async function detect() {
+        const time = frameIndex * frameInterval;
+        if (time > duration) return null;
+        frameIndex++;
+
+        const faces = [];
+        (scene.faces || []).forEach(face => {
+            const center = face.path(time);
+            if (!center) return;
+            const box = {
+                x: center.x - face.width/2,
+                y: center.y - face.height/2,
+                width: face.width,
+                height: face.height
+            };
+            faces.push({ ...box, score: 0.99, landmarks: createFaceLandmarks(box) });
+        });
+
+        const hands = [];
+        (scene.hands || []).forEach(hand => {
+            const center = hand.path(time);
+            if (!center) return;
+            const angle = typeof hand.angle === 'function' ? hand.angle(time) : (hand.angle ?? 0);
+            const pose = typeof hand.pose === 'function' ? hand.pose(time) : (hand.pose ?? 'openPalm');
+            const size = typeof hand.size === 'function' ? hand.size(time) : (hand.size ?? 120);
+            const keypoints = createHandKeypoints(center, size, angle, pose)
+                .map(point => ({ x: point.x + noise(), y: point.y + noise() }));
+            hands.push({ label: hand.label ?? 'Right', score: 1, keypoints, keypoints3D: createHandKeypoints3D(pose) });
+        });
+
+        const objects = [];
+        (scene.objects || []).forEach(object => {
+            const center = object.path(time);
+            if (!center) return;
+            objects.push({
+                x: center.x - object.width / 2,
+                y: center.y - object.height / 2,
+                width: object.width,
+                height: object.height,
+                label: object.label,
+                score: 0.9
+            });
+        });
+
+        return { timestamp: time, width, height, faces, hands, objects };
+    }
+
+    return { name: 'synthetic', load: async () => {}, start, detect, stop: () => {} };
+}
+
+// Demo scene: one face, two hands crossing in front of it and a cup, for running the app offline
+// The right hand also moves toward the camera and back, passing the face's depth.
+export function createDemoScene(width = 640, height = 480) {
+    return {
+        width,
+        height,
+        jitter: 1,
+        faces: [{ path: oscillatePath({ x: width * 0.45, y: height * 0.35 }, { x: width * 0.55, y: height * 0.35 }, 6000), width: 100, height: 120 }],
+        hands: [
+            { label: 'Left', size: 130, path: oscillatePath({ x: width * 0.2, y: height * 0.65 }, { x: width * 0.7, y: height * 0.55 }, 4000), angle: (time) => Math.sin(time / 700) * 0.5 },
+            { label: 'Right', size: (time) => 140 + Math.sin(time / 1500) * 40, path: circlePath({ x: width * 0.75, y: height * 0.6 }, height * 0.15, 5000) }
+        ],
+        objects: [{ label: 'cup', width: 70, height: 90, path: () => ({ x: width * 0.9, y: height * 0.82 }) }]
+    };
+}
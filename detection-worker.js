@@ -0,0 +1,31 @@
+// Detection worker
+// Module worker running the detection pipeline off the main thread (see detection-pipeline.js).
+// Workers have no <script> tags, so the TF.js models are imported as ES modules; hands use the
+// TF.js runtime since MediaPipe's needs a document.
+
+import { servePipeline } from './detection-pipeline.js';
+import { createSceneSetup } from './scene-setup.js';
+import { createTfjsDetector } from './detection-sources.js';
+
+const cdn = 'https://cdn.jsdelivr.net/npm';
+
+// Load TF.js and the model packages, then create the detector
+// detectorOptions: { objects, ignoredClasses } as sent by the page; COCO-SSD is only loaded for objects
+async function createDetector(detectorOptions = {}) {
+    await import(`${cdn}/@tensorflow/tfjs/+esm`);
+    const [blazeface, handPoseDetection, cocoSsd] = await Promise.all([
+        import(`${cdn}/@tensorflow-models/blazeface/+esm`),
+        import(`${cdn}/@tensorflow-models/hand-pose-detection/+esm`),
+        detectorOptions.objects ? import(`${cdn}/@tensorflow-models/coco-ssd/+esm`) : null
+    ]);
+    return createTfjsDetector({
+        blazeface,
+        handPoseDetection,
+        cocoSsd,
+        ignoredClasses: detectorOptions.ignoredClasses,
+        maxHands: 2,
+        runtime: 'tfjs'
+    });
+}
+
+servePipeline(self, { createSetup: createSceneSetup, createDetector });
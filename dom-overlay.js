@@ -0,0 +1,147 @@
+// DOM overlay renderer
+// Positions real HTML elements at the engine's placements so that visualizations can
+// hold styled text, links and accessible content. Elements are kept per visualization
+// and reused across frames; only their position changes unless the visualization's content,
+// style or attributes do. Visualizations are compared by value, since the detection worker
+// sends a new copy of every one each frame.
+
+import { resolveStyle } from './renderers.js';
+import { applyTheme, getTheme } from './themes.js';
+
+// Check whether a visualization is rendered by the DOM overlay instead of the canvas
+export function isDomVisualization(visualization) {
+    return visualization.type === 'html';
+}
+
+// What an element shows of a visualization, apart from a DOM node it holds
+function getSignature(visualization) {
+    return JSON.stringify([
+        visualization.id,
+        visualization.key,
+        visualization.content,
+        visualization.html,
+        visualization.color,
+        visualization.style,
+        visualization.className,
+        visualization.role,
+        visualization.ariaLabel,
+        visualization.ariaLive
+    ]);
+}
+
+// Create an overlay inside a positioned container laid over the canvas
+// options.getScale: () => { x, y } CSS pixels per canvas pixel, for canvases scaled by CSS
+// options.theme: color theme name or theme (see themes.js), changed later with `setTheme`
+export function createDomOverlay(container, options = {}) {
+    const document = container.ownerDocument;
+    const className = options.className ?? 'visualization-overlay-item';
+    const getScale = options.getScale ?? (() => ({ x: 1, y: 1 }));
+    let theme = getTheme(options.theme);
+
+    // Elements by `${objectId}_${visualizationId}`: { element, signature, node }
+    const entries = new Map();
+
+    // Apply a visualization's content, style and accessibility attributes to its element
+    function applyVisualization(element, visualization) {
+        if (visualization.element) {
+            element.replaceChildren(visualization.element);
+        } else if (visualization.html !== undefined) {
+            // Trusted markup supplied by the application
+            element.innerHTML = visualization.html;
+        } else {
+            element.textContent = visualization.content ?? '';
+        }
+
+        const style = resolveStyle(applyTheme(visualization, theme));
+        element.className = visualization.className ? `${className} ${visualization.className}` : className;
+        element.style.background = style.color;
+        element.style.color = style.textColor;
+        element.style.font = style.font;
+        element.style.padding = `${style.padding}px`;
+        element.style.border = style.borderWidth > 0 ? `${style.borderWidth}px solid ${style.borderColor}` : 'none';
+
+        ['role', 'ariaLabel', 'ariaLive'].forEach(property => {
+            const attribute = property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            if (visualization[property] !== undefined) element.setAttribute(attribute, visualization[property]);
+            else element.removeAttribute(attribute);
+        });
+    }
+
+    // Create the element for a newly placed visualization
+    function createEntry() {
+        const element = document.createElement('div');
+        element.style.position = 'absolute';
+        element.style.left = '0';
+        element.style.top = '0';
+        element.style.boxSizing = 'border-box';
+        element.style.overflow = 'hidden';
+        container.appendChild(element);
+        return { element, signature: null, node: null };
+    }
+
+    // Show the DOM visualizations among a frame's placements and remove the rest
+    // Pass the frame's ghosts along to let them fade out too.
+    function update(placements) {
+        const scale = getScale();
+        const placed = new Set();
+
+        placements.filter(placement => isDomVisualization(placement.visualization)).forEach((placement, index) => {
+            const key = `${placement.objectId}_${placement.id}`;
+            placed.add(key);
+
+            if (!entries.has(key)) {
+                entries.set(key, createEntry());
+            }
+            const entry = entries.get(key);
+
+            // Content is only rebuilt when what the visualization shows changed
+            const signature = getSignature(placement.visualization);
+            const node = placement.visualization.element ?? null;
+            if (entry.signature !== signature || entry.node !== node) {
+                applyVisualization(entry.element, placement.visualization);
+                entry.signature = signature;
+                entry.node = node;
+            }
+
+            // Laid out at the visualization's own size and scaled about the center by the animation
+            // and depth scales, like on the canvas; later placements go on top
+            const depthScale = placement.depthScale ?? 1;
+            const placementScale = (placement.scale ?? 1) * depthScale;
+            const width = placement.width / depthScale;
+            const height = placement.height / depthScale;
+            const x = (placement.x + (placement.width - width) / 2) * scale.x;
+            const y = (placement.y + (placement.height - height) / 2) * scale.y;
+            entry.element.style.transform = placementScale === 1
+                ? `translate(${x}px, ${y}px)`
+                : `translate(${x}px, ${y}px) scale(${placementScale})`;
+            entry.element.style.transformOrigin = 'center';
+            entry.element.style.opacity = String(placement.opacity ?? 1);
+            entry.element.style.zIndex = String(index);
+            entry.element.style.width = `${width * scale.x}px`;
+            entry.element.style.height = `${height * scale.y}px`;
+        });
+
+        entries.forEach((entry, key) => {
+            if (!placed.has(key)) {
+                entry.element.remove();
+                entries.delete(key);
+            }
+        });
+    }
+
+    // Switch the color theme; elements are restyled on the next update
+    function setTheme(name) {
+        theme = getTheme(name);
+        entries.forEach(entry => {
+            entry.signature = null;
+        });
+    }
+
+    // Remove every element, e.g. when detection stops
+    function clear() {
+        entries.forEach(entry => entry.element.remove());
+        entries.clear();
+    }
+
+    return { update, clear, setTheme };
+}
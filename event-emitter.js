@@ -0,0 +1,30 @@
+// Minimal event emitter shared by the tracker and other pipeline modules
+
+// Create an emitter with on/off/emit/listenerCount
+export function createEmitter() {
+    const listeners = {};
+
+    // Subscribe to an event; returns a function that unsubscribes
+    function on(type, listener) {
+        (listeners[type] = listeners[type] || []).push(listener);
+        return () => off(type, listener);
+    }
+
+    // Unsubscribe from an event
+    function off(type, listener) {
+        if (!listeners[type]) return;
+        listeners[type] = listeners[type].filter(existing => existing !== listener);
+    }
+
+    // Call every listener of an event with the given payload
+    function emit(type, payload) {
+        (listeners[type] || []).slice().forEach(listener => listener(payload));
+    }
+
+    // Number of listeners of an event
+    function listenerCount(type) {
+        return (listeners[type] || []).length;
+    }
+
+    return { on, off, emit, listenerCount };
+}
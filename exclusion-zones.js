@@ -0,0 +1,155 @@
+// Exclusion zones
+// Fixed regions of the viewport that labels must avoid, such as a toolbar, a logo,
+// a subtitle band or a notch. Zones are plain data in viewport px, so they can be
+// declared in the engine configuration, changed per session and recorded:
+//   { id, x, y, width, height, mode: 'hard' | 'soft', weight, shape }
+// A hard zone is a constraint: candidates covering any of it are discarded.
+// A soft zone is a weighted obstacle: covering it costs `weight` times the covered px²
+// (times the engine's `weights.exclusionZone`). Like faces, a zone may carry an occluder
+// `shape` (see occluders.js) to cover less than its box.
+
+const zoneModes = ['hard', 'soft'];
+
+// Check a zone and fill in its defaults; `fallbackId` names zones declared without an id
+export function normalizeExclusionZone(zone, fallbackId) {
+    const id = zone.id ?? fallbackId;
+    if (id === undefined || id === null) {
+        throw new Error('Exclusion zone needs an id');
+    }
+    if (!(zone.width > 0) || !(zone.height > 0)) {
+        throw new Error(`Exclusion zone ${id} needs a positive width and height`);
+    }
+    const mode = zone.mode ?? 'hard';
+    if (!zoneModes.includes(mode)) {
+        throw new Error(`Unknown exclusion zone mode: ${mode}`);
+    }
+    return { ...zone, id, mode, weight: zone.weight ?? 1 };
+}
+
+// Topmost zone under a point, and whether the point is on its resize handle (bottom-right corner)
+export function findZoneAt(zones, point, handleSize = 12) {
+    for (let i = zones.length - 1; i >= 0; i--) {
+        const zone = zones[i];
+        const right = zone.x + zone.width;
+        const bottom = zone.y + zone.height;
+        if (point.x >= right - handleSize && point.x <= right + handleSize/2 &&
+            point.y >= bottom - handleSize && point.y <= bottom + handleSize/2) {
+            return { zone, action: 'resize' };
+        }
+        if (point.x >= zone.x && point.x <= right && point.y >= zone.y && point.y <= bottom) {
+            return { zone, action: 'move' };
+        }
+    }
+    return null;
+}
+
+// Box of a zone after dragging it by (dx, dy), kept inside the viewport
+export function applyZoneDrag(zone, action, dx, dy, viewport, minSize = 10) {
+    if (action === 'resize') {
+        return {
+            x: zone.x,
+            y: zone.y,
+            width: Math.min(Math.max(zone.width + dx, minSize), viewport.width - zone.x),
+            height: Math.min(Math.max(zone.height + dy, minSize), viewport.height - zone.y)
+        };
+    }
+    return {
+        x: Math.min(Math.max(zone.x + dx, 0), viewport.width - zone.width),
+        y: Math.min(Math.max(zone.y + dy, 0), viewport.height - zone.height),
+        width: zone.width,
+        height: zone.height
+    };
+}
+
+// Edit a placement engine's zones with the pointer on a canvas
+// Dragging a zone moves it, dragging its bottom-right corner resizes it, dragging empty space
+// draws a new hard zone and double-clicking a zone removes it. Only active while enabled.
+// options.getViewport: () => the engine's viewport covered by the canvas (default: the canvas size)
+export function createZoneEditor(canvas, engine, options = {}) {
+    const minSize = options.minSize ?? 10;
+    const getViewport = options.getViewport ?? (() => ({ width: canvas.width, height: canvas.height }));
+    let enabled = false;
+    let drag = null;
+    let nextId = 1;
+
+    // Pointer position in viewport pixels (the canvas may be scaled by CSS)
+    function toViewportPoint(event) {
+        const bounds = canvas.getBoundingClientRect();
+        const viewport = getViewport();
+        return {
+            x: (event.clientX - bounds.left) * viewport.width / bounds.width,
+            y: (event.clientY - bounds.top) * viewport.height / bounds.height
+        };
+    }
+
+    // Start moving or resizing the zone under the pointer, or drawing a new one
+    function onPointerDown(event) {
+        if (!enabled) return;
+        const point = toViewportPoint(event);
+        const hit = findZoneAt(engine.getExclusionZones(), point);
+
+        if (hit) {
+            drag = { id: hit.zone.id, action: hit.action, start: point, origin: hit.zone, created: false, moved: false };
+        } else {
+            // Start a new zone at the pointer and size it while dragging
+            let id = `zone-${nextId++}`;
+            while (engine.getExclusionZones().some(zone => zone.id === id)) id = `zone-${nextId++}`;
+            const zone = engine.addExclusionZone({ id, x: point.x, y: point.y, width: minSize, height: minSize });
+            drag = { id, action: 'resize', start: point, origin: { ...zone, width: 0, height: 0 }, created: true, moved: false };
+        }
+        canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    // Apply the drag so far to the zone
+    function onPointerMove(event) {
+        if (!drag) return;
+        const point = toViewportPoint(event);
+        drag.moved = true;
+        const box = applyZoneDrag(drag.origin, drag.action, point.x - drag.start.x, point.y - drag.start.y, getViewport(), minSize);
+        engine.updateExclusionZone(drag.id, box);
+    }
+
+    // Finish the drag; a click on empty space does not leave a zone behind
+    function onPointerUp(event) {
+        if (!drag) return;
+        if (drag.created && !drag.moved) {
+            engine.removeExclusionZone(drag.id);
+        }
+        drag = null;
+        canvas.releasePointerCapture(event.pointerId);
+        if (options.onChange) options.onChange(engine.getExclusionZones());
+    }
+
+    // Remove the zone under the pointer
+    function onDoubleClick(event) {
+        if (!enabled) return;
+        const hit = findZoneAt(engine.getExclusionZones(), toViewportPoint(event));
+        if (hit) {
+            engine.removeExclusionZone(hit.zone.id);
+            if (options.onChange) options.onChange(engine.getExclusionZones());
+        }
+    }
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('dblclick', onDoubleClick);
+
+    // Turn editing on or off, e.g. with the debug mode
+    function setEnabled(value) {
+        enabled = value;
+        drag = null;
+        canvas.style.cursor = enabled ? 'crosshair' : '';
+    }
+
+    // Remove the event listeners
+    function destroy() {
+        canvas.removeEventListener('pointerdown', onPointerDown);
+        canvas.removeEventListener('pointermove', onPointerMove);
+        canvas.removeEventListener('pointerup', onPointerUp);
+        canvas.removeEventListener('dblclick', onDoubleClick);
+    }
+
+    return { setEnabled, isEnabled: () => enabled, destroy };
+}
@@ -0,0 +1,345 @@
+// Frame scheduler
+// Decouples inference from rendering. Rendering runs on every display frame; inference runs
+// at its own rate in the background, and each display frame blends the two latest detection
+// frames to the display time, so labels move smoothly even when the models are slow:
+//   - inference starts at most every `inferenceInterval` ms and never queues up: display
+//     frames that find it still busy are skipped for inference (counted in the status)
+//   - `alternate` runs the models (the face and hand models by default, see `tasks`) in turn,
+//     one per inference, reusing the others' last results, which divides the work per inference
+//   - when inference takes longer than `budget` ms, the input `scale` is lowered step by step
+//     (down to `minScale`) and raised again once there is headroom
+//   - failed inferences are retried with exponential backoff; rendering goes on meanwhile,
+//     and after `maxRetries` failures in a row inference stops with the state 'failed'
+// Frames handed to render are in the source's pixels with timestamps on the scheduler's
+// clock; the source's own timestamp is kept as `sourceTimestamp`.
+
+import { createEmitter } from './event-emitter.js';
+import { getDistance, getRectCenter } from './geometry.js';
+
+// Default scheduler configuration
+export const defaultSchedulerConfig = {
+    // Minimum time (ms) between the starts of two inferences; 0 runs them back to back
+    inferenceInterval: 0,
+    // Models the source runs: 'faces', 'hands' and, with an object detector, 'objects'
+    tasks: ['faces', 'hands'],
+    // Run one model per inference, in turn
+    alternate: false,
+    // Time (ms) rendering lags behind the latest detection. 0 extrapolates from the last two
+    // detections; about one inference interval interpolates between them instead
+    renderDelay: 0,
+    // Longest extrapolation (ms) past the latest detection
+    maxExtrapolation: 100,
+    // Farthest (px) an object may move between detections and still be blended
+    maxBlendDistance: 150,
+    // Inference time (ms) above which the input resolution is lowered
+    budget: 60,
+    // Adaptive input resolution: lowest scale, step, and inferences between adjustments
+    adaptiveResolution: true,
+    minScale: 0.5,
+    scaleStep: 0.1,
+    scaleCooldown: 10,
+    // Failed inferences retried in a row before giving up, and the first retry delay (ms)
+    maxRetries: 5,
+    retryDelay: 250
+};
+
+// Linear blend of two numbers
+function mix(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Blend two point lists of the same length; others take the latest points
+function mixPoints(previous, latest, t) {
+    if (!previous || previous.length !== latest.length) return latest;
+    return latest.map((point, i) => ({ ...point, x: mix(previous[i].x, point.x, t), y: mix(previous[i].y, point.y, t) }));
+}
+
+// Pair each latest item with the nearest unused previous one of the same label, if any
+function matchItems(previousItems, latestItems, getCenter, maxDistance) {
+    const used = new Set();
+    return latestItems.map(item => {
+        let best = null;
+        let bestDistance = maxDistance;
+        previousItems.forEach((candidate, i) => {
+            if (used.has(i) || candidate.label !== item.label) return;
+            const distance = getDistance(getCenter(candidate), getCenter(item));
+            if (distance <= bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        if (best === null) return null;
+        used.add(best);
+        return previousItems[best];
+    });
+}
+
+// Box blended between a previous and a latest box
+function mixBox(previous, latest, t) {
+    return {
+        ...latest,
+        x: mix(previous.x, latest.x, t),
+        y: mix(previous.y, latest.y, t),
+        width: mix(previous.width, latest.width, t),
+        height: mix(previous.height, latest.height, t)
+    };
+}
+
+// Detection frame at `time`, blended from the two latest frames
+// Between their timestamps this interpolates; after the latest it extrapolates linearly, for
+// at most `maxExtrapolation` ms. Objects without a match in the previous frame are not moved.
+export function blendFrames(previous, latest, time, options = {}) {
+    const maxExtrapolation = options.maxExtrapolation ?? defaultSchedulerConfig.maxExtrapolation;
+    const maxDistance = options.maxBlendDistance ?? defaultSchedulerConfig.maxBlendDistance;
+    if (!previous || latest.timestamp <= previous.timestamp) {
+        return { ...latest, timestamp: time };
+    }
+
+    const interval = latest.timestamp - previous.timestamp;
+    const clampedTime = Math.min(time, latest.timestamp + maxExtrapolation);
+    const t = (clampedTime - previous.timestamp) / interval;
+
+    const handCenter = hand => {
+        const total = hand.keypoints.reduce((sum, point) => ({ x: sum.x + point.x, y: sum.y + point.y }), { x: 0, y: 0 });
+        return { x: total.x / hand.keypoints.length, y: total.y / hand.keypoints.length };
+    };
+    const facePairs = matchItems(previous.faces, latest.faces, getRectCenter, maxDistance);
+    const handPairs = matchItems(previous.hands, latest.hands, handCenter, maxDistance);
+    const blended = {
+        ...latest,
+        timestamp: time,
+        faces: latest.faces.map((face, i) => {
+            const match = facePairs[i];
+            if (!match) return face;
+            return { ...mixBox(match, face, t), landmarks: mixPoints(match.landmarks, face.landmarks || [], t) };
+        }),
+        hands: latest.hands.map((hand, i) => {
+            const match = handPairs[i];
+            return match ? { ...hand, keypoints: mixPoints(match.keypoints, hand.keypoints, t) } : hand;
+        })
+    };
+
+    // Detected objects, when the frames have them
+    if (latest.objects) {
+        const objectPairs = matchItems(previous.objects || [], latest.objects, getRectCenter, maxDistance);
+        blended.objects = latest.objects.map((object, i) => (objectPairs[i] ? mixBox(objectPairs[i], object, t) : object));
+    }
+    return blended;
+}
+
+// Run a source's detections and a render callback on separate schedules
+// options: { detect({ tasks, scale }), render(frame, time), now, requestFrame, cancelFrame, ...config }
+//   detect resolves to a frame holding the detected `faces`, `hands` and/or `objects` (tasks
+//   lists which are wanted), or null once the source has ended
+// Events: 'status' with getStatus() after every inference, 'end', 'error' with render errors
+// and errors thrown by 'status' and 'end' listeners.
+export function createFrameScheduler(options) {
+    const config = { ...defaultSchedulerConfig, ...options };
+    const { detect, render } = options;
+    const now = options.now ?? (() => performance.now());
+    const requestFrame = options.requestFrame ?? (callback => requestAnimationFrame(callback));
+    const cancelFrame = options.cancelFrame ?? (id => cancelAnimationFrame(id));
+    const emitter = createEmitter();
+
+    let running = false;
+    let frameId = null;
+    // Latest frame, and the last two detections of each model with their own timestamps
+    let latest = null;
+    let history = createHistory();
+    let inferring = false;
+    // Counts the starts, so that an inference still running from before a stop is ignored
+    let run = 0;
+    let nextInferenceAt = 0;
+    let nextTask = 0;
+    let status = null;
+    let lastRenderAt = null;
+    let scaleCountdown = 0;
+
+    // Status as reported to listeners
+    function createStatus() {
+        return {
+            state: 'idle',
+            error: null,
+            retries: 0,
+            inferences: 0,
+            skipped: 0,
+            inferenceTime: 0,
+            inferenceFps: 0,
+            renderFps: 0,
+            scale: 1
+        };
+    }
+    status = createStatus();
+
+    // Empty detection history of every model
+    function createHistory() {
+        return Object.fromEntries(config.tasks.map(kind => [kind, []]));
+    }
+
+    // Exponential moving average, starting from the first sample
+    function average(current, sample, factor = 0.2) {
+        return current === 0 ? sample : current + (sample - current) * factor;
+    }
+
+    // Models to run on the next inference
+    function takeTasks() {
+        if (!config.alternate || !latest) return config.tasks;
+        const tasks = [config.tasks[nextTask]];
+        nextTask = (nextTask + 1) % config.tasks.length;
+        return tasks;
+    }
+
+    // Lower the input scale when inference is over budget, raise it again with headroom
+    function adaptScale() {
+        if (!config.adaptiveResolution || --scaleCountdown > 0) return;
+        if (status.inferenceTime > config.budget && status.scale > config.minScale) {
+            status.scale = Math.max(config.minScale, Math.round((status.scale - config.scaleStep) * 100) / 100);
+            scaleCountdown = config.scaleCooldown;
+        } else if (status.inferenceTime < config.budget * 0.5 && status.scale < 1) {
+            status.scale = Math.min(1, Math.round((status.scale + config.scaleStep) * 100) / 100);
+            scaleCountdown = config.scaleCooldown;
+        }
+    }
+
+    // Run one inference and store its frame, merged with the last results of skipped models
+    async function infer() {
+        inferring = true;
+        const inferenceRun = run;
+        const isCurrent = () => running && inferenceRun === run;
+        const startedAt = now();
+        const tasks = takeTasks();
+        try {
+            const frame = await detect({ tasks, scale: status.scale });
+            if (!isCurrent()) return;
+            if (!frame) {
+                stop();
+                emitter.emit('end');
+                return;
+            }
+
+            const duration = now() - startedAt;
+            const interval = latest ? startedAt - latest.timestamp : 0;
+            config.tasks.forEach(kind => {
+                if (frame[kind]) {
+                    history[kind] = [history[kind][history[kind].length - 1], { timestamp: startedAt, items: frame[kind] }].filter(Boolean);
+                }
+            });
+            latest = { ...frame, timestamp: startedAt, sourceTimestamp: frame.timestamp };
+
+            status.state = 'running';
+            status.error = null;
+            status.retries = 0;
+            status.inferences++;
+            status.inferenceTime = average(status.inferenceTime, duration);
+            if (interval > 0) status.inferenceFps = average(status.inferenceFps, 1000 / interval);
+            adaptScale();
+            nextInferenceAt = startedAt + config.inferenceInterval;
+        } catch (error) {
+            if (!isCurrent()) return;
+            status.retries++;
+            status.error = error;
+            if (status.retries > config.maxRetries) {
+                status.state = 'failed';
+            } else {
+                status.state = 'retrying';
+                nextInferenceAt = now() + config.retryDelay * 2 ** (status.retries - 1);
+            }
+        } finally {
+            if (inferenceRun === run) inferring = false;
+        }
+        emitter.emit('status', getStatus());
+    }
+
+    // Frame at `time`, each model's detections blended from its own last two results
+    function getBlendedFrame(time) {
+        const blend = kind => {
+            const [first, second] = history[kind];
+            if (!first) return [];
+            const toFrame = entry => entry && { timestamp: entry.timestamp, faces: [], hands: [], [kind]: entry.items };
+            return second ? blendFrames(toFrame(first), toFrame(second), time, config)[kind] : first.items;
+        };
+        const frame = { ...latest, timestamp: time };
+        config.tasks.forEach(kind => {
+            frame[kind] = blend(kind);
+        });
+        return frame;
+    }
+
+    // One display frame: start an inference if one is due, then render the blended frame
+    function tick() {
+        if (!running) return;
+        const time = now();
+
+        if (lastRenderAt !== null && time > lastRenderAt) {
+            status.renderFps = average(status.renderFps, 1000 / (time - lastRenderAt));
+        }
+        lastRenderAt = time;
+
+        if (status.state !== 'failed' && time >= nextInferenceAt) {
+            if (inferring) {
+                status.skipped++;
+            } else {
+                infer().catch(error => emitter.emit('error', error));
+            }
+        }
+
+        if (latest) {
+            try {
+                render(getBlendedFrame(time - config.renderDelay), time);
+            } catch (error) {
+                emitter.emit('error', error);
+            }
+        }
+        frameId = requestFrame(tick);
+    }
+
+    // Start both loops from scratch
+    function start() {
+        if (running) return;
+        running = true;
+        run++;
+        inferring = false;
+        latest = null;
+        history = createHistory();
+        nextInferenceAt = 0;
+        nextTask = 0;
+        lastRenderAt = null;
+        scaleCountdown = 0;
+        status = { ...createStatus(), state: 'starting' };
+        frameId = requestFrame(tick);
+    }
+
+    // Stop both loops; an inference in flight is discarded
+    function stop() {
+        running = false;
+        if (frameId !== null) {
+            cancelFrame(frameId);
+            frameId = null;
+        }
+        status.state = 'stopped';
+    }
+
+    // Try again after inference failed for good
+    function retry() {
+        if (status.state !== 'failed') return;
+        status.state = 'retrying';
+        status.retries = 0;
+        nextInferenceAt = 0;
+    }
+
+    // Copy of the current status
+    function getStatus() {
+        return { ...status };
+    }
+
+    return {
+        config,
+        start,
+        stop,
+        retry,
+        getStatus,
+        isRunning: () => running,
+        on: emitter.on,
+        off: emitter.off
+    };
+}
@@ -0,0 +1,218 @@
+// Geometry helpers shared by the placement engine and its collaborators.
+// Rectangles are plain objects of the form { x, y, width, height }.
+
+// Calculate intersection area between two rectangles
+export function calculateIntersectionArea(rect1, rect2) {
+    // Find the intersection coordinates
+    const xOverlap = Math.max(0, Math.min(rect1.x + rect1.width, rect2.x + rect2.width) - Math.max(rect1.x, rect2.x));
+    const yOverlap = Math.max(0, Math.min(rect1.y + rect1.height, rect2.y + rect2.height) - Math.max(rect1.y, rect2.y));
+
+    // Calculate intersection area
+    return xOverlap * yOverlap;
+}
+
+// Get the center point of a rectangle
+export function getRectCenter(rect) {
+    return {
+        x: rect.x + rect.width/2,
+        y: rect.y + rect.height/2
+    };
+}
+
+// Euclidean distance between two points
+export function getDistance(point1, point2) {
+    return Math.sqrt(
+        Math.pow(point1.x - point2.x, 2) +
+        Math.pow(point1.y - point2.y, 2)
+    );
+}
+
+// Check whether a rectangle lies completely inside the viewport
+export function isRectInBounds(rect, viewport) {
+    return rect.x >= 0 && rect.y >= 0 &&
+        rect.x + rect.width <= viewport.width &&
+        rect.y + rect.height <= viewport.height;
+}
+
+// Check whether a rectangle lies completely inside another rectangle
+export function isRectInside(rect, container) {
+    return rect.x >= container.x && rect.y >= container.y &&
+        rect.x + rect.width <= container.x + container.width &&
+        rect.y + rect.height <= container.y + container.height;
+}
+
+// Part of the viewport left after moving each edge in by its inset { top, right, bottom, left } (px)
+export function getSafeRect(viewport, insets = {}) {
+    const top = insets.top ?? 0;
+    const right = insets.right ?? 0;
+    const bottom = insets.bottom ?? 0;
+    const left = insets.left ?? 0;
+    return {
+        x: left,
+        y: top,
+        width: Math.max(0, viewport.width - left - right),
+        height: Math.max(0, viewport.height - top - bottom)
+    };
+}
+
+// Nearest point on (or inside) a rectangle to a given point
+export function getNearestPointOnRect(rect, point) {
+    return {
+        x: Math.min(Math.max(point.x, rect.x), rect.x + rect.width),
+        y: Math.min(Math.max(point.y, rect.y), rect.y + rect.height)
+    };
+}
+
+// Length of a segment { x1, y1, x2, y2 }
+export function getSegmentLength(segment) {
+    return getDistance({ x: segment.x1, y: segment.y1 }, { x: segment.x2, y: segment.y2 });
+}
+
+// Check whether a segment passes through the interior of a rectangle (Liang-Barsky clipping)
+export function segmentIntersectsRect(segment, rect) {
+    const dx = segment.x2 - segment.x1;
+    const dy = segment.y2 - segment.y1;
+    const checks = [
+        [-dx, segment.x1 - rect.x],
+        [dx, rect.x + rect.width - segment.x1],
+        [-dy, segment.y1 - rect.y],
+        [dy, rect.y + rect.height - segment.y1]
+    ];
+
+    let t0 = 0;
+    let t1 = 1;
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            // Parallel to this edge: outside (or touching) means no crossing
+            if (q <= 0) return false;
+        } else {
+            const t = q / p;
+            if (p < 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+            if (t0 >= t1) return false;
+        }
+    }
+    return true;
+}
+
+// Check whether two segments cross each other
+export function segmentsIntersect(segment1, segment2) {
+    const orientation = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+    const o1 = orientation(segment1.x1, segment1.y1, segment1.x2, segment1.y2, segment2.x1, segment2.y1);
+    const o2 = orientation(segment1.x1, segment1.y1, segment1.x2, segment1.y2, segment2.x2, segment2.y2);
+    const o3 = orientation(segment2.x1, segment2.y1, segment2.x2, segment2.y2, segment1.x1, segment1.y1);
+    const o4 = orientation(segment2.x1, segment2.y1, segment2.x2, segment2.y2, segment1.x2, segment1.y2);
+    return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+// Leader line from the nearest edge of a visualization to its anchor object's box
+export function getLeaderLine(visualization, anchor) {
+    const anchorPoint = getNearestPointOnRect(anchor, getRectCenter(visualization));
+    const visualizationPoint = getNearestPointOnRect(visualization, anchorPoint);
+    return {
+        x1: visualizationPoint.x,
+        y1: visualizationPoint.y,
+        x2: anchorPoint.x,
+        y2: anchorPoint.y
+    };
+}
+
+// Intersection over union of two rectangles (0 when they do not overlap)
+export function calculateIoU(rect1, rect2) {
+    const intersection = calculateIntersectionArea(rect1, rect2);
+    const union = rect1.width * rect1.height + rect2.width * rect2.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+// Convex hull of a set of points { x, y } (Andrew's monotone chain), counter-clockwise in screen space
+export function convexHull(points) {
+    const sorted = [...points].sort((a, b) => (a.x - b.x) || (a.y - b.y));
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const buildChain = (chainPoints) => {
+        const chain = [];
+        chainPoints.forEach(point => {
+            while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                chain.pop();
+            }
+            chain.push(point);
+        });
+        chain.pop();
+        return chain;
+    };
+    return [...buildChain(sorted), ...buildChain([...sorted].reverse())];
+}
+
+// Area of a simple polygon [{ x, y }] (shoelace formula)
+export function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(area) / 2;
+}
+
+// Clip a convex or concave polygon to a rectangle (Sutherland-Hodgman)
+export function clipPolygonToRect(points, rect) {
+    const edges = [
+        { inside: p => p.x >= rect.x, intersect: (a, b) => atX(a, b, rect.x) },
+        { inside: p => p.x <= rect.x + rect.width, intersect: (a, b) => atX(a, b, rect.x + rect.width) },
+        { inside: p => p.y >= rect.y, intersect: (a, b) => atY(a, b, rect.y) },
+        { inside: p => p.y <= rect.y + rect.height, intersect: (a, b) => atY(a, b, rect.y + rect.height) }
+    ];
+
+    let output = points;
+    for (const edge of edges) {
+        const input = output;
+        output = [];
+        input.forEach((current, i) => {
+            const previous = input[(i + input.length - 1) % input.length];
+            if (edge.inside(current)) {
+                if (!edge.inside(previous)) output.push(edge.intersect(previous, current));
+                output.push(current);
+            } else if (edge.inside(previous)) {
+                output.push(edge.intersect(previous, current));
+            }
+        });
+        if (output.length === 0) break;
+    }
+    return output;
+}
+
+// Point where the segment a-b crosses a vertical line
+function atX(a, b, x) {
+    const t = (x - a.x) / (b.x - a.x);
+    return { x, y: a.y + (b.y - a.y) * t };
+}
+
+// Point where the segment a-b crosses a horizontal line
+function atY(a, b, y) {
+    const t = (y - a.y) / (b.y - a.y);
+    return { x: a.x + (b.x - a.x) * t, y };
+}
+
+// Check whether a point lies inside a polygon (even-odd rule)
+export function isPointInPolygon(point, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Bounding rectangle of a set of points
+export function getPointsBounds(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
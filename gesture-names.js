@@ -0,0 +1,11 @@
+// Gesture names
+// Words shown and announced for the gestures of gestures.js, shared by the canvas captions
+// (scene-drawing.js) and the accessible output (accessible-output.js).
+
+// Display name of every recognized gesture
+export const gestureNames = {
+    pinch: 'Pinch',
+    point: 'Point',
+    openPalm: 'Open Palm',
+    fist: 'Fist'
+};
@@ -0,0 +1,224 @@
+// Hand gestures
+// Recognizes pinch, point, open palm and fist from the 21 MediaPipe hand keypoints and lets
+// them act on the placed visualizations near the hand:
+//   pinch      grabs the nearest visualization, moves it with the hand and pins it where the
+//              pinch is released, overriding the engine
+//   point      selects the visualization under the index fingertip
+//   fist       dismisses the nearest visualization
+//   open palm  hands a pinned visualization back to the engine
+// Recognition keeps a gesture only once it has been seen for `holdTime` ms, so a single noisy
+// frame does not grab or dismiss anything. Actions are reported as events.
+
+import { createEmitter } from './event-emitter.js';
+import { getDistance, getNearestPointOnRect } from './geometry.js';
+
+// Default gesture configuration
+export const defaultGestureConfig = {
+    // Thumb and index tips closer than this fraction of the palm size count as a pinch
+    pinchRatio: 0.3,
+    // A finger is stretched when its tip is this much farther from the wrist than its middle joint
+    extensionRatio: 1.1,
+    // Time (ms) a new gesture must be seen before it replaces the current one
+    holdTime: 100,
+    // Distance (px) from the gesture point within which a visualization can be acted on
+    reach: 30
+};
+
+// Keypoint indices of the wrist and of each finger's middle joint and tip
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_TIP = 8;
+const MIDDLE_KNUCKLE = 9;
+const fingers = [
+    { joint: 6, tip: 8 },
+    { joint: 10, tip: 12 },
+    { joint: 14, tip: 16 },
+    { joint: 18, tip: 20 }
+];
+const palmPoints = [0, 5, 9, 13, 17];
+
+// Gesture of one hand: 'pinch', 'point', 'openPalm', 'fist', or null for anything else
+// `point` is where the gesture acts: between the pinching tips, at the index tip when
+// pointing, and at the palm's center otherwise.
+export function classifyGesture(keypoints, config = defaultGestureConfig) {
+    const wrist = keypoints[WRIST];
+    const palmSize = getDistance(wrist, keypoints[MIDDLE_KNUCKLE]);
+    const palmCenter = {
+        x: palmPoints.reduce((sum, i) => sum + keypoints[i].x, 0) / palmPoints.length,
+        y: palmPoints.reduce((sum, i) => sum + keypoints[i].y, 0) / palmPoints.length
+    };
+    const stretched = fingers.map(({ joint, tip }) =>
+        getDistance(wrist, keypoints[tip]) > getDistance(wrist, keypoints[joint]) * config.extensionRatio);
+
+    // Touching tips only pinch when the index reaches out; in a fist they touch inside the palm
+    const thumbTip = keypoints[THUMB_TIP];
+    const indexTip = keypoints[INDEX_TIP];
+    if (getDistance(thumbTip, indexTip) < palmSize * config.pinchRatio && getDistance(wrist, indexTip) > palmSize) {
+        return { gesture: 'pinch', point: { x: (thumbTip.x + indexTip.x) / 2, y: (thumbTip.y + indexTip.y) / 2 } };
+    }
+    if (stretched[0] && !stretched[1] && !stretched[2] && !stretched[3]) {
+        return { gesture: 'point', point: { x: indexTip.x, y: indexTip.y } };
+    }
+    if (stretched.every(Boolean)) {
+        return { gesture: 'openPalm', point: palmCenter };
+    }
+    if (!stretched.some(Boolean)) {
+        return { gesture: 'fist', point: palmCenter };
+    }
+    return { gesture: null, point: palmCenter };
+}
+
+// Create a recognizer following the gesture of every tracked hand
+export function createGestureRecognizer(config = {}) {
+    const gestureConfig = { ...defaultGestureConfig, ...config };
+    // Per hand id: { gesture, candidate, since }
+    let states = new Map();
+
+    // Recognize the gestures of a frame's hands: [{ id, keypoints }] -> [{ gesture, point }]
+    // A new hand starts without a gesture; hands missing from the frame are forgotten.
+    function update(hands, currentTime) {
+        const nextStates = new Map();
+        const results = hands.map(hand => {
+            const { gesture, point } = classifyGesture(hand.keypoints, gestureConfig);
+            const state = states.get(hand.id) || { gesture: null, candidate: gesture, since: currentTime };
+
+            if (gesture !== state.candidate) {
+                state.candidate = gesture;
+                state.since = currentTime;
+            }
+            if (state.candidate !== state.gesture && currentTime - state.since >= gestureConfig.holdTime) {
+                state.gesture = state.candidate;
+            }
+            nextStates.set(hand.id, state);
+            return { gesture: state.gesture, point };
+        });
+        states = nextStates;
+        return results;
+    }
+
+    return { config: gestureConfig, update, reset: () => { states = new Map(); } };
+}
+
+// Create a controller applying the recognized gestures to an engine's visualizations
+// Events, each a plain object { type, handId, point, ... }:
+//   'gesture'  a hand's gesture changed: { gesture, previous }
+//   'grab'     a pinch took hold of a visualization: { objectId, visualizationId, position }
+//   'move'     a grabbed visualization moved with the hand: { objectId, visualizationId, position }
+//   'release'  the pinch ended and the visualization stays pinned: { objectId, visualizationId, position }
+//   'select'   a pointing finger reached a visualization: { objectId, visualizationId }
+//   'dismiss'  a fist removed a visualization: { objectId, visualizationId }
+//   'unpin'    an open palm handed a pinned visualization back to the engine: { objectId, visualizationId }
+export function createGestureController(engine, config = {}) {
+    const gestureConfig = { ...defaultGestureConfig, ...config };
+    const emitter = createEmitter();
+    // Per hand id: { gesture, grab: { objectId, visualizationId, offset } | null, selection }
+    let states = new Map();
+
+    // Placement nearest to a point within reach, the higher priority one on ties
+    function findPlacement(placements, point, filter = () => true) {
+        let best = null;
+        let bestDistance = gestureConfig.reach;
+        placements.filter(filter).forEach(placement => {
+            const distance = getDistance(point, getNearestPointOnRect(placement, point));
+            if (distance < bestDistance || (distance === bestDistance && best && placement.priority > best.priority)) {
+                best = placement;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Act on one frame's placements with the gestures of its hands
+    // detections: the frame's engine input, hands carrying `gesture` and `gesturePoint`
+    // result: what placeFrame returned for it. Pins and removals apply from the next frame.
+    // Returns the frame's events, which are also emitted.
+    function update(detections, result) {
+        const events = [];
+        const nextStates = new Map();
+        const report = event => events.push(event);
+
+        detections.physicalObjects.filter(hand => 'gesture' in hand).forEach(hand => {
+            const state = states.get(hand.id) || { gesture: null, grab: null, selection: null };
+            const { gesture, gesturePoint: point } = hand;
+            const started = gesture !== state.gesture;
+            const base = { handId: hand.id, point };
+
+            if (started) {
+                report({ type: 'gesture', ...base, gesture, previous: state.gesture });
+            }
+
+            // Move the grabbed visualization while pinching, leave it pinned when the pinch ends
+            if (state.grab) {
+                const { objectId, visualizationId, offset } = state.grab;
+                const position = { x: Math.round(point.x - offset.x), y: Math.round(point.y - offset.y) };
+                if (gesture === 'pinch' && engine.pinVisualization(objectId, visualizationId, position)) {
+                    report({ type: 'move', ...base, objectId, visualizationId, position });
+                } else {
+                    state.grab = null;
+                    const pinned = engine.getPinnedPosition(objectId, visualizationId);
+                    if (pinned) report({ type: 'release', ...base, objectId, visualizationId, position: pinned });
+                }
+            } else if (gesture === 'pinch' && started) {
+                const target = findPlacement(result.placements, point);
+                if (target) {
+                    const position = { x: target.x, y: target.y };
+                    engine.pinVisualization(target.objectId, target.id, position);
+                    state.grab = {
+                        objectId: target.objectId,
+                        visualizationId: target.id,
+                        offset: { x: point.x - target.x, y: point.y - target.y }
+                    };
+                    report({ type: 'grab', ...base, objectId: target.objectId, visualizationId: target.id, position });
+                }
+            }
+
+            // Select what the finger points at, once per visualization
+            if (gesture === 'point') {
+                const target = findPlacement(result.placements, point);
+                const selection = target ? `${target.objectId}_${target.id}` : null;
+                if (target && selection !== state.selection) {
+                    report({ type: 'select', ...base, objectId: target.objectId, visualizationId: target.id });
+                }
+                state.selection = selection;
+            } else {
+                state.selection = null;
+            }
+
+            if (gesture === 'fist' && started) {
+                const target = findPlacement(result.placements, point);
+                if (target && engine.removeVisualization(target.objectId, target.id)) {
+                    report({ type: 'dismiss', ...base, objectId: target.objectId, visualizationId: target.id });
+                }
+            }
+
+            if (gesture === 'openPalm' && started) {
+                const target = findPlacement(result.placements, point, placement => placement.pinned);
+                if (target && engine.unpinVisualization(target.objectId, target.id)) {
+                    report({ type: 'unpin', ...base, objectId: target.objectId, visualizationId: target.id });
+                }
+            }
+
+            state.gesture = gesture;
+            nextStates.set(hand.id, state);
+        });
+
+        // A hand that disappears while pinching lets go where the visualization is
+        states.forEach((state, handId) => {
+            if (nextStates.has(handId) || !state.grab) return;
+            const { objectId, visualizationId } = state.grab;
+            const pinned = engine.getPinnedPosition(objectId, visualizationId);
+            if (pinned) report({ type: 'release', handId, point: null, objectId, visualizationId, position: pinned });
+        });
+
+        states = nextStates;
+        events.forEach(event => emitter.emit(event.type, event));
+        return events;
+    }
+
+    // Drop every hand's state; pins stay with the engine
+    function reset() {
+        states = new Map();
+    }
+
+    return { config: gestureConfig, update, reset, on: emitter.on, off: emitter.off };
+}
@@ -0,0 +1,109 @@
+// Smoothing filters for visualization positions
+// Every filter is a function (value, timestamp) => filteredValue holding its own state.
+// The first value passes through unchanged.
+
+// Fixed-factor lerp toward the latest value (frame-rate dependent)
+export function createLerpFilter(options = {}) {
+    const factor = options.factor ?? 0.2;
+    let current = null;
+
+    return (value) => {
+        if (current === null) {
+            current = value;
+        } else {
+            current += (value - current) * factor;
+        }
+        return current;
+    };
+}
+
+// One Euro filter: strong smoothing at rest, little lag during fast motion
+// (Casiez et al., "1€ Filter", CHI 2012). Cutoffs are in Hz, timestamps in ms.
+export function createOneEuroFilter(options = {}) {
+    const minCutoff = options.minCutoff ?? 1.0;
+    const beta = options.beta ?? 0.01;
+    const derivativeCutoff = options.derivativeCutoff ?? 1.0;
+
+    let previousValue = null;
+    let previousDerivative = 0;
+    let previousTimestamp = null;
+
+    // Smoothing factor of a first-order low-pass filter
+    const getAlpha = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+
+    return (value, timestamp) => {
+        if (previousValue === null) {
+            previousValue = value;
+            previousTimestamp = timestamp;
+            return value;
+        }
+
+        // Time step in seconds (guard against repeated timestamps)
+        const dt = Math.max(timestamp - previousTimestamp, 1) / 1000;
+        previousTimestamp = timestamp;
+
+        // Filtered speed drives the cutoff: faster motion, less smoothing
+        const derivative = (value - previousValue) / dt;
+        const derivativeAlpha = getAlpha(derivativeCutoff, dt);
+        previousDerivative += (derivative - previousDerivative) * derivativeAlpha;
+
+        const cutoff = minCutoff + beta * Math.abs(previousDerivative);
+        previousValue += (value - previousValue) * getAlpha(cutoff, dt);
+        return previousValue;
+    };
+}
+
+// Critically damped spring: follows the target without overshoot
+// halfLife is the time (ms) to cover half the remaining distance.
+export function createSpringFilter(options = {}) {
+    const halfLife = options.halfLife ?? 80;
+    const damping = (4 * Math.LN2) / Math.max(halfLife, 1e-3) / 2;
+
+    let position = null;
+    let velocity = 0;
+    let previousTimestamp = null;
+
+    return (target, timestamp) => {
+        if (position === null) {
+            position = target;
+            previousTimestamp = timestamp;
+            return position;
+        }
+
+        const dt = Math.max(timestamp - previousTimestamp, 0);
+        previousTimestamp = timestamp;
+
+        // Exact solution of the critically damped spring over dt
+        const offset = position - target;
+        const j1 = velocity + offset * damping;
+        const decay = Math.exp(-damping * dt);
+        position = decay * (offset + j1 * dt) + target;
+        velocity = decay * (velocity - j1 * damping * dt);
+        return position;
+    };
+}
+
+// Filter factories by name, as used by the engine's `smoothing.filter` setting
+export const filterFactories = {
+    lerp: createLerpFilter,
+    oneEuro: createOneEuroFilter,
+    spring: createSpringFilter
+};
+
+// Create a filter for 2D points { x, y } out of two 1D filters
+export function createPointFilter(kind = 'lerp', options = {}) {
+    const factory = filterFactories[kind];
+    if (!factory) {
+        throw new Error(`Unknown smoothing filter: ${kind}`);
+    }
+    const filterX = factory(options);
+    const filterY = factory(options);
+
+    return (point, timestamp) => ({
+        x: filterX(point.x, timestamp),
+        y: filterY(point.y, timestamp)
+    });
+}
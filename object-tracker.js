@@ -0,0 +1,304 @@
+// Multi-object tracker
+// Associates detections frame to frame so every physical object keeps a persistent id,
+// even when the detector reorders its output or reports two objects with the same label.
+// Matching uses IoU and centroid distance with optimal (Hungarian) assignment; an optional
+// constant-velocity Kalman filter predicts where each track should be in the next frame.
+
+import { calculateIoU, getDistance, getRectCenter } from './geometry.js';
+import { createEmitter } from './event-emitter.js';
+
+// Default tracker configuration
+export const defaultTrackerConfig = {
+    // Minimum IoU for a detection to match a track without being close by centroid
+    iouThreshold: 0.1,
+    // Maximum centroid distance (px) for a detection to match a track with low IoU
+    maxCentroidDistance: 150,
+    // Extra matching cost when the detection's label differs from the track's label
+    labelMismatchCost: 0.5,
+    // Time (ms) a lost track is kept before it is removed
+    maxLostTime: 500,
+    // Predict track motion with a constant-velocity Kalman filter
+    useKalman: true,
+    // Kalman process noise (px²/ms³) and measurement noise (px²)
+    processNoise: 0.001,
+    measurementNoise: 4,
+    // Prefix of generated track ids
+    idPrefix: 'track'
+};
+
+// Cost given to pairs that are not allowed to match
+const GATED_COST = 1e6;
+
+// Solve the rectangular assignment problem with the Hungarian algorithm
+// Returns, for every row, the index of its assigned column (or -1).
+export function hungarianAssignment(costMatrix) {
+    const rows = costMatrix.length;
+    const columns = rows > 0 ? costMatrix[0].length : 0;
+    const size = Math.max(rows, columns);
+    if (size === 0) return [];
+
+    // Pad to a square matrix; padded cells cost nothing
+    const cost = (i, j) => (i < rows && j < columns ? costMatrix[i][j] : 0);
+
+    // Potentials and matching, 1-indexed as in the classic formulation
+    const u = new Array(size + 1).fill(0);
+    const v = new Array(size + 1).fill(0);
+    const match = new Array(size + 1).fill(0);
+    const way = new Array(size + 1).fill(0);
+
+    for (let i = 1; i <= size; i++) {
+        match[0] = i;
+        let column = 0;
+        const minValues = new Array(size + 1).fill(Infinity);
+        const used = new Array(size + 1).fill(false);
+
+        do {
+            used[column] = true;
+            const row = match[column];
+            let delta = Infinity;
+            let nextColumn = 0;
+            for (let j = 1; j <= size; j++) {
+                if (used[j]) continue;
+                const reduced = cost(row - 1, j - 1) - u[row] - v[j];
+                if (reduced < minValues[j]) {
+                    minValues[j] = reduced;
+                    way[j] = column;
+                }
+                if (minValues[j] < delta) {
+                    delta = minValues[j];
+                    nextColumn = j;
+                }
+            }
+            for (let j = 0; j <= size; j++) {
+                if (used[j]) {
+                    u[match[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minValues[j] -= delta;
+                }
+            }
+            column = nextColumn;
+        } while (match[column] !== 0);
+
+        do {
+            const previousColumn = way[column];
+            match[column] = match[previousColumn];
+            column = previousColumn;
+        } while (column);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= size; j++) {
+        if (match[j] > 0 && match[j] <= rows && j <= columns) {
+            assignment[match[j] - 1] = j - 1;
+        }
+    }
+    return assignment;
+}
+
+// One-dimensional constant-velocity Kalman filter
+function createKalman1D(position, processNoise, measurementNoise) {
+    let p = position;
+    let v = 0;
+    // Covariance [[p00, p01], [p01, p11]]; velocity starts out unknown
+    let p00 = measurementNoise;
+    let p01 = 0;
+    let p11 = 1;
+
+    // Project the state dt ms ahead
+    function predict(dt) {
+        p += v * dt;
+        const q00 = processNoise * dt * dt * dt / 3;
+        const q01 = processNoise * dt * dt / 2;
+        const q11 = processNoise * dt;
+        p00 = p00 + 2 * dt * p01 + dt * dt * p11 + q00;
+        p01 = p01 + dt * p11 + q01;
+        p11 = p11 + q11;
+    }
+
+    // Correct the state with a measured position
+    function update(measurement) {
+        const s = p00 + measurementNoise;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+        const innovation = measurement - p;
+        p += k0 * innovation;
+        v += k1 * innovation;
+        p11 -= k1 * p01;
+        p01 -= k1 * p00;
+        p00 -= k0 * p00;
+    }
+
+    return {
+        predict,
+        update,
+        get position() { return p; },
+        get velocity() { return v; }
+    };
+}
+
+// Create a tracker with its own track list and id counter
+export function createObjectTracker(config = {}) {
+    const trackerConfig = { ...defaultTrackerConfig, ...config };
+    const emitter = createEmitter();
+
+    let tracks = [];
+    let nextId = 1;
+
+    // Start a new track from a detection
+    function createTrack(detection, timestamp) {
+        const center = getRectCenter(detection);
+        const track = {
+            id: `${trackerConfig.idPrefix}_${nextId++}`,
+            label: detection.label,
+            x: detection.x,
+            y: detection.y,
+            width: detection.width,
+            height: detection.height,
+            vx: 0,
+            vy: 0,
+            state: 'active',
+            hits: 1,
+            createdAt: timestamp,
+            lastSeen: timestamp,
+            lastUpdated: timestamp,
+            detection,
+            filters: trackerConfig.useKalman ? {
+                cx: createKalman1D(center.x, trackerConfig.processNoise, trackerConfig.measurementNoise),
+                cy: createKalman1D(center.y, trackerConfig.processNoise, trackerConfig.measurementNoise),
+                width: createKalman1D(detection.width, trackerConfig.processNoise, trackerConfig.measurementNoise),
+                height: createKalman1D(detection.height, trackerConfig.processNoise, trackerConfig.measurementNoise)
+            } : null
+        };
+        tracks.push(track);
+        return track;
+    }
+
+    // Predicted box of a track at the given time
+    function predictTrack(track, timestamp) {
+        const dt = Math.max(0, timestamp - track.lastUpdated);
+        if (track.filters) {
+            Object.values(track.filters).forEach(filter => filter.predict(dt));
+            const { cx, cy, width, height } = track.filters;
+            track.width = Math.max(1, width.position);
+            track.height = Math.max(1, height.position);
+            track.x = cx.position - track.width/2;
+            track.y = cy.position - track.height/2;
+        } else {
+            track.x += track.vx * dt;
+            track.y += track.vy * dt;
+        }
+        track.lastUpdated = timestamp;
+    }
+
+    // Correct a track with its matched detection
+    function correctTrack(track, detection, timestamp) {
+        const center = getRectCenter(detection);
+        if (track.filters) {
+            track.filters.cx.update(center.x);
+            track.filters.cy.update(center.y);
+            track.filters.width.update(detection.width);
+            track.filters.height.update(detection.height);
+            track.vx = track.filters.cx.velocity;
+            track.vy = track.filters.cy.velocity;
+        } else {
+            // Finite-difference velocity against the previous observation
+            const dt = timestamp - track.lastSeen;
+            if (dt > 0) {
+                const previousCenter = getRectCenter(track.detection);
+                track.vx = (center.x - previousCenter.x) / dt;
+                track.vy = (center.y - previousCenter.y) / dt;
+            }
+        }
+
+        // Report the measured box; the filter only drives prediction and velocity
+        track.x = detection.x;
+        track.y = detection.y;
+        track.width = detection.width;
+        track.height = detection.height;
+        track.label = detection.label;
+        track.detection = detection;
+        track.hits++;
+        track.lastSeen = timestamp;
+    }
+
+    // Matching cost between a (predicted) track and a detection
+    function getMatchCost(track, detection) {
+        const iou = calculateIoU(track, detection);
+        const distance = getDistance(getRectCenter(track), getRectCenter(detection));
+        if (iou < trackerConfig.iouThreshold && distance > trackerConfig.maxCentroidDistance) {
+            return GATED_COST;
+        }
+        const labelCost = track.label !== detection.label ? trackerConfig.labelMismatchCost : 0;
+        return (1 - iou) + distance / trackerConfig.maxCentroidDistance + labelCost;
+    }
+
+    // Associate one frame of detections ({ x, y, width, height, label }) with the tracks
+    // Returns the tracks seen this frame (in detection order), the lost tracks and the lifecycle events.
+    function update(detections, timestamp = Date.now()) {
+        const events = [];
+
+        // Predict every track forward to this frame
+        tracks.forEach(track => predictTrack(track, timestamp));
+
+        // Optimal assignment of detections to tracks
+        const costMatrix = detections.map(detection => tracks.map(track => getMatchCost(track, detection)));
+        const assignment = hungarianAssignment(costMatrix);
+
+        const matchedTracks = new Set();
+        const frameTracks = detections.map((detection, i) => {
+            const trackIndex = assignment[i];
+            if (trackIndex !== -1 && costMatrix[i][trackIndex] < GATED_COST) {
+                const track = tracks[trackIndex];
+                correctTrack(track, detection, timestamp);
+                track.state = 'active';
+                matchedTracks.add(track);
+                events.push({ type: 'updated', track });
+                return track;
+            }
+
+            const track = createTrack(detection, timestamp);
+            matchedTracks.add(track);
+            events.push({ type: 'created', track });
+            return track;
+        });
+
+        // Unmatched tracks become lost, and are removed once lost for too long
+        tracks = tracks.filter(track => {
+            if (matchedTracks.has(track)) return true;
+
+            if (timestamp - track.lastSeen > trackerConfig.maxLostTime) {
+                events.push({ type: 'removed', track });
+                return false;
+            }
+            if (track.state !== 'lost') {
+                track.state = 'lost';
+                events.push({ type: 'lost', track });
+            }
+            return true;
+        });
+
+        events.forEach(event => emitter.emit(event.type, event.track));
+
+        return {
+            tracks: frameTracks,
+            lost: tracks.filter(track => track.state === 'lost'),
+            events
+        };
+    }
+
+    // Drop every track, emitting "removed" for each
+    function reset() {
+        tracks.forEach(track => emitter.emit('removed', track));
+        tracks = [];
+    }
+
+    return {
+        config: trackerConfig,
+        update,
+        reset,
+        getTracks: () => [...tracks],
+        on: emitter.on,
+        off: emitter.off
+    };
+}
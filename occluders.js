@@ -0,0 +1,136 @@
+// Shape-aware occluders
+// Faces and physical objects are boxes { x, y, width, height }. They may also carry a
+// `shape` describing the area they really cover inside that box:
+//   { type: 'polygon', points: [{ x, y }] }  e.g. the convex hull of the 21 hand keypoints
+//   { type: 'mask', x, y, cellSize, columns, rows, cells }  a coarse occupancy grid;
+//     cells holds columns * rows truthy/falsy values, row by row
+// Without a shape the whole box counts as covered.
+
+import {
+    calculateIntersectionArea,
+    clipPolygonToRect,
+    convexHull,
+    getPointsBounds,
+    isPointInPolygon,
+    polygonArea,
+    segmentIntersectsRect,
+    segmentsIntersect
+} from './geometry.js';
+
+// Polygon occluder from the convex hull of some points, pushed outward by `padding` px
+export function createHullOccluder(points, padding = 0) {
+    const hull = convexHull(points);
+    if (padding === 0 || hull.length === 0) {
+        return { type: 'polygon', points: hull };
+    }
+
+    const centroid = {
+        x: hull.reduce((sum, point) => sum + point.x, 0) / hull.length,
+        y: hull.reduce((sum, point) => sum + point.y, 0) / hull.length
+    };
+    return {
+        type: 'polygon',
+        points: hull.map(point => {
+            const dx = point.x - centroid.x;
+            const dy = point.y - centroid.y;
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            return { x: point.x + dx / length * padding, y: point.y + dy / length * padding };
+        })
+    };
+}
+
+// Polygon occluder approximating the ellipse inscribed in a box, e.g. for faces
+export function createEllipseOccluder(rect, segments = 16) {
+    const centerX = rect.x + rect.width/2;
+    const centerY = rect.y + rect.height/2;
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push({
+            x: centerX + Math.cos(angle) * rect.width/2,
+            y: centerY + Math.sin(angle) * rect.height/2
+        });
+    }
+    return { type: 'polygon', points };
+}
+
+// Bounding box of a shape
+export function getShapeBounds(shape) {
+    if (shape.type === 'mask') {
+        return { x: shape.x, y: shape.y, width: shape.columns * shape.cellSize, height: shape.rows * shape.cellSize };
+    }
+    return getPointsBounds(shape.points);
+}
+
+// Covered area of the occupied mask cells inside a rectangle
+function getMaskCoverage(mask, rect) {
+    const { cellSize, columns, rows, cells } = mask;
+    const firstColumn = Math.max(0, Math.floor((rect.x - mask.x) / cellSize));
+    const lastColumn = Math.min(columns - 1, Math.floor((rect.x + rect.width - mask.x) / cellSize));
+    const firstRow = Math.max(0, Math.floor((rect.y - mask.y) / cellSize));
+    const lastRow = Math.min(rows - 1, Math.floor((rect.y + rect.height - mask.y) / cellSize));
+
+    let area = 0;
+    for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            if (!cells[row * columns + column]) continue;
+            area += calculateIntersectionArea(rect, {
+                x: mask.x + column * cellSize,
+                y: mask.y + row * cellSize,
+                width: cellSize,
+                height: cellSize
+            });
+        }
+    }
+    return area;
+}
+
+// Area of a rectangle covered by an obstacle's shape (or its box when it has none)
+export function getOccludedArea(rect, obstacle) {
+    // Nothing can be covered outside the obstacle's box
+    if (calculateIntersectionArea(rect, obstacle) === 0) return 0;
+
+    const shape = obstacle.shape;
+    if (!shape) return calculateIntersectionArea(rect, obstacle);
+    if (shape.type === 'polygon') return polygonArea(clipPolygonToRect(shape.points, rect));
+    if (shape.type === 'mask') return getMaskCoverage(shape, rect);
+    throw new Error(`Unknown occluder shape: ${shape.type}`);
+}
+
+// Check whether a segment passes through the area an obstacle covers
+export function segmentIntersectsOccluder(segment, obstacle) {
+    if (!segmentIntersectsRect(segment, obstacle)) return false;
+
+    const shape = obstacle.shape;
+    if (!shape) return true;
+
+    if (shape.type === 'polygon') {
+        const { points } = shape;
+        if (isPointInPolygon({ x: segment.x1, y: segment.y1 }, points) ||
+            isPointInPolygon({ x: segment.x2, y: segment.y2 }, points)) {
+            return true;
+        }
+        return points.some((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return segmentsIntersect(segment, { x1: point.x, y1: point.y, x2: next.x, y2: next.y });
+        });
+    }
+
+    if (shape.type === 'mask') {
+        // Sample the segment at half-cell steps
+        const { cellSize, columns, rows, cells } = shape;
+        const length = Math.sqrt(Math.pow(segment.x2 - segment.x1, 2) + Math.pow(segment.y2 - segment.y1, 2));
+        const steps = Math.max(1, Math.ceil(length / (cellSize / 2)));
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const column = Math.floor((segment.x1 + (segment.x2 - segment.x1) * t - shape.x) / cellSize);
+            const row = Math.floor((segment.y1 + (segment.y2 - segment.y1) * t - shape.y) / cellSize);
+            if (column >= 0 && column < columns && row >= 0 && row < rows && cells[row * columns + column]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    throw new Error(`Unknown occluder shape: ${shape.type}`);
+}
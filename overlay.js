@@ -0,0 +1,412 @@
+// Overlay
+// Embeddable entry point running the whole overlay on a video element and a canvas: a detection
+// source, the detection pipeline, the frame scheduler and the fit of the source into its stage.
+// It holds no page state, so a page can mount several overlays, each on its own elements:
+//   load()                    creates the pipeline and loads the source and its models
+//   start() / stop()          runs and stops detection; start loads first when needed
+//   destroy()                 stops, terminates the pipeline and removes the plugins
+//   setSource(source, sourceOptions)
+//                             replaces the source; a running overlay stops, call start() again
+//   use(plugin)               registers a plugin (see below)
+//   setTheme(name)            recolors the canvas and the DOM overlay (see themes.js)
+//   on(type, listener)        events:
+//     detections              { frame, detections } for every placed frame, in placement space
+//     placements              { frame, viewport, detections, result } with the engine's result
+//     objectEnter             a tracked face, hand or object that appeared
+//     objectLeave             the last state of one that is no longer tracked, also on stop
+//     error                   errors while detecting or placing; logged when nobody listens
+//     status, end, start, stop, and the gesture events of gestures.js
+// A plugin is { name, rules, renderers, sources, setup(overlay) }: scoring rules for the engine
+// (see scoring-rules.js), canvas renderers by type (see renderers.js), source factories by name
+// (context, sourceOptions) => source, where the context holds the video, the image and the
+// pipeline's detector, and a setup hook that may return a cleanup function. Rules run in the
+// engine that places the frames, so an overlay with rule plugins stays on the main thread, as
+// does one with renderer plugins when it would draw in the worker. In worker mode, the worker
+// places frames with its own scene setup; `setup` hooks reach the page's copy only.
+
+import { createDomOverlay } from './dom-overlay.js';
+import {
+    createCameraSource,
+    createDemoScene,
+    createImageSource,
+    createReplaySource,
+    createSyntheticSource,
+    createTfjsDetector,
+    createVideoFileSource
+} from './detection-sources.js';
+import { createFrameScheduler } from './frame-scheduler.js';
+import { createSceneSetup } from './scene-setup.js';
+import { createDetectionPipeline } from './detection-pipeline.js';
+import { createEmitter } from './event-emitter.js';
+import { createViewportTransform, observeResize } from './viewport-transform.js';
+import { getTheme } from './themes.js';
+
+// Gesture events the pipeline reports (see gestures.js)
+const gestureEvents = ['gesture', 'grab', 'move', 'release', 'select', 'dismiss', 'unpin'];
+
+// Built-in source factories: (context, sourceOptions) => source
+export const builtInSources = {
+    camera: ({ video, detector }, options) => createCameraSource({ video, detector, ...options }),
+    video: ({ video, detector }, options) => createVideoFileSource({ video, detector, ...options }),
+    image: ({ image, detector }, options) => createImageSource({ image, detector, ...options }),
+    synthetic: (context, options) => createSyntheticSource(options.scene ?? createDemoScene()),
+    replay: (context, options) => createReplaySource(options.recording, options)
+};
+
+// Script of the COCO-SSD model, only fetched by pages that detect objects
+const cocoSsdScript = 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd';
+let cocoSsdLoading = null;
+
+// COCO-SSD's global, adding its <script> tag to the page the first time it is needed
+function loadCocoSsd() {
+    if (globalThis.cocoSsd) return Promise.resolve(globalThis.cocoSsd);
+    cocoSsdLoading = cocoSsdLoading ?? new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = cocoSsdScript;
+        script.onload = () => resolve(globalThis.cocoSsd);
+        script.onerror = () => {
+            // Let a later load try again
+            cocoSsdLoading = null;
+            reject(new Error(`Could not load ${cocoSsdScript}`));
+        };
+        document.head.appendChild(script);
+    });
+    return cocoSsdLoading;
+}
+
+// TF.js detector from the models loaded by the page's <script> tags
+// detectorOptions: { objects, ignoredClasses }; COCO-SSD is only used, and its script only
+// loaded, for objects
+export function createGlobalDetector(detectorOptions = {}) {
+    return createTfjsDetector({
+        blazeface: globalThis.blazeface,
+        handPoseDetection: globalThis.handPoseDetection,
+        cocoSsd: detectorOptions.objects ? { load: async () => (await loadCocoSsd()).load() } : null,
+        ignoredClasses: detectorOptions.ignoredClasses,
+        maxHands: 2
+    });
+}
+
+// Check a plugin before it is registered
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object' || !plugin.name) {
+        throw new Error('Overlay plugin needs a name');
+    }
+}
+
+// Create an overlay on a video (or image) and a canvas
+// options: { video, image, canvas, stage (the element the source is fitted into, the canvas's
+//            parent by default), overlayElement (container for 'html' visualizations),
+//            source (a built-in or plugin source name, 'camera' by default, or a source object),
+//            sourceOptions, mirror (true, false, or cameras only when missing), theme,
+//            setup (see scene-setup.js), mode, offscreen, detectorOptions, createDetector,
+//            createWorker, scope (see detection-pipeline.js), scheduler (frame scheduler options),
+//            plugins }
+// The stage gets the classes 'mirrored' and 'image-source' for the host's CSS.
+export function createOverlay(options) {
+    const { video, image, canvas } = options;
+    const stage = options.stage ?? canvas.parentElement;
+    const setup = options.setup ?? createSceneSetup();
+    const emitter = createEmitter();
+    const viewportTransform = createViewportTransform({ fit: 'contain' });
+    let theme = options.theme ?? 'default';
+    const domOverlay = options.overlayElement ? createDomOverlay(options.overlayElement, { theme }) : null;
+
+    const sources = { ...builtInSources };
+    const renderers = {};
+    // Registered plugins: [{ plugin, cleanups }]
+    const plugins = [];
+    // Tracked objects of the last placed frame by id
+    const present = new Map();
+
+    let sourceSpec = { source: options.source ?? 'camera', sourceOptions: options.sourceOptions ?? {} };
+    let pipeline = null;
+    let loading = null;
+    // Start in progress, shared by calls made meanwhile
+    let starting = null;
+    let source = null;
+    let frameSize = null;
+    let scheduler = null;
+    let running = false;
+    let placing = false;
+    let destroyed = false;
+    let stopObserving = null;
+
+    // Report an error to the 'error' listeners, or the console when there are none
+    function reportError(error) {
+        if (emitter.listenerCount('error') > 0) {
+            emitter.emit('error', error);
+        } else {
+            console.error('Overlay error:', error);
+        }
+    }
+
+    // Report a failed pipeline request, unless the overlay was destroyed and its worker stopped
+    function reportPipelineError(request) {
+        request.catch(error => {
+            if (!destroyed) reportError(error);
+        });
+    }
+
+    // Whether a plugin needs the pipeline on the main thread
+    function needsMainThread(plugin) {
+        return Boolean(plugin.rules) || Boolean(plugin.renderers && options.offscreen);
+    }
+
+    // Pipeline options, kept on the main thread when a plugin needs it
+    function getPipelineOptions() {
+        const onMainThread = plugins.some(({ plugin }) => needsMainThread(plugin));
+        return {
+            mode: onMainThread ? 'main' : options.mode ?? 'main',
+            offscreen: options.offscreen,
+            setup,
+            canvas,
+            theme,
+            detectorOptions: options.detectorOptions ?? {},
+            createDetector: options.createDetector ?? createGlobalDetector,
+            createWorker: options.createWorker ??
+                (() => new Worker(new URL('./detection-worker.js', import.meta.url), { type: 'module' })),
+            scope: options.scope
+        };
+    }
+
+    // Source for a name or a source object
+    function createSource({ source: spec, sourceOptions }) {
+        if (typeof spec === 'object') return spec;
+        if (!sources[spec]) {
+            throw new Error(`Unknown source: ${spec}`);
+        }
+        return sources[spec]({ video, image, detector: pipeline.detector }, sourceOptions);
+    }
+
+    // Create the pipeline once, then the source when there is none
+    async function load() {
+        if (destroyed) {
+            throw new Error('Overlay has been destroyed');
+        }
+        loading = loading ?? (async () => {
+            pipeline = await createDetectionPipeline(getPipelineOptions());
+            gestureEvents.forEach(type => pipeline.on(type, event => emitter.emit(type, event)));
+            Object.entries(renderers).forEach(([type, renderer]) => pipeline.registerRenderer(type, renderer));
+            if (stage.ownerDocument && stage.ownerDocument.defaultView) {
+                stopObserving = observeResize(stage, updateLayout);
+            }
+        })().catch(error => {
+            // Let a later call try again
+            loading = null;
+            throw error;
+        });
+        await loading;
+        if (!source) {
+            source = createSource(sourceSpec);
+            await source.load();
+        }
+    }
+
+    // Mirror like a selfie view for cameras, unless `mirror` says otherwise
+    function shouldMirror() {
+        if (options.mirror !== undefined) return Boolean(options.mirror);
+        return source.name === 'camera';
+    }
+
+    // Match the transform and the canvas to the stage's displayed size
+    // Placement runs in CSS pixels of the stage, so labels keep their size on any screen.
+    function updateLayout() {
+        if (!frameSize) return;
+        const pixelRatio = (stage.ownerDocument && stage.ownerDocument.defaultView &&
+            stage.ownerDocument.defaultView.devicePixelRatio) || 1;
+        viewportTransform.update({
+            sourceWidth: frameSize.width,
+            sourceHeight: frameSize.height,
+            displayWidth: stage.clientWidth,
+            displayHeight: stage.clientHeight,
+            pixelRatio
+        });
+        reportPipelineError(pipeline.resize({ ...viewportTransform.getCanvasSize(), pixelRatio }));
+    }
+
+    // Start the source and run inference and rendering on their own schedules
+    function start() {
+        starting = starting ?? begin().finally(() => {
+            starting = null;
+        });
+        return starting;
+    }
+
+    // Load, start the source and create the frame scheduler, unless already running
+    async function begin() {
+        await load();
+        if (running) return;
+        frameSize = await source.start();
+        viewportTransform.setMirrored(shouldMirror());
+        stage.classList.toggle('mirrored', viewportTransform.isMirrored());
+        stage.classList.toggle('image-source', source.name === 'image');
+        updateLayout();
+        await pipeline.reset();
+
+        scheduler = createFrameScheduler({
+            detect: detectOptions => source.detect(detectOptions),
+            render: renderFrame,
+            ...options.scheduler
+        });
+        scheduler.on('status', status => emitter.emit('status', { ...status, maxRetries: scheduler.config.maxRetries }));
+        scheduler.on('end', () => {
+            stop();
+            emitter.emit('end');
+        });
+        scheduler.on('error', reportError);
+        running = true;
+        scheduler.start();
+        emitter.emit('start', { source: source.name, frameSize });
+    }
+
+    // Place and draw one display frame of detections from the frame scheduler
+    // Detections arrive in source pixels, blended to the display time between inferences. In worker
+    // mode placement is asynchronous, so display frames arriving while one is placed are skipped.
+    function renderFrame(sourceFrame) {
+        if (placing) return;
+
+        // Everything below works in placement space (CSS pixels of the stage)
+        const frame = viewportTransform.transformFrame(sourceFrame);
+        const viewport = viewportTransform.getViewport();
+
+        placing = true;
+        pipeline.place(frame, viewport)
+            .then(({ detections, result }) => {
+                placing = false;
+                // A frame placed in the worker may arrive after detection stopped
+                if (!running) {
+                    reportPipelineError(pipeline.clear());
+                    return;
+                }
+                showPlacedFrame(frame, viewport, detections, result);
+            })
+            .catch(error => {
+                placing = false;
+                reportError(error);
+            });
+    }
+
+    // Show a placed frame's DOM visualizations and report it
+    function showPlacedFrame(frame, viewport, detections, result) {
+        if (domOverlay) {
+            domOverlay.update([...result.ghosts, ...result.placements]);
+        }
+        updatePresent(detections.physicalObjects);
+        emitter.emit('detections', { frame, detections });
+        emitter.emit('placements', { frame, viewport, detections, result });
+    }
+
+    // Report the objects that appeared since the last frame and the ones that left
+    function updatePresent(physicalObjects) {
+        const ids = new Set(physicalObjects.map(physicalObject => physicalObject.id));
+        present.forEach((physicalObject, id) => {
+            if (!ids.has(id)) {
+                present.delete(id);
+                emitter.emit('objectLeave', physicalObject);
+            }
+        });
+        physicalObjects.forEach(physicalObject => {
+            const entered = !present.has(physicalObject.id);
+            present.set(physicalObject.id, physicalObject);
+            if (entered) emitter.emit('objectEnter', physicalObject);
+        });
+    }
+
+    // Stop inference and rendering, stop the source and clear the drawing
+    function stop() {
+        if (!running) return;
+        running = false;
+        scheduler.stop();
+        scheduler = null;
+        source.stop();
+        reportPipelineError(pipeline.clear());
+        if (domOverlay) domOverlay.clear();
+        updatePresent([]);
+        emitter.emit('stop');
+    }
+
+    // Replace the source without reloading the models
+    async function setSource(spec, sourceOptions = {}) {
+        stop();
+        sourceSpec = { source: spec, sourceOptions };
+        source = null;
+        if (pipeline) {
+            await load();
+        }
+    }
+
+    // Register a plugin's rules, renderers and sources and run its setup
+    // Returns a function that removes the plugin again.
+    function use(plugin) {
+        validatePlugin(plugin);
+        if (pipeline && pipeline.mode === 'worker' && needsMainThread(plugin)) {
+            throw new Error(`Plugin ${plugin.name} needs the main thread, but the overlay runs in a worker`);
+        }
+        const entry = { plugin, cleanups: [] };
+        plugins.push(entry);
+
+        (plugin.rules || []).forEach(rule => entry.cleanups.push(setup.engine.registerScoringRule(rule)));
+        Object.entries(plugin.renderers || {}).forEach(([type, renderer]) => {
+            renderers[type] = renderer;
+            if (pipeline) pipeline.registerRenderer(type, renderer);
+        });
+        Object.entries(plugin.sources || {}).forEach(([name, factory]) => {
+            sources[name] = factory;
+        });
+        if (plugin.setup) {
+            const cleanup = plugin.setup(overlay);
+            if (typeof cleanup === 'function') entry.cleanups.push(cleanup);
+        }
+        return () => removePlugin(entry);
+    }
+
+    // Undo a plugin's rules and setup; its renderers and sources stay available
+    function removePlugin(entry) {
+        const index = plugins.indexOf(entry);
+        if (index === -1) return;
+        plugins.splice(index, 1);
+        entry.cleanups.forEach(cleanup => cleanup());
+    }
+
+    // Recolor the canvas and the DOM overlay
+    function setTheme(name) {
+        getTheme(name);
+        theme = name;
+        if (pipeline) pipeline.setTheme(name);
+        if (domOverlay) domOverlay.setTheme(name);
+    }
+
+    // Stop for good and release the pipeline, the resize observer and the plugins
+    function destroy() {
+        if (destroyed) return;
+        stop();
+        destroyed = true;
+        if (stopObserving) stopObserving();
+        if (pipeline) pipeline.terminate();
+        [...plugins].forEach(removePlugin);
+    }
+
+    const overlay = {
+        engine: setup.engine,
+        setup,
+        load,
+        start,
+        stop,
+        destroy,
+        setSource,
+        use,
+        setTheme,
+        updateLayout,
+        retry: () => scheduler && scheduler.retry(),
+        on: emitter.on,
+        off: emitter.off,
+        getSource: () => source,
+        getPipeline: () => pipeline,
+        getViewport: () => viewportTransform.getViewport(),
+        isRunning: () => running
+    };
+
+    (options.plugins || []).forEach(use);
+    return overlay;
+}
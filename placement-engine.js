@@ -0,0 +1,1179 @@
+// Placement engine
+// Finds optimal positions for visualizations around detected physical objects and
+// stabilizes them across frames. The engine owns all of its state and never touches
+// the DOM, canvas, webcam or TF.js, so the same module runs in the browser and in Node.
+
+import {
+    calculateIntersectionArea,
+    getDistance,
+    getLeaderLine,
+    getRectCenter,
+    getSafeRect,
+    getSegmentLength,
+    isRectInside,
+    segmentIntersectsRect,
+    segmentsIntersect
+} from './geometry.js';
+import { defaultSolverConfig, solveJointPlacement } from './placement-solver.js';
+import {
+    anchorCandidates,
+    clampToViewport,
+    generateCandidates,
+    gridCandidates,
+    radialCandidates,
+    slidingCandidates
+} from './candidate-generators.js';
+import { createPointFilter } from './motion-filters.js';
+import { getOccludedArea, segmentIntersectsOccluder } from './occluders.js';
+import { instantiateTemplate, templateMatches, validateTemplateSpec } from './visualization-templates.js';
+import {
+    applyScoringRules,
+    defaultScoringRules,
+    getClassRuleSettings,
+    resolveScoringRules,
+    validateScoringRule
+} from './scoring-rules.js';
+import { normalizeExclusionZone } from './exclusion-zones.js';
+import {
+    defaultAnimationConfig,
+    getAppearance,
+    getEasing,
+    getPointAlongPath,
+    resolveAnimation,
+    routeAroundRect,
+    stepAppearance
+} from './animations.js';
+
+export { calculateIntersectionArea };
+
+// Default engine configuration
+export const defaultEngineConfig = {
+    // Minimum score difference needed to change positions
+    hysteresisThreshold: 200,
+    // Consecutive frames a new anchor must beat the current one by the threshold before switching
+    hysteresisFrames: 3,
+    // Minimum time (ms) a visualization stays on an anchor before it may switch again
+    minDwellTime: 0,
+    // Bonus score for previous position to maintain stability
+    previousPositionBonus: 150,
+    // Distance (px) within which a candidate counts as the previous position
+    previousPositionRadius: 50,
+    // How quickly to move toward new target position (0-1, lower = slower)
+    smoothingFactor: 0.2,
+    // Filter moving visualizations toward their target: 'lerp' (uses smoothingFactor),
+    // 'oneEuro' or 'spring', with the options of each filter (see motion-filters.js)
+    smoothing: {
+        filter: 'lerp',
+        oneEuro: { minCutoff: 1.0, beta: 0.01, derivativeCutoff: 1.0 },
+        spring: { halfLife: 80 }
+    },
+    // Motion-aware placement: place against where each object will be `lookahead` ms from now
+    motion: {
+        enabled: false,
+        lookahead: 100,
+        // Weight of the newest velocity sample when an object carries no velocity (vx, vy) of its own
+        velocitySmoothing: 0.5,
+        // Highest speed (px/ms) used for extrapolation
+        maxSpeed: 3
+    },
+    // Maximum time (ms) to remember a physical object's position when not detected
+    positionMemoryTimeout: 1000,
+    // Gap (px) between a physical object and its visualizations
+    gap: 10,
+    // Generators proposing candidate positions, see candidate-generators.js
+    candidateGenerators: [anchorCandidates()],
+    // Wider search used when no regular candidate is in bounds and clear of obstacles
+    fallbackCandidateGenerators: [
+        clampToViewport(slidingCandidates()),
+        clampToViewport(radialCandidates()),
+        gridCandidates()
+    ],
+    // Number of best fallback candidates kept per visualization
+    maxFallbackCandidates: 24,
+    // Penalty multipliers for intersections (per px²) and distance (per px), the default
+    // weights of the faceOverlap, objectOverlap, anchorOverlap, labelOverlap and distance rules
+    weights: {
+        face: 10,
+        physicalObject: 5,
+        anchor: 5,
+        visualization: 10,
+        distance: 0.1,
+        // Per px² of soft exclusion zone, times the zone's own weight
+        exclusionZone: 10
+    },
+    // Insets (px) along each viewport edge that labels stay clear of, e.g. for a notch or rounded corners
+    safeArea: { top: 0, right: 0, bottom: 0, left: 0 },
+    // Fixed regions labels avoid, e.g. a toolbar, a logo or a subtitle band (see exclusion-zones.js):
+    // [{ id, x, y, width, height, mode: 'hard' | 'soft', weight }] in viewport px.
+    // These are the initial zones; change them per session with `setExclusionZones` and friends.
+    exclusionZones: [],
+    // Callout mode: link displaced visualizations to their anchor with a leader line
+    callouts: {
+        enabled: false,
+        // Leader lines are only drawn once a visualization is this far (px) from its anchor
+        minDistance: 20,
+        // Penalty per px of leader line
+        lengthWeight: 0.5,
+        // Penalty for every face, object, label or other leader line a leader line crosses
+        crossingPenalty: 5000,
+        // Extra generators proposing positions further out, scored only in callout mode
+        candidateGenerators: [clampToViewport(radialCandidates({ rings: 3, ringSpacing: 60 }))]
+    },
+    // Per-rule settings by rule name, see scoring-rules.js:
+    // { [name]: { weight, enabled, constraint } }, e.g. { distance: { weight: 0.5 }, previousPosition: { enabled: false } }
+    rules: {},
+    // Per-class settings by object type ('face' also covers the untracked `faces`):
+    // { [type]: { obstacleWeight, rules } }
+    //   obstacleWeight  multiplies the area of the class's objects covered by any visualization (default 1)
+    //   rules           per-rule settings like `rules`, for the visualizations of the class's objects,
+    //                   e.g. { face: { rules: { faceOverlap: { constraint: true } } } }
+    classes: {},
+    // Lifecycle animations, see animations.js: visualizations fade and scale in, fade out as
+    // ghosts at their last position while their object is lost (until `positionMemoryTimeout`),
+    // and go around their object when they change anchor. Each phase has a `duration` (ms) and
+    // an `easing`; a visualization's own `animation` overrides them, or turns them off with false.
+    animations: {
+        enabled: false,
+        ...defaultAnimationConfig
+    },
+    // Depth-aware placement for objects with a `depth`: their distance from the camera relative to
+    // a reference distance (1), larger is farther, e.g. from depth.js
+    depth: {
+        enabled: false,
+        // Visualizations scale by 1 / depth within these limits, unless they set `scaleWithDepth: false`
+        minScale: 0.6,
+        maxScale: 1.5,
+        // Obstacle weight of objects nearer than a visualization's own object, and of farther ones;
+        // depths within `tolerance` (a fraction of the depth) count as the same
+        nearerWeight: 3,
+        fartherWeight: 0.5,
+        tolerance: 0.1
+    },
+    // Joint solver settings, see placement-solver.js
+    solver: defaultSolverConfig,
+    // Report every scored candidate in `placeFrame(...).diagnostics`, e.g. for a debug overlay
+    diagnostics: false,
+    // Factory for the visualizations of a newly seen object: (physicalObject) => [configs]
+    // Used together with the templates added through `registerVisualizationTemplate`.
+    createVisualizations: null,
+    // Size a visualization from its content before it is placed: (visualization) => { width, height },
+    // or null to keep its own size, e.g. a canvas renderer's `measure` (see renderers.js).
+    // Called when a visualization is attached and when its content, type or style change.
+    measureVisualization: null
+};
+
+// Merge user configuration over the defaults
+function mergeConfig(config) {
+    return {
+        ...defaultEngineConfig,
+        ...config,
+        weights: { ...defaultEngineConfig.weights, ...config.weights },
+        safeArea: { ...defaultEngineConfig.safeArea, ...config.safeArea },
+        rules: { ...defaultEngineConfig.rules, ...config.rules },
+        classes: { ...defaultEngineConfig.classes, ...config.classes },
+        smoothing: { ...defaultEngineConfig.smoothing, ...config.smoothing },
+        motion: { ...defaultEngineConfig.motion, ...config.motion },
+        callouts: { ...defaultEngineConfig.callouts, ...config.callouts },
+        animations: { ...defaultEngineConfig.animations, ...config.animations },
+        depth: { ...defaultEngineConfig.depth, ...config.depth },
+        solver: { ...defaultEngineConfig.solver, ...config.solver }
+    };
+}
+
+// Leader line for a visualization, or null when it sits close enough to its anchor
+export function getCalloutLine(visualization, anchor, calloutConfig = defaultEngineConfig.callouts) {
+    const leaderLine = getLeaderLine(visualization, anchor);
+    return getSegmentLength(leaderLine) >= calloutConfig.minDistance ? leaderLine : null;
+}
+
+// Generators scored for every visualization
+function getPrimaryGenerators(config) {
+    return config.callouts.enabled
+        ? [...config.candidateGenerators, ...config.callouts.candidateGenerators]
+        : config.candidateGenerators;
+}
+
+// Weight of covering an object of a class, from the engine's `classes` option
+function getObstacleWeight(config, type) {
+    const classConfig = (config.classes || {})[type];
+    return classConfig && classConfig.obstacleWeight !== undefined ? classConfig.obstacleWeight : 1;
+}
+
+// Check whether depth-aware placement applies to an object
+function hasDepth(config, physicalObject) {
+    return Boolean(config.depth && config.depth.enabled) && typeof physicalObject.depth === 'number' && physicalObject.depth > 0;
+}
+
+// Size a visualization is placed at next to an object: { width, height, depthScale }
+export function getVisualizationSize(physicalObject, visualization, config = defaultEngineConfig) {
+    if (!hasDepth(config, physicalObject) || visualization.scaleWithDepth === false) {
+        return { width: visualization.width, height: visualization.height, depthScale: 1 };
+    }
+    const { minScale, maxScale } = config.depth;
+    const depthScale = Math.min(maxScale, Math.max(minScale, 1 / physicalObject.depth));
+    return {
+        width: Math.round(visualization.width * depthScale),
+        height: Math.round(visualization.height * depthScale),
+        depthScale
+    };
+}
+
+// Weight of covering another object for a visualization of `physicalObject`: nearer objects
+// push it away, farther ones it may cover, as if it were at its own object's depth
+function getDepthWeight(config, physicalObject, otherPhysicalObject) {
+    if (!hasDepth(config, physicalObject) || !hasDepth(config, otherPhysicalObject)) return 1;
+    const { nearerWeight, fartherWeight, tolerance } = config.depth;
+    if (otherPhysicalObject.depth < physicalObject.depth * (1 - tolerance)) return nearerWeight;
+    if (otherPhysicalObject.depth > physicalObject.depth * (1 + tolerance)) return fartherWeight;
+    return 1;
+}
+
+// Geometric facts about a candidate that the scoring rules and the fallback search use
+function measureCandidate(physicalObject, visualization, allObjects, options) {
+    const { existingPositions, previousPosition, safeRect, exclusionZones, config } = options;
+    const measurements = {
+        faceOverlap: 0,
+        objectOverlap: 0,
+        anchorOverlap: 0,
+        labelOverlap: 0,
+        distance: getDistance(getRectCenter(physicalObject), getRectCenter(visualization)),
+        previousDistance: previousPosition ? getDistance(visualization, previousPosition) : Infinity,
+        outsideArea: isRectInside(visualization, safeRect) ? 0 : visualization.width * visualization.height -
+            calculateIntersectionArea(visualization, safeRect),
+        hardZoneOverlap: 0,
+        softZoneOverlap: 0,
+        leaderLine: null,
+        leaderLength: 0,
+        crossings: 0
+    };
+
+    // Faces and objects with a `shape` only count the area that shape really covers, times the
+    // obstacle weight of their class and, with depth, of their depth; tracked faces (type 'face')
+    // count as faces
+    const faceWeight = getObstacleWeight(config, 'face');
+    allObjects.faces.forEach(face => {
+        measurements.faceOverlap += getOccludedArea(visualization, face) * faceWeight;
+    });
+    allObjects.physicalObjects.forEach(otherPhysicalObject => {
+        const intersection = getOccludedArea(visualization, otherPhysicalObject);
+        if (otherPhysicalObject.id === physicalObject.id) {
+            measurements.anchorOverlap += intersection;
+        } else if (otherPhysicalObject.type === 'face') {
+            measurements.faceOverlap += intersection * faceWeight * getDepthWeight(config, physicalObject, otherPhysicalObject);
+        } else {
+            measurements.objectOverlap += intersection * getObstacleWeight(config, otherPhysicalObject.type) *
+                getDepthWeight(config, physicalObject, otherPhysicalObject);
+        }
+    });
+    Object.values(existingPositions).forEach(existingVisualization => {
+        measurements.labelOverlap += calculateIntersectionArea(visualization, existingVisualization);
+    });
+    exclusionZones.forEach(zone => {
+        const intersection = getOccludedArea(visualization, zone);
+        if (zone.mode === 'soft') measurements.softZoneOverlap += intersection * zone.weight;
+        else measurements.hardZoneOverlap += intersection;
+    });
+
+    // Callouts: the leader line and the faces or other objects it crosses
+    if (config.callouts.enabled) {
+        const leaderLine = getCalloutLine(visualization, physicalObject, config.callouts);
+        if (leaderLine) {
+            measurements.leaderLine = leaderLine;
+            measurements.leaderLength = getSegmentLength(leaderLine);
+            [...allObjects.faces, ...allObjects.physicalObjects].forEach(obstacle => {
+                if (obstacle.id !== undefined && obstacle.id === physicalObject.id) return;
+                if (segmentIntersectsOccluder(leaderLine, obstacle)) {
+                    measurements.crossings++;
+                }
+            });
+        }
+    }
+
+    return measurements;
+}
+
+// Score every candidate position the scoring rules accept for a visualization (higher is better)
+// With the default rules, candidates that leave the viewport's safe area or cover a hard
+// exclusion zone are never returned.
+// Each result carries a `breakdown` of the weighted term of every rule.
+export function scoreCandidatePositions(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, options = {}) {
+    const {
+        existingPositions = {},
+        previousPosition = null,
+        preferredPositions = {},
+        config = defaultEngineConfig,
+        generators = getPrimaryGenerators(config),
+        rules = resolveScoringRules(defaultScoringRules, config, getClassRuleSettings(config, physicalObject.type)),
+        exclusionZones = config.exclusionZones.map((zone, i) => normalizeExclusionZone(zone, `zone-${i}`))
+    } = options;
+    const size = { width: visualizationWidth, height: visualizationHeight };
+    const safeRect = getSafeRect(viewport, config.safeArea);
+    const context = {
+        physicalObject,
+        allObjects,
+        existingPositions,
+        viewport,
+        safeRect,
+        exclusionZones,
+        previousPosition,
+        preferredPositions,
+        config
+    };
+
+    const candidatePositions = generateCandidates(generators, physicalObject, size, viewport, config);
+
+    return candidatePositions.flatMap(pos => {
+        const visualization = { x: pos.x, y: pos.y, ...size };
+        const measurements = measureCandidate(physicalObject, visualization, allObjects, context);
+        const scored = applyScoringRules(rules, { position: pos.name, side: pos.side, rect: visualization, measurements }, context);
+        if (!scored) return [];
+
+        return [{
+            position: pos.name,
+            side: pos.side,
+            visualization,
+            score: scored.score,
+            breakdown: scored.breakdown,
+            obstacleArea: measurements.faceOverlap + measurements.objectOverlap + measurements.anchorOverlap +
+                measurements.labelOverlap + measurements.softZoneOverlap,
+            crossings: measurements.crossings,
+            leaderLine: measurements.leaderLine
+        }];
+    });
+}
+
+// A candidate is clear when it covers no obstacle and its leader line (if any) crosses none
+function isClearCandidate(candidate) {
+    return candidate.obstacleArea === 0 && candidate.crossings === 0;
+}
+
+// Score the regular candidates and, when none of them is clear of obstacles
+// (or when forced), add the best candidates of the fallback generators
+export function collectCandidatePositions(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, options = {}) {
+    const config = options.config || defaultEngineConfig;
+    const positionScores = scoreCandidatePositions(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, options);
+
+    if (!options.forceFallback && positionScores.some(isClearCandidate)) {
+        return positionScores;
+    }
+
+    const fallbackScores = scoreCandidatePositions(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, {
+        ...options,
+        generators: config.fallbackCandidateGenerators
+    });
+    fallbackScores.sort((a, b) => b.score - a.score);
+
+    return [...positionScores, ...fallbackScores.slice(0, config.maxFallbackCandidates)];
+}
+
+// Find the optimal position for a single visualization
+// Returns the best candidate rectangle together with its position name, score and per-rule breakdown,
+// or null when no valid (in-bounds) placement exists.
+export function findOptimalVisualizationPosition(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, options = {}) {
+    const positionScores = collectCandidatePositions(physicalObject, visualizationWidth, visualizationHeight, allObjects, viewport, options);
+
+    if (positionScores.length === 0) return null;
+
+    // Find position with highest score
+    positionScores.sort((a, b) => b.score - a.score);
+    const bestPosition = positionScores[0];
+
+    return {
+        ...bestPosition.visualization,
+        position: bestPosition.position,
+        score: bestPosition.score,
+        breakdown: bestPosition.breakdown
+    };
+}
+
+// Decide whether a visualization has to stay on its current anchor this frame
+// `challenged` is set when another anchor beats the current one by the hysteresis threshold.
+export function evaluateAnchorSwitch(anchorState, positionScores, config, currentTime) {
+    const current = anchorState && positionScores.find(candidate => candidate.position === anchorState.anchor);
+
+    // No anchor yet, or the current anchor is no longer valid: switching is free
+    if (!current) {
+        return { hold: false, challenged: false, current: null };
+    }
+
+    const best = positionScores.reduce((a, b) => (b.score > a.score ? b : a));
+    const challenged = best !== current && best.score - current.score > config.hysteresisThreshold;
+    const framesElapsed = challenged && anchorState.challengedFrames + 1 >= config.hysteresisFrames;
+    const dwellElapsed = currentTime - anchorState.since >= config.minDwellTime;
+
+    return { hold: !(framesElapsed && dwellElapsed), challenged, current };
+}
+
+// Weight of a visualization's candidate costs in the joint solve
+function getPriorityWeight(priority) {
+    return priority > 0 ? priority : 1;
+}
+
+// Pairwise penalty for leader lines crossing other labels or other leader lines
+function createCalloutPairPenalty(calloutConfig) {
+    return (candidateA, candidateB) => {
+        let crossings = 0;
+        if (candidateA.leaderLine && segmentIntersectsRect(candidateA.leaderLine, candidateB.rect)) crossings++;
+        if (candidateB.leaderLine && segmentIntersectsRect(candidateB.leaderLine, candidateA.rect)) crossings++;
+        if (candidateA.leaderLine && candidateB.leaderLine && segmentsIntersect(candidateA.leaderLine, candidateB.leaderLine)) crossings++;
+        return crossings * calloutConfig.crossingPenalty;
+    };
+}
+
+// Create a placement engine with its own registry and position memory
+export function createPlacementEngine(config = {}) {
+    const engineConfig = mergeConfig(config);
+
+    // Visualization registry to manage multiple visualizations per physical object
+    // Format: objectId: [array of visualization configs]
+    let visualizationRegistry = {};
+
+    // Objects whose templates and factory visualizations have been created, by string id like
+    // the keys of visualizationRegistry
+    let initializedObjectIds = new Set();
+
+    // Registered visualization templates: [{ match, spec }]
+    const visualizationTemplates = [];
+
+    // Scoring rules added through `registerScoringRule`, applied after the built-in rules
+    const customScoringRules = [];
+
+    // Current exclusion zones, starting from the configured ones
+    let exclusionZones = [];
+    setExclusionZones(engineConfig.exclusionZones);
+
+    // Position memory for visualization stabilization, keyed by `${objectId}_${visualizationId}`
+    let previousVisualizationPositions = {};
+    let positionTransitions = {};
+
+    // Current anchor (candidate name) of each visualization, keyed like the position memory
+    // Format: { objectId, anchor, since, challengedFrames }
+    let anchorMemory = {};
+
+    // Last time (ms) each physical object was detected
+    let objectLastSeen = {};
+
+    // Last center and estimated velocity (px/ms) of each physical object, for motion-aware mode
+    let objectMotion = {};
+
+    // Visualizations pinned to a fixed position, overriding placement, keyed like the position memory
+    // Format: { objectId, x, y }
+    let pinnedPositions = {};
+
+    // Lifecycle animation state, keyed like the position memory:
+    // appearance { objectId, value (0 hidden - 1 shown), lastTime } and the anchor change in
+    // progress { objectId, offset (start center relative to the object), startedAt }
+    let appearances = {};
+    let anchorRoutes = {};
+
+    // Create the configured smoothing filter for one visualization
+    function createSmoothingFilter() {
+        const kind = engineConfig.smoothing.filter;
+        const options = kind === 'lerp' ? { factor: engineConfig.smoothingFactor } : engineConfig.smoothing[kind];
+        return createPointFilter(kind, options);
+    }
+
+    // Update an object's velocity estimate and extrapolate its box `motion.lookahead` ms ahead
+    function predictObject(physicalObject, currentTime) {
+        const { lookahead, velocitySmoothing, maxSpeed } = engineConfig.motion;
+        const center = getRectCenter(physicalObject);
+        const previous = objectMotion[physicalObject.id];
+
+        let vx = 0;
+        let vy = 0;
+        if (physicalObject.vx !== undefined && physicalObject.vy !== undefined) {
+            // Velocity supplied by the caller, e.g. from the object tracker
+            vx = physicalObject.vx;
+            vy = physicalObject.vy;
+        } else if (previous && currentTime > previous.timestamp) {
+            // Exponentially smoothed finite difference against the previous frame
+            const dt = currentTime - previous.timestamp;
+            vx = previous.vx + ((center.x - previous.x) / dt - previous.vx) * velocitySmoothing;
+            vy = previous.vy + ((center.y - previous.y) / dt - previous.vy) * velocitySmoothing;
+        } else if (previous) {
+            vx = previous.vx;
+            vy = previous.vy;
+        }
+
+        // Limit the extrapolation speed so detector glitches do not throw labels away
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        if (speed > maxSpeed) {
+            vx *= maxSpeed / speed;
+            vy *= maxSpeed / speed;
+        }
+
+        objectMotion[physicalObject.id] = { x: center.x, y: center.y, vx, vy, timestamp: currentTime };
+
+        return {
+            ...physicalObject,
+            x: physicalObject.x + vx * lookahead,
+            y: physicalObject.y + vy * lookahead,
+            velocity: { x: vx, y: vy }
+        };
+    }
+
+    // Visualization at the size `measureVisualization` gives it, or unchanged when it measures nothing
+    function measureVisualization(visualization) {
+        const size = engineConfig.measureVisualization ? engineConfig.measureVisualization(visualization) : null;
+        return size ? { ...visualization, width: size.width, height: size.height } : visualization;
+    }
+
+    // Replace the visualizations attached to a physical object
+    function setVisualizations(objectId, visualizations) {
+        visualizationRegistry[objectId] = visualizations.map(visualization => measureVisualization({ ...visualization, objectId }));
+        initializedObjectIds.add(String(objectId));
+    }
+
+    // Attach a visualization to every matching object seen from now on
+    // Returns a function that unregisters the template (existing visualizations stay).
+    function registerVisualizationTemplate(match, spec) {
+        validateTemplateSpec(spec);
+        const template = { match, spec };
+        visualizationTemplates.push(template);
+        return () => {
+            const index = visualizationTemplates.indexOf(template);
+            if (index !== -1) visualizationTemplates.splice(index, 1);
+        };
+    }
+
+    // Add a scoring rule to every candidate evaluation from the next frame on
+    // Returns a function that unregisters the rule.
+    function registerScoringRule(rule) {
+        validateScoringRule(rule);
+        if ([...defaultScoringRules, ...customScoringRules].some(existing => existing.name === rule.name)) {
+            throw new Error(`Scoring rule already exists: ${rule.name}`);
+        }
+        customScoringRules.push(rule);
+        return () => {
+            const index = customScoringRules.indexOf(rule);
+            if (index !== -1) customScoringRules.splice(index, 1);
+        };
+    }
+
+    // Replace every exclusion zone
+    function setExclusionZones(zones) {
+        const normalized = zones.map((zone, i) => normalizeExclusionZone(zone, `zone-${i}`));
+        const ids = new Set(normalized.map(zone => zone.id));
+        if (ids.size !== normalized.length) {
+            throw new Error('Exclusion zone ids must be unique');
+        }
+        exclusionZones = normalized;
+    }
+
+    // Add an exclusion zone; returns it with its defaults filled in
+    function addExclusionZone(zone) {
+        const normalized = normalizeExclusionZone(zone, `zone-${exclusionZones.length}`);
+        if (exclusionZones.some(existing => existing.id === normalized.id)) {
+            throw new Error(`Exclusion zone already exists: ${normalized.id}`);
+        }
+        exclusionZones = [...exclusionZones, normalized];
+        return normalized;
+    }
+
+    // Move, resize or reconfigure an exclusion zone
+    // Returns the updated zone, or null when it does not exist.
+    function updateExclusionZone(id, changes) {
+        const index = exclusionZones.findIndex(zone => zone.id === id);
+        if (index === -1) return null;
+
+        const updated = normalizeExclusionZone({ ...exclusionZones[index], ...changes, id });
+        exclusionZones = exclusionZones.map((zone, i) => (i === index ? updated : zone));
+        return updated;
+    }
+
+    // Remove an exclusion zone; returns whether it existed
+    function removeExclusionZone(id) {
+        const remaining = exclusionZones.filter(zone => zone.id !== id);
+        const removed = remaining.length !== exclusionZones.length;
+        exclusionZones = remaining;
+        return removed;
+    }
+
+    // Create the template and factory visualizations of a newly seen object
+    function createObjectVisualizations(physicalObject) {
+        const fromTemplates = visualizationTemplates
+            .filter(({ match }) => templateMatches(match, physicalObject))
+            .map(({ spec }) => instantiateTemplate(spec, physicalObject));
+        const fromFactory = engineConfig.createVisualizations ? engineConfig.createVisualizations(physicalObject) : [];
+        return [...fromTemplates, ...fromFactory];
+    }
+
+    // Attach one more visualization to a physical object
+    function addVisualization(objectId, visualization) {
+        const visualizations = getVisualizationsForObject(objectId);
+        if (visualizations.some(existing => existing.id === visualization.id)) {
+            throw new Error(`Visualization already exists: ${visualization.id}`);
+        }
+        visualizationRegistry[objectId] = [
+            ...visualizations,
+            measureVisualization({ priority: 1, preferredPositions: {}, ...visualization, objectId })
+        ];
+    }
+
+    // Change a visualization in place; its position memory, smoothing and anchor are kept
+    // Returns the updated visualization, or null when it does not exist.
+    function updateVisualization(objectId, visualizationId, changes) {
+        const visualizations = getVisualizationsForObject(objectId);
+        const index = visualizations.findIndex(visualization => visualization.id === visualizationId);
+        if (index === -1) return null;
+
+        const changed = { ...visualizations[index], ...changes, id: visualizationId, objectId };
+        const resized = ['content', 'type', 'style'].some(field => field in changes);
+        const updated = resized ? measureVisualization(changed) : changed;
+        visualizationRegistry[objectId] = visualizations.map((visualization, i) => (i === index ? updated : visualization));
+        return updated;
+    }
+
+    // Detach a visualization from a physical object and forget its state
+    // Returns whether the visualization existed.
+    function removeVisualization(objectId, visualizationId) {
+        const visualizations = getVisualizationsForObject(objectId);
+        if (!visualizations.some(visualization => visualization.id === visualizationId)) return false;
+
+        visualizationRegistry[objectId] = visualizations.filter(visualization => visualization.id !== visualizationId);
+        const stabilizationId = `${objectId}_${visualizationId}`;
+        delete previousVisualizationPositions[stabilizationId];
+        delete positionTransitions[stabilizationId];
+        delete anchorMemory[stabilizationId];
+        delete pinnedPositions[stabilizationId];
+        delete appearances[stabilizationId];
+        delete anchorRoutes[stabilizationId];
+        return true;
+    }
+
+    // Keep a visualization at a fixed position (its top-left corner) instead of placing it
+    // Other visualizations are placed around it. Returns whether the visualization exists.
+    function pinVisualization(objectId, visualizationId, position) {
+        if (!getVisualizationsForObject(objectId).some(visualization => visualization.id === visualizationId)) return false;
+        pinnedPositions[`${objectId}_${visualizationId}`] = { objectId, x: position.x, y: position.y };
+        return true;
+    }
+
+    // Hand a pinned visualization back to the engine; returns whether it was pinned
+    function unpinVisualization(objectId, visualizationId) {
+        const stabilizationId = `${objectId}_${visualizationId}`;
+        if (!pinnedPositions[stabilizationId]) return false;
+        delete pinnedPositions[stabilizationId];
+        return true;
+    }
+
+    // Get the pinned position of a visualization, or null when it is placed by the engine
+    function getPinnedPosition(objectId, visualizationId) {
+        const pinned = pinnedPositions[`${objectId}_${visualizationId}`];
+        return pinned ? { x: pinned.x, y: pinned.y } : null;
+    }
+
+    // Get all visualizations for a physical object
+    function getVisualizationsForObject(objectId) {
+        return visualizationRegistry[objectId] || [];
+    }
+
+    // Stabilize visualization position to prevent jumping
+    function stabilizeVisualizationPosition(objectId, visualizationId, newPosition, currentTime = Date.now()) {
+        const stabilizationId = `${objectId}_${visualizationId}`;
+
+        // If we have no previous position for this visualization, initialize it
+        if (!previousVisualizationPositions[stabilizationId]) {
+            previousVisualizationPositions[stabilizationId] = {
+                objectId,
+                x: newPosition.x,
+                y: newPosition.y,
+                lastSeen: currentTime
+            };
+            return { x: newPosition.x, y: newPosition.y };
+        }
+
+        // Get previous position
+        const prevPos = previousVisualizationPositions[stabilizationId];
+
+        // Start a smoothing filter at the previous position on the first transition
+        if (!positionTransitions[stabilizationId]) {
+            const filter = createSmoothingFilter();
+            filter(prevPos, prevPos.lastSeen);
+            positionTransitions[stabilizationId] = filter;
+        }
+
+        // Move toward the new target position
+        const smoothedPosition = positionTransitions[stabilizationId](newPosition, currentTime);
+
+        // Update previous position
+        previousVisualizationPositions[stabilizationId] = {
+            objectId,
+            x: smoothedPosition.x,
+            y: smoothedPosition.y,
+            lastSeen: currentTime
+        };
+
+        // Return the smoothed position
+        return {
+            x: Math.round(smoothedPosition.x),
+            y: Math.round(smoothedPosition.y)
+        };
+    }
+
+    // Remember a pinned visualization's position without smoothing it
+    function recordPinnedPosition(objectId, visualizationId, position, currentTime) {
+        previousVisualizationPositions[`${objectId}_${visualizationId}`] = { objectId, x: position.x, y: position.y, lastSeen: currentTime };
+        return { x: position.x, y: position.y };
+    }
+
+    // Animation settings of a visualization, or null when it is not animated
+    function getAnimation(visualization) {
+        return engineConfig.animations.enabled ? resolveAnimation(engineConfig.animations, visualization.animation) : null;
+    }
+
+    // Advance a visualization's fade toward shown or hidden; returns { opacity, scale, phase }
+    // `size` is the size it was placed at, kept for its ghost.
+    function updateAppearance(objectId, visualizationId, shown, animation, currentTime, size) {
+        const stabilizationId = `${objectId}_${visualizationId}`;
+        const state = appearances[stabilizationId] || { objectId, value: 0, lastTime: currentTime };
+        state.value = stepAppearance(state.value, shown, currentTime - state.lastTime, animation);
+        state.lastTime = currentTime;
+        if (size) state.size = size;
+        appearances[stabilizationId] = state;
+        return getAppearance(state.value, shown, animation);
+    }
+
+    // Start moving a visualization of `size` from where it is to a new anchor
+    function startAnchorRoute(physicalObject, visualizationId, size, currentTime) {
+        const stabilizationId = `${physicalObject.id}_${visualizationId}`;
+        const previous = previousVisualizationPositions[stabilizationId];
+        if (!previous) return;
+        anchorRoutes[stabilizationId] = {
+            objectId: physicalObject.id,
+            offset: {
+                x: previous.x + size.width / 2 - physicalObject.x,
+                y: previous.y + size.height / 2 - physicalObject.y
+            },
+            startedAt: currentTime
+        };
+    }
+
+    // Position on the way to a new anchor, going around the object rather than through it
+    // The route starts where the visualization was relative to the object and ends at the current
+    // target, so both ends follow a moving object. Smoothing takes over again from the end.
+    function followAnchorRoute(physicalObject, visualizationId, target, animation, currentTime) {
+        const stabilizationId = `${physicalObject.id}_${visualizationId}`;
+        const route = anchorRoutes[stabilizationId];
+        const { duration, easing, clearance } = animation.anchorChange;
+        const progress = duration > 0 ? Math.min(1, (currentTime - route.startedAt) / duration) : 1;
+        const size = { width: target.width, height: target.height };
+
+        const path = routeAroundRect(
+            { x: physicalObject.x + route.offset.x, y: physicalObject.y + route.offset.y },
+            { x: target.x + size.width / 2, y: target.y + size.height / 2 },
+            physicalObject,
+            size,
+            clearance
+        );
+        const center = getPointAlongPath(path, getEasing(easing)(progress));
+        if (progress >= 1) {
+            delete anchorRoutes[stabilizationId];
+        }
+        delete positionTransitions[stabilizationId];
+
+        const position = { x: Math.round(center.x - size.width / 2), y: Math.round(center.y - size.height / 2) };
+        previousVisualizationPositions[stabilizationId] = { objectId: physicalObject.id, ...position, lastSeen: currentTime };
+        return position;
+    }
+
+    // Fading copies of the visualizations of objects that are lost but still remembered
+    function collectGhosts(seenPhysicalObjectIds, currentTime) {
+        const ghosts = [];
+        Object.keys(objectLastSeen).forEach(objectId => {
+            if (seenPhysicalObjectIds.has(objectId)) return;
+
+            getVisualizationsForObject(objectId).forEach(visualization => {
+                const stabilizationId = `${objectId}_${visualization.id}`;
+                const animation = getAnimation(visualization);
+                const position = previousVisualizationPositions[stabilizationId];
+                if (!animation || !position || !appearances[stabilizationId]) return;
+
+                const appearance = updateAppearance(objectId, visualization.id, false, animation, currentTime);
+                delete anchorRoutes[stabilizationId];
+                const { value, size } = appearances[stabilizationId];
+                if (value === 0) return;
+                ghosts.push({
+                    x: position.x,
+                    y: position.y,
+                    width: size.width,
+                    height: size.height,
+                    depthScale: size.depthScale,
+                    priority: visualization.priority,
+                    id: visualization.id,
+                    objectId,
+                    ...appearance,
+                    visualization
+                });
+            });
+        });
+        return ghosts;
+    }
+
+    // Record the anchor chosen for a visualization this frame
+    function updateAnchorMemory(objectId, visualizationId, anchor, decision, currentTime) {
+        const stabilizationId = `${objectId}_${visualizationId}`;
+        const anchorState = anchorMemory[stabilizationId];
+
+        if (!anchorState || anchorState.anchor !== anchor) {
+            anchorMemory[stabilizationId] = { objectId, anchor, since: currentTime, challengedFrames: 0 };
+        } else {
+            anchorState.challengedFrames = decision.challenged ? anchorState.challengedFrames + 1 : 0;
+        }
+    }
+
+    // Get the current anchor of a visualization
+    function getAnchor(objectId, visualizationId) {
+        const anchorState = anchorMemory[`${objectId}_${visualizationId}`];
+        return anchorState ? anchorState.anchor : null;
+    }
+
+    // Forget the position memory of every visualization attached to a physical object
+    // Ids are compared as strings, since callers may pass an id back as an object key.
+    function forgetObjectPositions(objectId) {
+        const isObject = state => String(state.objectId) === String(objectId);
+        Object.keys(previousVisualizationPositions).forEach(stabilizationId => {
+            if (isObject(previousVisualizationPositions[stabilizationId])) {
+                delete previousVisualizationPositions[stabilizationId];
+                delete positionTransitions[stabilizationId];
+            }
+        });
+        Object.keys(anchorMemory).forEach(stabilizationId => {
+            if (isObject(anchorMemory[stabilizationId])) {
+                delete anchorMemory[stabilizationId];
+            }
+        });
+        [pinnedPositions, appearances, anchorRoutes].forEach(states => {
+            Object.keys(states).forEach(stabilizationId => {
+                if (isObject(states[stabilizationId])) {
+                    delete states[stabilizationId];
+                }
+            });
+        });
+    }
+
+    // Clean up physical object positions that haven't been seen recently
+    function cleanStalePhysicalObjectPositions(seenPhysicalObjectIds, currentTime) {
+        Object.keys(objectLastSeen).forEach(objectId => {
+            if (seenPhysicalObjectIds.has(objectId)) return;
+
+            // If we haven't seen this physical object for too long, remove it
+            if (currentTime - objectLastSeen[objectId] > engineConfig.positionMemoryTimeout) {
+                forgetObjectPositions(objectId);
+                delete objectLastSeen[objectId];
+                delete objectMotion[objectId];
+            }
+        });
+    }
+
+    // Clean up visualizations for objects that no longer exist
+    function cleanupStaleVisualizations() {
+        // Visualizations added ahead of an object's first detection are kept until it shows up
+        for (const objectId in visualizationRegistry) {
+            if (initializedObjectIds.has(objectId) && !(objectId in objectLastSeen)) {
+                delete visualizationRegistry[objectId];
+                initializedObjectIds.delete(objectId);
+            }
+        }
+    }
+
+    // Remove a physical object and all of its state immediately
+    function removeObject(objectId) {
+        forgetObjectPositions(objectId);
+        delete objectLastSeen[objectId];
+        delete objectMotion[objectId];
+        delete visualizationRegistry[objectId];
+        initializedObjectIds.delete(String(objectId));
+    }
+
+    // Place every visualization for one frame of detections
+    // detections: { faces: [rect], physicalObjects: [{ id, ...rect }] }
+    // viewport: { width, height }
+    // Visualizations without any valid placement are listed in `unplaced` so callers can hide or shrink them.
+    // Placements carry the `opacity`, `scale` and `phase` ('entering' or 'visible') to draw them with;
+    // `ghosts` holds the fading visualizations of lost objects in the same form (phase 'exiting').
+    // With depth, placements also carry their object's `depth` and their `depthScale` (their width
+    // and height are already scaled), and are ordered farthest first.
+    function placeFrame(detections, viewport, currentTime = Date.now()) {
+        const allObjects = {
+            faces: [...(detections.faces || [])],
+            physicalObjects: [...(detections.physicalObjects || [])],
+            visualizations: []
+        };
+        const placements = [];
+        // Scoring rules with the settings of each object class, resolved once per frame
+        const rulesByClass = new Map();
+        const getScoringRules = type => {
+            if (!rulesByClass.has(type)) {
+                const rules = [...defaultScoringRules, ...customScoringRules];
+                rulesByClass.set(type, resolveScoringRules(rules, engineConfig, getClassRuleSettings(engineConfig, type)));
+            }
+            return rulesByClass.get(type);
+        };
+
+        // Motion-aware mode: place against where each object is about to be
+        if (engineConfig.motion.enabled) {
+            allObjects.physicalObjects = allObjects.physicalObjects.map(physicalObject => predictObject(physicalObject, currentTime));
+        }
+
+        // Track which objectIds were seen this frame, as strings like the keys of objectLastSeen
+        const seenPhysicalObjectIds = new Set();
+
+        // Build one joint-placement item for a visualization
+        const buildItem = (physicalObject, visualization, forceFallback = false) => {
+            const size = getVisualizationSize(physicalObject, visualization, engineConfig);
+            const positionScores = collectCandidatePositions(
+                physicalObject,
+                size.width,
+                size.height,
+                allObjects,
+                viewport,
+                {
+                    previousPosition: previousVisualizationPositions[`${physicalObject.id}_${visualization.id}`],
+                    preferredPositions: visualization.preferredPositions,
+                    config: engineConfig,
+                    rules: getScoringRules(physicalObject.type),
+                    exclusionZones,
+                    forceFallback
+                }
+            );
+
+            // Hysteresis: keep the current anchor unless a switch has been earned
+            const anchorDecision = evaluateAnchorSwitch(
+                anchorMemory[`${physicalObject.id}_${visualization.id}`],
+                positionScores,
+                engineConfig,
+                currentTime
+            );
+            const held = !forceFallback && anchorDecision.hold;
+
+            return {
+                physicalObject,
+                objectId: physicalObject.id,
+                visualization,
+                size,
+                weight: getPriorityWeight(visualization.priority),
+                usedFallback: forceFallback || positionScores.length > 0 && !positionScores.some(isClearCandidate),
+                held,
+                anchorDecision,
+                scoredCandidates: positionScores,
+                candidates: (held ? [anchorDecision.current] : positionScores).map(candidate => ({
+                    rect: candidate.visualization,
+                    cost: -candidate.score,
+                    position: candidate.position,
+                    leaderLine: candidate.leaderLine
+                }))
+            };
+        };
+
+        // A pinned visualization has its pinned position as its only candidate
+        const buildPinnedItem = (physicalObject, visualization, pinned) => {
+            const size = getVisualizationSize(physicalObject, visualization, engineConfig);
+            const rect = { x: pinned.x, y: pinned.y, width: size.width, height: size.height };
+            return {
+                physicalObject,
+                objectId: physicalObject.id,
+                visualization,
+                size,
+                weight: getPriorityWeight(visualization.priority),
+                usedFallback: false,
+                held: false,
+                pinned: true,
+                anchorDecision: null,
+                scoredCandidates: [],
+                candidates: [{
+                    rect,
+                    cost: 0,
+                    position: 'pinned',
+                    leaderLine: engineConfig.callouts.enabled ? getCalloutLine(rect, physicalObject, engineConfig.callouts) : null
+                }]
+            };
+        };
+
+        // Collect every visualization of every physical object as one joint problem
+        let items = [];
+
+        allObjects.physicalObjects.forEach(physicalObject => {
+            const objectId = physicalObject.id;
+            seenPhysicalObjectIds.add(String(objectId));
+            objectLastSeen[objectId] = currentTime;
+
+            // Initialize visualizations for newly seen objects, keeping any added beforehand
+            if (!initializedObjectIds.has(String(objectId))) {
+                setVisualizations(objectId, [...createObjectVisualizations(physicalObject), ...getVisualizationsForObject(objectId)]);
+            }
+
+            getVisualizationsForObject(objectId).forEach(visualization => {
+                const pinned = pinnedPositions[`${objectId}_${visualization.id}`];
+                items.push(pinned ? buildPinnedItem(physicalObject, visualization, pinned) : buildItem(physicalObject, visualization));
+            });
+        });
+
+        // Visualizations without any in-bounds candidate cannot be placed
+        const unplaced = items
+            .filter(item => item.candidates.length === 0)
+            .map(({ objectId, visualization }) => ({ objectId, visualization, reason: 'no-valid-placement' }));
+        items = items.filter(item => item.candidates.length > 0);
+
+        // Canonical order (highest priority first, then by id) so the result
+        // does not depend on the order in which the detector reported objects
+        items.sort((a, b) =>
+            (b.visualization.priority - a.visualization.priority) ||
+            String(a.objectId).localeCompare(String(b.objectId)) ||
+            String(a.visualization.id).localeCompare(String(b.visualization.id))
+        );
+
+        // Choose one candidate per visualization, minimizing the total cost of the layout
+        const pairPenalty = engineConfig.callouts.enabled ? createCalloutPairPenalty(engineConfig.callouts) : null;
+        let solution = solveJointPlacement(items, engineConfig.solver, pairPenalty);
+
+        // If labels still overlap, widen the search for the visualizations involved and solve again
+        if (solution.overlap > 0) {
+            const overlapping = new Set();
+            items.forEach((item, i) => {
+                items.forEach((other, j) => {
+                    if (i < j && calculateIntersectionArea(
+                        item.candidates[solution.assignment[i]].rect,
+                        other.candidates[solution.assignment[j]].rect
+                    ) > 0) {
+                        overlapping.add(i);
+                        overlapping.add(j);
+                    }
+                });
+            });
+            // Visualizations held on their anchor by hysteresis are released as well; pinned ones stay
+            const widened = items.map((item, i) =>
+                overlapping.has(i) && !item.pinned && (!item.usedFallback || item.held)
+                    ? { ...buildItem(item.physicalObject, item.visualization, true), anchorDecision: item.anchorDecision }
+                    : item
+            );
+            if (widened.some((item, i) => item !== items[i])) {
+                items = widened;
+                solution = solveJointPlacement(items, engineConfig.solver, pairPenalty);
+            }
+        }
+
+        const diagnostics = [];
+        items.forEach(({ physicalObject, objectId, visualization, size, candidates, anchorDecision, scoredCandidates, held, usedFallback, pinned }, index) => {
+            const candidate = candidates[solution.assignment[index]];
+            const animation = getAnimation(visualization);
+            const previousAnchor = getAnchor(objectId, visualization.id);
+            if (pinned) {
+                // Once unpinned, the visualization chooses a fresh anchor and glides from the pin
+                const stabilizationId = `${objectId}_${visualization.id}`;
+                delete anchorMemory[stabilizationId];
+                delete positionTransitions[stabilizationId];
+            } else {
+                updateAnchorMemory(objectId, visualization.id, candidate.position, anchorDecision, currentTime);
+            }
+
+            if (engineConfig.diagnostics) {
+                diagnostics.push({
+                    objectId,
+                    visualizationId: visualization.id,
+                    chosen: candidate.position,
+                    held,
+                    usedFallback,
+                    candidates: scoredCandidates.map(scored => ({
+                        ...scored.visualization,
+                        position: scored.position,
+                        score: scored.score,
+                        breakdown: scored.breakdown
+                    }))
+                });
+            }
+
+            // A visualization changing anchor goes around its object when animated
+            if (!pinned && animation && previousAnchor && previousAnchor !== candidate.position) {
+                startAnchorRoute(physicalObject, visualization.id, size, currentTime);
+            }
+            let stabilizedPosition;
+            if (pinned) {
+                delete anchorRoutes[`${objectId}_${visualization.id}`];
+                stabilizedPosition = recordPinnedPosition(objectId, visualization.id, candidate.rect, currentTime);
+            } else if (anchorRoutes[`${objectId}_${visualization.id}`]) {
+                stabilizedPosition = followAnchorRoute(physicalObject, visualization.id, candidate.rect, animation, currentTime);
+            } else {
+                stabilizedPosition = stabilizeVisualizationPosition(objectId, visualization.id, candidate.rect, currentTime);
+            }
+            const appearance = animation
+                ? updateAppearance(objectId, visualization.id, true, animation, currentTime, size)
+                : { opacity: 1, scale: 1, phase: 'visible' };
+
+            // Store the visualization for later consumers of the frame
+            const placedVisualization = {
+                x: stabilizedPosition.x,
+                y: stabilizedPosition.y,
+                width: size.width,
+                height: size.height,
+                priority: visualization.priority,
+                id: visualization.id
+            };
+            allObjects.visualizations.push(placedVisualization);
+
+            placements.push({
+                ...placedVisualization,
+                objectId,
+                pinned: Boolean(pinned),
+                position: candidate.position,
+                leaderLine: engineConfig.callouts.enabled ? getCalloutLine(placedVisualization, physicalObject, engineConfig.callouts) : null,
+                ...appearance,
+                depth: hasDepth(engineConfig, physicalObject) ? physicalObject.depth : null,
+                depthScale: size.depthScale,
+                visualization
+            });
+        });
+
+        // With depth, draw order follows the scene: farthest first, objects without a depth behind
+        if (engineConfig.depth.enabled) {
+            placements.sort((a, b) => (b.depth ?? Infinity) - (a.depth ?? Infinity) || 0);
+        }
+
+        // Lost objects' visualizations fade out where they were last placed
+        const ghosts = collectGhosts(seenPhysicalObjectIds, currentTime);
+
+        // Clean up any stale physical object positions
+        cleanStalePhysicalObjectPositions(seenPhysicalObjectIds, currentTime);
+        cleanupStaleVisualizations();
+
+        return { ...allObjects, placements, ghosts, unplaced, diagnostics, exclusionZones };
+    }
+
+    // Forget all tracking state, e.g. when detection restarts (templates, rules and zones are kept)
+    function reset() {
+        visualizationRegistry = {};
+        initializedObjectIds = new Set();
+        previousVisualizationPositions = {};
+        positionTransitions = {};
+        anchorMemory = {};
+        objectLastSeen = {};
+        objectMotion = {};
+        pinnedPositions = {};
+        appearances = {};
+        anchorRoutes = {};
+    }
+
+    return {
+        config: engineConfig,
+        placeFrame,
+        reset,
+        removeObject,
+        setVisualizations,
+        getVisualizationsForObject,
+        registerVisualizationTemplate,
+        registerScoringRule,
+        getExclusionZones: () => exclusionZones,
+        setExclusionZones,
+        addExclusionZone,
+        updateExclusionZone,
+        removeExclusionZone,
+        addVisualization,
+        updateVisualization,
+        removeVisualization,
+        pinVisualization,
+        unpinVisualization,
+        getPinnedPosition,
+        getAnchor,
+        stabilizeVisualizationPosition
+    };
+}
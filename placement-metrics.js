@@ -0,0 +1,159 @@
+// Placement quality metrics
+// Objective numbers for comparing weights and configurations, computed from the result
+// of `placeFrame`. Lower is better for every metric:
+//   faceOverlap     px² of labels covering faces, tracked ones (type 'face') included
+//   objectOverlap   px² of labels covering other physical objects (their own anchor included)
+//   labelOverlap    px² of labels covering each other
+//   outOfBounds     number of labels not fully inside the viewport
+//   anchorDistance  mean gap (px) between a label and its anchor object
+//   anchorSwitches  labels that changed anchor since the previous frame
+//   jitter          mean movement (px) of labels relative to their anchor since the previous frame
+
+import { calculateIntersectionArea, getDistance, getLeaderLine, getSegmentLength, isRectInBounds } from './geometry.js';
+import { getOccludedArea } from './occluders.js';
+
+// Metrics of one frame that need no history
+export function measureFrame(result, viewport) {
+    const { placements } = result;
+    const objectsById = new Map(result.physicalObjects.map(physicalObject => [physicalObject.id, physicalObject]));
+
+    let faceOverlap = 0;
+    let objectOverlap = 0;
+    let labelOverlap = 0;
+    let outOfBounds = 0;
+    let anchorDistanceTotal = 0;
+
+    placements.forEach((placement, i) => {
+        result.faces.forEach(face => {
+            faceOverlap += getOccludedArea(placement, face);
+        });
+        result.physicalObjects.forEach(physicalObject => {
+            const area = getOccludedArea(placement, physicalObject);
+            if (physicalObject.type === 'face' && physicalObject.id !== placement.objectId) faceOverlap += area;
+            else objectOverlap += area;
+        });
+        for (let j = i + 1; j < placements.length; j++) {
+            labelOverlap += calculateIntersectionArea(placement, placements[j]);
+        }
+        if (!isRectInBounds(placement, viewport)) {
+            outOfBounds++;
+        }
+
+        const anchor = objectsById.get(placement.objectId);
+        if (anchor) {
+            anchorDistanceTotal += getSegmentLength(getLeaderLine(placement, anchor));
+        }
+    });
+
+    return {
+        placed: placements.length,
+        unplaced: (result.unplaced || []).length,
+        faceOverlap,
+        objectOverlap,
+        labelOverlap,
+        outOfBounds,
+        anchorDistance: placements.length > 0 ? anchorDistanceTotal / placements.length : 0
+    };
+}
+
+// Per-frame metrics with frame-to-frame comparisons and session totals
+export function createPlacementMetrics() {
+    // Previous frame's label position, anchor name and anchor box by `${objectId}_${visualizationId}`
+    let previous = new Map();
+    let totals = null;
+
+    // Start a new session
+    function reset() {
+        previous = new Map();
+        totals = {
+            frames: 0,
+            firstTimestamp: null,
+            lastTimestamp: null,
+            faceOverlap: 0,
+            objectOverlap: 0,
+            labelOverlap: 0,
+            outOfBounds: 0,
+            anchorDistance: 0,
+            anchorSwitches: 0,
+            jitter: 0,
+            jitterSamples: 0,
+            unplaced: 0
+        };
+    }
+    reset();
+
+    // Measure one frame and add it to the session totals
+    function update(result, viewport, timestamp) {
+        const frame = measureFrame(result, viewport);
+        const objectsById = new Map(result.physicalObjects.map(physicalObject => [physicalObject.id, physicalObject]));
+        const current = new Map();
+
+        let anchorSwitches = 0;
+        let jitterTotal = 0;
+        let jitterSamples = 0;
+        result.placements.forEach(placement => {
+            const key = `${placement.objectId}_${placement.id}`;
+            const anchor = objectsById.get(placement.objectId) || null;
+            const entry = { x: placement.x, y: placement.y, position: placement.position, anchor };
+            current.set(key, entry);
+
+            const last = previous.get(key);
+            if (!last) return;
+            if (last.position !== entry.position) {
+                anchorSwitches++;
+            }
+
+            // Movement the anchor's own motion does not explain
+            const anchorDx = anchor && last.anchor ? anchor.x - last.anchor.x : 0;
+            const anchorDy = anchor && last.anchor ? anchor.y - last.anchor.y : 0;
+            jitterTotal += getDistance({ x: entry.x - last.x, y: entry.y - last.y }, { x: anchorDx, y: anchorDy });
+            jitterSamples++;
+        });
+        previous = current;
+
+        const metrics = {
+            ...frame,
+            anchorSwitches,
+            jitter: jitterSamples > 0 ? jitterTotal / jitterSamples : 0
+        };
+
+        totals.frames++;
+        totals.firstTimestamp = totals.firstTimestamp ?? timestamp;
+        totals.lastTimestamp = timestamp;
+        ['faceOverlap', 'objectOverlap', 'labelOverlap', 'outOfBounds', 'anchorDistance', 'anchorSwitches', 'unplaced'].forEach(name => {
+            totals[name] += metrics[name];
+        });
+        totals.jitter += jitterTotal;
+        totals.jitterSamples += jitterSamples;
+
+        return metrics;
+    }
+
+    // Session aggregates: means per frame, switches per second and the mean jitter per label
+    function summary() {
+        const frames = Math.max(totals.frames, 1);
+        const duration = totals.frames > 1 ? totals.lastTimestamp - totals.firstTimestamp : 0;
+        return {
+            frames: totals.frames,
+            duration,
+            meanFaceOverlap: totals.faceOverlap / frames,
+            meanObjectOverlap: totals.objectOverlap / frames,
+            meanLabelOverlap: totals.labelOverlap / frames,
+            outOfBounds: totals.outOfBounds,
+            unplaced: totals.unplaced,
+            meanAnchorDistance: totals.anchorDistance / frames,
+            anchorSwitches: totals.anchorSwitches,
+            anchorSwitchesPerSecond: duration > 0 ? totals.anchorSwitches / (duration / 1000) : 0,
+            meanJitter: totals.jitterSamples > 0 ? totals.jitter / totals.jitterSamples : 0
+        };
+    }
+
+    return { update, summary, reset };
+}
+
+// Session summary of recorded or replayed frames: [{ timestamp, viewport, result }]
+export function summarizeFrames(frames) {
+    const metrics = createPlacementMetrics();
+    frames.forEach(({ timestamp, viewport, result }) => metrics.update(result, viewport, timestamp));
+    return metrics.summary();
+}
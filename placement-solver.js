@@ -0,0 +1,232 @@
+// Joint placement solver
+// Chooses one candidate for every visualization at once so that labels of different
+// objects are scored together. Label-to-label overlap is minimised first and the
+// weighted candidate cost second, so two labels only overlap when no overlap-free
+// layout exists among the candidates.
+
+import { calculateIntersectionArea } from './geometry.js';
+import { createRandom } from './random.js';
+
+// Default solver configuration
+export const defaultSolverConfig = {
+    // Largest number of candidate combinations searched exhaustively
+    exhaustiveLimit: 5000,
+    // Simulated annealing settings used above the exhaustive limit
+    iterations: 4000,
+    initialTemperature: 500,
+    coolingRate: 0.998,
+    // Cost per px² of label overlap when annealing compares layouts
+    overlapPenalty: 1000,
+    // Seed for the annealing random number generator (keeps results deterministic)
+    seed: 1
+};
+
+// Compare two layout energies: less overlap wins, then lower cost
+function isBetterEnergy(a, b) {
+    if (a.overlap < b.overlap - 1e-9) return true;
+    if (a.overlap > b.overlap + 1e-9) return false;
+    return a.cost < b.cost - 1e-9;
+}
+
+// Precompute the overlap (and optional soft penalty) between every pair of candidates of every pair of items
+function buildPairTables(items, pairPenalty) {
+    const overlapTable = items.map(() => []);
+    const penaltyTable = items.map(() => []);
+    const transpose = (matrix) => matrix[0] ? matrix[0].map((_, b) => matrix.map(row => row[b])) : [];
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const overlaps = items[i].candidates.map(candidateA =>
+                items[j].candidates.map(candidateB => calculateIntersectionArea(candidateA.rect, candidateB.rect))
+            );
+            const penalties = items[i].candidates.map(candidateA =>
+                items[j].candidates.map(candidateB => pairPenalty ? pairPenalty(candidateA, candidateB) : 0)
+            );
+            overlapTable[i][j] = overlaps;
+            overlapTable[j][i] = transpose(overlaps);
+            penaltyTable[i][j] = penalties;
+            penaltyTable[j][i] = transpose(penalties);
+        }
+    }
+    return { overlap: overlapTable, penalty: penaltyTable };
+}
+
+// Weighted unary cost of a candidate
+function candidateCost(item, candidateIndex) {
+    return item.candidates[candidateIndex].cost * item.weight;
+}
+
+// Sum a pair table between one item's candidate and every other item's current choice
+function sumWithOthers(pairTable, assignment, itemIndex, candidateIndex) {
+    let total = 0;
+    for (let j = 0; j < assignment.length; j++) {
+        if (j !== itemIndex && assignment[j] !== -1) {
+            total += pairTable[itemIndex][j][candidateIndex][assignment[j]];
+        }
+    }
+    return total;
+}
+
+// Energy contribution of one item's candidate given the other items' current choices
+function energyWithOthers(items, tables, assignment, itemIndex, candidateIndex) {
+    return {
+        overlap: sumWithOthers(tables.overlap, assignment, itemIndex, candidateIndex),
+        cost: candidateCost(items[itemIndex], candidateIndex) + sumWithOthers(tables.penalty, assignment, itemIndex, candidateIndex)
+    };
+}
+
+// Evaluate a complete assignment
+function evaluateAssignment(items, tables, assignment) {
+    let overlap = 0;
+    let cost = 0;
+    for (let i = 0; i < items.length; i++) {
+        cost += candidateCost(items[i], assignment[i]);
+        for (let j = i + 1; j < items.length; j++) {
+            overlap += tables.overlap[i][j][assignment[i]][assignment[j]];
+            cost += tables.penalty[i][j][assignment[i]][assignment[j]];
+        }
+    }
+    return { overlap, cost };
+}
+
+// Greedy layout: items in the given order each take their best candidate so far
+function solveGreedy(items, tables) {
+    const assignment = items.map(() => -1);
+    items.forEach((item, i) => {
+        let best = -1;
+        let bestEnergy = null;
+        item.candidates.forEach((_, c) => {
+            const energy = energyWithOthers(items, tables, assignment, i, c);
+            if (!bestEnergy || isBetterEnergy(energy, bestEnergy)) {
+                best = c;
+                bestEnergy = energy;
+            }
+        });
+        assignment[i] = best;
+    });
+    return assignment;
+}
+
+// Exhaustive depth-first search with branch and bound
+function solveExhaustive(items, tables) {
+    // Lowest possible cost of the items not yet assigned, used as the bound
+    const minRemainingCost = new Array(items.length + 1).fill(0);
+    for (let i = items.length - 1; i >= 0; i--) {
+        const minCost = Math.min(...items[i].candidates.map((_, c) => candidateCost(items[i], c)));
+        minRemainingCost[i] = minRemainingCost[i + 1] + minCost;
+    }
+
+    const assignment = items.map(() => -1);
+    let bestAssignment = solveGreedy(items, tables);
+    let bestEnergy = evaluateAssignment(items, tables, bestAssignment);
+
+    function search(i, overlap, cost) {
+        // Prune branches that can no longer beat the best layout
+        if (!isBetterEnergy({ overlap, cost: cost + minRemainingCost[i] }, bestEnergy)) return;
+
+        if (i === items.length) {
+            bestAssignment = [...assignment];
+            bestEnergy = { overlap, cost };
+            return;
+        }
+
+        items[i].candidates.forEach((_, c) => {
+            const energy = energyWithOthers(items, tables, assignment, i, c);
+            assignment[i] = c;
+            search(i + 1, overlap + energy.overlap, cost + energy.cost);
+            assignment[i] = -1;
+        });
+    }
+    search(0, 0, 0);
+
+    return bestAssignment;
+}
+
+// Simulated annealing seeded with the greedy layout, finished by local search
+function solveAnnealing(items, tables, config) {
+    const random = createRandom(config.seed);
+    const scalarEnergy = (energy) => energy.overlap * config.overlapPenalty + energy.cost;
+
+    const assignment = solveGreedy(items, tables);
+    let energy = evaluateAssignment(items, tables, assignment);
+    let bestAssignment = [...assignment];
+    let bestEnergy = energy;
+    let temperature = config.initialTemperature;
+
+    for (let step = 0; step < config.iterations; step++) {
+        const i = Math.floor(random() * items.length);
+        const candidate = Math.floor(random() * items[i].candidates.length);
+        const current = assignment[i];
+        if (candidate === current) continue;
+
+        // Incremental energy change of moving item i to the new candidate
+        const before = energyWithOthers(items, tables, assignment, i, current);
+        const after = energyWithOthers(items, tables, assignment, i, candidate);
+        const next = {
+            overlap: energy.overlap - before.overlap + after.overlap,
+            cost: energy.cost - before.cost + after.cost
+        };
+        const delta = scalarEnergy(next) - scalarEnergy(energy);
+
+        if (delta <= 0 || random() < Math.exp(-delta / Math.max(temperature, 1e-6))) {
+            assignment[i] = candidate;
+            energy = next;
+            if (isBetterEnergy(energy, bestEnergy)) {
+                bestAssignment = [...assignment];
+                bestEnergy = energy;
+            }
+        }
+        temperature *= config.coolingRate;
+    }
+
+    return improveLocally(items, tables, bestAssignment);
+}
+
+// Move single items to their best candidate until no move improves the layout
+function improveLocally(items, tables, assignment) {
+    let improved = true;
+    while (improved) {
+        improved = false;
+        items.forEach((item, i) => {
+            const currentEnergy = energyWithOthers(items, tables, assignment, i, assignment[i]);
+            item.candidates.forEach((_, c) => {
+                const energy = energyWithOthers(items, tables, assignment, i, c);
+                if (isBetterEnergy(energy, currentEnergy)) {
+                    assignment[i] = c;
+                    currentEnergy.overlap = energy.overlap;
+                    currentEnergy.cost = energy.cost;
+                    improved = true;
+                }
+            });
+        });
+    }
+    return assignment;
+}
+
+// Solve the joint placement problem
+// items: [{ weight, candidates: [{ rect, cost }] }], lower cost is better
+// pairPenalty: optional (candidateA, candidateB) => soft cost of choosing both candidates together
+// Returns the chosen candidate index for every item and the resulting energy.
+export function solveJointPlacement(items, config = {}, pairPenalty = null) {
+    const solverConfig = { ...defaultSolverConfig, ...config };
+
+    if (items.length === 0) {
+        return { assignment: [], overlap: 0, cost: 0, method: 'none' };
+    }
+
+    const tables = buildPairTables(items, pairPenalty);
+
+    // Number of complete layouts, stopping early once it passes the limit
+    let combinations = 1;
+    for (const item of items) {
+        combinations *= item.candidates.length;
+        if (combinations > solverConfig.exhaustiveLimit) break;
+    }
+
+    const method = combinations <= solverConfig.exhaustiveLimit ? 'exhaustive' : 'annealing';
+    const assignment = method === 'exhaustive'
+        ? solveExhaustive(items, tables)
+        : solveAnnealing(items, tables, solverConfig);
+
+    return { assignment, ...evaluateAssignment(items, tables, assignment), method };
+}
@@ -0,0 +1,14 @@
+// Seeded random numbers
+// Used wherever results must be reproducible: the annealing solver and synthetic scenes.
+
+// Small deterministic random number generator (mulberry32), returns numbers in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
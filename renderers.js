@@ -0,0 +1,258 @@
+// Canvas renderers for visualizations
+// A renderer is { draw(ctx, visualization, rect), measure?(ctx, visualization) => { width, height } }.
+// The visualization's `type` picks the renderer ('box' when missing). `measure` lets
+// content-driven visualizations such as wrapped text size themselves before placement.
+
+// Style used for every property a visualization does not set
+export const defaultStyle = {
+    color: '#FF0000',
+    borderColor: '#FFFFFF',
+    borderWidth: 2,
+    textColor: '#FFFFFF',
+    font: '16px Arial',
+    lineHeight: 20,
+    padding: 8,
+    // Widest an auto-sized text visualization may grow (px)
+    maxWidth: 200,
+    // Sparkline and progress ring strokes
+    lineWidth: 2,
+    trackColor: 'rgba(255, 255, 255, 0.3)'
+};
+
+// Resolve a visualization's style against the defaults (the plain `color` field still works)
+export function resolveStyle(visualization) {
+    return {
+        ...defaultStyle,
+        ...(visualization.color ? { color: visualization.color } : {}),
+        ...visualization.style
+    };
+}
+
+// Break text into lines no wider than maxWidth, keeping explicit line breaks
+// A single word wider than maxWidth gets a line of its own.
+export function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Fill the background and stroke the border of a visualization
+function drawFrame(ctx, rect, style) {
+    ctx.fillStyle = style.color;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    if (style.borderWidth > 0) {
+        ctx.strokeStyle = style.borderColor;
+        ctx.lineWidth = style.borderWidth;
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+}
+
+// Draw one line of text centered at a point
+function drawCenteredText(ctx, text, x, y, style) {
+    ctx.fillStyle = style.textColor;
+    ctx.font = style.font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+}
+
+// Solid box with optional centered content or a custom content renderer
+export const boxRenderer = {
+    draw(ctx, visualization, rect) {
+        const style = resolveStyle(visualization);
+        drawFrame(ctx, rect, style);
+
+        if (visualization.render) {
+            visualization.render(ctx, visualization, rect);
+        } else if (visualization.content !== undefined && visualization.content !== '') {
+            drawCenteredText(ctx, String(visualization.content), rect.x + rect.width/2, rect.y + rect.height/2, style);
+        }
+    }
+};
+
+// Multi-line wrapped text that can size itself to its content
+export const textRenderer = {
+    measure(ctx, visualization) {
+        const style = resolveStyle(visualization);
+        ctx.font = style.font;
+        const lines = wrapText(ctx, visualization.content ?? '', style.maxWidth - style.padding * 2);
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        return {
+            width: Math.ceil(textWidth + style.padding * 2),
+            height: Math.ceil(lines.length * style.lineHeight + style.padding * 2)
+        };
+    },
+    draw(ctx, visualization, rect) {
+        const style = resolveStyle(visualization);
+        drawFrame(ctx, rect, style);
+
+        ctx.fillStyle = style.textColor;
+        ctx.font = style.font;
+        ctx.textAlign = style.align || 'left';
+        ctx.textBaseline = 'middle';
+        const x = ctx.textAlign === 'center' ? rect.x + rect.width/2 : rect.x + style.padding;
+        const lines = wrapText(ctx, visualization.content ?? '', rect.width - style.padding * 2);
+        lines.forEach((line, i) => {
+            ctx.fillText(line, x, rect.y + style.padding + (i + 0.5) * style.lineHeight);
+        });
+    }
+};
+
+// Icon or image (visualization.image: any CanvasImageSource), scaled to fit, with an optional caption
+export const imageRenderer = {
+    draw(ctx, visualization, rect) {
+        const style = resolveStyle(visualization);
+        drawFrame(ctx, rect, style);
+
+        const hasCaption = visualization.content !== undefined && visualization.content !== '';
+        const area = {
+            x: rect.x + style.padding,
+            y: rect.y + style.padding,
+            width: rect.width - style.padding * 2,
+            height: rect.height - style.padding * 2 - (hasCaption ? style.lineHeight : 0)
+        };
+
+        // Images that are still loading are skipped until a later frame
+        const image = visualization.image;
+        const imageWidth = image && (image.naturalWidth || image.width);
+        const imageHeight = image && (image.naturalHeight || image.height);
+        if (imageWidth > 0 && imageHeight > 0 && image.complete !== false && area.width > 0 && area.height > 0) {
+            const scale = Math.min(area.width / imageWidth, area.height / imageHeight);
+            const width = imageWidth * scale;
+            const height = imageHeight * scale;
+            ctx.drawImage(image, area.x + (area.width - width)/2, area.y + (area.height - height)/2, width, height);
+        }
+
+        if (hasCaption) {
+            drawCenteredText(ctx, String(visualization.content), rect.x + rect.width/2, rect.y + rect.height - style.padding - style.lineHeight/2, style);
+        }
+    }
+};
+
+// Small line chart of visualization.values (oldest first), e.g. hand speed over time
+export const sparklineRenderer = {
+    draw(ctx, visualization, rect) {
+        const style = resolveStyle(visualization);
+        drawFrame(ctx, rect, style);
+
+        const values = visualization.values || [];
+        if (values.length < 2) return;
+
+        const min = style.min ?? Math.min(...values);
+        const max = style.max ?? Math.max(...values);
+        const range = max - min || 1;
+        const left = rect.x + style.padding;
+        const top = rect.y + style.padding;
+        const width = rect.width - style.padding * 2;
+        const height = rect.height - style.padding * 2;
+
+        ctx.strokeStyle = style.lineColor || style.textColor;
+        ctx.lineWidth = style.lineWidth;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            const x = left + (i / (values.length - 1)) * width;
+            const y = top + height - ((Math.min(Math.max(value, min), max) - min) / range) * height;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+};
+
+// Ring filled clockwise by visualization.progress (0-1), labelled with the percentage or content
+export const progressRingRenderer = {
+    draw(ctx, visualization, rect) {
+        const style = resolveStyle(visualization);
+        drawFrame(ctx, rect, style);
+
+        const progress = Math.min(Math.max(visualization.progress ?? 0, 0), 1);
+        const centerX = rect.x + rect.width/2;
+        const centerY = rect.y + rect.height/2;
+        const ringWidth = style.ringWidth ?? 6;
+        const radius = Math.min(rect.width, rect.height)/2 - style.padding - ringWidth/2;
+        if (radius <= 0) return;
+
+        ctx.lineWidth = ringWidth;
+        ctx.strokeStyle = style.trackColor;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.strokeStyle = style.lineColor || style.textColor;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, -Math.PI/2, -Math.PI/2 + progress * Math.PI * 2);
+        ctx.stroke();
+
+        const label = visualization.content ?? `${Math.round(progress * 100)}%`;
+        drawCenteredText(ctx, String(label), centerX, centerY, style);
+    }
+};
+
+// Renderers available to every canvas renderer, by visualization type
+export const builtInRenderers = {
+    box: boxRenderer,
+    text: textRenderer,
+    image: imageRenderer,
+    sparkline: sparklineRenderer,
+    progressRing: progressRingRenderer
+};
+
+// Create a renderer that draws visualizations onto one canvas context
+// Extra renderers can be passed in or registered later by type.
+export function createCanvasRenderer(ctx, renderers = {}) {
+    const registry = { ...builtInRenderers, ...renderers };
+
+    // Find the renderer for a visualization's type
+    function getRenderer(visualization) {
+        const type = visualization.type || 'box';
+        const renderer = registry[type];
+        if (!renderer) {
+            throw new Error(`Unknown visualization type: ${type}`);
+        }
+        return renderer;
+    }
+
+    // Add or replace the renderer for a visualization type
+    function register(type, renderer) {
+        registry[type] = renderer;
+    }
+
+    // Size a visualization from its content, or null when no renderer here measures its type
+    // Types drawn elsewhere, such as 'html', keep their own size.
+    function measure(visualization) {
+        const renderer = registry[visualization.type || 'box'];
+        if (!renderer || !renderer.measure) return null;
+
+        ctx.save();
+        try {
+            return renderer.measure(ctx, visualization);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    // Draw a visualization into a rectangle { x, y, width, height }
+    function draw(visualization, rect) {
+        ctx.save();
+        try {
+            getRenderer(visualization).draw(ctx, visualization, rect);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    return { register, measure, draw };
+}
@@ -0,0 +1,62 @@
+// Replay a recorded session in Node and report how the placements differ
+// Usage: node replay-session.js <session.jsonl> [configA.json] [configB.json]
+//   no config:   replay with the recorded configuration and diff against the recording
+//   one config:  recorded configuration vs the recorded configuration overridden by configA
+//   two configs: configA vs configB, both applied over the recorded configuration
+
+import { readFileSync } from 'node:fs';
+import { createSessionReplay, diffPlacements, parseSession } from './session-recorder.js';
+import { summarizeFrames } from './placement-metrics.js';
+
+const [sessionPath, configPathA, configPathB] = process.argv.slice(2);
+
+if (!sessionPath) {
+    console.error('Usage: node replay-session.js <session.jsonl> [configA.json] [configB.json]');
+    process.exit(1);
+}
+
+// Read a JSON configuration file
+function readConfig(path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+const session = parseSession(readFileSync(sessionPath, 'utf8'));
+let framesA;
+let framesB;
+if (configPathB) {
+    framesA = createSessionReplay(session, readConfig(configPathA)).runAll();
+    framesB = createSessionReplay(session, readConfig(configPathB)).runAll();
+} else if (configPathA) {
+    framesA = createSessionReplay(session).runAll();
+    framesB = createSessionReplay(session, readConfig(configPathA)).runAll();
+} else {
+    framesA = session.frames;
+    framesB = createSessionReplay(session).runAll();
+}
+const diff = diffPlacements(framesA, framesB);
+
+// Quality metrics of both runs side by side
+const summaryA = summarizeFrames(framesA);
+const summaryB = summarizeFrames(framesB);
+console.log('Metric'.padEnd(26) + 'A'.padStart(12) + 'B'.padStart(12));
+Object.keys(summaryA).forEach(name => {
+    const format = value => String(Number(value.toFixed(2))).padStart(12);
+    console.log(name.padEnd(26) + format(summaryA[name]) + format(summaryB[name]));
+});
+console.log('');
+
+console.log(`Frames compared: ${diff.framesCompared}`);
+console.log(`Frames differing: ${diff.framesDiffering}`);
+console.log(`Largest move: ${diff.maxDistance.toFixed(1)}px`);
+
+// Show the first differences in detail
+diff.differences.slice(0, 20).forEach(({ frame, id, a, b, distance }) => {
+    const describe = placement => placement ? `${placement.position} (${placement.x}, ${placement.y})` : 'not placed';
+    const moved = Number.isFinite(distance) ? ` ${distance.toFixed(1)}px` : '';
+    console.log(`  frame ${frame} ${id}: ${describe(a)} -> ${describe(b)}${moved}`);
+});
+if (diff.differences.length > 20) {
+    console.log(`  ... ${diff.differences.length - 20} more`);
+}
+
+process.exitCode = diff.differences.length > 0 ? 1 : 0;
@@ -0,0 +1,130 @@
+// Scene drawing
+// Draws one placed frame on a 2D context: detection boxes, leader lines, canvas visualizations
+// and, in debug mode, the exclusion zones and the candidate diagnostics. It only needs a
+// context, so it draws on the page's canvas as well as on an OffscreenCanvas in a worker.
+// Colors come from the theme (see themes.js).
+
+import { resolveStyle } from './renderers.js';
+import { isDomVisualization } from './dom-overlay.js';
+import { drawCandidateDiagnostics, drawExclusionZones } from './debug-overlay.js';
+import { getSafeRect } from './geometry.js';
+import { applyTheme, getTheme } from './themes.js';
+import { gestureNames } from './gesture-names.js';
+
+// Box with a filled caption above it
+function drawLabeledBox(ctx, box, label, color, textColor) {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, box.width, box.height);
+    ctx.stroke();
+
+    // Background for the text, then the text
+    const textWidth = ctx.measureText(label).width;
+    ctx.fillRect(box.x, box.y - 20, textWidth + 10, 20);
+    ctx.fillStyle = textColor;
+    ctx.fillText(label, box.x + 5, box.y - 5);
+}
+
+// Leader line from a displaced visualization to its physical object
+export function drawLeaderLine(ctx, visualization, leaderLine) {
+    const { x1, y1, x2, y2 } = leaderLine;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const arrowSize = 8;
+
+    const color = resolveStyle(visualization).color;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+
+    // Draw the line
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+
+    // Draw an arrowhead pointing at the physical object
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - arrowSize * Math.cos(angle - Math.PI / 6), y2 - arrowSize * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(x2 - arrowSize * Math.cos(angle + Math.PI / 6), y2 - arrowSize * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Caption of a face or object with its detection score, if it has one
+function withScore(name, score) {
+    return typeof score === 'number' ? `${name} ${Math.round(score * 100)}%` : name;
+}
+
+// Caption and theme color of a tracked face, hand or detected object
+function describeObject(physicalObject, theme) {
+    if (physicalObject.type === 'face') {
+        return { caption: withScore('Face', physicalObject.score), color: theme.detections.face };
+    }
+    if (physicalObject.type === 'hand') {
+        const gesture = gestureNames[physicalObject.gesture];
+        return { caption: `${physicalObject.label} Hand${gesture ? ` · ${gesture}` : ''}`, color: theme.detections.hand };
+    }
+    return { caption: withScore(physicalObject.label, physicalObject.score), color: theme.detections.object };
+}
+
+// Draw a visualization at its placement's opacity, scaled about its center by the placement's
+// animation and depth scales, so text and strokes scale along with it
+function drawPlacement(ctx, renderer, placement, theme) {
+    const visualization = applyTheme(placement.visualization, theme);
+    const opacity = placement.opacity ?? 1;
+    const scale = (placement.scale ?? 1) * (placement.depthScale ?? 1);
+    if (opacity <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    if (placement.leaderLine) {
+        drawLeaderLine(ctx, visualization, placement.leaderLine);
+    }
+    if (!isDomVisualization(visualization)) {
+        const centerX = placement.x + (placement.width ?? visualization.width) / 2;
+        const centerY = placement.y + (placement.height ?? visualization.height) / 2;
+        if (scale !== 1) {
+            ctx.translate(centerX, centerY);
+            ctx.scale(scale, scale);
+            ctx.translate(-centerX, -centerY);
+        }
+        renderer.draw(visualization, {
+            x: centerX - visualization.width / 2,
+            y: centerY - visualization.height / 2,
+            width: visualization.width,
+            height: visualization.height
+        });
+    }
+    ctx.restore();
+}
+
+// Draw a placed frame; the context must already be cleared and scaled to placement pixels
+// scene: { detections, result } as prepared by scene-setup.js and returned by placeFrame
+// options: { renderer (see renderers.js), debug, safeArea, viewport, theme (name or theme, see themes.js) }
+// 'html' visualizations are left to the DOM overlay. Ghosts of lost objects are drawn below
+// the placements, and the placements in their order, which follows depth when the engine uses it.
+export function drawScene(ctx, scene, options) {
+    const { detections, result } = scene;
+    const theme = getTheme(options.theme);
+
+    ctx.font = '16px Arial';
+    ctx.lineWidth = 2;
+    detections.faces.forEach(face => {
+        drawLabeledBox(ctx, face, withScore('Face', face.score), theme.detections.face, theme.captionText);
+    });
+    detections.physicalObjects.forEach(physicalObject => {
+        const { caption, color } = describeObject(physicalObject, theme);
+        drawLabeledBox(ctx, physicalObject, caption, color, theme.captionText);
+    });
+
+    if (options.debug) {
+        drawExclusionZones(ctx, result.exclusionZones, getSafeRect(options.viewport, options.safeArea));
+        drawCandidateDiagnostics(ctx, result.diagnostics);
+    }
+
+    [...(result.ghosts || []), ...result.placements].forEach(placement => {
+        drawPlacement(ctx, options.renderer, placement, theme);
+    });
+}
@@ -0,0 +1,231 @@
+// Scene setup
+// The demo's placement engine, visualization templates, trackers and gestures, and the step that
+// turns a frame of detections into the engine's input. Faces, hands and detected objects are all
+// tracked, labelled and avoided by the other labels; hands and faces also carry their depth, so
+// nearer ones get larger labels drawn on top. Nothing here touches the DOM, so the same
+// setup runs on the main thread and inside the detection worker (see detection-pipeline.js).
+
+import { createPlacementEngine } from './placement-engine.js';
+import { createObjectTracker } from './object-tracker.js';
+import { createEllipseOccluder, createHullOccluder } from './occluders.js';
+import { createGestureController, createGestureRecognizer } from './gestures.js';
+import { createDepthSmoother, defaultDepthConfig, estimateBoxDepth, estimateHandDepth } from './depth.js';
+
+// Recent hand speeds (px/ms) shown by each hand's sparkline
+const speedHistoryLength = 30;
+
+// Padding (px) around the keypoints of a hand
+const handPadding = 10;
+
+// Detected objects other than faces and hands
+function isDetectedObject(physicalObject) {
+    return physicalObject.type !== 'face' && physicalObject.type !== 'hand';
+}
+
+// Create the engine, the templates, the trackers and the gestures of the demo
+export function createSceneSetup() {
+    // Placement engine holding the visualization registry and position memory
+    const engine = createPlacementEngine({
+        callouts: { enabled: true },
+        // Place against where fast hands are heading and smooth with an adaptive filter
+        motion: { enabled: true },
+        smoothing: { filter: 'oneEuro' },
+        // Fade labels in and out, and move them around their object when they change sides
+        animations: { enabled: true },
+        // Scale labels with the distance of hands and faces, and keep them off nearer ones
+        depth: { enabled: true },
+        classes: {
+            // Name tags never cover a face, their own included
+            face: { rules: { faceOverlap: { constraint: true }, anchorOverlap: { constraint: true } } },
+            // Labels may cover part of a cup or a bottle sooner than a hand, but keep off screens
+            cup: { obstacleWeight: 0.5 },
+            bottle: { obstacleWeight: 0.5 },
+            laptop: { obstacleWeight: 2 }
+        }
+    });
+
+    // Name tag above every face
+    engine.registerVisualizationTemplate('face', {
+        key: 'nameTag',
+        width: 110,
+        height: 30,
+        priority: 3,
+        style: { font: '14px Arial' },  // Colors come from the theme (see themes.js)
+        content: (face) => `Guest ${face.id.split('_').pop()}`,
+        preferredPositions: {
+            top: 300,
+            bottom: 100
+        }
+    });
+
+    // Class name next to every other detected object
+    engine.registerVisualizationTemplate(isDetectedObject, {
+        key: 'classLabel',
+        width: 100,
+        height: 30,
+        priority: 1,
+        style: { font: '14px Arial' },
+        content: (object) => object.label,
+        preferredPositions: {
+            top: 200,
+            right: 100
+        }
+    });
+
+    // Visualizations attached to every hand
+    engine.registerVisualizationTemplate('hand', {
+        key: 'primary',
+        width: 100,
+        height: 160,
+        priority: 2,  // Higher priority
+        animation: { enter: { easing: 'easeOutBack' } },  // Pops in
+        content: (hand) => hand.label[0],  // First letter of handedness
+        preferredPositions: {
+            top: 400,
+            right: 200,
+            left: 200,
+        }, // Prefer top and right positions
+    });
+    engine.registerVisualizationTemplate('hand', {
+        key: 'secondary',
+        type: 'sparkline',  // Hand speed over the last frames
+        width: 80,  // Smaller secondary visualization
+        height: 80,
+        priority: 1,  // Lower priority
+        style: { min: 0 },
+        values: [],
+        preferredPositions: {
+            bottom: 200,
+            right: 200,
+            left: 200,
+        },  // Prefer right and bottom positions
+    });
+
+    // Trackers assigning persistent ids to hands, faces and objects across frames
+    const tracker = createObjectTracker({ idPrefix: 'hand' });
+    const faceTracker = createObjectTracker({ idPrefix: 'face' });
+    const objectTracker = createObjectTracker({ idPrefix: 'object' });
+    const speedHistory = new Map();
+    const depths = createDepthSmoother();
+
+    // Gestures of the tracked hands, acting on the placed visualizations (see gestures.js)
+    const recognizer = createGestureRecognizer();
+    const gestures = createGestureController(engine);
+
+    // Release a hand's visualizations as soon as its track is removed
+    tracker.on('removed', track => {
+        engine.removeObject(track.id);
+        speedHistory.delete(track.id);
+        depths.forget(track.id);
+    });
+    faceTracker.on('removed', track => {
+        engine.removeObject(track.id);
+        depths.forget(track.id);
+    });
+    objectTracker.on('removed', track => engine.removeObject(track.id));
+
+    // Record a hand's speed and pass the history to its sparkline
+    function updateHandSpeed(track) {
+        const history = speedHistory.get(track.id) || [];
+        history.push(Math.sqrt(track.vx * track.vx + track.vy * track.vy));
+        if (history.length > speedHistoryLength) {
+            history.shift();
+        }
+        speedHistory.set(track.id, history);
+
+        engine.updateVisualization(track.id, `${track.id}_secondary`, { values: [...history] });
+    }
+
+    // Box around a hand's keypoints, with the hull of the keypoints as the area it really covers
+    function getHandBox(hand) {
+        const xs = hand.keypoints.map(point => point.x);
+        const ys = hand.keypoints.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return {
+            x: Math.max(0, minX - handPadding),
+            y: Math.max(0, minY - handPadding),
+            width: Math.max(...xs) - minX + 2 * handPadding,
+            height: Math.max(...ys) - minY + 2 * handPadding,
+            // Hand label (left/right hand), already corrected for camera inversion by the source
+            label: hand.label,
+            shape: createHullOccluder(hand.keypoints, handPadding),
+            keypoints: hand.keypoints,
+            keypoints3D: hand.keypoints3D
+        };
+    }
+
+    // Engine input for a frame of detections in placement space
+    // Everything becomes a tracked physical object with a persistent id: faces (only the ellipse
+    // inside the box counts as covered, leaving its corners to labels), hands with their current
+    // gesture, and detected objects with their class as type. Faces and hands get a smoothed
+    // depth (see depth.js). Pass the frame and its placements to `gestures.update` to act on the
+    // gestures.
+    function prepareDetections(frame) {
+        const faces = faceTracker.update(frame.faces.map(face => ({ ...face, label: 'Face' })), frame.timestamp).tracks
+            .map(track => {
+                const box = { x: track.x, y: track.y, width: track.width, height: track.height };
+                const depth = depths.update(track.id, estimateBoxDepth(box, defaultDepthConfig.faceWidth, frame.width));
+                return {
+                    id: track.id,
+                    ...box,
+                    type: 'face',
+                    label: 'Face',
+                    score: track.detection.score,
+                    depth,
+                    shape: createEllipseOccluder(box)
+                };
+            });
+
+        const objects = objectTracker.update(frame.objects || [], frame.timestamp).tracks.map(track => ({
+            id: track.id,
+            x: track.x,
+            y: track.y,
+            width: track.width,
+            height: track.height,
+            type: track.label,
+            label: track.label,
+            score: track.detection.score
+        }));
+
+        const { tracks } = tracker.update(frame.hands.map(getHandBox), frame.timestamp);
+        const handGestures = recognizer.update(
+            tracks.map(track => ({ id: track.id, keypoints: track.detection.keypoints })),
+            frame.timestamp
+        );
+        const physicalObjects = tracks.map((track, i) => {
+            updateHandSpeed(track);
+            return {
+                id: track.id,
+                x: track.x,
+                y: track.y,
+                width: track.width,
+                height: track.height,
+                vx: track.vx,
+                vy: track.vy,
+                type: 'hand',
+                label: track.label,
+                shape: track.detection.shape,
+                depth: depths.update(track.id, estimateHandDepth(track.detection, frame.width)),
+                gesture: handGestures[i].gesture,
+                gesturePoint: handGestures[i].point
+            };
+        });
+
+        return { faces: [], physicalObjects: [...faces, ...physicalObjects, ...objects] };
+    }
+
+    // Forget tracks, positions, speeds and gestures, e.g. when the source changes
+    function reset() {
+        tracker.reset();
+        faceTracker.reset();
+        objectTracker.reset();
+        engine.reset();
+        speedHistory.clear();
+        depths.reset();
+        recognizer.reset();
+        gestures.reset();
+    }
+
+    return { engine, tracker, gestures, prepareDetections, reset };
+}
@@ -0,0 +1,214 @@
+// Scoring rules for the placement engine
+// Every candidate position is scored by a pipeline of named rules. A rule is
+//   { name, weight, enabled, constraint, appliesTo, score(candidate, context) }
+// where score returns a raw term (positive rewards, negative penalizes) and the rule's
+// weight scales it: a candidate's score is the sum of weight * term over the enabled rules.
+// weight is a number or (config) => number, so the built-in rules keep reading the
+// engine's `weights`, `previousPositionBonus` and `callouts` settings by default.
+// A constraint rule does not add to the score: candidates it scores below zero are discarded.
+// appliesTo limits a rule to the visualizations of matching objects, with the match rules of
+// visualization templates (e.g. 'face' or { type: 'hand', label: 'Left' }).
+//
+// candidate: { position, side, rect, measurements }
+//   measurements: { faceOverlap, objectOverlap, anchorOverlap, labelOverlap, distance,
+//                   previousDistance, outsideArea, hardZoneOverlap, softZoneOverlap,
+//                   leaderLine, leaderLength, crossings }
+//   faceOverlap and objectOverlap are px² times the obstacle weight of each covered object's class
+// context: { physicalObject, allObjects, existingPositions, viewport, safeRect, exclusionZones,
+//            previousPosition, preferredPositions, config }
+
+import { calculateIntersectionArea } from './geometry.js';
+import { templateMatches } from './visualization-templates.js';
+
+// Faces covered by the visualization, tracked ones (type 'face') included (px²)
+export const faceOverlapRule = {
+    name: 'faceOverlap',
+    weight: config => config.weights.face,
+    score: candidate => -candidate.measurements.faceOverlap
+};
+
+// Other physical objects covered by the visualization (px²)
+export const objectOverlapRule = {
+    name: 'objectOverlap',
+    weight: config => config.weights.physicalObject,
+    score: candidate => -candidate.measurements.objectOverlap
+};
+
+// The visualization's own anchor object covered by it (px²)
+export const anchorOverlapRule = {
+    name: 'anchorOverlap',
+    weight: config => config.weights.anchor,
+    score: candidate => -candidate.measurements.anchorOverlap
+};
+
+// Visualizations already placed for the same object covered by it (px²)
+export const labelOverlapRule = {
+    name: 'labelOverlap',
+    weight: config => config.weights.visualization,
+    score: candidate => -candidate.measurements.labelOverlap
+};
+
+// Distance between the centers of the visualization and its object (px)
+export const distanceRule = {
+    name: 'distance',
+    weight: config => config.weights.distance,
+    score: candidate => -candidate.measurements.distance
+};
+
+// The visualization's own `preferredPositions` bonus for the candidate's anchor
+export const preferredPositionRule = {
+    name: 'preferredPosition',
+    weight: 1,
+    score: (candidate, context) => context.preferredPositions[candidate.position] || 0
+};
+
+// Staying within `previousPositionRadius` px of the previous position
+export const previousPositionRule = {
+    name: 'previousPosition',
+    weight: config => config.previousPositionBonus,
+    score: (candidate, context) => (candidate.measurements.previousDistance < context.config.previousPositionRadius ? 1 : 0)
+};
+
+// Callouts: length of the leader line (px)
+export const leaderLengthRule = {
+    name: 'leaderLength',
+    weight: config => config.callouts.lengthWeight,
+    score: candidate => -candidate.measurements.leaderLength
+};
+
+// Callouts: faces and other objects the leader line crosses
+export const leaderCrossingsRule = {
+    name: 'leaderCrossings',
+    weight: config => config.callouts.crossingPenalty,
+    score: candidate => -candidate.measurements.crossings
+};
+
+// Area of the visualization outside the viewport's safe area (px²); a constraint unless configured otherwise
+export const outOfBoundsRule = {
+    name: 'outOfBounds',
+    weight: 1,
+    constraint: true,
+    score: candidate => -candidate.measurements.outsideArea
+};
+
+// Area of hard exclusion zones covered (px²); a constraint unless configured otherwise
+export const exclusionZoneRule = {
+    name: 'exclusionZone',
+    weight: 1,
+    constraint: true,
+    score: candidate => -candidate.measurements.hardZoneOverlap
+};
+
+// Area of soft exclusion zones covered, each times its own weight (px²)
+export const softExclusionZoneRule = {
+    name: 'softExclusionZone',
+    weight: config => config.weights.exclusionZone,
+    score: candidate => -candidate.measurements.softZoneOverlap
+};
+
+// Built-in rules, in the order their terms are added
+export const defaultScoringRules = [
+    outOfBoundsRule,
+    exclusionZoneRule,
+    softExclusionZoneRule,
+    faceOverlapRule,
+    objectOverlapRule,
+    anchorOverlapRule,
+    labelOverlapRule,
+    distanceRule,
+    preferredPositionRule,
+    previousPositionRule,
+    leaderLengthRule,
+    leaderCrossingsRule
+];
+
+// Penalize visualizations closer than `margin` px to the viewport edges, per px of shortfall
+export function edgeMarginRule(options = {}) {
+    const margin = options.margin ?? 20;
+    return {
+        name: options.name ?? 'edgeMargin',
+        weight: options.weight ?? 5,
+        constraint: options.constraint ?? false,
+        score: (candidate, context) => {
+            const { rect } = candidate;
+            const { viewport } = context;
+            const gaps = [rect.x, rect.y, viewport.width - rect.x - rect.width, viewport.height - rect.y - rect.height];
+            return -gaps.reduce((total, gap) => total + Math.max(0, margin - gap), 0);
+        }
+    };
+}
+
+// Penalize covering a fixed region of the viewport, e.g. a toolbar, per px² of overlap
+// region: { x, y, width, height } or (viewport) => region
+export function avoidRegionRule(region, options = {}) {
+    return {
+        name: options.name ?? 'avoidRegion',
+        weight: options.weight ?? 10,
+        constraint: options.constraint ?? false,
+        score: (candidate, context) => {
+            const rect = typeof region === 'function' ? region(context.viewport) : region;
+            return -calculateIntersectionArea(candidate.rect, rect);
+        }
+    };
+}
+
+// Check that a rule can be used by the engine
+export function validateScoringRule(rule) {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+        throw new Error('Scoring rule needs a name');
+    }
+    if (typeof rule.score !== 'function') {
+        throw new Error(`Scoring rule ${rule.name} needs a score function`);
+    }
+}
+
+// Rule settings for the visualizations of one object class: the engine's `rules`, with the
+// class's own `rules` (see the engine's `classes` option) merged over them rule by rule
+export function getClassRuleSettings(config, type) {
+    const settings = { ...config.rules };
+    const classRules = ((config.classes || {})[type] || {}).rules || {};
+    Object.keys(classRules).forEach(name => {
+        settings[name] = { ...settings[name], ...classRules[name] };
+    });
+    return settings;
+}
+
+// Apply per-rule settings by name and drop disabled rules
+// settings: { [name]: { weight, enabled, constraint } }, e.g. the engine's `rules` option
+export function resolveScoringRules(rules, config, settings = config.rules || {}) {
+    return rules
+        .map(rule => {
+            const ruleSettings = settings[rule.name] || {};
+            const weight = ruleSettings.weight ?? (typeof rule.weight === 'function' ? rule.weight(config) : rule.weight ?? 1);
+            return {
+                name: rule.name,
+                weight,
+                enabled: ruleSettings.enabled ?? rule.enabled ?? true,
+                constraint: ruleSettings.constraint ?? rule.constraint ?? false,
+                appliesTo: rule.appliesTo,
+                score: rule.score
+            };
+        })
+        .filter(rule => rule.enabled);
+}
+
+// Score one candidate with resolved rules
+// Returns { score, breakdown: { [name]: weighted term } }, or null when a constraint rejects it.
+export function applyScoringRules(rules, candidate, context) {
+    const breakdown = {};
+    let score = 0;
+
+    for (const rule of rules) {
+        if (rule.appliesTo !== undefined && !templateMatches(rule.appliesTo, context.physicalObject)) continue;
+        const term = rule.score(candidate, context);
+        if (rule.constraint) {
+            if (term < 0) return null;
+            continue;
+        }
+        const weighted = term * rule.weight;
+        breakdown[rule.name] = weighted;
+        score += weighted;
+    }
+
+    return { score, breakdown };
+}
@@ -0,0 +1,214 @@
+// Session recording and replay
+// A session is stored as JSON Lines: a header line with the engine configuration,
+// then one line per frame with the engine's input and its result:
+//   { type: 'session', version, startedAt, config }
+//   { type: 'frame', index, timestamp, viewport, detections, visualizations, result }
+// detections is what was passed to placeFrame, result what it returned and visualizations
+// the configs of every placed or unplaced visualization, grouped by objectId. Functions such as
+// candidate generators and content renderers cannot be serialized and are left out.
+// A replay runs a fresh engine over the recorded input, so sessions reproduce bugs and
+// let two engine configurations be compared frame by frame.
+
+import { createPlacementEngine } from './placement-engine.js';
+import { getDistance } from './geometry.js';
+
+export const sessionFormatVersion = 1;
+
+// Copy a value keeping only what survives JSON (functions, and arrays holding them, are dropped)
+export function toSerializable(value) {
+    if (typeof value === 'function') return undefined;
+    if (Array.isArray(value)) {
+        if (value.some(item => typeof item === 'function')) return undefined;
+        return value.map(item => toSerializable(item) ?? null);
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            const serialized = toSerializable(value[key]);
+            if (serialized !== undefined) copy[key] = serialized;
+        });
+        return copy;
+    }
+    return value;
+}
+
+// Create a recorder collecting frames in memory until they are exported
+export function createSessionRecorder() {
+    let header = null;
+    let frames = [];
+    let recording = false;
+
+    // Begin a new session, dropping any previous one
+    function start(engineConfig, startedAt = Date.now()) {
+        header = { type: 'session', version: sessionFormatVersion, startedAt, config: toSerializable(engineConfig) };
+        frames = [];
+        recording = true;
+    }
+
+    // Stop accepting frames; the recorded session stays available for export
+    function stop() {
+        recording = false;
+    }
+
+    // Record one frame; ignored unless a session is being recorded
+    function recordFrame({ timestamp, viewport, detections, result }) {
+        if (!recording) return;
+
+        // The visualizations the engine used this frame, so a replay can restore them
+        const visualizations = {};
+        [...result.placements, ...(result.unplaced || [])].forEach(({ objectId, visualization }) => {
+            (visualizations[objectId] = visualizations[objectId] || []).push(visualization);
+        });
+
+        frames.push(toSerializable({
+            type: 'frame',
+            index: frames.length,
+            timestamp,
+            viewport,
+            detections,
+            visualizations,
+            result
+        }));
+    }
+
+    // Serialize the session as JSON Lines
+    function toJSONLines() {
+        if (!header) return '';
+        return [header, ...frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    return {
+        start,
+        stop,
+        recordFrame,
+        toJSONLines,
+        isRecording: () => recording,
+        getFrameCount: () => frames.length
+    };
+}
+
+// Parse a JSON Lines session into { header, frames }
+export function parseSession(text) {
+    const lines = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    const [header, ...frames] = lines;
+    if (!header || header.type !== 'session') {
+        throw new Error('Not a session recording: the first line must be a session header');
+    }
+    if (header.version > sessionFormatVersion) {
+        throw new Error(`Unsupported session version: ${header.version}`);
+    }
+    return { header, frames: frames.filter(frame => frame.type === 'frame') };
+}
+
+// Replay a session through a fresh placement engine, one frame at a time
+// config overrides the recorded configuration, e.g. to try a scoring change.
+export function createSessionReplay(session, config = {}) {
+    const engineConfig = { ...session.header.config, ...config };
+    let engine = createPlacementEngine(engineConfig);
+    let nextIndex = 0;
+    let lastStep = null;
+
+    // Run the engine on the next recorded frame; null at the end of the session
+    function step() {
+        if (nextIndex >= session.frames.length) return null;
+        const frame = session.frames[nextIndex++];
+
+        // Restore the visualizations the live engine had for each object
+        Object.keys(frame.visualizations || {}).forEach(objectId => {
+            engine.setVisualizations(objectId, frame.visualizations[objectId]);
+        });
+
+        // Exclusion zones may have been edited during the session
+        if (frame.result.exclusionZones) {
+            engine.setExclusionZones(frame.result.exclusionZones);
+        }
+
+        const result = engine.placeFrame(frame.detections, frame.viewport, frame.timestamp);
+        lastStep = { index: frame.index, timestamp: frame.timestamp, viewport: frame.viewport, frame, result };
+        return lastStep;
+    }
+
+    // Start over from the first frame
+    function reset() {
+        engine = createPlacementEngine(engineConfig);
+        nextIndex = 0;
+        lastStep = null;
+    }
+
+    // Replay up to and including a frame (smoothing state depends on every frame before it)
+    function seek(index) {
+        if (index < nextIndex - 1) reset();
+        while (nextIndex <= index && nextIndex < session.frames.length) {
+            step();
+        }
+        return lastStep;
+    }
+
+    // Replay every remaining frame
+    function runAll() {
+        const results = [];
+        let stepResult;
+        while ((stepResult = step())) {
+            results.push(stepResult);
+        }
+        return results;
+    }
+
+    return {
+        config: engineConfig,
+        frameCount: session.frames.length,
+        getPosition: () => nextIndex,
+        step,
+        seek,
+        reset,
+        runAll
+    };
+}
+
+// Compare the placements of two replays frame by frame
+// Recorded frames have the same { timestamp, result } shape, so a recording can be diffed against a replay.
+// Placements further apart than `tolerance` px, on a different anchor, or missing on one side are reported.
+export function diffPlacements(resultsA, resultsB, options = {}) {
+    const tolerance = options.tolerance ?? 0.5;
+    const differences = [];
+    const frameCount = Math.min(resultsA.length, resultsB.length);
+
+    for (let i = 0; i < frameCount; i++) {
+        const keyOf = placement => `${placement.objectId}_${placement.id}`;
+        const placementsA = new Map(resultsA[i].result.placements.map(placement => [keyOf(placement), placement]));
+        const placementsB = new Map(resultsB[i].result.placements.map(placement => [keyOf(placement), placement]));
+
+        new Set([...placementsA.keys(), ...placementsB.keys()]).forEach(key => {
+            const a = placementsA.get(key);
+            const b = placementsB.get(key);
+            const distance = a && b ? getDistance(a, b) : Infinity;
+            if (distance <= tolerance && a.position === b.position) return;
+
+            const summary = placement => placement ? { x: placement.x, y: placement.y, position: placement.position } : null;
+            differences.push({
+                frame: i,
+                timestamp: resultsA[i].timestamp,
+                objectId: (a || b).objectId,
+                id: (a || b).id,
+                a: summary(a),
+                b: summary(b),
+                distance
+            });
+        });
+    }
+
+    const finiteDistances = differences.map(difference => difference.distance).filter(Number.isFinite);
+    return {
+        framesCompared: frameCount,
+        framesDiffering: new Set(differences.map(difference => difference.frame)).size,
+        maxDistance: finiteDistances.length > 0 ? Math.max(...finiteDistances) : 0,
+        differences
+    };
+}
+
+// Replay a session under two configurations and diff the placements
+export function compareConfigs(session, configA, configB, options = {}) {
+    const resultsA = createSessionReplay(session, configA).runAll();
+    const resultsB = createSessionReplay(session, configB).runAll();
+    return diffPlacements(resultsA, resultsB, options);
+}
@@ -0,0 +1,159 @@
+// Source picker
+// Chooses what the app detects on: one of the cameras at a resolution and frame rate,
+// or a video or image file opened from disk or dropped on the page. A choice is plain data:
+//   { kind: 'camera', deviceId, width, height, frameRate }
+//   { kind: 'video' | 'image', file }
+// The last camera choice is remembered in storage (localStorage by default); files are not.
+
+export const sourceChoiceKey = 'sourceChoice';
+
+// Resolution and frame rate presets offered for cameras; the camera delivers the closest it supports
+export const cameraPresets = [
+    { label: 'Default', width: undefined, height: undefined, frameRate: undefined },
+    { label: '640×480 @ 30 fps', width: 640, height: 480, frameRate: 30 },
+    { label: '1280×720 @ 30 fps', width: 1280, height: 720, frameRate: 30 },
+    { label: '1280×720 @ 60 fps', width: 1280, height: 720, frameRate: 60 },
+    { label: '1920×1080 @ 30 fps', width: 1920, height: 1080, frameRate: 30 }
+];
+
+// List the cameras as [{ deviceId, label }]
+// Labels are empty until the user has granted camera access once, so they get a fallback.
+export async function listCameras(mediaDevices) {
+    const devices = await mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+// 'video' or 'image' for a file the sources can play, null otherwise
+export function getFileSourceKind(file) {
+    if (file.type.startsWith('video/')) return 'video';
+    if (file.type.startsWith('image/')) return 'image';
+    return null;
+}
+
+// The remembered camera choice, or the default camera
+export function loadSourceChoice(storage, key = sourceChoiceKey) {
+    const fallback = { kind: 'camera', deviceId: undefined };
+    try {
+        const stored = JSON.parse(storage.getItem(key));
+        return stored && stored.kind === 'camera' ? stored : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Remember a camera choice
+export function saveSourceChoice(storage, choice, key = sourceChoiceKey) {
+    if (choice.kind !== 'camera') return;
+    storage.setItem(key, JSON.stringify(choice));
+}
+
+// Index of the preset matching a choice's resolution and frame rate (0, the default, if none does)
+export function findCameraPreset(choice) {
+    const index = cameraPresets.findIndex(preset =>
+        preset.width === choice.width && preset.height === choice.height && preset.frameRate === choice.frameRate);
+    return Math.max(index, 0);
+}
+
+// Connect a camera select, a preset select, a file input and a drop target
+// elements: { cameraSelect, presetSelect, fileInput, dropTarget }
+// options: { mediaDevices, storage, onChange(choice), onError(error) }
+// Changing the camera or preset, opening a file or dropping one calls onChange with the new choice.
+// Cameras that cannot be listed when devices change go to onError (the console by default).
+export function createSourcePicker(elements, options) {
+    const { cameraSelect, presetSelect, fileInput, dropTarget } = elements;
+    const { mediaDevices, storage, onChange } = options;
+    const onError = options.onError ?? (error => console.error('Error listing cameras:', error));
+    const document = cameraSelect.ownerDocument;
+    let choice = loadSourceChoice(storage);
+
+    // Build an option element
+    function createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    // Fill the camera list, keeping the current camera selected if it is still connected
+    async function refresh() {
+        const cameras = await listCameras(mediaDevices);
+        cameraSelect.replaceChildren(...cameras.map(camera => createOption(camera.deviceId, camera.label)));
+        if (cameras.some(camera => camera.deviceId === choice.deviceId)) {
+            cameraSelect.value = choice.deviceId;
+        }
+        return cameras;
+    }
+
+    // Camera choice from the two selects
+    function readCameraChoice() {
+        const preset = cameraPresets[Number(presetSelect.value)] || cameraPresets[0];
+        return {
+            kind: 'camera',
+            deviceId: cameraSelect.value || undefined,
+            width: preset.width,
+            height: preset.height,
+            frameRate: preset.frameRate
+        };
+    }
+
+    // Remember and report a new camera choice
+    function onCameraChange() {
+        choice = readCameraChoice();
+        saveSourceChoice(storage, choice);
+        onChange(choice);
+    }
+
+    // Report a file choice; files of other types are ignored
+    function chooseFile(file) {
+        const kind = file ? getFileSourceKind(file) : null;
+        if (!kind) return false;
+        onChange({ kind, file });
+        return true;
+    }
+
+    // Open the file picked in the file input
+    function onFileChange() {
+        chooseFile(fileInput.files[0]);
+        fileInput.value = '';
+    }
+
+    // Refresh the camera list when a camera is plugged in or removed
+    function onDeviceChange() {
+        return refresh().catch(onError);
+    }
+
+    // Let files be dropped
+    function onDragOver(event) {
+        event.preventDefault();
+    }
+
+    // Open the first dropped file
+    function onDrop(event) {
+        event.preventDefault();
+        chooseFile(event.dataTransfer.files[0]);
+    }
+
+    presetSelect.replaceChildren(...cameraPresets.map((preset, i) => createOption(String(i), preset.label)));
+    presetSelect.value = String(findCameraPreset(choice));
+
+    cameraSelect.addEventListener('change', onCameraChange);
+    presetSelect.addEventListener('change', onCameraChange);
+    fileInput.addEventListener('change', onFileChange);
+    dropTarget.addEventListener('dragover', onDragOver);
+    dropTarget.addEventListener('drop', onDrop);
+    mediaDevices.addEventListener('devicechange', onDeviceChange);
+
+    // Remove the event listeners
+    function destroy() {
+        cameraSelect.removeEventListener('change', onCameraChange);
+        presetSelect.removeEventListener('change', onCameraChange);
+        fileInput.removeEventListener('change', onFileChange);
+        dropTarget.removeEventListener('dragover', onDragOver);
+        dropTarget.removeEventListener('drop', onDrop);
+        mediaDevices.removeEventListener('devicechange', onDeviceChange);
+    }
+
+    return { refresh, getChoice: () => choice, chooseFile, destroy };
+}
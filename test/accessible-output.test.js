@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAccessibleOutput, createAnnouncer, describeDetection } from '../accessible-output.js';
+
+const rightHand = (gesture = null) => ({ id: 'hand_1', type: 'hand', label: 'Right', gesture });
+const leftHand = { id: 'hand_2', type: 'hand', label: 'Left', gesture: null };
+const cup = { id: 'object_1', type: 'cup', label: 'cup', score: 0.81 };
+
+// Minimal stand-in for the DOM pieces the output uses
+function createFakeList() {
+    const createElement = tagName => {
+        const element = {
+            tagName,
+            children: [],
+            textContent: '',
+            appendChild(child) {
+                child.parent = element;
+                element.children.push(child);
+            },
+            remove() {
+                element.parent.children.splice(element.parent.children.indexOf(element), 1);
+            }
+        };
+        return element;
+    };
+    const list = createElement('ul');
+    list.ownerDocument = { createElement };
+    return list;
+}
+
+test('detections are described by name, detail and gesture', () => {
+    assert.deepEqual(describeDetection(rightHand('pinch')), { id: 'hand_1', name: 'Right hand', detail: 'hand_1 · Pinch', gesture: 'Pinch' });
+    assert.deepEqual(describeDetection(cup), { id: 'object_1', name: 'cup', detail: '81% confidence', gesture: null });
+    assert.equal(describeDetection({ type: 'face', score: 0.9 }, 1).id, 'face_2');
+    assert.equal(describeDetection({ type: 'face' }).detail, '');
+});
+
+test('changes are announced once they have settled, batched at most every interval', () => {
+    const announcer = createAnnouncer({ settleTime: 100, minInterval: 500 });
+    const items = (...objects) => objects.map(object => describeDetection(object));
+
+    assert.equal(announcer.update(items(rightHand()), 0), null);
+    assert.equal(announcer.update(items(rightHand()), 100), 'Right hand appeared');
+
+    // A hand missing for a frame and a gesture passed through are not announced
+    assert.equal(announcer.update(items(), 133), null);
+    assert.equal(announcer.update(items(rightHand('fist')), 166), null);
+    assert.equal(announcer.update(items(rightHand()), 200), null);
+    assert.equal(announcer.update(items(rightHand()), 400), null);
+
+    // Changes within the interval wait for the next announcement and go out together
+    announcer.update(items(rightHand('pinch'), leftHand), 433);
+    assert.equal(announcer.update(items(rightHand('pinch'), leftHand), 533), null);
+    assert.equal(announcer.update(items(rightHand('pinch'), leftHand), 600), 'Right hand: Pinch. Left hand appeared');
+
+    announcer.update(items(leftHand), 700);
+    assert.equal(announcer.update(items(leftHand), 1100), 'Right hand left');
+    assert.equal(announcer.update(items(leftHand), 1700), null);
+});
+
+test('the list keeps one item per track and the live region holds the announcements', () => {
+    const list = createFakeList();
+    const liveRegion = { textContent: '' };
+    const output = createAccessibleOutput({ list, liveRegion }, { settleTime: 0, minInterval: 0 });
+
+    output.update({ faces: [], physicalObjects: [rightHand(), cup] }, 0);
+    assert.deepEqual(list.children.map(item => item.children.map(span => span.textContent)), [['Right hand', 'hand_1'], ['cup', '81% confidence']]);
+    assert.equal(liveRegion.textContent, 'Right hand appeared. cup appeared');
+
+    // Items are updated in place rather than rebuilt
+    const [handItem] = list.children;
+    output.update({ faces: [], physicalObjects: [rightHand('point'), cup] }, 33);
+    assert.equal(list.children[0], handItem);
+    assert.equal(handItem.children[1].textContent, 'hand_1 · Point');
+    assert.equal(liveRegion.textContent, 'Right hand: Point');
+
+    output.update({ faces: [], physicalObjects: [cup] }, 66);
+    assert.equal(list.children.length, 1);
+    assert.equal(liveRegion.textContent, 'Right hand left');
+
+    output.clear();
+    assert.deepEqual([list.children.length, liveRegion.textContent], [0, '']);
+});
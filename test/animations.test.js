@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    defaultAnimationConfig,
+    easings,
+    getAppearance,
+    getEasing,
+    getPathLength,
+    getPointAlongPath,
+    resolveAnimation,
+    routeAroundRect,
+    stepAppearance
+} from '../animations.js';
+import { segmentIntersectsRect } from '../geometry.js';
+
+test('easings run from 0 to 1 and can be given by name or as functions', () => {
+    Object.entries(easings).forEach(([name, easing]) => {
+        assert.ok(Math.abs(easing(0)) < 1e-9, name);
+        assert.ok(Math.abs(easing(1) - 1) < 1e-9, name);
+    });
+    assert.equal(getEasing('easeOutCubic')(0.5), 0.875);
+    const custom = t => t * t;
+    assert.equal(getEasing(custom), custom);
+    assert.throws(() => getEasing('bounce'), /Unknown easing: bounce/);
+});
+
+test('visualizations override the animation settings per phase', () => {
+    const animation = resolveAnimation(defaultAnimationConfig, { enter: { duration: 100 }, exit: false });
+    assert.deepEqual(animation.enter, { ...defaultAnimationConfig.enter, duration: 100 });
+    assert.equal(animation.exit.duration, 0);
+    assert.deepEqual(animation.anchorChange, defaultAnimationConfig.anchorChange);
+    assert.equal(resolveAnimation(defaultAnimationConfig, false), null);
+});
+
+test('appearance fades in, fades out and turns around where it is', () => {
+    const animation = resolveAnimation(defaultAnimationConfig);
+    const half = stepAppearance(0, true, 125, animation);
+    assert.equal(half, 0.5);
+    assert.deepEqual(getAppearance(half, true, animation), { opacity: 0.875, scale: 0.95, phase: 'entering' });
+    assert.deepEqual(getAppearance(1, true, animation), { opacity: 1, scale: 1, phase: 'visible' });
+
+    // Fading out halfway from shown looks the same as fading in halfway for mirrored easings
+    const out = stepAppearance(1, false, 200, animation);
+    assert.equal(out, 0.5);
+    assert.equal(getAppearance(out, false, animation).opacity, 0.875);
+    assert.equal(getAppearance(out, false, animation).phase, 'exiting');
+    assert.equal(stepAppearance(out, false, 1000, animation), 0);
+
+    // A zero duration jumps straight to the end
+    assert.equal(stepAppearance(0, true, 0, resolveAnimation(defaultAnimationConfig, { enter: false })), 1);
+});
+
+test('routes go around an obstacle on the shorter side and straight when clear', () => {
+    const obstacle = { x: 100, y: 100, width: 80, height: 80 };
+    const size = { width: 40, height: 20 };
+    const grown = { x: 75, y: 85, width: 130, height: 110 };
+
+    assert.deepEqual(routeAroundRect({ x: 0, y: 0 }, { x: 300, y: 0 }, obstacle, size, 5), [{ x: 0, y: 0 }, { x: 300, y: 0 }]);
+
+    // From above to below, slightly right of center: around the right side
+    const from = { x: 150, y: 60 };
+    const to = { x: 150, y: 220 };
+    const path = routeAroundRect(from, to, obstacle, size, 5);
+    assert.deepEqual(path, [from, { x: 205, y: 85 }, { x: 205, y: 195 }, to]);
+    path.slice(1).forEach((point, i) => {
+        assert.equal(segmentIntersectsRect({ x1: path[i].x, y1: path[i].y, x2: point.x, y2: point.y }, grown), false);
+    });
+
+    // Starting inside the obstacle there is no way around
+    assert.deepEqual(routeAroundRect({ x: 140, y: 140 }, to, obstacle, size, 5), [{ x: 140, y: 140 }, to]);
+});
+
+test('points are found along a path by length', () => {
+    const path = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+    assert.equal(getPathLength(path), 200);
+    assert.deepEqual(getPointAlongPath(path, 0.25), { x: 50, y: 0 });
+    assert.deepEqual(getPointAlongPath(path, 0.75), { x: 100, y: 50 });
+    assert.deepEqual(getPointAlongPath(path, 1), { x: 100, y: 100 });
+    assert.deepEqual(getPointAlongPath([{ x: 5, y: 5 }, { x: 5, y: 5 }], 0.5), { x: 5, y: 5 });
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    anchorCandidates,
+    clampToViewport,
+    generateCandidates,
+    gridCandidates,
+    radialCandidates,
+    slidingCandidates
+} from '../candidate-generators.js';
+import { calculateIntersectionArea } from '../geometry.js';
+
+const viewport = { width: 640, height: 480 };
+const config = { gap: 10 };
+const handObject = { id: 'hand', x: 280, y: 200, width: 80, height: 80 };
+const size = { width: 60, height: 40 };
+
+// Rectangle of a candidate
+function toRect(candidate) {
+    return { x: candidate.x, y: candidate.y, ...size };
+}
+
+test('anchor candidates keep the eight named positions', () => {
+    const names = anchorCandidates()(handObject, size, viewport, config).map(c => c.name);
+    assert.deepEqual(names, ['right', 'left', 'top', 'bottom', 'topRight', 'topLeft', 'bottomRight', 'bottomLeft']);
+});
+
+test('sliding candidates stay clear of the object along every side', () => {
+    const candidates = slidingCandidates({ steps: 4 })(handObject, size, viewport, config);
+
+    assert.equal(candidates.length, 16);
+    candidates.forEach(candidate => assert.equal(calculateIntersectionArea(toRect(candidate), handObject), 0));
+});
+
+test('radial rings grow outward and clear the object', () => {
+    const candidates = radialCandidates({ rings: 2, count: 8, ringSpacing: 50 })(handObject, size, viewport, config);
+    const inner = candidates.find(c => c.name === 'ring-0-0');
+    const outer = candidates.find(c => c.name === 'ring-1-0');
+
+    assert.equal(candidates.length, 16);
+    assert.equal(outer.x - inner.x, 50);
+    candidates.forEach(candidate => assert.equal(calculateIntersectionArea(toRect(candidate), handObject), 0));
+});
+
+test('clamping pulls candidates back into the viewport', () => {
+    const edgeObject = { id: 'edge', x: 600, y: 0, width: 40, height: 40 };
+    const candidates = clampToViewport(anchorCandidates())(edgeObject, size, viewport, config);
+
+    candidates.forEach(candidate => {
+        assert.ok(candidate.x >= 0 && candidate.x + size.width <= viewport.width);
+        assert.ok(candidate.y >= 0 && candidate.y + size.height <= viewport.height);
+    });
+});
+
+test('grid candidates cover the viewport and duplicates are dropped', () => {
+    const grid = gridCandidates({ cellSize: 100 });
+    const candidates = generateCandidates([grid, grid], handObject, size, viewport, config);
+
+    assert.equal(candidates.length, 6 * 5);
+});
+
+test('clamping and the grid respect the safe area', () => {
+    const safeConfig = { ...config, safeArea: { top: 50, right: 20, bottom: 0, left: 0 } };
+    const edgeObject = { id: 'edge', x: 600, y: 0, width: 40, height: 40 };
+    clampToViewport(anchorCandidates())(edgeObject, size, viewport, safeConfig).forEach(candidate => {
+        assert.ok(candidate.y >= 50);
+        assert.ok(candidate.x + size.width <= viewport.width - 20);
+    });
+
+    const candidates = gridCandidates({ cellSize: 100 })(handObject, size, viewport, safeConfig);
+    assert.ok(candidates.every(candidate => candidate.y >= 50));
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { drawCandidateDiagnostics, drawExclusionZones, formatMetrics } from '../debug-overlay.js';
+
+// Canvas context stand-in that records drawing calls
+function createRecordingContext() {
+    const calls = [];
+    const record = (name) => (...args) => calls.push({ name, args });
+    return {
+        calls,
+        save: record('save'),
+        restore: record('restore'),
+        setLineDash: record('setLineDash'),
+        strokeRect: record('strokeRect'),
+        fillText: record('fillText')
+    };
+}
+
+test('every candidate is outlined with its anchor and score', () => {
+    const ctx = createRecordingContext();
+    drawCandidateDiagnostics(ctx, [{
+        chosen: 'right',
+        candidates: [
+            { x: 0, y: 0, width: 10, height: 10, position: 'right', score: 250 },
+            { x: 20, y: 0, width: 10, height: 10, position: 'left', score: -40.4 }
+        ]
+    }]);
+
+    assert.equal(ctx.calls.filter(call => call.name === 'strokeRect').length, 2);
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]), ['right 250', 'left -40']);
+    // The chosen candidate is solid, the others dashed
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'setLineDash').map(call => call.args[0]), [[], [4, 3]]);
+});
+
+test('metrics are formatted for the diagnostics panel', () => {
+    const lines = formatMetrics(
+        { placed: 2, unplaced: 1, outOfBounds: 0, faceOverlap: 12.4, objectOverlap: 0, labelOverlap: 3, anchorDistance: 10.26, jitter: 0.5, anchorSwitches: 1 },
+        { frames: 30, anchorSwitchesPerSecond: 0.333, meanJitter: 0.25, meanFaceOverlap: 4 }
+    );
+    assert.equal(lines[0], 'Placed 2, unplaced 1, out of bounds 0');
+    assert.equal(lines[1], 'Overlap px² (face / object / label): 12 / 0 / 3');
+    assert.match(lines[3], /30 frames, 0\.33 switches\/s/);
+});
+
+test('zones and the safe area are drawn with their ids', () => {
+    const ctx = { ...createRecordingContext(), fillRect: () => {} };
+    drawExclusionZones(ctx, [{ id: 'toolbar', mode: 'hard', x: 0, y: 440, width: 640, height: 40 }], { x: 0, y: 20, width: 640, height: 460 });
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'strokeRect').map(call => call.args), [[0, 20, 640, 460], [0, 440, 640, 40]]);
+    assert.equal(ctx.calls.find(call => call.name === 'fillText').args[0], 'toolbar (hard)');
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDepthSmoother, estimateBoxDepth, estimateHandDepth, getHandScale } from '../depth.js';
+import { createHandKeypoints, createHandKeypoints3D } from '../detection-sources.js';
+
+// Synthetic hand `size` px tall, with its 3D keypoints
+function hand(size, angle = 0) {
+    return { keypoints: createHandKeypoints({ x: 300, y: 200 }, size, angle), keypoints3D: createHandKeypoints3D() };
+}
+
+test('a hand\'s scale comes from its 3D keypoints, whatever its rotation or tilt', () => {
+    // The layouts are 0.2m per unit of size
+    const upright = hand(120);
+    assert.ok(Math.abs(getHandScale(upright.keypoints, upright.keypoints3D) - 600) < 1e-6);
+    const rotated = hand(120, 1.1);
+    assert.ok(Math.abs(getHandScale(rotated.keypoints, rotated.keypoints3D) - 600) < 1e-6);
+
+    // A palm tilted back looks half as long, but about as wide
+    const tilted = upright.keypoints.map(point => ({ x: point.x, y: 200 + (point.y - 200) * 0.5 }));
+    assert.ok(getHandScale(tilted, upright.keypoints3D) > 590);
+
+    // Without 3D keypoints, the palm is taken to be 9cm long
+    const palm = Math.hypot(upright.keypoints[0].x - upright.keypoints[9].x, upright.keypoints[0].y - upright.keypoints[9].y);
+    assert.equal(getHandScale(upright.keypoints), palm / 0.09);
+});
+
+test('depth is relative to the frame width and doubles with half the size', () => {
+    assert.ok(Math.abs(estimateHandDepth(hand(128), 640) - 1) < 1e-6);
+    assert.ok(Math.abs(estimateHandDepth(hand(64), 640) - 2) < 1e-6);
+    assert.ok(Math.abs(estimateHandDepth(hand(128), 1280) - 2) < 1e-6);
+    assert.ok(Math.abs(estimateBoxDepth({ width: 96 }, 0.15, 640) - 1) < 1e-6);
+});
+
+test('depths are smoothed per object', () => {
+    const smoother = createDepthSmoother({ smoothing: 0.5 });
+    assert.equal(smoother.update('hand_1', 1), 1);
+    assert.equal(smoother.update('hand_1', 2), 1.5);
+    assert.equal(smoother.update('hand_2', 3), 3);
+    smoother.forget('hand_1');
+    assert.equal(smoother.update('hand_1', 2), 2);
+});
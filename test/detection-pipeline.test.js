@@ -0,0 +1,211 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createDetectionPipeline,
+    createLocalPipeline,
+    createWorkerPipeline,
+    servePipeline,
+    supportsWorkerPipeline
+} from '../detection-pipeline.js';
+import { createSceneSetup } from '../scene-setup.js';
+import { createHandKeypoints } from '../detection-sources.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Canvas stand-in whose context records method calls and property assignments
+function createFakeCanvas() {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => {
+            if (name in target) return target[name];
+            if (name === 'measureText') return text => ({ width: text.length * 8 });
+            return (...args) => calls.push({ name, args });
+        },
+        set: (target, name, value) => {
+            target[name] = value;
+            calls.push({ name: 'set', args: [name, value] });
+            return true;
+        }
+    });
+    return { width: 300, height: 150, calls, getContext: () => ctx };
+}
+
+// Worker and worker scope stand-ins connected like a real worker
+// Messages are structured-cloned unless they transfer objects, as a browser would.
+function createFakeWorker(options) {
+    const worker = new EventTarget();
+    const scope = new EventTarget();
+    const deliver = (target, data, transfer = []) => {
+        const message = transfer.length > 0 ? data : structuredClone(data);
+        setTimeout(() => target.dispatchEvent(new MessageEvent('message', { data: message })), 0);
+    };
+    worker.postMessage = (data, transfer) => deliver(scope, data, transfer);
+    worker.terminate = () => { worker.terminated = true; };
+    scope.postMessage = (data) => deliver(worker, data);
+    servePipeline(scope, options);
+    return worker;
+}
+
+// Detector stand-in finding one left hand wherever it is asked
+function createFakeDetector() {
+    return {
+        load: async () => {},
+        detect: async (input, timestamp) => ({
+            timestamp,
+            width: input.width,
+            height: input.height,
+            faces: [],
+            hands: [{ label: 'Left', score: 1, keypoints: createHandKeypoints({ x: 200, y: 300 }, 100) }]
+        })
+    };
+}
+
+// Frame with one left hand in placement space
+const frame = {
+    timestamp: 0,
+    width: 640,
+    height: 480,
+    faces: [],
+    hands: [{ label: 'Left', score: 1, keypoints: createHandKeypoints({ x: 200, y: 300 }, 100) }]
+};
+
+// Scene setup with a toolbar zone
+function createSetupWithToolbar() {
+    const setup = createSceneSetup();
+    setup.engine.addExclusionZone({ id: 'toolbar', x: 0, y: 0, width: 640, height: 40 });
+    return setup;
+}
+
+// Id and rounded position of every placement
+function summarize(result) {
+    return result.placements.map(placement => [placement.id, Math.round(placement.x), Math.round(placement.y)]);
+}
+
+test('the main-thread pipeline tracks, places and draws', async () => {
+    const canvas = createFakeCanvas();
+    const pipeline = createLocalPipeline({ setup: createSceneSetup(), detector: createFakeDetector(), canvas });
+    await pipeline.resize({ width: 1280, height: 960, pixelRatio: 2 });
+    assert.deepEqual([canvas.width, canvas.height], [1280, 960]);
+
+    const { detections, result } = await pipeline.place(frame, viewport);
+    assert.equal(pipeline.mode, 'main');
+    assert.equal(detections.physicalObjects.length, 1);
+    assert.equal(result.placements.length + result.unplaced.length, 2);
+    assert.ok(canvas.calls.some(call => call.name === 'fillText' && call.args[0] === 'Left Hand'));
+    assert.deepEqual(canvas.calls.find(call => call.name === 'setTransform' && call.args[0] === 2).args, [2, 0, 0, 2, 0, 0]);
+});
+
+test('the pipeline places text visualizations at the size of their text', async () => {
+    const setup = createSceneSetup();
+    setup.engine.registerVisualizationTemplate('hand', {
+        key: 'note',
+        type: 'text',
+        width: 40,
+        height: 40,
+        scaleWithDepth: false,
+        content: 'Wave hello',
+        style: { padding: 8, lineHeight: 20 }
+    });
+    const pipeline = createLocalPipeline({ setup, canvas: createFakeCanvas() });
+
+    const { result } = await pipeline.place(frame, viewport);
+    const note = result.placements.find(placement => placement.id.endsWith('_note'));
+    // 10 characters of 8px on one line, with padding
+    assert.deepEqual([note.width, note.height], [96, 36]);
+});
+
+test('the pipeline draws in the theme the page picks', async () => {
+    const canvas = createFakeCanvas();
+    const pipeline = createLocalPipeline({ setup: createSceneSetup(), canvas, theme: 'colorblind' });
+    const strokeStyles = () => canvas.calls
+        .filter(call => call.name === 'set' && call.args[0] === 'strokeStyle')
+        .map(call => call.args[1]);
+
+    await pipeline.place(frame, viewport);
+    assert.equal(strokeStyles()[0], '#56B4E9');
+
+    canvas.calls.length = 0;
+    pipeline.setTheme('highContrast');
+    await pipeline.place({ ...frame, timestamp: 33 }, viewport);
+    assert.equal(strokeStyles()[0], '#00FFFF');
+    assert.ok(strokeStyles().includes('#FFFF00'));
+    assert.throws(() => pipeline.setTheme('sepia'), /Unknown theme: sepia/);
+});
+
+test('the worker pipeline gives the same results as the main thread', async () => {
+    const worker = createFakeWorker({ createSetup: createSceneSetup, createDetector: createFakeDetector });
+    const canvas = createFakeCanvas();
+    const pipeline = createWorkerPipeline({
+        worker,
+        setup: createSetupWithToolbar(),
+        canvas,
+        createImageBitmap: async (input) => ({ width: input.videoWidth, height: input.videoHeight, close: () => {} })
+    });
+    await pipeline.connect();
+    await pipeline.detector.load();
+
+    const detected = await pipeline.detector.detect({ videoWidth: 640, videoHeight: 480 }, 5, { tasks: ['hands'] });
+    assert.deepEqual([detected.timestamp, detected.width, detected.hands.length], [5, 640, 1]);
+
+    // The worker follows the page's zones and places exactly like the main thread
+    const local = await createLocalPipeline({ setup: createSetupWithToolbar(), canvas: createFakeCanvas() }).place(frame, viewport);
+    const remote = await pipeline.place(frame, viewport);
+    assert.equal(pipeline.mode, 'worker');
+    assert.deepEqual(remote.result.exclusionZones.map(zone => zone.id), ['toolbar']);
+    assert.equal(remote.result.placements.length, 2);
+    assert.deepEqual(summarize(remote.result), summarize(local.result));
+
+    // The main thread draws what the worker placed
+    assert.ok(canvas.calls.some(call => call.name === 'fillText' && call.args[0] === 'Left Hand'));
+
+    await pipeline.reset();
+    pipeline.terminate();
+    assert.equal(worker.terminated, true);
+});
+
+test('gesture events from the worker reach the page', async () => {
+    const worker = createFakeWorker({ createSetup: createSceneSetup, createDetector: createFakeDetector });
+    const pipeline = createWorkerPipeline({ worker, setup: createSceneSetup(), canvas: createFakeCanvas() });
+    await pipeline.connect();
+    const gestures = [];
+    pipeline.on('gesture', event => gestures.push(event.gesture));
+
+    await pipeline.place(frame, viewport);
+    const { gestures: events } = await pipeline.place({ ...frame, timestamp: 150 }, viewport);
+    assert.deepEqual(gestures, ['openPalm']);
+    assert.equal(events[0].handId, 'hand_1');
+});
+
+test('worker errors reject the request that caused them', async () => {
+    const worker = createFakeWorker({
+        createSetup: createSceneSetup,
+        createDetector: async () => { throw new Error('model download failed'); }
+    });
+    const pipeline = createWorkerPipeline({ worker, setup: createSceneSetup(), canvas: createFakeCanvas() });
+    await assert.rejects(pipeline.detector.load(), /model download failed/);
+});
+
+test('the pipeline falls back to the main thread without worker support', async () => {
+    const options = {
+        mode: 'worker',
+        setup: createSceneSetup(),
+        canvas: createFakeCanvas(),
+        createDetector: createFakeDetector,
+        createWorker: () => { throw new Error('blocked by policy'); }
+    };
+    const unsupported = await createDetectionPipeline({ ...options, scope: {} });
+    assert.equal(unsupported.mode, 'main');
+    assert.match(unsupported.fallbackReason, /not available/);
+
+    const scope = { Worker: function() {}, createImageBitmap: () => {}, OffscreenCanvas: function() {} };
+    assert.equal(supportsWorkerPipeline(scope), true);
+    assert.equal(supportsWorkerPipeline(scope, true), false);
+
+    const failing = await createDetectionPipeline({ ...options, scope });
+    assert.equal(failing.mode, 'main');
+    assert.equal(failing.fallbackReason, 'blocked by policy');
+
+    const main = await createDetectionPipeline({ ...options, mode: 'main' });
+    assert.equal(main.fallbackReason, null);
+});
@@ -0,0 +1,342 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createCameraSource,
+    createDemoScene,
+    createHandKeypoints,
+    createHandKeypoints3D,
+    createImageSource,
+    createReplaySource,
+    createSyntheticSource,
+    createTfjsDetector,
+    createVideoFileSource,
+    getCameraConstraints,
+    linearPath,
+    normalizeBlazefaceFace,
+    normalizeCocoSsdObject,
+    normalizeMediaPipeHand,
+    visibleBetween
+} from '../detection-sources.js';
+import { createObjectTracker } from '../object-tracker.js';
+import { createPlacementEngine } from '../placement-engine.js';
+import { getPointsBounds } from '../geometry.js';
+
+// Read every frame of a finite source
+async function readAll(source) {
+    await source.start();
+    const frames = [];
+    let frame;
+    while ((frame = await source.detect())) {
+        frames.push(frame);
+    }
+    return frames;
+}
+
+test('model outputs are normalized', () => {
+    const face = normalizeBlazefaceFace({ topLeft: [10, 20], bottomRight: [110, 140], probability: [0.9], landmarks: [[50, 60]] });
+    assert.deepEqual(face, { x: 10, y: 20, width: 100, height: 120, score: 0.9, landmarks: [{ x: 50, y: 60 }] });
+
+    const hand = { handedness: 'Left', score: 0.8, keypoints: [{ x: 1, y: 2, name: 'wrist' }] };
+    assert.deepEqual(normalizeMediaPipeHand(hand), { label: 'Right', score: 0.8, keypoints: [{ x: 1, y: 2 }] });
+    assert.equal(normalizeMediaPipeHand(hand, false).label, 'Left');
+    const withDepth = { ...hand, keypoints3D: [{ x: 0.01, y: -0.02, z: 0.005, name: 'wrist' }] };
+    assert.deepEqual(normalizeMediaPipeHand(withDepth).keypoints3D, [{ x: 0.01, y: -0.02, z: 0.005 }]);
+
+    const object = normalizeCocoSsdObject({ bbox: [5, 10, 50, 60], class: 'cup', score: 0.7 });
+    assert.deepEqual(object, { x: 5, y: 10, width: 50, height: 60, label: 'cup', score: 0.7 });
+});
+
+test('replay sources play recordings once or in a loop', async () => {
+    const recording = {
+        width: 320,
+        height: 240,
+        frames: [{ timestamp: 0, hands: [] }, { timestamp: 40, faces: [{ x: 0, y: 0, width: 10, height: 10, score: 1 }] }]
+    };
+
+    const once = await readAll(createReplaySource(recording));
+    assert.deepEqual(once.map(frame => frame.timestamp), [0, 40]);
+    assert.deepEqual(once[0].faces, []);
+    assert.equal(once[1].width, 320);
+
+    const looped = createReplaySource(recording, { loop: true });
+    await looped.start();
+    const timestamps = [];
+    for (let i = 0; i < 5; i++) timestamps.push((await looped.detect()).timestamp);
+    assert.deepEqual(timestamps, [0, 40, 80, 120, 160]);
+});
+
+test('synthetic scenes are deterministic and scripted', async () => {
+    const scene = {
+        width: 640,
+        height: 480,
+        frameInterval: 100,
+        duration: 500,
+        jitter: 2,
+        faces: [{ path: () => ({ x: 320, y: 150 }), width: 100, height: 120 }],
+        hands: [{ label: 'Left', size: 100, path: visibleBetween(linearPath({ x: 100, y: 300 }, { x: 500, y: 300 }, 400), 100, 400) }]
+    };
+
+    const first = await readAll(createSyntheticSource(scene));
+    const second = await readAll(createSyntheticSource(scene));
+    assert.deepEqual(first, second);
+
+    assert.deepEqual(first.map(frame => frame.timestamp), [0, 100, 200, 300, 400, 500]);
+    assert.deepEqual(first.map(frame => frame.hands.length), [0, 1, 1, 1, 0, 0]);
+    assert.equal(first[1].hands[0].keypoints.length, 21);
+    const [face] = first[0].faces;
+    assert.deepEqual([face.x, face.y, face.width, face.height], [270, 90, 100, 120]);
+});
+
+test('synthetic scenes can hold objects and hands in other poses', async () => {
+    const scene = {
+        frameInterval: 100,
+        duration: 100,
+        hands: [{
+            size: (time) => 100 + time,
+            path: () => ({ x: 300, y: 300 }),
+            pose: (time) => (time < 100 ? 'openPalm' : 'fist')
+        }],
+        objects: [{ label: 'cup', width: 60, height: 80, path: () => ({ x: 100, y: 400 }) }]
+    };
+    const [first, second] = await readAll(createSyntheticSource(scene));
+    assert.deepEqual(first.objects, [{ x: 70, y: 360, width: 60, height: 80, label: 'cup', score: 0.9 }]);
+    assert.deepEqual(first.hands[0].keypoints, createHandKeypoints({ x: 300, y: 300 }, 100));
+    assert.deepEqual(second.hands[0].keypoints, createHandKeypoints({ x: 300, y: 300 }, 200, 0, 'fist'));
+    // 3D keypoints keep the real size while the hand grows nearer
+    assert.deepEqual(second.hands[0].keypoints3D, createHandKeypoints3D('fist'));
+    assert.deepEqual(second.hands[0].keypoints3D[0], { x: 0, y: 0.45 * 0.2, z: 0 });
+    assert.throws(() => createHandKeypoints({ x: 0, y: 0 }, 100, 0, 'wave'), /Unknown hand pose: wave/);
+});
+
+test('synthetic hands are upright by default and rotate with their angle', () => {
+    const upright = getPointsBounds(createHandKeypoints({ x: 0, y: 0 }, 100));
+    const sideways = getPointsBounds(createHandKeypoints({ x: 0, y: 0 }, 100, Math.PI / 2));
+    assert.ok(upright.height > upright.width);
+    assert.ok(sideways.width > sideways.height);
+});
+
+test('the demo scene runs through tracking and placement without a camera', async () => {
+    const source = createSyntheticSource({ ...createDemoScene(), duration: 3000 });
+    const tracker = createObjectTracker({ idPrefix: 'hand' });
+    const engine = createPlacementEngine({
+        createVisualizations: (hand) => [{ id: `${hand.id}_label`, width: 80, height: 60, priority: 1, preferredPositions: {} }]
+    });
+    const frames = await readAll(source);
+
+    const ids = new Set();
+    frames.forEach(frame => {
+        const boxes = frame.hands.map(hand => ({ ...getPointsBounds(hand.keypoints), label: hand.label }));
+        const { tracks } = tracker.update(boxes, frame.timestamp);
+        tracks.forEach(track => ids.add(track.id));
+
+        const result = engine.placeFrame({ faces: frame.faces, physicalObjects: tracks }, frame, frame.timestamp);
+        assert.equal(result.placements.length + result.unplaced.length, tracks.length);
+    });
+
+    // Two scripted hands keep their two identities for the whole run
+    assert.equal(ids.size, 2);
+});
+
+// Detector stand-in counting loads and detections
+function createFakeDetector() {
+    const detector = {
+        loads: 0,
+        detections: 0,
+        load: async () => { detector.loads++; },
+        detect: async (input, timestamp) => {
+            detector.detections++;
+            return { timestamp, width: 640, height: 480, faces: [], hands: [] };
+        }
+    };
+    return detector;
+}
+
+// Video element stand-in: loading and seeking finish on the next task like in a browser
+class FakeVideo extends EventTarget {
+    videoWidth = 640;
+    videoHeight = 480;
+    duration = 2;
+    paused = true;
+    ended = false;
+    loop = false;
+    time = 0;
+    streamObject = null;
+
+    later(type) {
+        setTimeout(() => this.dispatchEvent(new Event(type)), 0);
+    }
+    set src(url) { this.url = url; this.later('loadedmetadata'); }
+    get src() { return this.url; }
+    set srcObject(stream) { this.streamObject = stream; if (stream) this.later('loadedmetadata'); }
+    get srcObject() { return this.streamObject; }
+    set currentTime(time) { this.time = time; this.later('seeked'); }
+    get currentTime() { return this.time; }
+    removeAttribute() { this.url = undefined; }
+    load() {}
+    async play() { this.paused = false; }
+    pause() { this.paused = true; }
+}
+
+test('camera constraints pick a device or the front camera', () => {
+    assert.deepEqual(getCameraConstraints(), { video: { facingMode: 'user' }, audio: false });
+    assert.deepEqual(getCameraConstraints({ deviceId: 'b', width: 1280, height: 720, frameRate: 60 }), {
+        video: { deviceId: { exact: 'b' }, width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 60 } },
+        audio: false
+    });
+});
+
+test('the tfjs detector loads its models once and normalizes their output', async () => {
+    let loads = 0;
+    const blazeface = {
+        load: async () => {
+            loads++;
+            return { estimateFaces: async () => [{ topLeft: [0, 0], bottomRight: [10, 10], probability: [1] }] };
+        }
+    };
+    const handPoseDetection = {
+        SupportedModels: { MediaPipeHands: 'hands' },
+        createDetector: async () => ({ estimateHands: async () => [{ handedness: 'Left', score: 1, keypoints: [{ x: 1, y: 2 }] }] })
+    };
+    const detector = createTfjsDetector({ blazeface, handPoseDetection });
+    await detector.load();
+    await detector.load();
+    assert.equal(loads, 1);
+
+    const frame = await detector.detect({ naturalWidth: 300, naturalHeight: 200 }, 5);
+    assert.deepEqual([frame.timestamp, frame.width, frame.height], [5, 300, 200]);
+    assert.equal(frame.faces[0].width, 10);
+    assert.equal(frame.hands[0].label, 'Right');
+});
+
+test('the tfjs detector runs only the requested models, on a downscaled input if asked', async () => {
+    const inputs = [];
+    const blazeface = {
+        load: async () => ({
+            estimateFaces: async (input) => {
+                inputs.push(input);
+                return [{ topLeft: [10, 20], bottomRight: [30, 40], probability: [1], landmarks: [[15, 25]] }];
+            }
+        })
+    };
+    let handCalls = 0;
+    const handPoseDetection = {
+        SupportedModels: { MediaPipeHands: 'hands' },
+        createDetector: async () => ({ estimateHands: async () => { handCalls++; return []; } })
+    };
+    const canvas = { getContext: () => ({ drawImage: () => {} }) };
+    const detector = createTfjsDetector({ blazeface, handPoseDetection, createCanvas: () => canvas });
+    await detector.load();
+
+    const video = { videoWidth: 640, videoHeight: 480 };
+    const frame = await detector.detect(video, 0, { tasks: ['faces'], scale: 0.5 });
+    assert.equal(handCalls, 0);
+    assert.equal(frame.hands, undefined);
+    assert.equal(inputs[0], canvas);
+    assert.deepEqual([canvas.width, canvas.height], [320, 240]);
+    assert.deepEqual([frame.width, frame.height], [640, 480]);
+    const [face] = frame.faces;
+    assert.deepEqual([face.x, face.y, face.width, face.height], [20, 40, 40, 40]);
+    assert.deepEqual(face.landmarks, [{ x: 30, y: 50 }]);
+
+    await detector.detect(video, 1);
+    assert.equal(inputs[1], video);
+    assert.equal(handCalls, 1);
+});
+
+test('the tfjs detector finds objects with COCO-SSD, leaving out ignored classes', async () => {
+    const blazeface = { load: async () => ({ estimateFaces: async () => [] }) };
+    const handPoseDetection = {
+        SupportedModels: { MediaPipeHands: 'hands' },
+        createDetector: async () => ({ estimateHands: async () => [] })
+    };
+    const requests = [];
+    const cocoSsd = {
+        load: async () => ({
+            detect: async (input, maxObjects, minScore) => {
+                requests.push([maxObjects, minScore]);
+                return [
+                    { bbox: [10, 20, 30, 40], class: 'cup', score: 0.8 },
+                    { bbox: [0, 0, 100, 100], class: 'person', score: 0.9 }
+                ];
+            }
+        })
+    };
+    const canvas = { getContext: () => ({ drawImage: () => {} }) };
+    const detector = createTfjsDetector({ blazeface, handPoseDetection, cocoSsd, ignoredClasses: ['person'], createCanvas: () => canvas });
+    await detector.load();
+
+    const frame = await detector.detect({ videoWidth: 640, videoHeight: 480 }, 0);
+    assert.deepEqual(Object.keys(frame).filter(key => Array.isArray(frame[key])), ['faces', 'hands', 'objects']);
+    assert.deepEqual(frame.objects, [{ x: 10, y: 20, width: 30, height: 40, label: 'cup', score: 0.8 }]);
+    assert.deepEqual(requests[0], [10, 0.5]);
+
+    // Only when asked, and back in input pixels from a downscaled copy
+    const scaled = await detector.detect({ videoWidth: 640, videoHeight: 480 }, 1, { tasks: ['objects'], scale: 0.5 });
+    assert.equal(scaled.faces, undefined);
+    assert.deepEqual(scaled.objects[0], { x: 20, y: 40, width: 60, height: 80, label: 'cup', score: 0.8 });
+});
+
+test('camera sources share a detector and release their stream', async () => {
+    const detector = createFakeDetector();
+    const requests = [];
+    let stopped = 0;
+    const mediaDevices = {
+        getUserMedia: async (constraints) => {
+            requests.push(constraints);
+            return { getTracks: () => [{ stop: () => { stopped++; } }] };
+        }
+    };
+    const video = new FakeVideo();
+
+    const front = createCameraSource({ video, detector, mediaDevices });
+    assert.deepEqual(await front.start(), { width: 640, height: 480 });
+    assert.equal(front.name, 'camera');
+    front.stop();
+
+    const back = createCameraSource({ video, detector, mediaDevices, deviceId: 'back' });
+    await back.start();
+    back.stop();
+
+    assert.equal(detector.loads, 2);
+    assert.equal(stopped, 2);
+    assert.equal(video.srcObject, null);
+    assert.deepEqual(requests.map(request => request.video.deviceId), [undefined, { exact: 'back' }]);
+});
+
+test('video files seek to exact frames and are detected once per paused frame', async () => {
+    const detector = createFakeDetector();
+    const video = new FakeVideo();
+    const source = createVideoFileSource({ video, detector, url: 'clip.mp4', frameRate: 30 });
+    await source.start();
+    assert.equal(video.src, 'clip.mp4');
+    assert.equal(source.getDuration(), 2000);
+
+    await source.seekFrame(15);
+    assert.equal(source.isPaused(), true);
+    assert.equal(source.getFrameIndex(), 15);
+    await source.step(-1);
+    assert.equal(source.getFrameIndex(), 14);
+
+    const first = await source.detect();
+    const second = await source.detect();
+    assert.equal(detector.detections, 1);
+    assert.equal(second.mediaTime, first.mediaTime);
+    assert.equal(first.mediaTime, video.currentTime * 1000);
+
+    await source.seek(5000);
+    assert.equal(source.getCurrentTime(), 2000);
+    video.ended = true;
+    assert.equal(await source.detect(), null);
+});
+
+test('still images are detected once and repeated', async () => {
+    const detector = createFakeDetector();
+    const image = { naturalWidth: 800, naturalHeight: 600 };
+    const source = createImageSource({ image, detector, frameInterval: 40 });
+    assert.deepEqual(await source.start(), { width: 800, height: 600 });
+
+    const frames = [await source.detect(), await source.detect(), await source.detect()];
+    assert.equal(detector.detections, 1);
+    assert.deepEqual(frames.map(frame => frame.timestamp), [0, 40, 80]);
+});
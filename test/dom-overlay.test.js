@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDomOverlay } from '../dom-overlay.js';
+
+// Minimal stand-in for the DOM pieces the overlay uses
+function createFakeContainer() {
+    const container = {
+        children: [],
+        appendChild(element) {
+            element.parent = container;
+            container.children.push(element);
+        }
+    };
+    container.ownerDocument = {
+        createElement: () => ({
+            style: {},
+            attributes: {},
+            textContent: '',
+            innerHTML: '',
+            setAttribute(name, value) { this.attributes[name] = value; },
+            removeAttribute(name) { delete this.attributes[name]; },
+            replaceChildren(...nodes) { this.childNodes = nodes; },
+            remove() { container.children.splice(container.children.indexOf(this), 1); }
+        })
+    };
+    return container;
+}
+
+function placement(visualization, x, y) {
+    return { id: visualization.id, objectId: 'hand', x, y, width: 100, height: 40, visualization };
+}
+
+test('html visualizations get positioned elements, other types are left to the canvas', () => {
+    const container = createFakeContainer();
+    const overlay = createDomOverlay(container, { getScale: () => ({ x: 0.5, y: 0.5 }) });
+    const label = { id: 'label', type: 'html', html: '<a href="#">Info</a>', role: 'note', ariaLabel: 'Hand info' };
+
+    overlay.update([placement(label, 100, 60), placement({ id: 'box' }, 0, 0)]);
+    assert.equal(container.children.length, 1);
+
+    const [element] = container.children;
+    assert.equal(element.innerHTML, '<a href="#">Info</a>');
+    assert.equal(element.style.transform, 'translate(50px, 30px)');
+    assert.equal(element.style.width, '50px');
+    assert.deepEqual(element.attributes, { role: 'note', 'aria-label': 'Hand info' });
+});
+
+test('elements are reused across frames and removed with their placement', () => {
+    const container = createFakeContainer();
+    const overlay = createDomOverlay(container);
+    const label = { id: 'label', type: 'html', content: 'Left hand' };
+
+    overlay.update([placement(label, 0, 0)]);
+    const [element] = container.children;
+    element.textContent = 'edited';
+
+    // Same visualization: only the position changes
+    overlay.update([placement(label, 20, 0)]);
+    assert.equal(container.children[0], element);
+    assert.equal(element.textContent, 'edited');
+    assert.equal(element.style.transform, 'translate(20px, 0px)');
+
+    // Updated visualization: the content is rebuilt
+    overlay.update([placement({ ...label, content: 'Right hand' }, 20, 0)]);
+    assert.equal(element.textContent, 'Right hand');
+
+    // Fading and scaling placements, such as ghosts, carry their opacity and scale
+    overlay.update([{ ...placement(label, 20, 0), opacity: 0.4, scale: 0.9 }]);
+    assert.equal(element.style.opacity, '0.4');
+    assert.equal(element.style.transform, 'translate(20px, 0px) scale(0.9)');
+
+    // Placements sized by depth keep the element at the visualization's own size and scale it
+    overlay.update([{ ...placement(label, 20, 0), width: 150, height: 60, depthScale: 1.5 }]);
+    assert.equal(element.style.width, '100px');
+    assert.equal(element.style.transform, 'translate(45px, 10px) scale(1.5)');
+
+    overlay.update([]);
+    assert.equal(container.children.length, 0);
+});
+
+test('copies of an unchanged visualization, as sent by the worker, keep the element as it is', () => {
+    const container = createFakeContainer();
+    const overlay = createDomOverlay(container);
+    const label = { id: 'label', type: 'html', html: '<b>Left</b>', style: { padding: 4 } };
+
+    overlay.update([placement(structuredClone(label), 0, 0)]);
+    const [element] = container.children;
+    element.innerHTML = 'edited';
+
+    overlay.update([placement(structuredClone(label), 10, 0)]);
+    assert.equal(element.innerHTML, 'edited');
+
+    overlay.update([placement(structuredClone({ ...label, style: { padding: 6 } }), 10, 0)]);
+    assert.equal(element.innerHTML, '<b>Left</b>');
+    assert.equal(element.style.padding, '6px');
+});
+
+test('elements take the theme colors and are restyled when it changes', () => {
+    const container = createFakeContainer();
+    const overlay = createDomOverlay(container, { theme: 'colorblind' });
+    const nameTag = { id: 'nameTag', key: 'nameTag', type: 'html', content: 'Guest 1' };
+
+    overlay.update([placement(nameTag, 0, 0)]);
+    const [element] = container.children;
+    assert.deepEqual([element.style.background, element.style.color], ['#E69F00', '#000000']);
+
+    overlay.setTheme('highContrast');
+    overlay.update([placement(nameTag, 0, 0)]);
+    assert.deepEqual([element.style.background, element.style.color, element.style.border], ['#000000', '#FFFFFF', '3px solid #FFFF00']);
+});
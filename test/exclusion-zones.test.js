@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyZoneDrag, createZoneEditor, findZoneAt, normalizeExclusionZone } from '../exclusion-zones.js';
+import { createPlacementEngine } from '../placement-engine.js';
+
+const viewport = { width: 640, height: 480 };
+
+test('zones are hard with weight 1 unless configured otherwise', () => {
+    assert.deepEqual(normalizeExclusionZone({ x: 0, y: 0, width: 10, height: 10 }, 'zone-0'),
+        { id: 'zone-0', x: 0, y: 0, width: 10, height: 10, mode: 'hard', weight: 1 });
+    assert.throws(() => normalizeExclusionZone({ id: 'a', x: 0, y: 0, width: 0, height: 10 }), /positive width/);
+    assert.throws(() => normalizeExclusionZone({ id: 'a', x: 0, y: 0, width: 10, height: 10, mode: 'maybe' }), /Unknown exclusion zone mode/);
+    assert.throws(() => normalizeExclusionZone({ x: 0, y: 0, width: 10, height: 10 }), /needs an id/);
+});
+
+test('the topmost zone is hit, its corner resizes it', () => {
+    const zones = [
+        { id: 'below', x: 0, y: 0, width: 200, height: 200 },
+        { id: 'above', x: 100, y: 100, width: 100, height: 100 }
+    ];
+    assert.deepEqual(findZoneAt(zones, { x: 150, y: 150 }), { zone: zones[1], action: 'move' });
+    assert.deepEqual(findZoneAt(zones, { x: 195, y: 195 }), { zone: zones[1], action: 'resize' });
+    assert.deepEqual(findZoneAt(zones, { x: 50, y: 50 }), { zone: zones[0], action: 'move' });
+    assert.equal(findZoneAt(zones, { x: 300, y: 300 }), null);
+});
+
+test('dragged zones stay inside the viewport', () => {
+    const zone = { x: 500, y: 400, width: 100, height: 50 };
+    assert.deepEqual(applyZoneDrag(zone, 'move', 100, 100, viewport), { x: 540, y: 430, width: 100, height: 50 });
+    assert.deepEqual(applyZoneDrag(zone, 'resize', 100, -100, viewport), { x: 500, y: 400, width: 140, height: 10 });
+});
+
+// Canvas stand-in 640x480 px shown at half size, collecting event listeners
+function createFakeCanvas() {
+    const listeners = {};
+    return {
+        width: 640,
+        height: 480,
+        style: {},
+        listeners,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        removeEventListener: (type) => { delete listeners[type]; },
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 320, height: 240 }),
+        setPointerCapture: () => {},
+        releasePointerCapture: () => {}
+    };
+}
+
+test('the editor draws, moves and removes zones only while enabled', () => {
+    const canvas = createFakeCanvas();
+    const engine = createPlacementEngine();
+    const changes = [];
+    const editor = createZoneEditor(canvas, engine, { onChange: zones => changes.push(zones) });
+    const pointer = (type, clientX, clientY) => canvas.listeners[type]({ clientX, clientY, pointerId: 1, preventDefault: () => {} });
+
+    pointer('pointerdown', 10, 10);
+    assert.equal(engine.getExclusionZones().length, 0);
+
+    // Draw a zone from (20, 20) to (120, 60) in canvas pixels
+    editor.setEnabled(true);
+    pointer('pointerdown', 10, 10);
+    pointer('pointermove', 60, 30);
+    pointer('pointerup', 60, 30);
+    assert.deepEqual(engine.getExclusionZones().map(({ x, y, width, height }) => ({ x, y, width, height })),
+        [{ x: 20, y: 20, width: 100, height: 40 }]);
+    assert.equal(changes.length, 1);
+
+    // Move it by (40, 40)
+    pointer('pointerdown', 30, 20);
+    pointer('pointermove', 50, 40);
+    pointer('pointerup', 50, 40);
+    assert.equal(engine.getExclusionZones()[0].x, 60);
+    assert.equal(engine.getExclusionZones()[0].y, 60);
+
+    // A plain click on empty space draws nothing
+    pointer('pointerdown', 300, 200);
+    pointer('pointerup', 300, 200);
+    assert.equal(engine.getExclusionZones().length, 1);
+
+    canvas.listeners.dblclick({ clientX: 40, clientY: 40 });
+    assert.equal(engine.getExclusionZones().length, 0);
+});
@@ -0,0 +1,241 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { blendFrames, createFrameScheduler } from '../frame-scheduler.js';
+
+// Hand with every keypoint at one point
+function hand(label, x, y) {
+    return { label, score: 1, keypoints: [{ x, y }, { x: x + 10, y: y + 10 }] };
+}
+
+// Frame with one face at (x, 0) and the given hands
+function frame(timestamp, x, hands = []) {
+    return { timestamp, width: 640, height: 480, faces: [{ x, y: 0, width: 100, height: 100, landmarks: [] }], hands };
+}
+
+// Let pending detect promises settle
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Scheduler on a manual clock; tick() runs one display frame `step` ms after the last
+function createHarness(options) {
+    const harness = { time: 0, rendered: [], requests: [], statuses: [], ended: 0 };
+    harness.scheduler = createFrameScheduler({
+        now: () => harness.time,
+        requestFrame: callback => harness.requests.push(callback),
+        cancelFrame: () => {},
+        render: (renderedFrame, time) => harness.rendered.push({ frame: renderedFrame, time }),
+        ...options
+    });
+    harness.scheduler.on('status', status => harness.statuses.push(status));
+    harness.scheduler.on('end', () => harness.ended++);
+    harness.tick = async (step = 16) => {
+        await settle();
+        harness.time += step;
+        const callback = harness.requests.shift();
+        if (callback) callback();
+        await settle();
+    };
+    return harness;
+}
+
+test('frames are interpolated between detections and extrapolated briefly after them', () => {
+    const previous = frame(0, 0, [hand('Left', 0, 0), hand('Right', 400, 0)]);
+    const latest = frame(100, 50, [hand('Right', 420, 0), hand('Left', 40, 0)]);
+
+    const middle = blendFrames(previous, latest, 50);
+    assert.equal(middle.timestamp, 50);
+    assert.equal(middle.faces[0].x, 25);
+    assert.deepEqual(middle.hands.map(h => h.keypoints[0].x), [410, 20]);
+
+    assert.equal(blendFrames(previous, latest, 150).faces[0].x, 75);
+    assert.equal(blendFrames(previous, latest, 1000, { maxExtrapolation: 100 }).faces[0].x, 100);
+
+    // Objects too far apart to be the same are not blended
+    const jumped = frame(100, 600);
+    assert.equal(blendFrames(previous, jumped, 50).faces[0].x, 600);
+    assert.equal(blendFrames(null, latest, 120).faces[0].x, 50);
+});
+
+test('rendering runs every display frame while inference runs at its own pace', async () => {
+    const pending = [];
+    const h = createHarness({ detect: () => new Promise(resolve => pending.push(resolve)), adaptiveResolution: false });
+    h.scheduler.start();
+
+    await h.tick();
+    assert.equal(pending.length, 1);
+    assert.equal(h.rendered.length, 0);
+
+    // Still busy: no second inference is queued
+    await h.tick();
+    await h.tick();
+    assert.equal(pending.length, 1);
+    assert.equal(h.scheduler.getStatus().skipped, 2);
+
+    pending.shift()(frame(0, 0));
+    await h.tick();
+    await h.tick();
+    assert.equal(h.rendered.length, 2);
+    assert.equal(h.rendered[1].frame.timestamp, 80);
+    assert.equal(h.statuses[0].state, 'running');
+    assert.equal(h.statuses[0].inferences, 1);
+});
+
+test('a restart during an inference starts a new one and ignores the old result', async () => {
+    const pending = [];
+    const h = createHarness({ detect: () => new Promise(resolve => pending.push(resolve)) });
+    h.scheduler.start();
+    await h.tick();
+    assert.equal(pending.length, 1);
+
+    h.scheduler.stop();
+    h.scheduler.start();
+    await h.tick();
+    assert.equal(pending.length, 2);
+    assert.equal(h.scheduler.getStatus().skipped, 0);
+
+    // The inference from before the stop finishes late and is dropped
+    pending[0](frame(0, 100));
+    await h.tick();
+    assert.equal(h.rendered.length, 0);
+    assert.equal(h.scheduler.getStatus().inferences, 0);
+
+    pending[1](frame(0, 0));
+    await h.tick();
+    assert.equal(h.rendered.length, 1);
+    assert.equal(h.rendered[0].frame.faces[0].x, 0);
+});
+
+test('inference can be capped and can alternate between the models', async () => {
+    const calls = [];
+    const h = createHarness({
+        inferenceInterval: 50,
+        alternate: true,
+        detect: async ({ tasks }) => {
+            calls.push({ time: h.time, tasks });
+            const result = { timestamp: h.time, width: 640, height: 480 };
+            if (tasks.includes('faces')) result.faces = [{ x: h.time, y: 0, width: 10, height: 10 }];
+            if (tasks.includes('hands')) result.hands = [hand('Left', h.time, 0)];
+            return result;
+        }
+    });
+    h.scheduler.start();
+    for (let i = 0; i < 12; i++) await h.tick(10);
+
+    assert.deepEqual(calls.map(call => call.time), [10, 60, 110]);
+    assert.deepEqual(calls.map(call => call.tasks), [['faces', 'hands'], ['faces'], ['hands']]);
+
+    // Both kinds keep being rendered, each from its own latest detections
+    const last = h.rendered[h.rendered.length - 1].frame;
+    assert.equal(last.faces.length, 1);
+    assert.equal(last.hands.length, 1);
+});
+
+test('objects take their turn as a model and are blended by label', async () => {
+    const calls = [];
+    const h = createHarness({
+        inferenceInterval: 50,
+        alternate: true,
+        tasks: ['faces', 'hands', 'objects'],
+        detect: async ({ tasks }) => {
+            calls.push(tasks);
+            const result = { timestamp: h.time, width: 640, height: 480 };
+            if (tasks.includes('faces')) result.faces = [];
+            if (tasks.includes('hands')) result.hands = [];
+            if (tasks.includes('objects')) result.objects = [{ x: h.time, y: 0, width: 40, height: 40, label: 'cup', score: 0.8 }];
+            return result;
+        }
+    });
+    h.scheduler.start();
+    for (let i = 0; i < 22; i++) await h.tick(10);
+    assert.deepEqual(calls.slice(0, 4), [['faces', 'hands', 'objects'], ['faces'], ['hands'], ['objects']]);
+
+    const previous = { ...frame(0, 0), objects: [{ x: 0, y: 0, width: 40, height: 40, label: 'cup' }] };
+    const latest = {
+        ...frame(100, 0),
+        objects: [{ x: 300, y: 0, width: 40, height: 40, label: 'bottle' }, { x: 40, y: 0, width: 60, height: 40, label: 'cup' }]
+    };
+    const middle = blendFrames(previous, latest, 50);
+    assert.deepEqual(middle.objects.map(object => [object.label, object.x, object.width]), [['bottle', 300, 40], ['cup', 20, 50]]);
+});
+
+test('the input scale drops while inference is over budget and recovers with headroom', async () => {
+    let cost = 100;
+    const h = createHarness({
+        budget: 50,
+        scaleCooldown: 1,
+        detect: async ({ scale }) => {
+            h.time += cost * scale;
+            return frame(h.time, 0);
+        }
+    });
+    h.scheduler.start();
+    for (let i = 0; i < 10; i++) await h.tick();
+    assert.equal(h.scheduler.getStatus().scale, 0.5);
+
+    cost = 10;
+    for (let i = 0; i < 30; i++) await h.tick();
+    assert.equal(h.scheduler.getStatus().scale, 1);
+});
+
+test('failed inferences are retried with backoff, then stop until retried', async () => {
+    let failing = true;
+    const calls = [];
+    const h = createHarness({
+        maxRetries: 2,
+        retryDelay: 100,
+        detect: async () => {
+            calls.push(h.time);
+            if (failing) throw new Error('model lost');
+            return frame(h.time, 0);
+        }
+    });
+    h.scheduler.start();
+    for (let i = 0; i < 30; i++) await h.tick(20);
+
+    // First try, then retries after 100 and 200 ms
+    assert.deepEqual(calls, [20, 120, 320]);
+    assert.deepEqual(h.statuses.map(status => status.state), ['retrying', 'retrying', 'failed']);
+    assert.equal(h.scheduler.getStatus().error.message, 'model lost');
+    assert.equal(h.scheduler.isRunning(), true);
+
+    failing = false;
+    h.scheduler.retry();
+    await h.tick();
+    await h.tick();
+    assert.equal(h.scheduler.getStatus().state, 'running');
+    assert.ok(h.rendered.length > 0);
+});
+
+test('the scheduler stops when the source ends and keeps rendering after render errors', async () => {
+    const frames = [frame(0, 0), null];
+    const errors = [];
+    const h = createHarness({
+        detect: async () => frames.shift(),
+        render: () => { throw new Error('draw failed'); }
+    });
+    h.scheduler.on('error', error => errors.push(error.message));
+    h.scheduler.start();
+    for (let i = 0; i < 4; i++) await h.tick();
+
+    assert.equal(h.ended, 1);
+    assert.equal(h.scheduler.isRunning(), false);
+    assert.equal(h.scheduler.getStatus().state, 'stopped');
+    assert.ok(errors.length >= 1);
+    assert.ok(errors.every(message => message === 'draw failed'));
+});
+
+test('errors thrown by status listeners are reported as errors', async () => {
+    const errors = [];
+    const h = createHarness({ detect: async () => frame(0, 0) });
+    h.scheduler.on('status', () => { throw new Error('listener failed'); });
+    h.scheduler.on('error', error => errors.push(error.message));
+    h.scheduler.start();
+    await h.tick();
+    await h.tick();
+
+    assert.ok(errors.length >= 1);
+    assert.ok(errors.every(message => message === 'listener failed'));
+    assert.equal(h.scheduler.isRunning(), true);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    clipPolygonToRect,
+    convexHull,
+    getLeaderLine,
+    getSafeRect,
+    isPointInPolygon,
+    isRectInBounds,
+    isRectInside,
+    polygonArea,
+    segmentIntersectsRect,
+    segmentsIntersect
+} from '../geometry.js';
+
+const rect = { x: 10, y: 10, width: 20, height: 20 };
+
+test('segments crossing a rectangle are detected', () => {
+    assert.equal(segmentIntersectsRect({ x1: 0, y1: 20, x2: 40, y2: 20 }, rect), true);
+    assert.equal(segmentIntersectsRect({ x1: 0, y1: 0, x2: 40, y2: 0 }, rect), false);
+    // Touching an edge is not a crossing
+    assert.equal(segmentIntersectsRect({ x1: 0, y1: 10, x2: 40, y2: 10 }, rect), false);
+});
+
+test('crossing segments are detected', () => {
+    assert.equal(segmentsIntersect({ x1: 0, y1: 0, x2: 10, y2: 10 }, { x1: 0, y1: 10, x2: 10, y2: 0 }), true);
+    assert.equal(segmentsIntersect({ x1: 0, y1: 0, x2: 10, y2: 0 }, { x1: 0, y1: 5, x2: 10, y2: 5 }), false);
+});
+
+test('leader lines run between the nearest edges', () => {
+    const label = { x: 60, y: 10, width: 20, height: 20 };
+    assert.deepEqual(getLeaderLine(label, rect), { x1: 60, y1: 20, x2: 30, y2: 20 });
+});
+
+test('bounds checks include the edges', () => {
+    assert.equal(isRectInBounds({ x: 0, y: 0, width: 100, height: 50 }, { width: 100, height: 50 }), true);
+    assert.equal(isRectInBounds({ x: 1, y: 0, width: 100, height: 50 }, { width: 100, height: 50 }), false);
+});
+
+test('the convex hull drops interior points', () => {
+    const points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 3, y: 7 }];
+    const hull = convexHull(points);
+    assert.equal(hull.length, 4);
+    assert.equal(polygonArea(hull), 100);
+});
+
+test('polygons are clipped to rectangles', () => {
+    const triangle = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }];
+    assert.equal(polygonArea(clipPolygonToRect(triangle, { x: 0, y: 0, width: 10, height: 10 })), 100);
+    assert.equal(polygonArea(clipPolygonToRect(triangle, { x: 10, y: 10, width: 10, height: 10 })), 0);
+    assert.equal(polygonArea(clipPolygonToRect(triangle, { x: 5, y: 5, width: 10, height: 10 })), 50);
+});
+
+test('points inside a polygon are detected', () => {
+    const triangle = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }];
+    assert.equal(isPointInPolygon({ x: 5, y: 5 }, triangle), true);
+    assert.equal(isPointInPolygon({ x: 15, y: 15 }, triangle), false);
+});
+
+test('safe areas inset the viewport and containment checks use them', () => {
+    const safeRect = getSafeRect({ width: 640, height: 480 }, { top: 40, bottom: 60, left: 10 });
+    assert.deepEqual(safeRect, { x: 10, y: 40, width: 630, height: 380 });
+    assert.equal(isRectInside({ x: 10, y: 40, width: 630, height: 380 }, safeRect), true);
+    assert.equal(isRectInside({ x: 0, y: 40, width: 100, height: 100 }, safeRect), false);
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyGesture, createGestureController, createGestureRecognizer } from '../gestures.js';
+import { createHandKeypoints } from '../detection-sources.js';
+import { createPlacementEngine } from '../placement-engine.js';
+
+const viewport = { width: 640, height: 480 };
+
+test('the four poses are recognized at any angle', () => {
+    ['pinch', 'point', 'openPalm', 'fist'].forEach(pose => {
+        [0, 0.5, -1.2].forEach(angle => {
+            const keypoints = createHandKeypoints({ x: 300, y: 200 }, 120, angle, pose);
+            assert.equal(classifyGesture(keypoints).gesture, pose, `${pose} at ${angle}`);
+        });
+    });
+
+    // Pinches act between the tips, pointing at the index tip
+    const pinch = createHandKeypoints({ x: 300, y: 200 }, 100, 0, 'pinch');
+    assert.deepEqual(classifyGesture(pinch).point, { x: (pinch[4].x + pinch[8].x) / 2, y: (pinch[4].y + pinch[8].y) / 2 });
+    const point = createHandKeypoints({ x: 300, y: 200 }, 100, 0, 'point');
+    assert.deepEqual(classifyGesture(point).point, point[8]);
+});
+
+test('a gesture is only taken over once it has been held', () => {
+    const recognizer = createGestureRecognizer({ holdTime: 100 });
+    const hand = pose => ({ id: 'hand_1', keypoints: createHandKeypoints({ x: 300, y: 200 }, 100, 0, pose) });
+
+    assert.equal(recognizer.update([hand('openPalm')], 0)[0].gesture, null);
+    assert.equal(recognizer.update([hand('openPalm')], 100)[0].gesture, 'openPalm');
+    // A single fist frame is ignored
+    assert.equal(recognizer.update([hand('fist')], 133)[0].gesture, 'openPalm');
+    assert.equal(recognizer.update([hand('openPalm')], 166)[0].gesture, 'openPalm');
+    assert.equal(recognizer.update([hand('fist')], 200)[0].gesture, 'openPalm');
+    assert.equal(recognizer.update([hand('fist')], 300)[0].gesture, 'fist');
+
+    // A hand that comes back starts over
+    recognizer.update([], 333);
+    assert.equal(recognizer.update([hand('fist')], 366)[0].gesture, null);
+});
+
+// Engine with one label per object, and a controller acting on it
+function createScene() {
+    const engine = createPlacementEngine({
+        createVisualizations: (physicalObject) => physicalObject.type === 'hand'
+            ? []
+            : [{ id: 'label', width: 80, height: 40, priority: 1, preferredPositions: { right: 200 } }]
+    });
+    const controller = createGestureController(engine);
+    const cup = { id: 'cup', x: 100, y: 200, width: 60, height: 60, type: 'cup' };
+
+    // Place a frame with a hand making `gesture` at `point`, then apply the gestures
+    function step(time, gesture, point) {
+        const detections = {
+            faces: [],
+            physicalObjects: [cup, { id: 'hand_1', x: 400, y: 300, width: 80, height: 80, type: 'hand', gesture, gesturePoint: point }]
+        };
+        const result = engine.placeFrame(detections, viewport, time);
+        const events = controller.update(detections, result);
+        return { result, events, label: result.placements.find(placement => placement.id === 'label') };
+    }
+
+    return { engine, controller, step };
+}
+
+test('a pinch grabs a label, moves it and pins it where it is released', () => {
+    const { engine, controller, step } = createScene();
+    const { label } = step(0, null, { x: 0, y: 0 });
+    const grabbedAt = { x: label.x + 10, y: label.y + 10 };
+    const released = [];
+    controller.on('release', event => released.push(event));
+
+    const grab = step(33, 'pinch', grabbedAt).events;
+    assert.deepEqual(grab.map(event => event.type), ['gesture', 'grab']);
+    assert.equal(grab[1].objectId, 'cup');
+    assert.equal(grab[1].visualizationId, 'label');
+
+    const move = step(66, 'pinch', { x: 410, y: 110 }).events;
+    assert.deepEqual(move.map(event => event.type), ['move']);
+    assert.deepEqual(move[0].position, { x: 400, y: 100 });
+    assert.deepEqual(step(100, 'openPalm', { x: 440, y: 340 }).events.map(event => event.type), ['gesture', 'release']);
+    assert.deepEqual(released[0].position, { x: 400, y: 100 });
+
+    // The engine keeps the label pinned until an open palm reaches it
+    const { label: pinned } = step(133, 'openPalm', { x: 440, y: 340 });
+    assert.deepEqual([pinned.x, pinned.y, pinned.pinned], [400, 100, true]);
+    step(166, null, { x: 440, y: 340 });
+    const unpin = step(200, 'openPalm', { x: 420, y: 120 }).events;
+    assert.deepEqual(unpin.map(event => event.type), ['gesture', 'unpin']);
+    assert.equal(engine.getPinnedPosition('cup', 'label'), null);
+});
+
+test('pointing selects a label once and a fist dismisses it', () => {
+    const { engine, step } = createScene();
+    const { label } = step(0, null, { x: 0, y: 0 });
+    const near = { x: label.x + label.width + 5, y: label.y + 5 };
+
+    assert.deepEqual(step(33, 'point', { x: 600, y: 20 }).events.map(event => event.type), ['gesture']);
+    const select = step(66, 'point', near).events;
+    assert.deepEqual(select.map(event => event.type), ['select']);
+    assert.equal(select[0].visualizationId, 'label');
+    assert.deepEqual(step(100, 'point', near).events, []);
+
+    const dismiss = step(133, 'fist', near).events;
+    assert.deepEqual(dismiss.map(event => event.type), ['gesture', 'dismiss']);
+    assert.deepEqual(engine.getVisualizationsForObject('cup'), []);
+    assert.equal(step(166, 'fist', near).label, undefined);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createLerpFilter,
+    createOneEuroFilter,
+    createPointFilter,
+    createSpringFilter
+} from '../motion-filters.js';
+
+const frameTime = 33;
+
+// Feed a sequence of values at a fixed frame rate and collect the outputs
+function run(filter, values) {
+    return values.map((value, i) => filter(value, i * frameTime));
+}
+
+test('lerp moves a fixed fraction of the way each step', () => {
+    assert.deepEqual(run(createLerpFilter({ factor: 0.5 }), [0, 100, 100]), [0, 50, 75]);
+});
+
+test('one euro filter suppresses jitter at rest', () => {
+    const noisy = Array.from({ length: 60 }, (_, i) => 100 + (i % 2 ? 2 : -2));
+    const output = run(createOneEuroFilter(), noisy).slice(30);
+
+    output.forEach(value => assert.ok(Math.abs(value - 100) < 1));
+});
+
+test('one euro filter lags far less than lerp during fast motion', () => {
+    // 3 px/ms, about 100 px per frame
+    const ramp = Array.from({ length: 20 }, (_, i) => i * frameTime * 3);
+    const target = ramp[ramp.length - 1];
+    const oneEuroLag = target - run(createOneEuroFilter(), ramp).pop();
+    const lerpLag = target - run(createLerpFilter(), ramp).pop();
+
+    assert.ok(oneEuroLag < 40, `one euro lag ${oneEuroLag}`);
+    assert.ok(oneEuroLag < lerpLag / 5);
+});
+
+test('critically damped spring reaches the target without overshoot', () => {
+    const filter = createSpringFilter({ halfLife: 80 });
+    filter(0, 0);
+
+    let previous = 0;
+    for (let time = frameTime; time <= 1000; time += frameTime) {
+        const value = filter(100, time);
+        assert.ok(value >= previous && value <= 100);
+        previous = value;
+    }
+    assert.ok(100 - previous < 1);
+});
+
+test('point filters smooth both axes and reject unknown kinds', () => {
+    const filter = createPointFilter('lerp', { factor: 0.5 });
+    filter({ x: 0, y: 0 }, 0);
+    assert.deepEqual(filter({ x: 10, y: 20 }, frameTime), { x: 5, y: 10 });
+
+    assert.throws(() => createPointFilter('kalman'), /Unknown smoothing filter/);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createObjectTracker, hungarianAssignment } from '../object-tracker.js';
+
+// Build a synthetic hand detection
+function detection(x, y, label = 'Left') {
+    return { x, y, width: 80, height: 80, label };
+}
+
+test('hungarian assignment finds the cheapest matching', () => {
+    assert.deepEqual(hungarianAssignment([
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2]
+    ]), [1, 0, 2]);
+
+    // More columns than rows leaves columns unassigned
+    assert.deepEqual(hungarianAssignment([[5, 1, 9], [1, 5, 9]]), [1, 0]);
+    // More rows than columns leaves rows unassigned
+    assert.deepEqual(hungarianAssignment([[5], [1]]), [-1, 0]);
+});
+
+test('ids persist when the detector reorders its output', () => {
+    const tracker = createObjectTracker();
+    const first = tracker.update([detection(100, 100), detection(400, 100)], 0).tracks.map(t => t.id);
+    const second = tracker.update([detection(405, 102), detection(98, 101)], 33).tracks.map(t => t.id);
+
+    assert.deepEqual(second, [first[1], first[0]]);
+});
+
+test('two hands with the same handedness keep their ids while moving', () => {
+    const tracker = createObjectTracker();
+    const ids = tracker.update([detection(100, 200), detection(300, 200)], 0).tracks.map(t => t.id);
+
+    // Both hands move right at 3 px/ms; the detector reports them in a random order
+    for (let frame = 1; frame <= 10; frame++) {
+        const timestamp = frame * 33;
+        const moved = [detection(100 + timestamp * 3, 200), detection(300 + timestamp * 3, 200)];
+        const reported = frame % 2 ? [moved[1], moved[0]] : moved;
+        const { tracks } = tracker.update(reported, timestamp);
+        const byX = [...tracks].sort((a, b) => a.x - b.x).map(t => t.id);
+        assert.deepEqual(byX, ids);
+    }
+});
+
+test('lifecycle events are emitted in order', () => {
+    const tracker = createObjectTracker({ maxLostTime: 100 });
+    const events = [];
+    ['created', 'updated', 'lost', 'removed'].forEach(type => tracker.on(type, track => events.push(`${type}:${track.id}`)));
+
+    tracker.update([detection(100, 100)], 0);
+    tracker.update([detection(102, 100)], 33);
+    tracker.update([], 66);
+    tracker.update([], 99);
+    tracker.update([], 200);
+
+    assert.deepEqual(events, ['created:track_1', 'updated:track_1', 'lost:track_1', 'removed:track_1']);
+});
+
+test('a lost track is recovered by a nearby detection', () => {
+    const tracker = createObjectTracker({ maxLostTime: 500 });
+    const [track] = tracker.update([detection(100, 100)], 0).tracks;
+
+    assert.equal(tracker.update([], 33).lost[0].id, track.id);
+    assert.equal(tracker.update([detection(110, 100)], 66).tracks[0].id, track.id);
+    assert.equal(track.state, 'active');
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createEllipseOccluder,
+    createHullOccluder,
+    getOccludedArea,
+    getShapeBounds,
+    segmentIntersectsOccluder
+} from '../occluders.js';
+
+// Diagonal hand: box 100x100, but the keypoints only cover a thin band from corner to corner
+const keypoints = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 100, y: 90 }, { x: 100, y: 100 }, { x: 90, y: 100 }, { x: 0, y: 10 }];
+const diagonalHand = { x: 0, y: 0, width: 100, height: 100, shape: createHullOccluder(keypoints) };
+
+test('boxes without a shape count as fully covered', () => {
+    const label = { x: 60, y: 0, width: 40, height: 40 };
+    assert.equal(getOccludedArea(label, { x: 0, y: 0, width: 100, height: 100 }), 1600);
+    assert.equal(getOccludedArea(label, diagonalHand), 0);
+    assert.ok(getOccludedArea({ x: 40, y: 40, width: 20, height: 20 }, diagonalHand) > 0);
+});
+
+test('mask occluders count only occupied cells', () => {
+    const mask = {
+        x: 0, y: 0, width: 40, height: 40,
+        shape: { type: 'mask', x: 0, y: 0, cellSize: 20, columns: 2, rows: 2, cells: [1, 0, 0, 1] }
+    };
+    assert.equal(getOccludedArea({ x: 10, y: 10, width: 20, height: 20 }, mask), 200);
+    assert.equal(getOccludedArea({ x: 20, y: 0, width: 20, height: 20 }, mask), 0);
+    assert.deepEqual(getShapeBounds(mask.shape), { x: 0, y: 0, width: 40, height: 40 });
+});
+
+test('segments only cross the covered part of an occluder', () => {
+    assert.equal(segmentIntersectsOccluder({ x1: 0, y1: 100, x2: 100, y2: 0 }, diagonalHand), true);
+    assert.equal(segmentIntersectsOccluder({ x1: 60, y1: 5, x2: 95, y2: 40 }, diagonalHand), false);
+    assert.equal(segmentIntersectsOccluder({ x1: 60, y1: 5, x2: 95, y2: 40 }, { x: 0, y: 0, width: 100, height: 100 }), true);
+});
+
+test('hull padding grows the polygon and ellipses stay inside their box', () => {
+    const padded = createHullOccluder([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }], 5);
+    assert.ok(getShapeBounds(padded).width > 10);
+
+    const face = { x: 0, y: 0, width: 100, height: 100 };
+    const ellipse = { ...face, shape: createEllipseOccluder(face) };
+    assert.equal(getOccludedArea({ x: 0, y: 0, width: 10, height: 10 }, ellipse), 0);
+    assert.equal(getOccludedArea({ x: 40, y: 40, width: 20, height: 20 }, ellipse), 400);
+});
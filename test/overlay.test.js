@@ -0,0 +1,215 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGlobalDetector, createOverlay } from '../overlay.js';
+import { createHandKeypoints } from '../detection-sources.js';
+import { servePipeline } from '../detection-pipeline.js';
+import { createSceneSetup } from '../scene-setup.js';
+
+// Canvas stand-in whose context ignores drawing, inside a stage of 640x480 CSS pixels
+function createFakeCanvas() {
+    const ctx = new Proxy({}, {
+        get: (target, name) => {
+            if (name in target) return target[name];
+            if (name === 'measureText') return text => ({ width: text.length * 8 });
+            return () => {};
+        }
+    });
+    const classes = new Set();
+    const stage = {
+        clientWidth: 640,
+        clientHeight: 480,
+        classList: { toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)), contains: name => classes.has(name) }
+    };
+    return { width: 300, height: 150, parentElement: stage, getContext: () => ctx };
+}
+
+// Source playing a list of frames, one per detection, then ending
+function createScriptedSource(hands) {
+    let index = 0;
+    return {
+        name: 'scripted',
+        load: async () => {},
+        start: async () => ({ width: 640, height: 480 }),
+        detect: async () => (index < hands.length ? {
+            timestamp: index++ * 100,
+            width: 640,
+            height: 480,
+            faces: [],
+            hands: hands[index - 1]
+        } : null),
+        stop: () => {}
+    };
+}
+
+// Worker stand-in serving the pipeline, structured-cloning messages unless they transfer objects
+function createFakeWorker() {
+    const worker = new EventTarget();
+    const scope = new EventTarget();
+    const deliver = (target, data, transfer = []) => {
+        const message = transfer.length > 0 ? data : structuredClone(data);
+        setTimeout(() => target.dispatchEvent(new MessageEvent('message', { data: message })), 0);
+    };
+    worker.postMessage = (data, transfer) => deliver(scope, data, transfer);
+    worker.terminate = () => {};
+    scope.postMessage = (data) => deliver(worker, data);
+    servePipeline(scope, { createSetup: createSceneSetup, createDetector: () => ({ load: async () => {} }) });
+    return worker;
+}
+
+// Scope with workers and transferable canvases
+const offscreenScope = {
+    Worker: function() {},
+    createImageBitmap: () => {},
+    OffscreenCanvas: function() {},
+    HTMLCanvasElement: { prototype: { transferControlToOffscreen: () => {} } }
+};
+
+const rightHand = { label: 'Right', score: 1, keypoints: createHandKeypoints({ x: 300, y: 300 }, 100) };
+
+// Overlay options on a manual clock; tick() runs one display frame
+function createHarness(options) {
+    const harness = { time: 0, requests: [] };
+    harness.options = {
+        canvas: createFakeCanvas(),
+        createDetector: () => ({ load: async () => {}, detect: async () => null }),
+        scheduler: {
+            now: () => harness.time,
+            requestFrame: callback => harness.requests.push(callback),
+            cancelFrame: () => {},
+            inferenceInterval: 0
+        },
+        ...options
+    };
+    harness.tick = async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        harness.time += 100;
+        const callback = harness.requests.shift();
+        if (callback) callback();
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return harness;
+}
+
+test('an overlay reports placed frames and objects entering and leaving', async () => {
+    const harness = createHarness({ source: createScriptedSource([[rightHand], [rightHand], [], []]) });
+    const overlay = createOverlay(harness.options);
+    const events = [];
+    ['start', 'objectEnter', 'objectLeave', 'end', 'stop'].forEach(type => {
+        overlay.on(type, payload => events.push(type === 'objectEnter' || type === 'objectLeave' ? `${type} ${payload.id}` : type));
+    });
+    let placed = null;
+    overlay.on('placements', payload => { placed = payload; });
+
+    await overlay.start();
+    assert.equal(overlay.isRunning(), true);
+    assert.equal(harness.options.canvas.parentElement.classList.contains('mirrored'), false);
+    for (let i = 0; i < 8 && overlay.isRunning(); i++) {
+        await harness.tick();
+    }
+
+    assert.deepEqual(placed.viewport, { width: 640, height: 480 });
+    assert.ok(Array.isArray(placed.result.placements));
+    assert.deepEqual(events, ['start', 'objectEnter hand_1', 'objectLeave hand_1', 'stop', 'end']);
+    assert.equal(overlay.isRunning(), false);
+
+    overlay.destroy();
+    await assert.rejects(overlay.start(), /destroyed/);
+});
+
+test('plugins add scoring rules, renderers and sources, and keep the overlay on the main thread', async () => {
+    const scored = [];
+    const drawn = [];
+    const harness = createHarness({
+        source: 'scripted',
+        mode: 'worker',
+        createWorker: () => { throw new Error('no worker expected'); },
+        scope: { Worker: function() {}, createImageBitmap: () => {}, OffscreenCanvas: function() {} }
+    });
+    const overlay = createOverlay(harness.options);
+    const remove = overlay.use({
+        name: 'badges',
+        rules: [{ name: 'preferLeft', weight: 1, score: candidate => (scored.push(candidate.side), 0) }],
+        renderers: { badge: { draw: (ctx, visualization) => drawn.push(visualization.id) } },
+        sources: { scripted: () => createScriptedSource([[rightHand], [rightHand], [rightHand], [rightHand]]) },
+        setup: ({ engine }) => engine.registerVisualizationTemplate('hand', { key: 'badge', type: 'badge', width: 30, height: 30 })
+    });
+
+    await overlay.start();
+    assert.equal(overlay.getPipeline().mode, 'main');
+    assert.equal(overlay.getPipeline().fallbackReason, null);
+    // Labels fade in from the first frame, so the badge is drawn from the second on
+    await harness.tick();
+    await harness.tick();
+    await harness.tick();
+    assert.ok(scored.length > 0);
+    assert.ok(drawn.includes('hand_1_badge'));
+
+    // Removing the plugin unregisters its rule and template
+    remove();
+    assert.doesNotThrow(() => overlay.engine.registerScoringRule({ name: 'preferLeft', score: () => 0 }));
+    assert.throws(() => overlay.use({}), /needs a name/);
+    overlay.destroy();
+});
+
+test('overlays are independent and sources can be switched by name', async () => {
+    const first = createOverlay(createHarness({ source: 'synthetic' }).options);
+    const second = createOverlay(createHarness({ source: createScriptedSource([]) }).options);
+    assert.notEqual(first.engine, second.engine);
+
+    await first.load();
+    assert.equal(first.getSource().name, 'synthetic');
+    await first.setSource('replay', { recording: { width: 640, height: 480, frames: [] } });
+    assert.equal(first.getSource().name, 'replay');
+    await assert.rejects(first.setSource('ftp'), /Unknown source: ftp/);
+
+    first.destroy();
+    second.destroy();
+});
+
+test('starting twice at once starts once, and destroying a drawing worker reports no error', async () => {
+    const harness = createHarness({
+        source: createScriptedSource([[rightHand], [rightHand], [rightHand]]),
+        mode: 'worker',
+        offscreen: true,
+        createWorker: createFakeWorker,
+        scope: offscreenScope
+    });
+    // The worker draws on the canvas itself
+    harness.options.canvas.transferControlToOffscreen = () => harness.options.canvas;
+    const overlay = createOverlay(harness.options);
+    const events = [];
+    ['start', 'error'].forEach(type => overlay.on(type, () => events.push(type)));
+
+    await Promise.all([overlay.start(), overlay.start()]);
+    assert.equal(overlay.getPipeline().mode, 'worker');
+    assert.equal(harness.requests.length, 1);
+    await harness.tick();
+
+    // Destroying stops the worker while its canvas is still being cleared
+    overlay.destroy();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(events, ['start']);
+});
+
+test('the global detector only loads the object model when objects are detected', async () => {
+    const loaded = [];
+    const model = name => ({ load: async () => loaded.push(name) });
+    Object.assign(globalThis, {
+        blazeface: model('faces'),
+        handPoseDetection: { SupportedModels: { MediaPipeHands: 'hands' }, createDetector: async () => loaded.push('hands') },
+        cocoSsd: model('objects')
+    });
+    try {
+        await createGlobalDetector().load();
+        assert.deepEqual(loaded, ['faces', 'hands']);
+
+        loaded.length = 0;
+        await createGlobalDetector({ objects: true }).load();
+        assert.deepEqual(loaded, ['faces', 'hands', 'objects']);
+    } finally {
+        delete globalThis.blazeface;
+        delete globalThis.handPoseDetection;
+        delete globalThis.cocoSsd;
+    }
+});
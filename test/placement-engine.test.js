@@ -0,0 +1,572 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateIntersectionArea,
+    createPlacementEngine,
+    defaultEngineConfig,
+    findOptimalVisualizationPosition,
+    scoreCandidatePositions
+} from '../placement-engine.js';
+import { createHullOccluder } from '../occluders.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Build a synthetic hand detection
+function hand(id, x, y, width = 80, height = 80) {
+    return { id, x, y, width, height, label: 'Left' };
+}
+
+// Build an engine that attaches a single square visualization to every object
+function createTestEngine(preferredPositions = {}, config = {}) {
+    return createPlacementEngine({
+        ...config,
+        createVisualizations: (physicalObject) => [{
+            id: `${physicalObject.id}_label`,
+            width: 80,
+            height: 80,
+            priority: 1,
+            preferredPositions
+        }]
+    });
+}
+
+test('calculateIntersectionArea returns the overlapping area', () => {
+    const rect = { x: 0, y: 0, width: 10, height: 10 };
+    assert.equal(calculateIntersectionArea(rect, { x: 5, y: 5, width: 10, height: 10 }), 25);
+    assert.equal(calculateIntersectionArea(rect, { x: 20, y: 20, width: 10, height: 10 }), 0);
+});
+
+test('out-of-bounds candidates are avoided', () => {
+    const engine = createTestEngine({ right: 200 });
+    const frame = engine.placeFrame({ faces: [], physicalObjects: [hand('edge', 550, 200)] }, viewport, 0);
+    const [placement] = frame.placements;
+
+    assert.notEqual(placement.position, 'right');
+    assert.ok(placement.x >= 0 && placement.x + placement.width <= viewport.width);
+    assert.ok(placement.y >= 0 && placement.y + placement.height <= viewport.height);
+});
+
+test('an in-bounds spot is found when every anchor is out of bounds', () => {
+    const engine = createTestEngine({ right: 200 });
+    const handObject = hand('wide', 0, 0, 560, 480);
+    const frame = engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+    const [placement] = frame.placements;
+
+    assert.equal(frame.unplaced.length, 0);
+    assert.ok(placement.x >= 0 && placement.x + placement.width <= viewport.width);
+    assert.ok(placement.y >= 0 && placement.y + placement.height <= viewport.height);
+    assert.equal(calculateIntersectionArea(placement, handObject), 0);
+});
+
+test('no valid placement is reported when the label cannot fit', () => {
+    const tinyViewport = { width: 60, height: 60 };
+    const result = findOptimalVisualizationPosition(
+        hand('hand', 10, 10, 20, 20),
+        80,
+        80,
+        { faces: [], physicalObjects: [], visualizations: [] },
+        tinyViewport
+    );
+    assert.equal(result, null);
+
+    const frame = createTestEngine().placeFrame({ faces: [], physicalObjects: [hand('hand', 10, 10, 20, 20)] }, tinyViewport, 0);
+    assert.equal(frame.placements.length, 0);
+    assert.deepEqual(frame.unplaced.map(entry => entry.reason), ['no-valid-placement']);
+});
+
+test('faces are avoided even against a preferred position', () => {
+    const engine = createTestEngine({ right: 200 });
+    const handObject = hand('hand', 300, 200);
+
+    const withoutFace = engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+    assert.equal(withoutFace.placements[0].position, 'right');
+
+    engine.reset();
+    const face = { x: 385, y: 150, width: 150, height: 180 };
+    const withFace = engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 0);
+    const [placement] = withFace.placements;
+
+    assert.notEqual(placement.position, 'right');
+    assert.equal(calculateIntersectionArea(placement, face), 0);
+});
+
+test('the previous position is kept when an alternative is only slightly better', () => {
+    const handObject = hand('hand', 280, 200);
+    // Face clipping a few pixels of the "top" slot: enough to flip a fresh decision
+    const face = { x: 276, y: 108, width: 10, height: 4 };
+    const frame = { faces: [face], physicalObjects: [handObject] };
+
+    const freshEngine = createTestEngine({ top: 100, bottom: 90 });
+    assert.equal(freshEngine.placeFrame(frame, viewport, 0).placements[0].position, 'bottom');
+
+    const warmEngine = createTestEngine({ top: 100, bottom: 90 });
+    assert.equal(warmEngine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0).placements[0].position, 'top');
+    assert.equal(warmEngine.placeFrame(frame, viewport, 33).placements[0].position, 'top');
+});
+
+test('hysteresis holds the current anchor against a sub-threshold advantage', () => {
+    const handObject = hand('hand', 280, 200);
+    const face = { x: 276, y: 108, width: 10, height: 4 };
+    const engine = createTestEngine({ top: 100, bottom: 90 }, { previousPositionBonus: 0 });
+
+    assert.equal(engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0).placements[0].position, 'top');
+    for (let frame = 1; frame <= 10; frame++) {
+        assert.equal(engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, frame * 33).placements[0].position, 'top');
+    }
+    assert.equal(engine.getAnchor('hand', 'hand_label'), 'top');
+});
+
+test('hysteresis switches anchors after enough consecutive challenging frames', () => {
+    const handObject = hand('hand', 280, 200);
+    // Face covering the whole "top" slot
+    const face = { x: 280, y: 110, width: 80, height: 80 };
+    const engine = createTestEngine({ top: 100, bottom: 90 }, { hysteresisFrames: 3 });
+
+    assert.equal(engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0).placements[0].position, 'top');
+    const positions = [1, 2, 3].map(frame =>
+        engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, frame * 33).placements[0].position
+    );
+    assert.deepEqual(positions, ['top', 'top', 'bottom']);
+
+    // An interrupted challenge starts counting again
+    const restarted = createTestEngine({ top: 100, bottom: 90 }, { hysteresisFrames: 2 });
+    restarted.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+    assert.equal(restarted.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 33).placements[0].position, 'top');
+    assert.equal(restarted.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 66).placements[0].position, 'top');
+    assert.equal(restarted.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 99).placements[0].position, 'top');
+    assert.equal(restarted.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 132).placements[0].position, 'bottom');
+});
+
+test('hysteresis respects the minimum dwell time', () => {
+    const handObject = hand('hand', 280, 200);
+    const face = { x: 280, y: 110, width: 80, height: 80 };
+    const engine = createTestEngine({ top: 100, bottom: 90 }, { hysteresisFrames: 1, minDwellTime: 500 });
+
+    engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+    assert.equal(engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 100).placements[0].position, 'top');
+    assert.equal(engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, 600).placements[0].position, 'bottom');
+});
+
+test('placements are smoothed toward a moving target', () => {
+    const engine = createTestEngine({ right: 200 });
+    const first = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 0).placements[0];
+    const second = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 200, 200)] }, viewport, 33).placements[0];
+
+    // The target moved 100px right, the smoothed position only 20% of the way
+    assert.equal(second.x - first.x, 20);
+    assert.equal(second.y, first.y);
+});
+
+test('state of unseen objects is released after the memory timeout', () => {
+    const engine = createTestEngine({}, { positionMemoryTimeout: 1000 });
+    engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 0);
+
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 500);
+    assert.equal(engine.getVisualizationsForObject('hand').length, 1);
+
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 1500);
+    assert.equal(engine.getVisualizationsForObject('hand').length, 0);
+});
+
+test('position memory of objects with numeric ids is forgotten once they are lost', () => {
+    const engine = createTestEngine({ right: 200 });
+    engine.placeFrame({ faces: [], physicalObjects: [{ ...hand('hand', 100, 200), id: 7 }] }, viewport, 0);
+
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 100);
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 100 + engine.config.positionMemoryTimeout);
+    // Without a remembered position, a new position is taken as it is
+    assert.deepEqual(engine.stabilizeVisualizationPosition(7, '7_label', { x: 500, y: 400 }, 2000), { x: 500, y: 400 });
+});
+
+test('visualizations of objects with numeric ids are removed once they are lost', () => {
+    const engine = createTestEngine({ right: 200 });
+    engine.placeFrame({ faces: [], physicalObjects: [{ ...hand('hand', 100, 200), id: 7 }] }, viewport, 0);
+    assert.equal(engine.getVisualizationsForObject(7).length, 1);
+
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 100);
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 100 + engine.config.positionMemoryTimeout);
+    assert.deepEqual(engine.getVisualizationsForObject(7), []);
+});
+
+test('visualizations are measured when they are attached and when their content changes', () => {
+    const engine = createPlacementEngine({
+        measureVisualization: visualization => (visualization.type === 'text'
+            ? { width: visualization.content.length * 10, height: 20 }
+            : null)
+    });
+    engine.addVisualization('hand', { id: 'note', type: 'text', content: 'Hi', width: 80, height: 80, preferredPositions: { right: 200 } });
+    engine.addVisualization('hand', { id: 'box', width: 50, height: 50, preferredPositions: { left: 200 } });
+
+    let frame = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 0);
+    const size = id => {
+        const placement = frame.placements.find(candidate => candidate.id === id);
+        return [placement.width, placement.height];
+    };
+    assert.deepEqual(size('note'), [20, 20]);
+    assert.deepEqual(size('box'), [50, 50]);
+
+    engine.updateVisualization('hand', 'note', { content: 'Hello there' });
+    frame = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 33);
+    assert.deepEqual(size('note'), [110, 20]);
+});
+
+test('registered templates attach visualizations to matching objects', () => {
+    const engine = createPlacementEngine();
+    engine.registerVisualizationTemplate('hand', { key: 'badge', width: 40, height: 40 });
+    const unregister = engine.registerVisualizationTemplate({ label: 'Left' }, { key: 'side', width: 40, height: 40, content: o => o.label });
+
+    const left = { ...hand('hand_1', 100, 200), type: 'hand' };
+    const right = { ...hand('hand_2', 400, 200), type: 'hand', label: 'Right' };
+    const frame = engine.placeFrame({ faces: [], physicalObjects: [left, right] }, viewport, 0);
+
+    assert.deepEqual(frame.placements.map(p => p.id).sort(), ['hand_1_badge', 'hand_1_side', 'hand_2_badge']);
+    assert.equal(engine.getVisualizationsForObject('hand_1').find(v => v.id === 'hand_1_side').content, 'Left');
+
+    // Unregistering only affects objects seen afterwards
+    unregister();
+    const later = engine.placeFrame({ faces: [], physicalObjects: [left, { ...left, id: 'hand_3', x: 300 }] }, viewport, 33);
+    assert.deepEqual(later.placements.map(p => p.id).sort(), ['hand_1_badge', 'hand_1_side', 'hand_3_badge']);
+});
+
+test('visualizations can be added, updated and removed at runtime', () => {
+    const engine = createTestEngine({ right: 200 }, { hysteresisFrames: 1 });
+    const handObject = hand('hand', 100, 200);
+    engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+
+    engine.addVisualization('hand', { id: 'extra', width: 40, height: 40, preferredPositions: { bottom: 500 } });
+    assert.throws(() => engine.addVisualization('hand', { id: 'extra', width: 40, height: 40 }), /already exists/);
+    assert.equal(engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 33).placements.length, 2);
+
+    // Updating keeps the smoothing state: the label eases toward its new preferred side
+    const before = engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 66).placements.find(p => p.id === 'hand_label');
+    engine.updateVisualization('hand', 'hand_label', { preferredPositions: { left: 100000 }, color: '#0F0' });
+    const after = engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 99).placements.find(p => p.id === 'hand_label');
+    assert.equal(after.position, 'left');
+    assert.equal(after.visualization.color, '#0F0');
+    assert.ok(after.x < before.x && after.x > 100 - 80 - 10);
+
+    assert.equal(engine.removeVisualization('hand', 'extra'), true);
+    assert.equal(engine.removeVisualization('hand', 'extra'), false);
+    assert.equal(engine.updateVisualization('hand', 'extra', {}), null);
+    assert.deepEqual(engine.getVisualizationsForObject('hand').map(v => v.id), ['hand_label']);
+});
+
+test('visualizations added before an object is detected are kept', () => {
+    const engine = createTestEngine();
+    engine.addVisualization('hand', { id: 'early', width: 40, height: 40 });
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 0);
+
+    const frame = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 33);
+    assert.deepEqual(frame.placements.map(p => p.id).sort(), ['early', 'hand_label']);
+});
+
+test('labels can use the empty corners of an occluder shape', () => {
+    const engine = createPlacementEngine({
+        createVisualizations: (physicalObject) => physicalObject.id === 'a'
+            ? [{ id: 'a_label', width: 80, height: 80, priority: 1, preferredPositions: { right: 200 } }]
+            : []
+    });
+    // Hand "b" reaches diagonally through the top-right half of its box only
+    const box = { id: 'b', x: 190, y: 150, width: 200, height: 200 };
+    const shape = createHullOccluder([{ x: 250, y: 150 }, { x: 390, y: 150 }, { x: 390, y: 290 }]);
+
+    const withBox = engine.placeFrame({ faces: [], physicalObjects: [hand('a', 100, 200), box] }, viewport, 0);
+    assert.notEqual(withBox.placements[0].position, 'right');
+
+    engine.reset();
+    const withShape = engine.placeFrame({ faces: [], physicalObjects: [hand('a', 100, 200), { ...box, shape }] }, viewport, 0);
+    assert.equal(withShape.placements[0].position, 'right');
+});
+
+test('callouts link a displaced label back to its hand', () => {
+    const handObject = hand('hand', 280, 200);
+    const faces = [
+        { x: 150, y: 180, width: 120, height: 120 },
+        { x: 370, y: 180, width: 120, height: 120 },
+        { x: 250, y: 50, width: 140, height: 140 },
+        { x: 250, y: 290, width: 140, height: 140 }
+    ];
+    const createEngine = (enabled) => createPlacementEngine({
+        callouts: { enabled },
+        createVisualizations: () => [{ id: 'label', width: 60, height: 40, priority: 1 }]
+    });
+
+    const plain = createEngine(false).placeFrame({ faces, physicalObjects: [handObject] }, viewport, 0).placements[0];
+    assert.equal(plain.leaderLine, null);
+
+    const callout = createEngine(true).placeFrame({ faces, physicalObjects: [handObject] }, viewport, 0).placements[0];
+    faces.forEach(face => assert.equal(calculateIntersectionArea(callout, face), 0));
+    assert.ok(callout.leaderLine);
+
+    // The leader line ends on the edge of the hand's box
+    const { x2, y2 } = callout.leaderLine;
+    assert.ok(x2 >= handObject.x && x2 <= handObject.x + handObject.width);
+    assert.ok(y2 >= handObject.y && y2 <= handObject.y + handObject.height);
+});
+
+test('motion-aware placement targets where a moving hand is heading', () => {
+    const movingHand = { ...hand('hand', 200, 200), vx: 1, vy: 0 };
+    const place = (motion) => createTestEngine({ right: 200 }, { motion })
+        .placeFrame({ faces: [], physicalObjects: [movingHand] }, viewport, 0)
+        .placements[0];
+
+    // 1 px/ms over the default 100 ms lookahead
+    assert.equal(place({ enabled: true }).x - place({ enabled: false }).x, 100);
+});
+
+test('motion-aware placement estimates velocity when none is supplied', () => {
+    const engine = createTestEngine({ right: 200 }, {
+        motion: { enabled: true, lookahead: 100, velocitySmoothing: 1 },
+        smoothing: { filter: 'spring', spring: { halfLife: 1 } }
+    });
+    engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 100, 200)] }, viewport, 0);
+    const placement = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 133, 200)] }, viewport, 33).placements[0];
+
+    // 1 px/ms estimated from the two frames; the fast spring has all but reached the target
+    assert.equal(placement.x, 133 + 80 + 10 + 100);
+});
+
+test('diagnostics list every scored candidate when enabled', () => {
+    const detections = { faces: [], physicalObjects: [hand('hand', 280, 200)] };
+    assert.deepEqual(createTestEngine().placeFrame(detections, viewport, 0).diagnostics, []);
+
+    const { diagnostics, placements } = createTestEngine({ right: 200 }, { diagnostics: true }).placeFrame(detections, viewport, 0);
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].candidates.length, 8);
+    assert.equal(diagnostics[0].chosen, placements[0].position);
+
+    // The chosen anchor is the best-scored one
+    const best = diagnostics[0].candidates.reduce((a, b) => (b.score > a.score ? b : a));
+    assert.equal(best.position, diagnostics[0].chosen);
+});
+
+test('registered scoring rules steer placement and can be removed', () => {
+    const engine = createTestEngine({ bottom: 300 }, { diagnostics: true });
+    const detections = { faces: [], physicalObjects: [hand('hand', 280, 100)] };
+
+    // Never below hands
+    const unregister = engine.registerScoringRule({
+        name: 'neverBelow',
+        constraint: true,
+        score: (candidate, context) => (candidate.rect.y >= context.physicalObject.y + context.physicalObject.height ? -1 : 0)
+    });
+    assert.throws(() => engine.registerScoringRule({ name: 'neverBelow', score: () => 0 }), /already exists/);
+    assert.throws(() => engine.registerScoringRule({ name: 'distance', score: () => 0 }), /already exists/);
+
+    const frame = engine.placeFrame(detections, viewport, 0);
+    assert.notEqual(frame.placements[0].position, 'bottom');
+    assert.equal(frame.diagnostics[0].candidates.length, 5);
+    assert.ok('distance' in frame.diagnostics[0].candidates[0].breakdown);
+
+    unregister();
+    engine.reset();
+    assert.equal(engine.placeFrame(detections, viewport, 0).placements[0].position, 'bottom');
+});
+
+test('hard exclusion zones are never covered and soft ones cost their weight', () => {
+    const detections = { faces: [], physicalObjects: [hand('hand', 280, 200)] };
+    // A toolbar right of the hand
+    const toolbar = { id: 'toolbar', x: 370, y: 0, width: 270, height: 480 };
+
+    const hard = createTestEngine({ right: 200 }, { exclusionZones: [toolbar] });
+    const hardFrame = hard.placeFrame(detections, viewport, 0);
+    assert.notEqual(hardFrame.placements[0].position, 'right');
+    assert.equal(calculateIntersectionArea(hardFrame.placements[0], toolbar), 0);
+    assert.equal(hardFrame.exclusionZones[0].mode, 'hard');
+
+    // A cheap soft zone is accepted for the preferred anchor, an expensive one is not
+    const cheap = createTestEngine({ right: 200 }, { exclusionZones: [{ ...toolbar, mode: 'soft', weight: 0.001 }] });
+    assert.equal(cheap.placeFrame(detections, viewport, 0).placements[0].position, 'right');
+    const expensive = createTestEngine({ right: 200 }, { exclusionZones: [{ ...toolbar, mode: 'soft' }] });
+    assert.notEqual(expensive.placeFrame(detections, viewport, 0).placements[0].position, 'right');
+});
+
+test('exclusion zones can be changed per session', () => {
+    const engine = createTestEngine({ right: 200 });
+    const detections = { faces: [], physicalObjects: [hand('hand', 280, 200)] };
+
+    const zone = engine.addExclusionZone({ id: 'logo', x: 370, y: 200, width: 80, height: 80 });
+    assert.equal(zone.mode, 'hard');
+    assert.throws(() => engine.addExclusionZone({ id: 'logo', x: 0, y: 0, width: 10, height: 10 }), /already exists/);
+    assert.notEqual(engine.placeFrame(detections, viewport, 0).placements[0].position, 'right');
+
+    assert.equal(engine.updateExclusionZone('logo', { x: 0, y: 0 }).x, 0);
+    assert.equal(engine.updateExclusionZone('missing', { x: 0 }), null);
+    engine.reset();
+    assert.equal(engine.placeFrame(detections, viewport, 0).placements[0].position, 'right');
+
+    assert.equal(engine.removeExclusionZone('logo'), true);
+    assert.equal(engine.removeExclusionZone('logo'), false);
+    assert.throws(() => engine.setExclusionZones([{ id: 'a', x: 0, y: 0, width: 1, height: 1 }, { id: 'a', x: 5, y: 5, width: 1, height: 1 }]), /unique/);
+});
+
+test('labels stay inside the safe area', () => {
+    // The top anchor would reach up to y = 110 - 80 - 10 = 20, inside a 60px top inset
+    const engine = createTestEngine({ top: 200 }, { safeArea: { top: 60 } });
+    const placement = engine.placeFrame({ faces: [], physicalObjects: [hand('hand', 280, 110)] }, viewport, 0).placements[0];
+    assert.notEqual(placement.position, 'top');
+    assert.ok(placement.y >= 60);
+});
+
+test('pinned visualizations stay put and the others are placed around them', () => {
+    const engine = createTestEngine({ right: 200 });
+    engine.placeFrame({ faces: [], physicalObjects: [hand('a', 100, 200), hand('b', 400, 200)] }, viewport, 0);
+
+    // Pin a's label where b's label would go
+    assert.equal(engine.pinVisualization('a', 'a_label', { x: 480, y: 200 }), true);
+    assert.equal(engine.pinVisualization('a', 'missing', { x: 0, y: 0 }), false);
+    let frame;
+    for (let time = 33; time <= 1000; time += 33) {
+        frame = engine.placeFrame({ faces: [], physicalObjects: [hand('a', 100, 200), hand('b', 400, 200)] }, viewport, time);
+    }
+    const pinned = frame.placements.find(p => p.id === 'a_label');
+    const other = frame.placements.find(p => p.id === 'b_label');
+    assert.deepEqual([pinned.x, pinned.y, pinned.position, pinned.pinned], [480, 200, 'pinned', true]);
+    assert.equal(other.pinned, false);
+    assert.equal(calculateIntersectionArea(pinned, other), 0);
+
+    // Unpinned, the label returns to the engine and moves away from the pin gradually
+    assert.equal(engine.unpinVisualization('a', 'a_label'), true);
+    assert.equal(engine.getPinnedPosition('a', 'a_label'), null);
+    const released = engine.placeFrame({ faces: [], physicalObjects: [hand('a', 100, 200), hand('b', 400, 200)] }, viewport, 1033);
+    const label = released.placements.find(p => p.id === 'a_label');
+    assert.notEqual(label.position, 'pinned');
+    assert.ok(label.x < 480 && label.x > 180);
+});
+
+test('tracked faces carry labels and count as faces for every other label', () => {
+    const engine = createPlacementEngine({
+        createVisualizations: (physicalObject) => [{ id: 'label', width: 80, height: 40, priority: 1, preferredPositions: { right: 300 } }]
+    });
+    const face = { id: 'face_1', type: 'face', x: 300, y: 100, width: 100, height: 120 };
+    // The hand's favorite spot, right of it, is where the face is
+    const handObject = { id: 'hand_1', type: 'hand', x: 200, y: 140, width: 80, height: 80 };
+    const frame = engine.placeFrame({ faces: [], physicalObjects: [face, handObject] }, viewport, 0);
+
+    assert.deepEqual(frame.placements.map(p => p.objectId).sort(), ['face_1', 'hand_1']);
+    const handLabel = frame.placements.find(p => p.objectId === 'hand_1');
+    assert.equal(calculateIntersectionArea(handLabel, face), 0);
+});
+
+test('object classes have their own obstacle weights and rules', () => {
+    // The label covers the book on the left of the hand and the cup on its right, just as much
+    const cup = { id: 'cup', type: 'cup', x: 400, y: 0, width: 80, height: 80 };
+    const book = { id: 'book', type: 'book', x: 100, y: 0, width: 80, height: 80 };
+    const anchor = { id: 'hand', type: 'hand', x: 250, y: 0, width: 80, height: 80 };
+    const allObjects = { faces: [], physicalObjects: [cup, book, anchor], visualizations: [] };
+    const score = (classes, position) => scoreCandidatePositions(anchor, 160, 80, allObjects, viewport, { config: { ...defaultEngineConfig, classes } })
+        .find(candidate => candidate.position === position).score;
+
+    assert.equal(score({}, 'left'), score({}, 'right'));
+    assert.ok(score({ cup: { obstacleWeight: 10 } }, 'right') < score({ cup: { obstacleWeight: 10 } }, 'left'));
+    assert.ok(score({ book: { obstacleWeight: 10 } }, 'left') < score({ book: { obstacleWeight: 10 } }, 'right'));
+
+    // A class rule can turn covering into a constraint for the labels of one class only
+    const engine = createPlacementEngine({
+        classes: { hand: { rules: { objectOverlap: { constraint: true } } } },
+        createVisualizations: (physicalObject) => physicalObject.type === 'hand'
+            ? [{ id: 'label', width: 160, height: 80, priority: 1, preferredPositions: { left: 100, right: 100 } }]
+            : []
+    });
+    const [label] = engine.placeFrame({ faces: [], physicalObjects: [cup, book, anchor] }, { width: 580, height: 80 }, 0).placements;
+    assert.equal(calculateIntersectionArea(label, cup) + calculateIntersectionArea(label, book), 0);
+});
+
+test('animated visualizations fade in, and fade out as ghosts while their object is lost', () => {
+    const engine = createTestEngine({ right: 200 }, { animations: { enabled: true } });
+    const detections = { faces: [], physicalObjects: [hand('hand', 100, 200)] };
+
+    const first = engine.placeFrame(detections, viewport, 0).placements[0];
+    assert.deepEqual([first.opacity, first.scale, first.phase], [0, 0.6, 'entering']);
+    assert.equal(engine.placeFrame(detections, viewport, 125).placements[0].opacity, 0.875);
+    const shown = engine.placeFrame(detections, viewport, 250).placements[0];
+    assert.deepEqual([shown.opacity, shown.scale, shown.phase], [1, 1, 'visible']);
+
+    // The label stays where it was, fading, instead of vanishing with its hand
+    const lost = engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 450);
+    assert.equal(lost.placements.length, 0);
+    assert.equal(lost.ghosts.length, 1);
+    assert.deepEqual([lost.ghosts[0].x, lost.ghosts[0].y, lost.ghosts[0].phase], [shown.x, shown.y, 'exiting']);
+    assert.equal(lost.ghosts[0].opacity, 0.875);
+
+    // A hand that comes back fades in from there; one that stays away is gone after the exit
+    assert.equal(engine.placeFrame(detections, viewport, 450).placements[0].opacity, 0.875);
+    engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 500);
+    assert.deepEqual(engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 1000).ghosts, []);
+
+    // Visualizations can opt out
+    const plain = createPlacementEngine({
+        animations: { enabled: true },
+        createVisualizations: () => [{ id: 'label', width: 80, height: 40, priority: 1, animation: false }]
+    });
+    assert.equal(plain.placeFrame(detections, viewport, 0).placements[0].opacity, 1);
+    assert.deepEqual(plain.placeFrame({ faces: [], physicalObjects: [] }, viewport, 33).ghosts, []);
+});
+
+test('objects with numeric ids get no ghosts while they are visible', () => {
+    const engine = createTestEngine({ right: 200 }, { animations: { enabled: true } });
+    const detections = { faces: [], physicalObjects: [{ ...hand('hand', 100, 200), id: 7 }] };
+
+    engine.placeFrame(detections, viewport, 0);
+    assert.deepEqual(engine.placeFrame(detections, viewport, 250).ghosts, []);
+    assert.equal(engine.placeFrame({ faces: [], physicalObjects: [] }, viewport, 450).ghosts.length, 1);
+});
+
+test('an animated anchor change goes around the object instead of through it', () => {
+    const handObject = hand('hand', 280, 200);
+    const face = { x: 280, y: 110, width: 80, height: 80 };
+    const engine = createTestEngine({ top: 100, bottom: 90 }, { hysteresisFrames: 1, animations: { enabled: true } });
+
+    engine.placeFrame({ faces: [], physicalObjects: [handObject] }, viewport, 0);
+    const moves = [];
+    for (let time = 33; time <= 500; time += 33) {
+        const [label] = engine.placeFrame({ faces: [face], physicalObjects: [handObject] }, viewport, time).placements;
+        assert.equal(calculateIntersectionArea(label, handObject), 0, `at ${time}`);
+        moves.push(label);
+    }
+    assert.equal(moves[0].position, 'bottom');
+    // Halfway it is beside the hand, and it ends on the bottom anchor
+    assert.ok(moves.some(label => label.x >= 360 || label.x + label.width <= 280));
+    const last = moves[moves.length - 1];
+    assert.deepEqual([last.x, last.y], [280, 290]);
+});
+
+test('with depth, labels scale with their object\'s distance and nearer ones are drawn last', () => {
+    const engine = createTestEngine({}, { depth: { enabled: true } });
+    const near = { ...hand('near', 40, 40), depth: 0.5 };
+    const far = { ...hand('far', 400, 40), depth: 2 };
+    const flat = hand('flat', 220, 300);
+    const { placements } = engine.placeFrame({ faces: [], physicalObjects: [near, far, flat] }, viewport, 0);
+
+    // Farthest first, objects without a depth behind everything
+    assert.deepEqual(placements.map(placement => placement.objectId), ['flat', 'far', 'near']);
+    assert.deepEqual(placements.map(placement => [placement.width, placement.depthScale, placement.depth]), [
+        [80, 1, null],
+        [48, 0.6, 2],   // 1 / 2, raised to minScale
+        [120, 1.5, 0.5] // 1 / 0.5, lowered to maxScale
+    ]);
+
+    // Fixed-size visualizations opt out; without the option depth is ignored
+    const fixed = createPlacementEngine({
+        depth: { enabled: true },
+        createVisualizations: () => [{ id: 'label', width: 80, height: 40, priority: 1, scaleWithDepth: false }]
+    });
+    assert.equal(fixed.placeFrame({ faces: [], physicalObjects: [near] }, viewport, 0).placements[0].width, 80);
+    assert.equal(createTestEngine().placeFrame({ faces: [], physicalObjects: [near] }, viewport, 0).placements[0].width, 80);
+});
+
+test('with depth, nearer objects push labels away and farther ones may be covered', () => {
+    const anchor = { id: 'hand', type: 'hand', x: 250, y: 0, width: 80, height: 80, depth: 1 };
+    const other = { id: 'other', type: 'hand', x: 400, y: 0, width: 80, height: 80 };
+    const config = { ...defaultEngineConfig, depth: { ...defaultEngineConfig.depth, enabled: true } };
+    const score = (depth) => scoreCandidatePositions(anchor, 160, 80, { faces: [], physicalObjects: [anchor, { ...other, depth }], visualizations: [] }, viewport, { config })
+        .find(candidate => candidate.position === 'right').breakdown.objectOverlap;
+
+    const covered = score(undefined);
+    assert.ok(covered < 0);
+    assert.equal(score(0.5), covered * 3);
+    assert.equal(score(2), covered * 0.5);
+    // Depths within the tolerance count as the same
+    assert.equal(score(1.05), covered);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPlacementMetrics, measureFrame, summarizeFrames } from '../placement-metrics.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Frame result with one hand and one label placed on a given anchor
+function frameResult(handX, labelX, position = 'right', extra = {}) {
+    const handObject = { id: 'hand', x: handX, y: 200, width: 80, height: 80 };
+    return {
+        faces: [],
+        physicalObjects: [handObject],
+        placements: [{ id: 'label', objectId: 'hand', x: labelX, y: 200, width: 80, height: 80, position }],
+        unplaced: [],
+        ...extra
+    };
+}
+
+test('overlap, bounds and anchor distance are measured per frame', () => {
+    const result = frameResult(100, 150, 'right', {
+        faces: [{ x: 200, y: 200, width: 100, height: 100 }]
+    });
+    result.placements.push({ id: 'other', objectId: 'hand', x: 600, y: 260, width: 80, height: 80, position: 'right' });
+
+    const metrics = measureFrame(result, viewport);
+    assert.equal(metrics.placed, 2);
+    // label covers 30x80 of the face and 30x80 of its own hand
+    assert.equal(metrics.faceOverlap, 30 * 80);
+    assert.equal(metrics.objectOverlap, 30 * 80);
+    assert.equal(metrics.labelOverlap, 0);
+    assert.equal(metrics.outOfBounds, 1);
+    // the overlapping label touches its anchor; the other one is 420px to its right
+    assert.equal(metrics.anchorDistance, 420 / 2);
+});
+
+test('jitter ignores movement that follows the anchor', () => {
+    const metrics = createPlacementMetrics();
+    metrics.update(frameResult(100, 190), viewport, 0);
+    assert.equal(metrics.update(frameResult(120, 210), viewport, 33).jitter, 0);
+    assert.equal(metrics.update(frameResult(120, 214), viewport, 66).jitter, 4);
+});
+
+test('anchor switches are counted and aggregated over the session', () => {
+    const frames = [
+        { timestamp: 0, viewport, result: frameResult(100, 190, 'right') },
+        { timestamp: 500, viewport, result: frameResult(100, 10, 'left') },
+        { timestamp: 1000, viewport, result: frameResult(100, 10, 'left') },
+        { timestamp: 2000, viewport, result: frameResult(100, 190, 'right') }
+    ];
+    const summary = summarizeFrames(frames);
+    assert.equal(summary.frames, 4);
+    assert.equal(summary.duration, 2000);
+    assert.equal(summary.anchorSwitches, 2);
+    assert.equal(summary.anchorSwitchesPerSecond, 1);
+    assert.equal(summary.meanJitter, (180 + 0 + 180) / 3);
+});
+
+test('reset starts a new session', () => {
+    const metrics = createPlacementMetrics();
+    metrics.update(frameResult(100, 190, 'right'), viewport, 0);
+    metrics.reset();
+    assert.equal(metrics.update(frameResult(100, 10, 'left'), viewport, 33).anchorSwitches, 0);
+    assert.equal(metrics.summary().frames, 1);
+});
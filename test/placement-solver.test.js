@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { solveJointPlacement } from '../placement-solver.js';
+import { calculateIntersectionArea, createPlacementEngine } from '../placement-engine.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Build a solver candidate for a 50x50 label at the given position
+function candidate(x, y, cost) {
+    return { rect: { x, y, width: 50, height: 50 }, cost };
+}
+
+// Two labels competing for the same spot
+function competingItems(weightA = 1) {
+    return [
+        { weight: weightA, candidates: [candidate(0, 0, 0), candidate(100, 0, 5)] },
+        { weight: 1, candidates: [candidate(0, 0, 0), candidate(200, 0, 50)] }
+    ];
+}
+
+// Total overlap between the rectangles of a list of placements
+function totalOverlap(rects) {
+    let overlap = 0;
+    for (let i = 0; i < rects.length; i++) {
+        for (let j = i + 1; j < rects.length; j++) {
+            overlap += calculateIntersectionArea(rects[i], rects[j]);
+        }
+    }
+    return overlap;
+}
+
+test('the joint solve beats the greedy choice of the first item', () => {
+    const result = solveJointPlacement(competingItems());
+
+    assert.equal(result.method, 'exhaustive');
+    assert.deepEqual(result.assignment, [1, 0]);
+    assert.equal(result.overlap, 0);
+    assert.equal(result.cost, 5);
+});
+
+test('higher priority items keep their best candidate', () => {
+    const result = solveJointPlacement(competingItems(20));
+
+    assert.deepEqual(result.assignment, [0, 1]);
+    assert.equal(result.overlap, 0);
+});
+
+test('overlap is avoided even when it is expensive', () => {
+    const items = [
+        { weight: 1, candidates: [candidate(0, 0, 0), candidate(300, 0, 100000)] },
+        { weight: 1, candidates: [candidate(0, 0, 0)] }
+    ];
+
+    assert.deepEqual(solveJointPlacement(items).assignment, [1, 0]);
+});
+
+test('annealing finds an overlap-free layout for many labels', () => {
+    // Every label prefers the same spot; each also has a free slot of its own
+    const items = Array.from({ length: 10 }, (_, i) => ({
+        weight: 1,
+        candidates: [candidate(0, 0, 0), candidate(100, 0, 0), candidate(i * 60, 200, 10)]
+    }));
+    const result = solveJointPlacement(items, { exhaustiveLimit: 100 });
+
+    assert.equal(result.method, 'annealing');
+    assert.equal(result.overlap, 0);
+    assert.equal(result.cost, 80);
+});
+
+test('labels of different hands do not overlap and ignore detection order', () => {
+    const createEngine = () => createPlacementEngine({
+        createVisualizations: (physicalObject) => [{
+            id: 'label',
+            width: 80,
+            height: 80,
+            priority: 1,
+            preferredPositions: physicalObject.id === 'first' ? { right: 200 } : { left: 200 }
+        }]
+    });
+    const first = { id: 'first', x: 100, y: 200, width: 80, height: 80 };
+    const second = { id: 'second', x: 300, y: 200, width: 80, height: 80 };
+
+    const forward = createEngine().placeFrame({ faces: [], physicalObjects: [first, second] }, viewport, 0);
+    const backward = createEngine().placeFrame({ faces: [], physicalObjects: [second, first] }, viewport, 0);
+
+    assert.equal(totalOverlap(forward.placements), 0);
+    assert.deepEqual(
+        forward.placements.map(p => [p.objectId, p.position]),
+        backward.placements.map(p => [p.objectId, p.position])
+    );
+});
+
+test('pair penalties steer the solve away from conflicting choices', () => {
+    const items = [
+        { weight: 1, candidates: [candidate(0, 0, 0), candidate(0, 100, 10)] },
+        { weight: 1, candidates: [candidate(100, 0, 0), candidate(100, 100, 30)] }
+    ];
+    // Choosing both first candidates is treated as a leader line crossing
+    const pairPenalty = (a, b) => (a.rect.y === 0 && b.rect.y === 0 ? 1000 : 0);
+
+    assert.deepEqual(solveJointPlacement(items).assignment, [0, 0]);
+    assert.deepEqual(solveJointPlacement(items, {}, pairPenalty).assignment, [1, 0]);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCanvasRenderer, resolveStyle, textRenderer, wrapText } from '../renderers.js';
+
+// Canvas context stand-in that records drawing calls; every character is 8px wide
+function createRecordingContext() {
+    const calls = [];
+    const record = (name) => (...args) => calls.push({ name, args });
+    return {
+        calls,
+        measureText: (text) => ({ width: text.length * 8 }),
+        save: record('save'),
+        restore: record('restore'),
+        fillRect: record('fillRect'),
+        strokeRect: record('strokeRect'),
+        fillText: record('fillText'),
+        drawImage: record('drawImage'),
+        beginPath: record('beginPath'),
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        arc: record('arc'),
+        stroke: record('stroke')
+    };
+}
+
+const rect = { x: 10, y: 20, width: 100, height: 60 };
+
+test('text is wrapped at word boundaries and explicit line breaks', () => {
+    const ctx = createRecordingContext();
+    assert.deepEqual(wrapText(ctx, 'one two three four', 80), ['one two', 'three four']);
+    assert.deepEqual(wrapText(ctx, 'short\nlines', 200), ['short', 'lines']);
+    assert.deepEqual(wrapText(ctx, 'unbreakableword', 40), ['unbreakableword']);
+});
+
+test('text visualizations size themselves to their content', () => {
+    const ctx = createRecordingContext();
+    const visualization = { type: 'text', content: 'one two three four', style: { maxWidth: 96, padding: 8, lineHeight: 20 } };
+    // 80px of text per line, two lines
+    assert.deepEqual(textRenderer.measure(ctx, visualization), { width: 96, height: 56 });
+    assert.equal(createCanvasRenderer(ctx).measure({ type: 'box' }), null);
+});
+
+test('the visualization type picks the renderer', () => {
+    const ctx = createRecordingContext();
+    const renderer = createCanvasRenderer(ctx);
+
+    renderer.draw({ content: 'A' }, rect);
+    assert.deepEqual(ctx.calls.find(call => call.name === 'fillText').args, ['A', 60, 50]);
+
+    ctx.calls.length = 0;
+    renderer.draw({ type: 'sparkline', values: [1, 3, 2] }, rect);
+    assert.equal(ctx.calls.filter(call => call.name === 'lineTo').length, 2);
+
+    ctx.calls.length = 0;
+    renderer.draw({ type: 'progressRing', progress: 0.25 }, rect);
+    const [, progressArc] = ctx.calls.filter(call => call.name === 'arc');
+    assert.equal(progressArc.args[4] - progressArc.args[3], Math.PI / 2);
+    assert.equal(ctx.calls.find(call => call.name === 'fillText').args[0], '25%');
+
+    assert.throws(() => renderer.draw({ type: 'hologram' }, rect), /Unknown visualization type/);
+    renderer.register('hologram', { draw: (context) => context.fillRect(0, 0, 1, 1) });
+    assert.doesNotThrow(() => renderer.draw({ type: 'hologram' }, rect));
+});
+
+test('images are scaled to fit and skipped while loading', () => {
+    const ctx = createRecordingContext();
+    const renderer = createCanvasRenderer(ctx);
+
+    renderer.draw({ type: 'image', image: { width: 40, height: 20, complete: false } }, rect);
+    assert.equal(ctx.calls.some(call => call.name === 'drawImage'), false);
+
+    renderer.draw({ type: 'image', image: { width: 40, height: 20 }, style: { padding: 0 } }, rect);
+    assert.deepEqual(ctx.calls.find(call => call.name === 'drawImage').args.slice(1), [10, 25, 100, 50]);
+});
+
+test('the plain color field is still honoured', () => {
+    assert.equal(resolveStyle({ color: '#00F' }).color, '#00F');
+    assert.equal(resolveStyle({ color: '#00F', style: { color: '#0F0' } }).color, '#0F0');
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { drawLeaderLine, drawScene } from '../scene-drawing.js';
+
+// Canvas context stand-in recording every method call
+function createRecordingContext() {
+    const calls = [];
+    const state = {};
+    return new Proxy(state, {
+        get: (target, name) => {
+            if (name === 'calls') return calls;
+            if (name === 'measureText') return text => ({ width: text.length * 8 });
+            if (name in target) return target[name];
+            return (...args) => calls.push({ name, args });
+        },
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+const scene = {
+    detections: {
+        faces: [{ x: 10, y: 30, width: 50, height: 50, score: 0.876 }],
+        physicalObjects: [{ id: 'hand_1', x: 100, y: 100, width: 40, height: 40, type: 'hand', label: 'Right' }]
+    },
+    result: {
+        placements: [
+            {
+                x: 200,
+                y: 100,
+                leaderLine: { x1: 200, y1: 120, x2: 140, y2: 120 },
+                visualization: { type: 'box', width: 40, height: 20, content: 'R', style: {} }
+            },
+            { x: 0, y: 0, visualization: { type: 'html', width: 40, height: 20, content: 'DOM' } }
+        ],
+        exclusionZones: [{ id: 'logo', x: 0, y: 0, width: 50, height: 50, mode: 'hard', weight: 1 }],
+        diagnostics: []
+    }
+};
+
+test('detections are captioned and canvas visualizations drawn, html ones left out', () => {
+    const ctx = createRecordingContext();
+    const drawn = [];
+    drawScene(ctx, scene, { renderer: { draw: (visualization) => drawn.push(visualization.content) } });
+
+    const texts = ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]);
+    assert.deepEqual(texts, ['Face 88%', 'Right Hand']);
+    assert.deepEqual(drawn, ['R']);
+    assert.equal(ctx.calls.filter(call => call.name === 'rect').length, 2);
+});
+
+test('debug mode adds the exclusion zones', () => {
+    const ctx = createRecordingContext();
+    drawScene(ctx, scene, { renderer: { draw: () => {} }, debug: true, viewport: { width: 640, height: 480 } });
+    const texts = ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]);
+    assert.ok(texts.includes('logo (hard)'));
+});
+
+test('leader lines end in an arrowhead at the object', () => {
+    const ctx = createRecordingContext();
+    drawLeaderLine(ctx, { style: { color: '#123456' } }, { x1: 0, y1: 0, x2: 100, y2: 0 });
+    assert.equal(ctx.strokeStyle, '#123456');
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'lineTo')[0].args, [100, 0]);
+    assert.equal(ctx.calls.filter(call => call.name === 'fill').length, 1);
+});
+
+test('hand captions name the current gesture', () => {
+    const ctx = createRecordingContext();
+    const physicalObjects = [{ ...scene.detections.physicalObjects[0], gesture: 'openPalm' }];
+    drawScene(ctx, { ...scene, detections: { faces: [], physicalObjects } }, { renderer: { draw: () => {} } });
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]), ['Right Hand · Open Palm']);
+});
+
+test('tracked faces and detected objects are captioned by class', () => {
+    const ctx = createRecordingContext();
+    const physicalObjects = [
+        { id: 'face_1', x: 10, y: 30, width: 50, height: 50, type: 'face', label: 'Face', score: 0.9 },
+        { id: 'object_1', x: 200, y: 30, width: 50, height: 50, type: 'cup', label: 'cup', score: 0.714 }
+    ];
+    drawScene(ctx, { ...scene, detections: { faces: [], physicalObjects } }, { renderer: { draw: () => {} } });
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]), ['Face 90%', 'cup 71%']);
+});
+
+test('faces and objects without a score are captioned without a percentage', () => {
+    const ctx = createRecordingContext();
+    const faces = [{ x: 10, y: 30, width: 50, height: 50 }];
+    const physicalObjects = [{ id: 'object_1', x: 200, y: 30, width: 50, height: 50, type: 'cup', label: 'cup' }];
+    drawScene(ctx, { ...scene, detections: { faces, physicalObjects } }, { renderer: { draw: () => {} } });
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]), ['Face', 'cup']);
+});
+
+test('placements and ghosts are drawn at their opacity and scale', () => {
+    const ctx = createRecordingContext();
+    const drawn = [];
+    const visualization = { type: 'box', width: 40, height: 20, content: 'R', style: {} };
+    const result = {
+        ...scene.result,
+        placements: [{ x: 200, y: 100, opacity: 0.5, scale: 0.8, visualization }],
+        ghosts: [{ x: 0, y: 0, opacity: 0.25, scale: 1, visualization: { ...visualization, content: 'G' } }]
+    };
+    drawScene(ctx, { ...scene, result }, { renderer: { draw: (drawnVisualization) => drawn.push([drawnVisualization.content, ctx.globalAlpha]) } });
+
+    // Ghosts go underneath
+    assert.deepEqual(drawn, [['G', 0.25], ['R', 0.5]]);
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'scale').map(call => call.args), [[0.8, 0.8]]);
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'translate').map(call => call.args), [[220, 110], [-220, -110]]);
+});
+
+test('placements scaled by depth are drawn at their own size, scaled about their center', () => {
+    const ctx = createRecordingContext();
+    const rects = [];
+    const visualization = { type: 'box', width: 40, height: 20, content: 'R', style: {} };
+    const result = { ...scene.result, placements: [{ x: 100, y: 100, width: 60, height: 30, depthScale: 1.5, visualization }] };
+    drawScene(ctx, { ...scene, result }, { renderer: { draw: (drawnVisualization, rect) => rects.push(rect) } });
+
+    assert.deepEqual(rects, [{ x: 110, y: 105, width: 40, height: 20 }]);
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'scale').map(call => call.args), [[1.5, 1.5]]);
+    assert.deepEqual(ctx.calls.filter(call => call.name === 'translate').map(call => call.args)[0], [130, 115]);
+});
+
+test('the theme colors detections, captions and templated visualizations', () => {
+    const ctx = createRecordingContext();
+    const styles = [];
+    const nameTag = { type: 'box', key: 'nameTag', width: 40, height: 20, content: 'Guest', style: {} };
+    const result = { ...scene.result, placements: [{ x: 100, y: 100, visualization: nameTag }] };
+    const fillStyles = [];
+    const recording = new Proxy(ctx, {
+        set: (target, name, value) => {
+            if (name === 'fillStyle') fillStyles.push(value);
+            target[name] = value;
+            return true;
+        }
+    });
+    drawScene(recording, { ...scene, result }, { renderer: { draw: (visualization) => styles.push(visualization.style) }, theme: 'highContrast' });
+
+    assert.deepEqual(fillStyles.slice(0, 4), ['#FFFF00', '#000000', '#00FFFF', '#000000']);
+    assert.deepEqual(styles[0], { color: '#000000', textColor: '#FFFFFF', borderColor: '#FFFF00', borderWidth: 3, trackColor: 'rgba(255, 255, 255, 0.6)' });
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSceneSetup } from '../scene-setup.js';
+import { createHandKeypoints, createHandKeypoints3D } from '../detection-sources.js';
+import { getOccludedArea } from '../occluders.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Frame with one face and one left hand at `x`
+function frame(timestamp, x) {
+    return {
+        timestamp,
+        faces: [{ x: 300, y: 50, width: 100, height: 120, score: 0.95 }],
+        hands: [{ label: 'Left', score: 1, keypoints: createHandKeypoints({ x, y: 300 }, 100) }]
+    };
+}
+
+// The tracked hand of a frame's engine input
+function handOf(detections) {
+    return detections.physicalObjects.find(physicalObject => physicalObject.type === 'hand');
+}
+
+test('faces, hands and objects become tracked, labelled physical objects', () => {
+    const setup = createSceneSetup();
+    const first = setup.prepareDetections(frame(0, 100));
+    setup.engine.placeFrame(first, viewport, 0);
+    const second = setup.prepareDetections(frame(33, 110));
+    assert.deepEqual(second.faces, []);
+
+    const [face, hand] = second.physicalObjects;
+    assert.deepEqual([face.id, face.type, face.score], ['face_1', 'face', 0.95]);
+    assert.equal(face.shape.type, 'polygon');
+    assert.equal(hand.id, first.physicalObjects[1].id);
+    assert.equal(hand.type, 'hand');
+    assert.equal(hand.label, 'Left');
+    assert.equal(hand.shape.type, 'polygon');
+
+    // The face gets a name tag, the hand both hand templates, and the sparkline follows its speed
+    const result = setup.engine.placeFrame(second, viewport, 33);
+    const placed = [...result.placements, ...result.unplaced];
+    assert.deepEqual(placed.map(placement => placement.visualization.id).sort(),
+        [`${face.id}_nameTag`, `${hand.id}_primary`, `${hand.id}_secondary`]);
+    assert.equal(placed.find(placement => placement.objectId === face.id).visualization.content, 'Guest 1');
+    const sparkline = placed.find(placement => placement.visualization.id.endsWith('secondary'));
+    assert.equal(sparkline.visualization.values.length, 2);
+    assert.ok(sparkline.visualization.values[1] > 0);
+});
+
+test('detected objects are labelled with their class and name tags keep off faces', () => {
+    const setup = createSceneSetup();
+    const objects = [{ x: 450, y: 300, width: 80, height: 100, label: 'cup', score: 0.8 }];
+    let result;
+    for (let time = 0; time <= 330; time += 33) {
+        const detections = setup.prepareDetections({ ...frame(time, 100), objects });
+        result = setup.engine.placeFrame(detections, viewport, time);
+    }
+    const cup = result.physicalObjects.find(physicalObject => physicalObject.type === 'cup');
+    const label = result.placements.find(placement => placement.objectId === cup.id);
+    assert.equal(label.visualization.content, 'cup');
+
+    const nameTag = result.placements.find(placement => placement.id.endsWith('nameTag'));
+    const face = result.physicalObjects.find(physicalObject => physicalObject.type === 'face');
+    assert.equal(getOccludedArea(nameTag, face), 0);
+});
+
+test('reset starts the tracks over', () => {
+    const setup = createSceneSetup();
+    const before = handOf(setup.prepareDetections(frame(0, 100))).id;
+    setup.reset();
+    const after = handOf(setup.prepareDetections(frame(33, 100))).id;
+    assert.notEqual(after, before);
+    assert.equal(setup.tracker.getTracks().length, 1);
+});
+
+test('hands carry the gesture they have held', () => {
+    const setup = createSceneSetup();
+    const first = handOf(setup.prepareDetections(frame(0, 100)));
+    const held = handOf(setup.prepareDetections(frame(150, 100)));
+    assert.equal(first.gesture, null);
+    assert.equal(held.gesture, 'openPalm');
+    assert.ok(held.gesturePoint.x > held.x && held.gesturePoint.x < held.x + held.width);
+});
+
+test('nearer hands get larger labels, drawn over those of farther hands', () => {
+    const setup = createSceneSetup();
+    const hand = (label, x, size) => ({
+        label,
+        score: 1,
+        keypoints: createHandKeypoints({ x, y: 300 }, size),
+        keypoints3D: createHandKeypoints3D()
+    });
+    const detections = setup.prepareDetections({
+        timestamp: 0,
+        width: 640,
+        height: 480,
+        faces: [],
+        hands: [hand('Left', 150, 200), hand('Right', 500, 80)]
+    });
+    const [near, far] = detections.physicalObjects;
+    assert.ok(Math.abs(near.depth - 0.64) < 1e-9);
+    assert.ok(Math.abs(far.depth - 1.6) < 1e-9);
+
+    const primaries = setup.engine.placeFrame(detections, viewport, 0).placements
+        .filter(placement => placement.id.endsWith('primary'));
+    assert.deepEqual(primaries.map(placement => [placement.objectId, placement.width]), [[far.id, 63], [near.id, 150]]);
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    applyScoringRules,
+    avoidRegionRule,
+    defaultScoringRules,
+    edgeMarginRule,
+    getClassRuleSettings,
+    resolveScoringRules,
+    validateScoringRule
+} from '../scoring-rules.js';
+import { defaultEngineConfig, scoreCandidatePositions } from '../placement-engine.js';
+
+const viewport = { width: 640, height: 480 };
+const handObject = { id: 'hand', x: 280, y: 200, width: 80, height: 80 };
+
+// Scored anchor candidates of an 80x80 label around the hand, by anchor name
+function scoreAnchors(allObjects, options = {}) {
+    const scores = scoreCandidatePositions(handObject, 80, 80, allObjects, viewport, options);
+    return new Map(scores.map(candidate => [candidate.position, candidate]));
+}
+
+test('built-in rules take their weights from the engine configuration', () => {
+    const rules = resolveScoringRules(defaultScoringRules, defaultEngineConfig);
+    const weights = Object.fromEntries(rules.map(rule => [rule.name, rule.weight]));
+    assert.equal(weights.faceOverlap, defaultEngineConfig.weights.face);
+    assert.equal(weights.previousPosition, defaultEngineConfig.previousPositionBonus);
+    assert.equal(weights.leaderCrossings, defaultEngineConfig.callouts.crossingPenalty);
+    assert.equal(rules.find(rule => rule.name === 'outOfBounds').constraint, true);
+});
+
+test('rules can be reweighted, disabled or turned into penalties by name', () => {
+    const rules = resolveScoringRules(defaultScoringRules, {
+        ...defaultEngineConfig,
+        rules: { distance: { weight: 2 }, faceOverlap: { enabled: false }, outOfBounds: { constraint: false } }
+    });
+    assert.equal(rules.find(rule => rule.name === 'distance').weight, 2);
+    assert.equal(rules.some(rule => rule.name === 'faceOverlap'), false);
+    assert.equal(rules.find(rule => rule.name === 'outOfBounds').constraint, false);
+});
+
+test('every candidate carries a per-rule breakdown that sums to its score', () => {
+    const face = { x: 370, y: 200, width: 100, height: 100 };
+    const right = scoreAnchors({ faces: [face], physicalObjects: [handObject] }, { preferredPositions: { right: 100 } }).get('right');
+
+    assert.equal(right.breakdown.faceOverlap, -(80 * 80) * defaultEngineConfig.weights.face);
+    assert.equal(right.breakdown.preferredPosition, 100);
+    assert.equal(right.breakdown.distance, -90 * defaultEngineConfig.weights.distance);
+    const total = Object.values(right.breakdown).reduce((sum, term) => sum + term, 0);
+    assert.equal(right.score, total);
+});
+
+test('constraints discard candidates instead of scoring them', () => {
+    const edgeObject = { ...handObject, x: 0 };
+    const strict = scoreCandidatePositions(edgeObject, 80, 80, { faces: [], physicalObjects: [edgeObject] }, viewport);
+    assert.equal(strict.some(candidate => candidate.position === 'left'), false);
+
+    const config = { ...defaultEngineConfig, rules: { outOfBounds: { constraint: false } } };
+    const soft = scoreCandidatePositions(edgeObject, 80, 80, { faces: [], physicalObjects: [edgeObject] }, viewport, {
+        config,
+        rules: resolveScoringRules(defaultScoringRules, config)
+    });
+    const left = soft.find(candidate => candidate.position === 'left');
+    // Entirely off-screen
+    assert.equal(left.breakdown.outOfBounds, -(80 * 80));
+});
+
+test('edge margin and region rules penalize what they cover', () => {
+    const context = { viewport };
+    const edge = edgeMarginRule({ margin: 20 });
+    assert.equal(edge.score({ rect: { x: 5, y: 100, width: 80, height: 80 } }, context), -15);
+    assert.ok(edge.score({ rect: { x: 100, y: 100, width: 80, height: 80 } }, context) === 0);
+
+    const toolbar = avoidRegionRule(size => ({ x: 0, y: size.height - 40, width: size.width, height: 40 }));
+    assert.equal(toolbar.score({ rect: { x: 0, y: 420, width: 80, height: 60 } }, context), -(80 * 40));
+});
+
+test('applyScoringRules stops at the first failing constraint', () => {
+    const calls = [];
+    const rules = [
+        { name: 'never', weight: 1, constraint: true, score: () => -1 },
+        { name: 'later', weight: 1, constraint: false, score: () => calls.push('later') }
+    ];
+    assert.equal(applyScoringRules(rules, {}, {}), null);
+    assert.deepEqual(calls, []);
+});
+
+test('class rule settings are merged over the global ones rule by rule', () => {
+    const config = {
+        ...defaultEngineConfig,
+        rules: { faceOverlap: { weight: 20 }, distance: { weight: 2 } },
+        classes: { face: { rules: { faceOverlap: { constraint: true } } } }
+    };
+    assert.deepEqual(getClassRuleSettings(config, 'face').faceOverlap, { weight: 20, constraint: true });
+    assert.deepEqual(getClassRuleSettings(config, 'hand'), config.rules);
+
+    const faceRules = resolveScoringRules(defaultScoringRules, config, getClassRuleSettings(config, 'face'));
+    assert.equal(faceRules.find(rule => rule.name === 'faceOverlap').constraint, true);
+});
+
+test('rules with appliesTo only score the visualizations of matching objects', () => {
+    const rules = resolveScoringRules([{ name: 'leftHandsOnly', appliesTo: { label: 'Left' }, score: () => -1 }], defaultEngineConfig);
+    const candidate = { position: 'top', rect: { x: 0, y: 0, width: 10, height: 10 }, measurements: {} };
+    assert.equal(applyScoringRules(rules, candidate, { physicalObject: { type: 'hand', label: 'Left' } }).score, -1);
+    assert.equal(applyScoringRules(rules, candidate, { physicalObject: { type: 'hand', label: 'Right' } }).score, 0);
+});
+
+test('rules need a name and a score function', () => {
+    assert.throws(() => validateScoringRule({ score: () => 0 }), /needs a name/);
+    assert.throws(() => validateScoringRule({ name: 'broken' }), /needs a score function/);
+});
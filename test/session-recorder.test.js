@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    compareConfigs,
+    createSessionRecorder,
+    createSessionReplay,
+    diffPlacements,
+    parseSession,
+    toSerializable
+} from '../session-recorder.js';
+import { createPlacementEngine } from '../placement-engine.js';
+
+const viewport = { width: 640, height: 480 };
+
+// Record a short session of one hand moving right
+function recordSession(config = {}) {
+    const engine = createPlacementEngine({
+        ...config,
+        createVisualizations: (physicalObject) => [{
+            id: `${physicalObject.id}_label`,
+            width: 80,
+            height: 80,
+            priority: 1,
+            preferredPositions: { right: 200 },
+            render: () => {}
+        }]
+    });
+    const recorder = createSessionRecorder();
+    recorder.start(engine.config, 0);
+
+    for (let i = 0; i < 10; i++) {
+        const detections = { faces: [], physicalObjects: [{ id: 'hand', x: 100 + i * 20, y: 200, width: 80, height: 80 }] };
+        const result = engine.placeFrame(detections, viewport, i * 33);
+        recorder.recordFrame({
+            timestamp: i * 33,
+            viewport,
+            detections,
+            result
+        });
+    }
+    recorder.stop();
+    return recorder;
+}
+
+test('functions are dropped from serialized values', () => {
+    const serialized = toSerializable({ a: 1, f: () => {}, list: [() => {}], nested: { b: [1, { c: 2 }] } });
+    assert.deepEqual(serialized, { a: 1, nested: { b: [1, { c: 2 }] } });
+});
+
+test('sessions are written as JSON Lines and parsed back', () => {
+    const recorder = createSessionRecorder();
+    recorder.recordFrame({ timestamp: 0, viewport, detections: {}, result: { placements: [] } });
+    assert.equal(recorder.toJSONLines(), '');
+
+    const text = recordSession().toJSONLines();
+    const lines = text.trim().split('\n');
+    assert.equal(lines.length, 11);
+
+    const session = parseSession(text);
+    assert.equal(session.header.config.smoothingFactor, 0.2);
+    assert.equal(session.header.config.createVisualizations, undefined);
+    assert.equal(session.frames.length, 10);
+    assert.equal(session.frames[3].result.placements[0].visualization.render, undefined);
+
+    assert.throws(() => parseSession('{"type":"frame"}'), /Not a session recording/);
+});
+
+test('a replay reproduces the recorded placements', () => {
+    const session = parseSession(recordSession().toJSONLines());
+    const replay = createSessionReplay(session);
+
+    const diff = diffPlacements(session.frames, replay.runAll());
+    assert.equal(diff.framesCompared, 10);
+    assert.deepEqual(diff.differences, []);
+});
+
+test('replays step and seek through a session', () => {
+    const session = parseSession(recordSession().toJSONLines());
+    const replay = createSessionReplay(session);
+
+    assert.equal(replay.step().index, 0);
+    assert.equal(replay.seek(5).index, 5);
+    const again = replay.seek(2);
+    assert.equal(again.index, 2);
+    assert.deepEqual(again.result.placements[0].x, session.frames[2].result.placements[0].x);
+    assert.equal(replay.getPosition(), 3);
+});
+
+test('two configurations are compared frame by frame', () => {
+    const session = parseSession(recordSession().toJSONLines());
+
+    assert.equal(compareConfigs(session, {}, {}).differences.length, 0);
+
+    const diff = compareConfigs(session, {}, { smoothingFactor: 1 });
+    assert.ok(diff.framesDiffering > 0);
+    assert.ok(diff.maxDistance > 0);
+    assert.equal(diff.differences[0].id, 'hand_label');
+});
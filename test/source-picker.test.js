@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    cameraPresets,
+    createSourcePicker,
+    findCameraPreset,
+    getFileSourceKind,
+    listCameras,
+    loadSourceChoice,
+    saveSourceChoice
+} from '../source-picker.js';
+
+// localStorage stand-in
+function createFakeStorage(items = {}) {
+    return {
+        items,
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+// mediaDevices stand-in whose device list can change
+function createFakeMediaDevices(devices) {
+    const listeners = {};
+    return {
+        devices,
+        listeners,
+        enumerateDevices: async () => devices,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        removeEventListener: (type) => { delete listeners[type]; }
+    };
+}
+
+// Element stand-in collecting event listeners and children
+function createFakeElement() {
+    const listeners = {};
+    const element = {
+        value: '',
+        children: [],
+        listeners,
+        ownerDocument: { createElement: () => ({ value: '', textContent: '' }) },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        removeEventListener: (type) => { delete listeners[type]; },
+        replaceChildren: (...children) => { element.children = children; }
+    };
+    return element;
+}
+
+const devices = [
+    { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' },
+    { kind: 'videoinput', deviceId: 'front', label: '' },
+    { kind: 'videoinput', deviceId: 'back', label: 'Back Camera' }
+];
+
+test('cameras are listed with fallback labels', async () => {
+    assert.deepEqual(await listCameras(createFakeMediaDevices(devices)), [
+        { deviceId: 'front', label: 'Camera 1' },
+        { deviceId: 'back', label: 'Back Camera' }
+    ]);
+});
+
+test('files are sorted into video and image sources by type', () => {
+    assert.equal(getFileSourceKind({ type: 'video/mp4' }), 'video');
+    assert.equal(getFileSourceKind({ type: 'image/png' }), 'image');
+    assert.equal(getFileSourceKind({ type: 'text/plain' }), null);
+});
+
+test('camera choices are remembered, files and broken entries are not', () => {
+    const storage = createFakeStorage();
+    assert.deepEqual(loadSourceChoice(storage), { kind: 'camera', deviceId: undefined });
+
+    saveSourceChoice(storage, { kind: 'camera', deviceId: 'back', width: 1280, height: 720, frameRate: 60 });
+    saveSourceChoice(storage, { kind: 'video', file: {} });
+    const choice = loadSourceChoice(storage);
+    assert.equal(choice.deviceId, 'back');
+    assert.equal(cameraPresets[findCameraPreset(choice)].frameRate, 60);
+
+    assert.equal(loadSourceChoice(createFakeStorage({ sourceChoice: '{' })).kind, 'camera');
+    assert.equal(findCameraPreset({ width: 1, height: 1, frameRate: 1 }), 0);
+});
+
+test('the picker reports camera changes and opened or dropped files', async () => {
+    const elements = {
+        cameraSelect: createFakeElement(),
+        presetSelect: createFakeElement(),
+        fileInput: createFakeElement(),
+        dropTarget: createFakeElement()
+    };
+    const storage = createFakeStorage({ sourceChoice: JSON.stringify({ kind: 'camera', deviceId: 'back' }) });
+    const mediaDevices = createFakeMediaDevices(devices);
+    const changes = [];
+    const picker = createSourcePicker(elements, { mediaDevices, storage, onChange: choice => changes.push(choice) });
+
+    await picker.refresh();
+    assert.deepEqual(elements.cameraSelect.children.map(option => option.textContent), ['Camera 1', 'Back Camera']);
+    assert.equal(elements.cameraSelect.value, 'back');
+    assert.equal(elements.presetSelect.children.length, cameraPresets.length);
+
+    // Choosing a camera and a preset
+    elements.cameraSelect.value = 'front';
+    elements.presetSelect.value = '2';
+    elements.presetSelect.listeners.change();
+    assert.deepEqual(changes[0], { kind: 'camera', deviceId: 'front', width: 1280, height: 720, frameRate: 30 });
+    assert.equal(loadSourceChoice(storage).deviceId, 'front');
+
+    // Dropping and opening files
+    const video = { type: 'video/webm' };
+    const dropped = { preventDefault: () => {}, dataTransfer: { files: [video] } };
+    elements.dropTarget.listeners.drop(dropped);
+    elements.dropTarget.listeners.drop({ ...dropped, dataTransfer: { files: [{ type: 'text/plain' }] } });
+    elements.fileInput.files = [{ type: 'image/jpeg' }];
+    elements.fileInput.listeners.change();
+    assert.deepEqual(changes.slice(1).map(choice => choice.kind), ['video', 'image']);
+    assert.equal(changes[1].file, video);
+
+    // Plugging in a camera refreshes the list
+    devices.push({ kind: 'videoinput', deviceId: 'usb', label: 'USB Camera' });
+    await mediaDevices.listeners.devicechange();
+    assert.equal(elements.cameraSelect.children.length, 3);
+    devices.pop();
+
+    picker.destroy();
+    assert.deepEqual(Object.keys(elements.dropTarget.listeners), []);
+});
+
+test('cameras that cannot be listed after a device change are reported', async () => {
+    const elements = {
+        cameraSelect: createFakeElement(),
+        presetSelect: createFakeElement(),
+        fileInput: createFakeElement(),
+        dropTarget: createFakeElement()
+    };
+    const mediaDevices = createFakeMediaDevices(devices);
+    mediaDevices.enumerateDevices = async () => { throw new Error('Permission revoked'); };
+    const errors = [];
+    createSourcePicker(elements, {
+        mediaDevices,
+        storage: createFakeStorage({}),
+        onChange: () => {},
+        onError: error => errors.push(error.message)
+    });
+
+    await mediaDevices.listeners.devicechange();
+    assert.deepEqual(errors, ['Permission revoked']);
+});
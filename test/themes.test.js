@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyTheme, getPreferredTheme, getTheme, themes } from '../themes.js';
+import { resolveStyle } from '../renderers.js';
+
+test('themes style visualizations by template key over their own style', () => {
+    const nameTag = { id: 'face_1_nameTag', key: 'nameTag', style: { font: '14px Arial' } };
+    assert.deepEqual(resolveStyle(applyTheme(nameTag, themes.colorblind)).color, '#E69F00');
+    assert.equal(resolveStyle(applyTheme(nameTag, themes.colorblind)).textColor, '#000000');
+    assert.equal(resolveStyle(applyTheme(nameTag, themes.colorblind)).font, '14px Arial');
+
+    // Visualizations without a template key keep their colors unless the theme styles all of them
+    const label = { id: 'label', color: '#123456' };
+    assert.equal(applyTheme(label, themes.default), label);
+    const contrast = resolveStyle(applyTheme(label, themes.highContrast));
+    assert.deepEqual([contrast.color, contrast.textColor, contrast.borderColor], ['#000000', '#FFFFFF', '#FFFF00']);
+});
+
+test('themes are looked up by name and follow the system preference', () => {
+    assert.equal(getTheme(), themes.default);
+    assert.equal(getTheme('highContrast'), themes.highContrast);
+    assert.equal(getTheme(themes.colorblind), themes.colorblind);
+    assert.throws(() => getTheme('sepia'), /Unknown theme: sepia/);
+
+    assert.equal(getPreferredTheme(query => ({ matches: query === '(prefers-contrast: more)' })), 'highContrast');
+    assert.equal(getPreferredTheme(query => ({ matches: query === '(forced-colors: active)' })), 'highContrast');
+    assert.equal(getPreferredTheme(() => ({ matches: false })), 'default');
+    assert.equal(getPreferredTheme(undefined), 'default');
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createViewportTransform, getContentRect, observeResize } from '../viewport-transform.js';
+
+const source = { width: 640, height: 480 };
+
+// Transform of a 640x480 source shown in an 800x400 stage
+function createWideTransform(options) {
+    const transform = createViewportTransform(options);
+    transform.update({ sourceWidth: 640, sourceHeight: 480, displayWidth: 800, displayHeight: 400, pixelRatio: 2 });
+    return transform;
+}
+
+test('the frame is letterboxed, cropped or stretched into the display', () => {
+    const display = { width: 800, height: 300 };
+    assert.deepEqual(getContentRect(source, display, 'contain'), { x: 200, y: 0, width: 400, height: 300 });
+    assert.deepEqual(getContentRect(source, display, 'cover'), { x: 0, y: -150, width: 800, height: 600 });
+    assert.deepEqual(getContentRect(source, display, 'fill'), { x: 0, y: 0, width: 800, height: 300 });
+    assert.throws(() => getContentRect(source, display, 'zoom'), /Unknown fit/);
+});
+
+test('points and rectangles map to placement space and back', () => {
+    const transform = createViewportTransform({ fit: 'contain' });
+    transform.update({ sourceWidth: 640, sourceHeight: 480, displayWidth: 320, displayHeight: 300 });
+
+    // Half size, with a 30px bar above and below
+    assert.deepEqual(transform.toPlacementPoint({ x: 100, y: 100 }), { x: 50, y: 80 });
+    assert.deepEqual(transform.toPlacementRect({ x: 100, y: 100, width: 40, height: 20, id: 'a' }), { x: 50, y: 80, width: 20, height: 10, id: 'a' });
+    assert.deepEqual(transform.toSourcePoint({ x: 50, y: 80 }), { x: 100, y: 100 });
+    assert.deepEqual(transform.getContentInsets(), { top: 30, right: 0, bottom: 30, left: 0 });
+});
+
+test('mirroring flips x and keeps rectangles the same size', () => {
+    const transform = createViewportTransform({ fit: 'fill', mirrored: true });
+    transform.update({ sourceWidth: 640, sourceHeight: 480, displayWidth: 640, displayHeight: 480 });
+
+    assert.deepEqual(transform.toPlacementPoint({ x: 100, y: 50 }), { x: 540, y: 50 });
+    const rect = { x: 100, y: 50, width: 40, height: 30 };
+    const mirroredRect = transform.toPlacementRect(rect);
+    assert.deepEqual(mirroredRect, { x: 500, y: 50, width: 40, height: 30 });
+    assert.deepEqual(transform.toSourceRect(mirroredRect), rect);
+});
+
+test('detection frames are converted to placement space', () => {
+    const transform = createWideTransform({ fit: 'fill' });
+    const frame = transform.transformFrame({
+        timestamp: 5,
+        width: 640,
+        height: 480,
+        faces: [{ x: 320, y: 240, width: 64, height: 48, score: 0.9, landmarks: [{ x: 320, y: 240 }] }],
+        hands: [{ label: 'Left', score: 1, keypoints: [{ x: 640, y: 480 }] }]
+    });
+
+    assert.equal(frame.timestamp, 5);
+    assert.deepEqual([frame.width, frame.height], [800, 400]);
+    assert.deepEqual(frame.faces[0], { x: 400, y: 200, width: 80, height: 40, score: 0.9, landmarks: [{ x: 400, y: 200 }] });
+    assert.deepEqual(frame.hands[0].keypoints, [{ x: 800, y: 400 }]);
+});
+
+test('the canvas is sized and scaled for the device pixel ratio', () => {
+    const transform = createWideTransform();
+    assert.deepEqual(transform.getViewport(), { width: 800, height: 400 });
+    assert.deepEqual(transform.getCanvasSize(), { width: 1600, height: 800 });
+
+    const calls = [];
+    transform.applyToContext({ setTransform: (...args) => calls.push(args) });
+    assert.deepEqual(calls, [[2, 0, 0, 2, 0, 0]]);
+});
+
+test('resizes and rotations are observed until stopped', () => {
+    const listeners = new Map();
+    let observed = null;
+    let resizeCallback = null;
+    const window = {
+        ResizeObserver: class {
+            constructor(callback) { resizeCallback = callback; }
+            observe(element) { observed = element; }
+            disconnect() { observed = null; }
+        },
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        removeEventListener: (type) => listeners.delete(type)
+    };
+    const element = { ownerDocument: { defaultView: window } };
+
+    let calls = 0;
+    const stop = observeResize(element, () => calls++);
+    resizeCallback([]);
+    listeners.get('orientationchange')();
+    assert.equal(calls, 2);
+    assert.equal(observed, element);
+
+    stop();
+    assert.equal(observed, null);
+    assert.equal(listeners.size, 0);
+});
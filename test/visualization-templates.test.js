@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { instantiateTemplate, templateMatches, validateTemplateSpec } from '../visualization-templates.js';
+
+const leftHand = { id: 'hand_1', type: 'hand', label: 'Left', x: 0, y: 0, width: 80, height: 80 };
+
+test('templates match by wildcard, type, label, fields or predicate', () => {
+    assert.equal(templateMatches('*', leftHand), true);
+    assert.equal(templateMatches('hand', leftHand), true);
+    assert.equal(templateMatches('Left', leftHand), true);
+    assert.equal(templateMatches('face', leftHand), false);
+    assert.equal(templateMatches({ id: 'hand_1' }, leftHand), true);
+    assert.equal(templateMatches({ type: 'hand', label: 'Right' }, leftHand), false);
+    assert.equal(templateMatches(object => object.width > 50, leftHand), true);
+});
+
+test('a template creates a visualization keyed by object and template', () => {
+    const visualization = instantiateTemplate({
+        key: 'badge',
+        width: 40,
+        height: 20,
+        style: { color: '#00F' },
+        content: object => object.label[0]
+    }, leftHand);
+
+    assert.equal(visualization.id, 'hand_1_badge');
+    assert.equal(visualization.objectId, 'hand_1');
+    assert.equal(visualization.key, 'badge');
+    assert.equal(visualization.content, 'L');
+    assert.equal(visualization.priority, 1);
+    assert.deepEqual(visualization.preferredPositions, {});
+    assert.deepEqual(visualization.style, { color: '#00F' });
+});
+
+test('template specs need a key and a size', () => {
+    assert.throws(() => validateTemplateSpec({ width: 10, height: 10 }), /needs a key/);
+    assert.throws(() => validateTemplateSpec({ key: 'a', width: 0, height: 10 }), /positive width and height/);
+    assert.doesNotThrow(() => validateTemplateSpec({ key: 'a', width: 10, height: 10 }));
+});
@@ -0,0 +1,76 @@
+// Color themes
+// Colors of the detection boxes and of the visualizations, applied when a frame is drawn, so
+// switching themes recolors everything on screen at once without rebuilding visualizations:
+//   detections      box and caption color of faces, hands and other objects
+//   captionText     text color of the detection captions
+//   style           style every visualization takes over (see renderers.js)
+//   visualizations  style by template key, e.g. { nameTag: { color } }
+// Visualizations from a factory have no template key and only take the theme's `style`.
+
+// Built-in themes
+export const themes = {
+    default: {
+        name: 'Default',
+        detections: { face: '#FF0000', hand: '#00FF00', object: '#0088FF' },
+        captionText: '#FFFFFF',
+        style: {},
+        visualizations: {
+            nameTag: { color: '#FF8800' },
+            classLabel: { color: '#0088FF' },
+            primary: { color: '#FF0000' },
+            secondary: { color: '#0000FF' }
+        }
+    },
+    // Okabe-Ito palette, told apart with any common color vision deficiency
+    colorblind: {
+        name: 'Colorblind Safe',
+        detections: { face: '#E69F00', hand: '#56B4E9', object: '#F0E442' },
+        captionText: '#000000',
+        style: {},
+        visualizations: {
+            nameTag: { color: '#E69F00', textColor: '#000000' },
+            classLabel: { color: '#F0E442', textColor: '#000000' },
+            primary: { color: '#D55E00' },
+            secondary: { color: '#0072B2' }
+        }
+    },
+    // White text on black with yellow borders; detections in bright colors with black captions
+    highContrast: {
+        name: 'High Contrast',
+        detections: { face: '#FFFF00', hand: '#00FFFF', object: '#FFFFFF' },
+        captionText: '#000000',
+        style: {
+            color: '#000000',
+            textColor: '#FFFFFF',
+            borderColor: '#FFFF00',
+            borderWidth: 3,
+            trackColor: 'rgba(255, 255, 255, 0.6)'
+        },
+        visualizations: {}
+    }
+};
+
+// Theme for a name or a theme object; a missing name is the default theme
+export function getTheme(theme) {
+    if (theme && typeof theme === 'object') return theme;
+    if (theme === undefined || theme === null) return themes.default;
+    if (!themes[theme]) {
+        throw new Error(`Unknown theme: ${theme}`);
+    }
+    return themes[theme];
+}
+
+// Visualization with the theme's colors over its own style
+export function applyTheme(visualization, theme) {
+    const ownStyle = visualization.key !== undefined ? theme.visualizations[visualization.key] : undefined;
+    if (!ownStyle && Object.keys(theme.style).length === 0) return visualization;
+    return { ...visualization, style: { ...visualization.style, ...theme.style, ...ownStyle } };
+}
+
+// Theme a user asked the system for: high contrast when more contrast or forced colors are
+// preferred, otherwise the default
+export function getPreferredTheme(matchMedia) {
+    if (typeof matchMedia !== 'function') return 'default';
+    const prefersContrast = ['(prefers-contrast: more)', '(forced-colors: active)'].some(query => matchMedia(query).matches);
+    return prefersContrast ? 'highContrast' : 'default';
+}
@@ -0,0 +1,166 @@
+// Viewport transform
+// Detection, placement and drawing each work in their own coordinate space:
+//   source     pixels of the detector's input frame, e.g. videoWidth x videoHeight
+//   placement  CSS pixels of the displayed stage; this is the engine's viewport, so labels
+//              keep the same on-screen pixel size at any display size
+//   canvas     backing-store pixels of the canvas, placement times the device pixel ratio
+// The frame is fitted into the stage like CSS object-fit ('contain' letterboxes, 'cover'
+// crops, 'fill' stretches) and can be mirrored horizontally for selfie views.
+
+const fits = ['contain', 'cover', 'fill'];
+
+// Where a source frame appears inside the display, in display pixels
+export function getContentRect(sourceSize, displaySize, fit = 'contain') {
+    if (!fits.includes(fit)) {
+        throw new Error(`Unknown fit: ${fit}`);
+    }
+    if (fit === 'fill') {
+        return { x: 0, y: 0, width: displaySize.width, height: displaySize.height };
+    }
+
+    const scaleX = displaySize.width / sourceSize.width;
+    const scaleY = displaySize.height / sourceSize.height;
+    const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    const width = sourceSize.width * scale;
+    const height = sourceSize.height * scale;
+    return {
+        x: (displaySize.width - width) / 2,
+        y: (displaySize.height - height) / 2,
+        width,
+        height
+    };
+}
+
+// Create a transform between source, placement and canvas space
+// options: { fit: 'contain' | 'cover' | 'fill', mirrored }
+export function createViewportTransform(options = {}) {
+    const fit = options.fit ?? 'contain';
+    let mirrored = options.mirrored ?? false;
+    let source = { width: 1, height: 1 };
+    let display = { width: 1, height: 1 };
+    let pixelRatio = 1;
+    let content = getContentRect(source, display, fit);
+
+    // Set the source frame size, the displayed size and the device pixel ratio
+    // Call it when the source starts and whenever the display is resized or rotated.
+    function update(sizes) {
+        source = { width: sizes.sourceWidth ?? source.width, height: sizes.sourceHeight ?? source.height };
+        display = { width: sizes.displayWidth ?? display.width, height: sizes.displayHeight ?? display.height };
+        pixelRatio = sizes.pixelRatio ?? pixelRatio;
+        content = getContentRect(source, display, fit);
+    }
+
+    // Source pixels to placement pixels
+    function toPlacementPoint(point) {
+        const scaleX = content.width / source.width;
+        const scaleY = content.height / source.height;
+        return {
+            x: content.x + (mirrored ? source.width - point.x : point.x) * scaleX,
+            y: content.y + point.y * scaleY
+        };
+    }
+
+    // Source rectangle to placement rectangle (mirroring moves its left edge)
+    function toPlacementRect(rect) {
+        const scaleX = content.width / source.width;
+        const scaleY = content.height / source.height;
+        const left = mirrored ? source.width - rect.x - rect.width : rect.x;
+        return {
+            ...rect,
+            x: content.x + left * scaleX,
+            y: content.y + rect.y * scaleY,
+            width: rect.width * scaleX,
+            height: rect.height * scaleY
+        };
+    }
+
+    // Placement pixels back to source pixels, e.g. for a click on the display
+    function toSourcePoint(point) {
+        const x = (point.x - content.x) * source.width / content.width;
+        return {
+            x: mirrored ? source.width - x : x,
+            y: (point.y - content.y) * source.height / content.height
+        };
+    }
+
+    // Placement rectangle back to a source rectangle
+    function toSourceRect(rect) {
+        const topLeft = toSourcePoint({ x: mirrored ? rect.x + rect.width : rect.x, y: rect.y });
+        return {
+            ...rect,
+            x: topLeft.x,
+            y: topLeft.y,
+            width: rect.width * source.width / content.width,
+            height: rect.height * source.height / content.height
+        };
+    }
+
+    // Convert a normalized detection frame (see detection-sources.js) to placement space
+    function transformFrame(frame) {
+        return {
+            ...frame,
+            width: display.width,
+            height: display.height,
+            faces: frame.faces.map(face => ({
+                ...toPlacementRect(face),
+                landmarks: (face.landmarks || []).map(toPlacementPoint)
+            })),
+            hands: frame.hands.map(hand => ({ ...hand, keypoints: hand.keypoints.map(toPlacementPoint) })),
+            objects: (frame.objects || []).map(toPlacementRect)
+        };
+    }
+
+    // The engine's viewport: the whole display in placement pixels
+    function getViewport() {
+        return { width: display.width, height: display.height };
+    }
+
+    // Letterbox bars around the frame, usable as the engine's `safeArea` to keep labels on the video
+    function getContentInsets() {
+        return {
+            top: Math.max(0, content.y),
+            right: Math.max(0, display.width - content.x - content.width),
+            bottom: Math.max(0, display.height - content.y - content.height),
+            left: Math.max(0, content.x)
+        };
+    }
+
+    // Backing-store size for a canvas covering the display
+    function getCanvasSize() {
+        return { width: Math.round(display.width * pixelRatio), height: Math.round(display.height * pixelRatio) };
+    }
+
+    // Let a 2D context draw in placement pixels on a canvas sized with getCanvasSize
+    function applyToContext(ctx) {
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    return {
+        update,
+        setMirrored: (value) => { mirrored = value; },
+        isMirrored: () => mirrored,
+        getContentRect: () => ({ ...content }),
+        getViewport,
+        getContentInsets,
+        getCanvasSize,
+        applyToContext,
+        toPlacementPoint,
+        toPlacementRect,
+        toSourcePoint,
+        toSourceRect,
+        transformFrame
+    };
+}
+
+// Call `onResize` whenever an element changes size or the device is rotated
+// Returns a function that stops observing.
+export function observeResize(element, onResize) {
+    const window = element.ownerDocument.defaultView;
+    const observer = new window.ResizeObserver(() => onResize());
+    observer.observe(element);
+    window.addEventListener('orientationchange', onResize);
+    return () => {
+        observer.disconnect();
+        window.removeEventListener('orientationchange', onResize);
+    };
+}
@@ -0,0 +1,45 @@
+// Visualization templates
+// A template attaches one visualization to every physical object it matches.
+// match: '*' (every object), a type or label string, an object of fields that must
+//        all be equal (e.g. { id: 'hand_1' } or { type: 'hand', label: 'Left' }),
+//        or a predicate (physicalObject) => boolean
+// spec: { key, width, height, priority, preferredPositions, style, content, render }
+//       `content` may be a value or (physicalObject) => value; `render` is a content
+//       renderer (context, visualization, position) used by the drawing code.
+//       Visualizations keep the template's `key`, which color themes style them by (see themes.js).
+
+// Check whether a template's match rule applies to a physical object
+export function templateMatches(match, physicalObject) {
+    if (match === '*') return true;
+    if (typeof match === 'function') return Boolean(match(physicalObject));
+    if (typeof match === 'string') return physicalObject.type === match || physicalObject.label === match;
+    if (match && typeof match === 'object') {
+        return Object.keys(match).every(field => physicalObject[field] === match[field]);
+    }
+    return false;
+}
+
+// Build the visualization config a template creates for one physical object
+export function instantiateTemplate(spec, physicalObject) {
+    const { key, content, ...rest } = spec;
+    return {
+        priority: 1,
+        preferredPositions: {},
+        style: {},
+        ...rest,
+        id: `${physicalObject.id}_${key}`,
+        key,
+        objectId: physicalObject.id,
+        content: typeof content === 'function' ? content(physicalObject) : content
+    };
+}
+
+// Check a template spec before it is registered
+export function validateTemplateSpec(spec) {
+    if (!spec || spec.key === undefined || spec.key === null || spec.key === '') {
+        throw new Error('Visualization template needs a key');
+    }
+    if (!(spec.width > 0) || !(spec.height > 0)) {
+        throw new Error(`Visualization template ${spec.key} needs a positive width and height`);
+    }
+}